@@ -1,5 +1,7 @@
 const express = require('express');
 const aiValidator = require('../services/ai-validator-service');
+const aiUsage = require('../services/ai-usage-service');
+const promptRegistry = require('../services/prompt-registry');
 
 const router = express.Router();
 
@@ -184,12 +186,123 @@ router.post('/reset', (req, res) => {
   }
 });
 
+/**
+ * GET /api/monitoring/providers
+ * Цепочка провайдеров ИИ: состояние предохранителей, кто сколько обслужил
+ * и ответы не по схеме (schemaFailures) по провайдерам и промптам
+ */
+router.get('/providers', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...aiValidator.getProviderStatus(),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve provider status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/monitoring/costs?period=day|month
+ * Токены и стоимость вызовов ИИ по функциям, моделям и пользователям, состояние бюджета
+ */
+router.get('/costs', (req, res) => {
+  try {
+    const period = req.query.period || 'day';
+    
+    if (!['day', 'month'].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        error: 'period must be "day" or "month"'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...aiUsage.getBreakdown(period),
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve AI costs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/monitoring/prompts
+ * Промпты, их версии и активные A/B-тесты
+ */
+router.get('/prompts', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: promptRegistry.list()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve prompts',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/monitoring/prompts/:key/comparison?days=30
+ * Сравнение версий и вариантов промпта: оценки ответов и отзывы пользователей
+ */
+router.get('/prompts/:key/comparison', async (req, res) => {
+  try {
+    if (!promptRegistry.get(req.params.key)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown prompt ${req.params.key}`
+      });
+    }
+    
+    const days = parseInt(req.query.days, 10);
+    const since = days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : null;
+    const comparison = await promptRegistry.compareVariants(req.params.key, { since });
+    
+    res.json({
+      success: true,
+      data: {
+        ...comparison,
+        since,
+        timestamp: new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare prompt variants',
+      details: error.message
+    });
+  }
+});
+
 /**
  * GET /api/monitoring/health
  * Проверка здоровья системы семантического анализа
  */
 router.get('/health', async (req, res) => {
   try {
+    const breakers = aiValidator.getProviderStatus().providers;
+    const openBreakers = breakers.filter(breaker => breaker.state === 'open').map(breaker => breaker.name);
+    const budget = aiUsage.getBudgetStatus();
+    
     const health = {
       status: 'healthy',
       checks: {
@@ -198,6 +311,19 @@ router.get('/health', async (req, res) => {
           provider: aiValidator.provider,
           message: aiValidator.isConfigured ? 'AI provider configured' : 'Using local validation only'
         },
+        circuitBreakers: {
+          // Все разомкнуты - работают только локальные правила
+          status: openBreakers.length === 0 ? 'ok'
+            : openBreakers.length === breakers.length ? 'error' : 'warning',
+          open: openBreakers,
+          total: breakers.length
+        },
+        budget: {
+          // Сверх бюджета платные модели не вызываются
+          status: budget.exceeded ? 'warning' : 'ok',
+          day: budget.day,
+          month: budget.month
+        },
         cache: {
           status: 'ok',
           size: aiValidator.semanticCache.cache.size,
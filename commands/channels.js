@@ -0,0 +1,243 @@
+const User = require('../models/User');
+const PushoverService = require('../services/pushover-service');
+const { NotificationRouter, createChannels } = require('../services/notification-channels');
+const config = require('../config/hurlburt');
+const addressForms = require('../utils/addressForms');
+
+const CHANNEL_NAMES = ['telegram', 'pushover', 'email', 'ntfy', 'webhook'];
+
+const USAGE =
+  '<b>Настройка:</b>\n' +
+  '/channels email name@example.com\n' +
+  '/channels ntfy моя_тема [https://свой-сервер]\n' +
+  '/channels webhook https://example.com/hook\n' +
+  '/channels order pushover telegram - порядок каналов\n' +
+  '/channels wait 5 - сколько минут ждать перед следующим каналом\n' +
+  '/channels off email - отключить канал\n' +
+  '/channels test - проверить все каналы\n\n' +
+  'Pushover подключается через /pushover.';
+
+// Адреса и темы вводит участник, а сообщения уходят с parse_mode HTML
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function createRouter(bot) {
+  return new NotificationRouter(createChannels(bot, new PushoverService()));
+}
+
+// Каналу нужна строка с адресом/темой, а не только флаг enabled
+function describeChannel(router, user, name) {
+  const channel = router.getChannel(name);
+  const channels = user.settings.channels || {};
+  const details = {
+    telegram: '',
+    pushover: '',
+    email: channels.email?.address ? ` (${escapeHtml(channels.email.address)})` : '',
+    ntfy: channels.ntfy?.topic ? ` (${channels.ntfy.topic} на ${escapeHtml(router.getChannel('ntfy').getServer(user))})` : '',
+    webhook: channels.webhook?.url ? ` (${escapeHtml(channels.webhook.url)})` : ''
+  }[name];
+
+  return `${channel.label}: ${channel.isConfigured(user) ? '✅' : '—'}${details}`;
+}
+
+async function showChannels(bot, chatId, user) {
+  const router = createRouter(bot);
+  const steps = router.getSteps(user);
+  const chain = steps.map(step => step.map(name => router.getChannel(name).label).join(' + ')).join(' → ');
+  const customOrder = (user.settings.channels?.priority || []).length > 0;
+
+  const message = addressForms.formatForUser(
+    `📡 <b>Каналы уведомлений</b>\n\n` +
+    `${CHANNEL_NAMES.map(name => describeChannel(router, user, name)).join('\n')}\n\n` +
+    `<b>Порядок:</b> ${chain}\n` +
+    (steps.length > 1 ? `Следующий канал - если опрос не начат за ${router.getFallbackMinutes(user)} мин.\n` : '') +
+    `\nКнопки опроса всегда приходят в Telegram; если он не первый в порядке - без звука.\n\n` +
+    USAGE,
+    user
+  );
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'HTML',
+    disable_web_page_preview: true,
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '🧪 Проверить каналы', callback_data: 'channels_test' }],
+        ...(customOrder ? [[{ text: '↩️ Порядок по умолчанию', callback_data: 'channels_order_default' }]] : [])
+      ]
+    }
+  });
+}
+
+// Проверяются все настроенные каналы, даже не включённые в порядок
+async function testChannels(bot, chatId, user) {
+  const router = createRouter(bot);
+  const notification = {
+    kind: 'test',
+    title: '🧪 Проверка канала',
+    message: 'Тестовое уведомление: канал работает.',
+    link: config.channels.botUrl
+  };
+  const results = await Promise.all(CHANNEL_NAMES
+    .filter(name => router.getChannel(name).isConfigured(user))
+    .map(name => router.sendVia(name, user, notification)));
+
+  // Причина сбоя - только в логе: ответ чужого сервера участнику не показывается
+  const lines = results.map(result =>
+    `${router.getChannel(result.channel).label}: ${result.success ? '✅ доставлено' : '❌ не удалось доставить'}`
+  );
+  await bot.sendMessage(chatId, `🧪 Проверка каналов\n\n${lines.join('\n')}`);
+}
+
+// Возвращает текст ответа на /channels <подкоманда> ...
+async function configure(bot, user, [subcommand, ...rest]) {
+  const router = createRouter(bot);
+  const channels = user.settings.channels;
+  const value = rest.join(' ').trim();
+
+  switch (subcommand.toLowerCase()) {
+    case 'email': {
+      if (!router.getChannel('email').isAvailable()) {
+        return '✉️ Почта пока недоступна: в исследовании не настроен SMTP-сервер.';
+      }
+      if (!router.getChannel('email').isValidAddress(value)) {
+        return 'Неверный адрес. Пример: /channels email name@example.com';
+      }
+      channels.email = { enabled: true, address: value };
+      return `✉️ Почта подключена: ${escapeHtml(value)}`;
+    }
+
+    case 'ntfy': {
+      const [topic, server] = rest;
+      const ntfy = router.getChannel('ntfy');
+      if (!ntfy.isValidTopic(topic)) {
+        return 'Тема ntfy - латиница, цифры, _ и -. Пример: /channels ntfy esm_alerts_42';
+      }
+      if (server && !ntfy.isValidServer(server)) {
+        return 'Адрес сервера должен начинаться с http:// или https://';
+      }
+      if (server && !(await ntfy.isAllowedServer(server))) {
+        return 'Этот сервер недоступен: укажи публичный адрес (не localhost и не внутреннюю сеть).';
+      }
+      channels.ntfy = { enabled: true, topic, server: server || null };
+      return `📣 ntfy подключён: тема ${topic}`;
+    }
+
+    case 'webhook': {
+      const webhook = router.getChannel('webhook');
+      if (!webhook.isValidUrl(value)) {
+        return 'Адрес вебхука должен начинаться с http:// или https://';
+      }
+      if (!(await webhook.isAllowedUrl(value))) {
+        return 'Этот адрес недоступен: укажи публичный адрес (не localhost и не внутреннюю сеть).';
+      }
+      const secret = webhook.generateSecret();
+      channels.webhook = { enabled: true, url: value, secret };
+      return `🔗 Вебхук подключён: ${escapeHtml(value)}\n\n` +
+        `Ключ подписи (сохрани, больше он не показывается):\n<code>${secret}</code>\n\n` +
+        'Каждый запрос - POST JSON с заголовком X-ESM-Signature: t=&lt;время&gt;,v1=&lt;HMAC-SHA256 от "t.тело"&gt;';
+    }
+
+    case 'order': {
+      const names = value.toLowerCase().split(/[\s,>→]+/).filter(Boolean);
+      const unknown = names.filter(name => !CHANNEL_NAMES.includes(name));
+      if (names.length === 0 || unknown.length > 0) {
+        return `Неизвестные каналы: ${escapeHtml(unknown.join(', ')) || '—'}. Доступны: ${CHANNEL_NAMES.join(', ')}`;
+      }
+      channels.priority = [...new Set(names)];
+
+      const skipped = channels.priority.filter(name => !router.getChannel(name).isConfigured(user));
+      return `📡 Порядок: ${channels.priority.join(' → ')}` +
+        (skipped.length > 0 ? `\n\n⚠️ Не настроены и будут пропущены: ${skipped.join(', ')}` : '');
+    }
+
+    case 'wait': {
+      const minutes = parseInt(value, 10);
+      if (!(minutes >= 1 && minutes <= config.channels.maxFallbackMinutes)) {
+        return `Укажи от 1 до ${config.channels.maxFallbackMinutes} минут. Пример: /channels wait 5`;
+      }
+      channels.fallbackMinutes = minutes;
+      return `⏱ Следующий канал - если опрос не начат за ${minutes} мин.`;
+    }
+
+    case 'off': {
+      const name = value.toLowerCase();
+      if (!['email', 'ntfy', 'webhook'].includes(name)) {
+        return 'Отключить можно email, ntfy или webhook (Pushover - в /pushover).';
+      }
+      channels[name].enabled = false;
+      channels.priority = channels.priority.filter(item => item !== name);
+      return `${router.getChannel(name).label} отключён`;
+    }
+
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  command: 'channels',
+  description: 'Configure notification channels and fallbacks',
+
+  execute: async (bot, msg, args = []) => {
+    const chatId = msg.chat.id;
+
+    try {
+      const user = await User.findOne({ telegramId: msg.from.id });
+      if (!user) {
+        bot.sendMessage(chatId, 'Пожалуйста, сначала используйте команду /start для регистрации.');
+        return;
+      }
+
+      if (args.length === 0) {
+        await showChannels(bot, chatId, user);
+        return;
+      }
+
+      if (args[0].toLowerCase() === 'test') {
+        await testChannels(bot, chatId, user);
+        return;
+      }
+
+      const reply = await configure(bot, user, args);
+      if (!reply) {
+        await bot.sendMessage(chatId, USAGE, { parse_mode: 'HTML' });
+        return;
+      }
+
+      await user.save();
+      await bot.sendMessage(chatId, reply, { parse_mode: 'HTML', disable_web_page_preview: true });
+    } catch (error) {
+      console.error('Error in channels command:', error);
+      bot.sendMessage(chatId, 'Произошла ошибка при обработке команды. Попробуйте еще раз.');
+    }
+  },
+
+  handleCallback: async (bot, query) => {
+    const chatId = query.message.chat.id;
+
+    try {
+      const user = await User.findOne({ telegramId: query.from.id });
+      if (!user) return;
+
+      if (query.data === 'channels_test') {
+        await bot.answerCallbackQuery(query.id, { text: 'Отправляю тестовые уведомления...' });
+        await testChannels(bot, chatId, user);
+        return;
+      }
+
+      if (query.data === 'channels_order_default') {
+        user.settings.channels.priority = [];
+        await user.save();
+        await bot.answerCallbackQuery(query.id, { text: 'Порядок по умолчанию' });
+        await showChannels(bot, chatId, user);
+        return;
+      }
+
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      console.error('Error in channels callback:', error);
+      bot.answerCallbackQuery(query.id, { text: 'Произошла ошибка' });
+    }
+  }
+};
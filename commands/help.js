@@ -16,10 +16,15 @@ module.exports = {
         `🚀 <b>Основные:</b>\n` +
         `/start - Регистрация в боте\n` +
         `/survey - Начать опрос\n` +
+        `/survey event - Записать событие 📌\n` +
         `/stats - Твоя статистика\n` +
-        `/settings - Настройки уведомлений\n\n` +
+        `/settings - Настройки уведомлений\n` +
+        `/places - Мои места для геопозиции\n` +
+        `/quiet - Перерывы, тишина и календарь .ics\n` +
+        `/pause - Пауза в исследовании (отпуск, болезнь)\n\n` +
         `⌚ <b>Уведомления на часы:</b>\n` +
-        `/pushover - Настройка Pushover для Garmin/Apple Watch 🆕\n\n` +
+        `/pushover - Настройка Pushover для Garmin/Apple Watch 🆕\n` +
+        `/channels - Каналы уведомлений: почта, ntfy, вебхук и их порядок\n\n` +
         `🎮 <b>Геймификация:</b>\n` +
         `/achievements - Твои достижения и прогресс\n` +
         `/leaderboard - Рейтинги участников (анонимно)\n\n` +
@@ -43,10 +48,15 @@ module.exports = {
         `🚀 <b>Основные:</b>\n` +
         `/start - Регистрация в боте\n` +
         `/survey - Начать опрос\n` +
+        `/survey event - Записать событие 📌\n` +
         `/stats - Твоя статистика\n` +
-        `/settings - Настройки уведомлений\n\n` +
+        `/settings - Настройки уведомлений\n` +
+        `/places - Мои места для геопозиции\n` +
+        `/quiet - Перерывы, тишина и календарь .ics\n` +
+        `/pause - Пауза в исследовании (отпуск, болезнь)\n\n` +
         `⌚ <b>Уведомления на часы:</b>\n` +
-        `/pushover - Настройка Pushover для Garmin/Apple Watch 🆕\n\n` +
+        `/pushover - Настройка Pushover для Garmin/Apple Watch 🆕\n` +
+        `/channels - Каналы уведомлений: почта, ntfy, вебхук и их порядок\n\n` +
         `🎮 <b>Геймификация:</b>\n` +
         `/achievements - Твои достижения и прогресс\n` +
         `/leaderboard - Рейтинги участников (анонимно)\n\n` +
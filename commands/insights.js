@@ -3,6 +3,29 @@ const AIInsightsService = require('../services/ai-insights-service');
 const PredictiveAnalyticsService = require('../services/predictive-analytics-service');
 const PatternAnalysisService = require('../services/pattern-analysis-service');
 const addressForms = require('../utils/addressForms');
+const promptRegistry = require('../services/prompt-registry');
+
+const FEEDBACK_PREFIX = 'insights_feedback_';
+
+// Отзыв о AI-инсайтах: insights_feedback_<up|down>_<промпт@версия>
+async function handleInsightsFeedback(bot, query, user) {
+  const match = /^insights_feedback_(up|down)_(.+)$/.exec(query.data);
+  const ref = match && promptRegistry.parseId(match[2], user._id);
+  if (!ref) {
+    await bot.answerCallbackQuery(query.id, { text: 'Отзыв не распознан' });
+    return;
+  }
+
+  await promptRegistry.recordFeedback(user._id, ref, match[1] === 'up' ? 1 : -1);
+  await bot.answerCallbackQuery(query.id, { text: 'Спасибо за отзыв!' });
+
+  // Убираем кнопки отзыва, чтобы не голосовать дважды
+  const keyboard = query.message.reply_markup?.inline_keyboard || [];
+  await bot.editMessageReplyMarkup(
+    { inline_keyboard: keyboard.filter(row => !row.some(button => button.callback_data?.startsWith(FEEDBACK_PREFIX))) },
+    { chat_id: query.message.chat.id, message_id: query.message.message_id }
+  ).catch(error => console.error('Failed to remove feedback buttons:', error.message));
+}
 
 module.exports = {
   command: 'insights',
@@ -181,6 +204,15 @@ module.exports = {
         ]
       };
       
+      // Отзыв о AI-инсайтах сохраняется с версией промпта, которая их создала
+      if (aiInsights.prompt && aiInsights.insights?.length > 0) {
+        const promptId = promptRegistry.formatId(aiInsights.prompt);
+        keyboard.inline_keyboard.unshift([
+          { text: '👍 Полезно', callback_data: `${FEEDBACK_PREFIX}up_${promptId}` },
+          { text: '👎 Не про меня', callback_data: `${FEEDBACK_PREFIX}down_${promptId}` }
+        ]);
+      }
+      
       await bot.sendMessage(chatId, message, { 
         parse_mode: 'HTML',
         reply_markup: keyboard
@@ -210,6 +242,11 @@ module.exports = {
         return;
       }
       
+      if (action.startsWith(FEEDBACK_PREFIX)) {
+        await handleInsightsFeedback(bot, query, user);
+        return;
+      }
+      
       await bot.answerCallbackQuery(query.id, { text: 'Загружаем данные...' });
       
       let message = '';
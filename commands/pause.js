@@ -0,0 +1,188 @@
+const moment = require('moment-timezone');
+const User = require('../models/User');
+const pauseService = require('../services/pause-service');
+const addressForms = require('../utils/addressForms');
+
+// Ожидание ввода дат или выбора причины: { type: 'range' } | { type: 'reason', startAt, endAt }
+const pauseStates = new Map();
+
+const RANGE_PROMPT = '🗓 Напиши даты паузы (последний день включительно) или число дней:\n\n' +
+  '20.03-25.03\n' +
+  '5';
+
+// Пауза меняет расписание: пересчитываем сигналы и гасим идущую эскалацию
+async function applyPauseChange(user) {
+  const scheduler = global.notificationScheduler;
+  if (!scheduler) return;
+
+  if (user.isPausedAt() && user.escalationState?.isEscalating) {
+    await scheduler.stopEscalation(user, 'paused');
+  }
+  await scheduler.planUserNotifications(user);
+}
+
+async function showPause(bot, chatId, user) {
+  const timezone = user.settings.timezone;
+  const active = user.getActivePause();
+  const upcoming = pauseService.getUpcomingPauses(user);
+
+  const statusText = active
+    ? `⏸ Сейчас пауза: ${pauseService.formatPause(active, timezone)}`
+    : '▶️ Исследование идёт';
+  const upcomingText = upcoming.length > 0
+    ? `\n\n🗓 Запланированные паузы:\n${upcoming.map(pause => `• ${pauseService.formatPause(pause, timezone)}`).join('\n')}`
+    : '';
+
+  const message = addressForms.formatForUser(
+    `⏸ <b>Пауза в исследовании</b>\n\n` +
+    `${statusText}${upcomingText}\n\n` +
+    `Во время паузы сигналов и напоминаний не будет, стрик не прервётся, ` +
+    `а дни паузы не засчитаются в дни обучения.`,
+    user
+  );
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: 'Сегодня', callback_data: 'pause_days_1' },
+          { text: '3 дня', callback_data: 'pause_days_3' },
+          { text: 'Неделя', callback_data: 'pause_days_7' }
+        ],
+        [{ text: '🗓 Выбрать даты', callback_data: 'pause_range' }],
+        ...(upcoming.length > 0 ? [[{ text: '▶️ Вернуться к исследованию', callback_data: 'pause_off' }]] : [])
+      ]
+    }
+  });
+}
+
+async function askReason(bot, chatId, userId, range) {
+  pauseStates.set(userId, { type: 'reason', ...range });
+
+  const buttons = Object.entries(pauseService.reasons)
+    .map(([reason, label]) => ({ text: label, callback_data: `pause_reason_${reason}` }));
+
+  await bot.sendMessage(chatId, 'Почему берёшь паузу?', {
+    reply_markup: {
+      inline_keyboard: [buttons.slice(0, 3), buttons.slice(3)]
+    }
+  });
+}
+
+// «5», «20.03-25.03» -> выбор причины; ошибка -> подсказка
+async function handleRange(bot, chatId, user, text) {
+  const range = pauseService.parseRange(text, user.settings.timezone);
+
+  if (!range || range.error) {
+    await bot.sendMessage(chatId, `${range?.error || 'Не удалось разобрать даты.'} ${RANGE_PROMPT}`);
+    return false;
+  }
+
+  await askReason(bot, chatId, user.telegramId, range);
+  return true;
+}
+
+async function endPause(bot, chatId, user) {
+  if (!pauseService.endPause(user)) {
+    await bot.sendMessage(chatId, '▶️ Паузы нет, исследование идёт.');
+    return;
+  }
+
+  await user.save();
+  await applyPauseChange(user);
+  await bot.sendMessage(chatId, addressForms.formatForUser('▶️ С возвращением! Сигналы снова включены.', user));
+}
+
+module.exports = {
+  command: 'pause',
+  description: 'Pause the study for vacation, illness or travel',
+  pauseStates,
+
+  // /pause - статус, /pause 5 - на 5 дней, /pause 20.03-25.03, /pause off
+  execute: async (bot, msg, args = []) => {
+    const chatId = msg.chat.id;
+
+    try {
+      const user = await User.findOne({ telegramId: msg.from.id });
+      if (!user) {
+        bot.sendMessage(chatId, 'Пожалуйста, сначала используйте команду /start для регистрации.');
+        return;
+      }
+
+      const argument = args.join(' ').trim();
+      if (['off', 'выкл', 'стоп'].includes(argument.toLowerCase())) {
+        await endPause(bot, chatId, user);
+      } else if (argument) {
+        await handleRange(bot, chatId, user, argument);
+      } else {
+        await showPause(bot, chatId, user);
+      }
+    } catch (error) {
+      console.error('Error in pause command:', error);
+      bot.sendMessage(chatId, 'Произошла ошибка при обработке команды. Попробуйте еще раз.');
+    }
+  },
+
+  handleCallback: async (bot, query) => {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const data = query.data;
+
+    try {
+      const user = await User.findOne({ telegramId: userId });
+      if (!user) return;
+
+      if (data.startsWith('pause_days_')) {
+        await handleRange(bot, chatId, user, data.replace('pause_days_', ''));
+      } else if (data === 'pause_range') {
+        pauseStates.set(userId, { type: 'range' });
+        await bot.sendMessage(chatId, RANGE_PROMPT);
+      } else if (data === 'pause_off') {
+        await endPause(bot, chatId, user);
+      } else if (data.startsWith('pause_reason_')) {
+        const state = pauseStates.get(userId);
+        if (!state || state.type !== 'reason') {
+          await bot.answerCallbackQuery(query.id, { text: 'Выбери даты паузы заново: /pause' });
+          return;
+        }
+
+        const reason = data.replace('pause_reason_', '');
+        const pause = pauseService.addPause(user, state, reason);
+        pauseStates.delete(userId);
+        await user.save();
+        await applyPauseChange(user);
+
+        await bot.sendMessage(chatId, addressForms.formatForUser(
+          `⏸ Пауза: ${pauseService.formatPause(pause, user.settings.timezone)}. ` +
+          `Сигналы вернутся ${moment(pause.endAt).tz(user.settings.timezone).format('DD.MM')}. ` +
+          'Вернуться раньше: /pause off',
+          user
+        ));
+      }
+
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      console.error('Error in pause callback:', error);
+      bot.answerCallbackQuery(query.id, { text: 'Произошла ошибка' });
+    }
+  },
+
+  handleTextMessage: async (bot, msg) => {
+    const userId = msg.from.id;
+    const state = pauseStates.get(userId);
+    if (!state || state.type !== 'range') return false;
+
+    // Другая команда прерывает ввод
+    if (msg.text.startsWith('/')) {
+      pauseStates.delete(userId);
+      return false;
+    }
+
+    const user = await User.findOne({ telegramId: userId });
+    if (!user) return false;
+
+    await handleRange(bot, msg.chat.id, user, msg.text);
+    return true;
+  }
+};
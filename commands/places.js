@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const placeService = require('../services/place-service');
+const addressForms = require('../utils/addressForms');
+const { mainKeyboard } = require('./start');
+
+// Шаги добавления места: сначала геопозиция, затем название
+const placesStates = new Map();
+
+const CANCEL_TEXT = '❌ Отмена';
+const PRESETS = [
+  { label: '🏠 Дом', name: 'Дом' },
+  { label: '💼 Работа', name: 'Работа' },
+  { label: '🏋️ Спортзал', name: 'Спортзал' }
+];
+
+async function showPlaces(bot, chatId, user) {
+  const places = user.places || [];
+
+  const list = places.length > 0
+    ? places.map((place, index) => `${index + 1}. ${place.name} (радиус ${place.radiusMeters} м)`).join('\n')
+    : 'Пока нет ни одного места.';
+
+  const message = addressForms.formatForUser(
+    `📍 <b>Мои места</b>\n\n` +
+    `${list}\n\n` +
+    `В опросе можно отправить геопозицию — бот запишет только название места ` +
+    `(дом, работа, спортзал), сами координаты не сохраняются.`,
+    user
+  );
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        ...places.map((place, index) => [
+          { text: `🗑 Удалить «${place.name}»`, callback_data: `places_delete_${index}` }
+        ]),
+        [{ text: '➕ Добавить место', callback_data: 'places_add' }]
+      ]
+    }
+  });
+}
+
+async function savePlace(bot, chatId, userId, name) {
+  const state = placesStates.get(userId);
+  const user = await User.findOne({ telegramId: userId });
+
+  try {
+    const place = placeService.upsertPlace(user, name, state.location);
+    await user.save();
+    placesStates.delete(userId);
+
+    await bot.sendMessage(chatId, addressForms.formatForUser(`✅ Место «${place.name}» сохранено`, user), {
+      reply_markup: mainKeyboard
+    });
+  } catch (error) {
+    console.error('Error saving place:', error);
+    await bot.sendMessage(chatId, addressForms.formatForUser(
+      '❌ Не удалось сохранить место. Проверь название или удали одно из старых мест.',
+      user
+    ));
+  }
+}
+
+module.exports = {
+  command: 'places',
+  description: 'Manage named places for location answers',
+  placesStates,
+
+  execute: async (bot, msg) => {
+    const chatId = msg.chat.id;
+
+    try {
+      const user = await User.findOne({ telegramId: msg.from.id });
+      if (!user) {
+        bot.sendMessage(chatId, 'Пожалуйста, сначала используйте команду /start для регистрации.');
+        return;
+      }
+
+      await showPlaces(bot, chatId, user);
+    } catch (error) {
+      console.error('Error in places command:', error);
+      bot.sendMessage(chatId, 'Произошла ошибка при обработке команды. Попробуйте еще раз.');
+    }
+  },
+
+  handleCallback: async (bot, query) => {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const data = query.data;
+
+    try {
+      const user = await User.findOne({ telegramId: userId });
+
+      if (data === 'places_add') {
+        placesStates.set(userId, { step: 'waiting_location' });
+        await bot.sendMessage(chatId, addressForms.formatForUser(
+          '📍 Отправь геопозицию места, где ты сейчас находишься.',
+          user
+        ), {
+          reply_markup: {
+            keyboard: [
+              [{ text: '📍 Отправить геопозицию', request_location: true }],
+              [{ text: CANCEL_TEXT }]
+            ],
+            resize_keyboard: true,
+            one_time_keyboard: true
+          }
+        });
+      } else if (data.startsWith('places_name_')) {
+        const preset = PRESETS[parseInt(data.replace('places_name_', ''))];
+        if (preset && placesStates.get(userId)?.step === 'waiting_name') {
+          await savePlace(bot, chatId, userId, preset.name);
+        }
+      } else if (data.startsWith('places_delete_')) {
+        const index = parseInt(data.replace('places_delete_', ''));
+        const place = user.places[index];
+        if (place) {
+          user.places.splice(index, 1);
+          await user.save();
+          await bot.sendMessage(chatId, addressForms.formatForUser(`🗑 Место «${place.name}» удалено`, user));
+        }
+        await showPlaces(bot, chatId, user);
+      }
+
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      console.error('Error in places callback:', error);
+      bot.answerCallbackQuery(query.id, { text: 'Произошла ошибка' });
+    }
+  },
+
+  // Геопозиция для нового места
+  handleLocation: async (bot, msg) => {
+    const userId = msg.from.id;
+    const state = placesStates.get(userId);
+    if (!state || state.step !== 'waiting_location') return false;
+
+    placesStates.set(userId, {
+      step: 'waiting_name',
+      location: { latitude: msg.location.latitude, longitude: msg.location.longitude }
+    });
+
+    await bot.sendMessage(msg.chat.id, '✏️ Как назвать это место? Выбери вариант или напиши своё название.', {
+      reply_markup: {
+        inline_keyboard: [
+          PRESETS.map((preset, index) => ({ text: preset.label, callback_data: `places_name_${index}` }))
+        ]
+      }
+    });
+    return true;
+  },
+
+  handleTextMessage: async (bot, msg) => {
+    const userId = msg.from.id;
+    const state = placesStates.get(userId);
+    if (!state) return false;
+
+    // Другая команда прерывает добавление места
+    if (msg.text.startsWith('/')) {
+      placesStates.delete(userId);
+      return false;
+    }
+
+    if (msg.text === CANCEL_TEXT) {
+      placesStates.delete(userId);
+      await bot.sendMessage(msg.chat.id, 'Добавление места отменено', { reply_markup: mainKeyboard });
+      return true;
+    }
+
+    if (state.step === 'waiting_location') {
+      await bot.sendMessage(msg.chat.id, `📍 Отправь геопозицию кнопкой ниже или нажми «${CANCEL_TEXT}».`);
+      return true;
+    }
+
+    await savePlace(bot, msg.chat.id, userId, msg.text);
+    return true;
+  }
+};
@@ -4,6 +4,95 @@ const addressForms = require('../utils/addressForms');
 
 const pushoverStates = new Map();
 
+async function showPushoverSettings(bot, chatId, user) {
+  const pushoverService = new PushoverService();
+  const priorities = pushoverService.getPriorityLevels();
+  const sounds = await pushoverService.fetchSounds();
+  const sound = user.settings.pushover.sound;
+  const soundLabel = sounds[sound] || sound;
+
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: `🚨 Приоритет: ${priorities[user.settings.pushover.priority]}`, callback_data: 'pushover_toggle_priority' }],
+      [{ text: `🔊 Звук: ${soundLabel}`, callback_data: 'pushover_change_sound' }],
+      [{ text: '⬅️ Назад', callback_data: 'pushover_back' }]
+    ]
+  };
+
+  const message = addressForms.formatForUser(
+    `⚙️ *Настройки Pushover*\n\n` +
+    `*Текущие параметры:*\n` +
+    `• Приоритет: ${priorities[user.settings.pushover.priority]}\n` +
+    `• Звук: ${soundLabel}\n\n` +
+    `*Описание приоритетов:*\n` +
+    Object.entries(priorities).map(([key, desc]) => `${key}: ${desc}`).join('\n') + '\n\n' +
+    `Экстренные уведомления повторяются, пока ты не подтвердишь их на часах или телефоне. ` +
+    `Напоминания эскалации всегда идут на уровень выше выбранного, поэтому при приоритете 1 они тоже экстренные. ` +
+    `Подтверждение останавливает напоминания.`,
+    user
+  );
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard
+  });
+}
+
+async function togglePriority(bot, callbackQuery, user) {
+  const pushoverService = new PushoverService();
+  const priorities = Object.keys(pushoverService.getPriorityLevels()).map(Number).sort((a, b) => a - b);
+  const currentIndex = priorities.indexOf(user.settings.pushover.priority);
+  const nextPriority = priorities[(currentIndex + 1) % priorities.length];
+
+  // Только приоритеты, которые принимает API
+  if (!pushoverService.validatePriority(nextPriority)) {
+    await bot.sendMessage(callbackQuery.message.chat.id, `❌ Pushover не поддерживает приоритет ${nextPriority}`);
+    return;
+  }
+
+  user.settings.pushover.priority = nextPriority;
+  await user.save();
+
+  await showPushoverSettings(bot, callbackQuery.message.chat.id, user);
+}
+
+// Звуки берутся из API Pushover: там есть и свои звуки приложения
+async function showSoundSelection(bot, chatId, user) {
+  const pushoverService = new PushoverService();
+  const sounds = Object.entries(await pushoverService.fetchSounds());
+
+  const rows = [];
+  for (let i = 0; i < sounds.length; i += 2) {
+    rows.push(sounds.slice(i, i + 2).map(([sound, label]) => ({
+      text: sound === user.settings.pushover.sound ? `✅ ${label}` : label,
+      callback_data: `pushover_sound_${sound}`
+    })));
+  }
+
+  await bot.sendMessage(chatId, '🔊 Выбери звук для уведомлений:', {
+    reply_markup: {
+      inline_keyboard: rows.concat([
+        [{ text: '⬅️ Назад', callback_data: 'pushover_settings' }]
+      ])
+    }
+  });
+}
+
+async function selectSound(bot, chatId, user, sound) {
+  const pushoverService = new PushoverService();
+
+  if (!(await pushoverService.isValidSound(sound))) {
+    await bot.sendMessage(chatId, addressForms.formatForUser(`❌ Звук «${sound}» не поддерживается Pushover. Выбери другой.`, user));
+    await showSoundSelection(bot, chatId, user);
+    return;
+  }
+
+  user.settings.pushover.sound = sound;
+  await user.save();
+  await bot.sendMessage(chatId, addressForms.formatForUser(`🔊 Звук изменен на: ${sound}`, user));
+  await showPushoverSettings(bot, chatId, user);
+}
+
 module.exports = {
   command: 'pushover',
   execute: async (bot, msg, args) => {
@@ -138,7 +227,7 @@ module.exports = {
           break;
 
         case 'pushover_settings':
-          await this.showPushoverSettings(bot, chatId, user);
+          await showPushoverSettings(bot, chatId, user);
           break;
 
         case 'pushover_test':
@@ -168,20 +257,16 @@ module.exports = {
 
         // Settings callbacks
         case 'pushover_toggle_priority':
-          await this.togglePriority(bot, callbackQuery, user);
+          await togglePriority(bot, callbackQuery, user);
           break;
 
         case 'pushover_change_sound':
-          await this.showSoundSelection(bot, chatId, user);
+          await showSoundSelection(bot, chatId, user);
           break;
 
         default:
           if (data.startsWith('pushover_sound_')) {
-            const sound = data.replace('pushover_sound_', '');
-            user.settings.pushover.sound = sound;
-            await user.save();
-            bot.sendMessage(chatId, addressForms.formatForUser(`🔊 Звук изменен на: ${sound}`, user));
-            await this.showPushoverSettings(bot, chatId, user);
+            await selectSound(bot, chatId, user, data.replace('pushover_sound_', ''));
           }
           break;
       }
@@ -248,59 +333,7 @@ module.exports = {
     return false;
   },
 
-  showPushoverSettings: async (bot, chatId, user) => {
-    const pushoverService = new PushoverService();
-    const priorities = pushoverService.getPriorityLevels();
-    
-    const keyboard = {
-      inline_keyboard: [
-        [{ text: `🚨 Приоритет: ${priorities[user.settings.pushover.priority]}`, callback_data: 'pushover_toggle_priority' }],
-        [{ text: `🔊 Звук: ${user.settings.pushover.sound}`, callback_data: 'pushover_change_sound' }],
-        [{ text: '⬅️ Назад', callback_data: 'pushover_back' }]
-      ]
-    };
-
-    const message = addressForms.formatForUser(
-      `⚙️ *Настройки Pushover*\n\n` +
-      `*Текущие параметры:*\n` +
-      `• Приоритет: ${priorities[user.settings.pushover.priority]}\n` +
-      `• Звук: ${user.settings.pushover.sound}\n\n` +
-      `*Описание приоритетов:*\n` +
-      Object.entries(priorities).map(([key, desc]) => `${key}: ${desc}`).join('\n'),
-      user
-    );
-
-    bot.sendMessage(chatId, message, {
-      parse_mode: 'Markdown',
-      reply_markup: keyboard
-    });
-  },
-
-  togglePriority: async (bot, callbackQuery, user) => {
-    const priorities = [-2, -1, 0, 1, 2];
-    const currentIndex = priorities.indexOf(user.settings.pushover.priority);
-    const nextIndex = (currentIndex + 1) % priorities.length;
-    
-    user.settings.pushover.priority = priorities[nextIndex];
-    await user.save();
-
-    await this.showPushoverSettings(bot, callbackQuery.message.chat.id, user);
-  },
-
-  showSoundSelection: async (bot, chatId, user) => {
-    const pushoverService = new PushoverService();
-    const sounds = pushoverService.getAvailableSounds();
-    
-    const keyboard = {
-      inline_keyboard: sounds.slice(0, 6).map(sound => ([
-        { text: sound, callback_data: `pushover_sound_${sound}` }
-      ])).concat([
-        [{ text: '⬅️ Назад', callback_data: 'pushover_settings' }]
-      ])
-    };
-
-    bot.sendMessage(chatId, '🔊 Выбери звук для уведомлений:', {
-      reply_markup: keyboard
-    });
-  }
-};
\ No newline at end of file
+  showPushoverSettings,
+  togglePriority,
+  showSoundSelection
+};
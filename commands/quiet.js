@@ -0,0 +1,302 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const User = require('../models/User');
+const config = require('../config/hurlburt');
+const availabilityService = require('../services/availability-service');
+const addressForms = require('../utils/addressForms');
+
+// Ожидание ввода перерыва или окон по дням недели
+const quietStates = new Map();
+
+const ICS_MAX_BYTES = 1024 * 1024;
+
+const prompts = {
+  blackout: '➕ Напиши перерыв в формате «дни время-время название», по строке на перерыв:\n\n' +
+    'пн,ср 10:00-11:00 Планёрка\n' +
+    'пн-пт 08:30-09:15 Дорога\n' +
+    'ежедневно 13:00-13:30 Обед',
+  windows: '📅 Напиши окно уведомлений для дней недели, по строке на диапазон:\n\n' +
+    'пн-пт 09:00-21:00\n' +
+    'сб-вс 11:00-23:00\n\n' +
+    'Чтобы вернуть общее окно из /settings, напиши «сброс».'
+};
+
+function isIcsDocument(document) {
+  return !!document && (
+    document.mime_type === 'text/calendar' ||
+    (document.file_name || '').toLowerCase().endsWith('.ics')
+  );
+}
+
+// После изменения перерывов пересчитываем ближайшие сигналы
+async function replanNotifications(user) {
+  if (global.notificationScheduler) {
+    await global.notificationScheduler.planUserNotifications(user);
+  }
+}
+
+async function showQuiet(bot, chatId, user) {
+  const timezone = user.settings.timezone;
+  const availability = user.settings.availability || {};
+  const blackouts = availability.blackouts || [];
+  const upcomingDates = (availability.blackoutDates || []).filter(item => item.endAt > new Date());
+  const formatDate = date => moment(date).tz(timezone).format('DD.MM HH:mm');
+
+  const quietText = availabilityService.isQuiet(user)
+    ? `🔕 Тишина до ${formatDate(availability.quietUntil)}`
+    : '🔔 Режим тишины выключен';
+
+  const windows = availability.weekdayWindows || [];
+  const windowsText = windows.length > 0
+    ? windows
+      .map(window => `${availabilityService.formatWeekdays([window.weekday])} ${window.start}-${window.end}`)
+      .join(', ')
+    : `каждый день ${user.settings.notificationStartTime}-${user.settings.notificationEndTime}`;
+
+  const blackoutsText = blackouts.length > 0
+    ? blackouts.map((blackout, index) =>
+      `${index + 1}. ${availabilityService.formatWeekdays(blackout.weekdays)} ${blackout.start}-${blackout.end}` +
+      `${blackout.label ? ` ${blackout.label}` : ''}${blackout.source === 'ics' ? ' 📅' : ''}`
+    ).join('\n')
+    : 'нет';
+
+  const message = addressForms.formatForUser(
+    `🔕 <b>Когда не беспокоить</b>\n\n` +
+    `${quietText}\n\n` +
+    `📅 Окна уведомлений: ${windowsText}\n\n` +
+    `⛔ Еженедельные перерывы:\n${blackoutsText}\n\n` +
+    `🗓 Разовых событий из календаря впереди: ${upcomingDates.length}\n\n` +
+    `Пришли файл .ics из календаря, чтобы не получать сигналы во время встреч. ` +
+    `Быстро включить тишину: /quiet 2 (на 2 часа) или /quiet завтра.`,
+    user
+  );
+
+  const hasIcs = blackouts.some(item => item.source === 'ics') || upcomingDates.some(item => item.source === 'ics');
+
+  await bot.sendMessage(chatId, message, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: '🔕 1 ч', callback_data: 'quiet_set_1' },
+          { text: '🔕 3 ч', callback_data: 'quiet_set_3' },
+          { text: '🔕 До завтра', callback_data: 'quiet_set_tomorrow' }
+        ],
+        ...(availabilityService.isQuiet(user) ? [[{ text: '🔔 Снять тишину', callback_data: 'quiet_off' }]] : []),
+        [
+          { text: '➕ Перерыв', callback_data: 'quiet_add_blackout' },
+          { text: '📅 Окна по дням', callback_data: 'quiet_windows' }
+        ],
+        ...blackouts.map((blackout, index) => [
+          { text: `🗑 Удалить перерыв ${index + 1}`, callback_data: `quiet_delete_${index}` }
+        ]),
+        ...(hasIcs ? [[{ text: '🗑 Удалить импорт из календаря', callback_data: 'quiet_clear_ics' }]] : [])
+      ]
+    }
+  });
+}
+
+async function setQuiet(bot, chatId, user, argument) {
+  const timezone = user.settings.timezone;
+
+  if (['off', 'выкл', 'стоп'].includes((argument || '').trim().toLowerCase())) {
+    user.settings.availability.quietUntil = null;
+    await user.save();
+    await replanNotifications(user);
+    await bot.sendMessage(chatId, '🔔 Режим тишины выключен');
+    return true;
+  }
+
+  const quietUntil = availabilityService.resolveQuietUntil(user, argument);
+  if (!quietUntil) return false;
+
+  user.settings.availability.quietUntil = quietUntil;
+  await user.save();
+  await replanNotifications(user);
+
+  await bot.sendMessage(chatId, addressForms.formatForUser(
+    `🔕 Не буду присылать сигналы до ${moment(quietUntil).tz(timezone).format('DD.MM HH:mm')}. ` +
+    'Снять тишину: /quiet off',
+    user
+  ));
+  return true;
+}
+
+module.exports = {
+  command: 'quiet',
+  description: 'Quiet hours, blackouts and calendar import',
+  quietStates,
+  isIcsDocument,
+
+  // /quiet - настройки, /quiet 2 - тишина на 2 часа, /quiet завтра, /quiet off
+  execute: async (bot, msg, args = []) => {
+    const chatId = msg.chat.id;
+
+    try {
+      const user = await User.findOne({ telegramId: msg.from.id });
+      if (!user) {
+        bot.sendMessage(chatId, 'Пожалуйста, сначала используйте команду /start для регистрации.');
+        return;
+      }
+
+      if (args.length > 0) {
+        const handled = await setQuiet(bot, chatId, user, args.join(' '));
+        if (!handled) {
+          await bot.sendMessage(chatId,
+            `Не понял длительность. Примеры: /quiet 2 (на 2 часа, не больше ${config.availability.maxQuietHours}), ` +
+            '/quiet завтра, /quiet off'
+          );
+        }
+        return;
+      }
+
+      await showQuiet(bot, chatId, user);
+    } catch (error) {
+      console.error('Error in quiet command:', error);
+      bot.sendMessage(chatId, 'Произошла ошибка при обработке команды. Попробуйте еще раз.');
+    }
+  },
+
+  handleCallback: async (bot, query) => {
+    const chatId = query.message.chat.id;
+    const userId = query.from.id;
+    const data = query.data;
+
+    try {
+      const user = await User.findOne({ telegramId: userId });
+      if (!user) return;
+
+      if (data.startsWith('quiet_set_')) {
+        await setQuiet(bot, chatId, user, data.replace('quiet_set_', ''));
+      } else if (data === 'quiet_off') {
+        await setQuiet(bot, chatId, user, 'off');
+      } else if (data === 'quiet_add_blackout' || data === 'quiet_windows') {
+        const type = data === 'quiet_add_blackout' ? 'blackout' : 'windows';
+        quietStates.set(userId, { type });
+        await bot.sendMessage(chatId, prompts[type]);
+      } else if (data.startsWith('quiet_delete_')) {
+        const index = parseInt(data.replace('quiet_delete_', ''));
+        if (user.settings.availability.blackouts[index]) {
+          user.settings.availability.blackouts.splice(index, 1);
+          await user.save();
+          await replanNotifications(user);
+        }
+        await showQuiet(bot, chatId, user);
+      } else if (data === 'quiet_clear_ics') {
+        const availability = user.settings.availability;
+        availability.blackouts = availability.blackouts.filter(item => item.source !== 'ics');
+        availability.blackoutDates = availability.blackoutDates.filter(item => item.source !== 'ics');
+        await user.save();
+        await replanNotifications(user);
+        await showQuiet(bot, chatId, user);
+      }
+
+      await bot.answerCallbackQuery(query.id);
+    } catch (error) {
+      console.error('Error in quiet callback:', error);
+      bot.answerCallbackQuery(query.id, { text: 'Произошла ошибка' });
+    }
+  },
+
+  handleTextMessage: async (bot, msg) => {
+    const userId = msg.from.id;
+    const state = quietStates.get(userId);
+    if (!state) return false;
+
+    // Другая команда прерывает ввод
+    if (msg.text.startsWith('/')) {
+      quietStates.delete(userId);
+      return false;
+    }
+
+    const user = await User.findOne({ telegramId: userId });
+    if (!user) return false;
+    const availability = user.settings.availability;
+
+    if (state.type === 'windows' && msg.text.trim().toLowerCase() === 'сброс') {
+      availability.weekdayWindows = [];
+    } else {
+      const ranges = availabilityService.parseWeeklyRanges(msg.text);
+      if (!ranges) {
+        await bot.sendMessage(msg.chat.id, `Не удалось разобрать. ${prompts[state.type]}`);
+        return true;
+      }
+
+      if (state.type === 'blackout') {
+        if (availability.blackouts.length + ranges.length > config.availability.maxBlackouts) {
+          await bot.sendMessage(msg.chat.id, `Можно сохранить не больше ${config.availability.maxBlackouts} перерывов. Удали лишние в /quiet.`);
+          return true;
+        }
+        ranges.forEach(range => availability.blackouts.push({ ...range, source: 'manual' }));
+      } else {
+        // Более поздняя строка перекрывает более раннюю для тех же дней
+        const windows = new Map(availability.weekdayWindows.map(window => [window.weekday, window]));
+        ranges.forEach(range => range.weekdays.forEach(weekday =>
+          windows.set(weekday, { weekday, start: range.start, end: range.end })
+        ));
+        availability.weekdayWindows = [...windows.values()];
+      }
+    }
+
+    quietStates.delete(userId);
+    await user.save();
+    await replanNotifications(user);
+
+    await bot.sendMessage(msg.chat.id, '✅ Сохранено');
+    await showQuiet(bot, msg.chat.id, user);
+    return true;
+  },
+
+  // Календарь .ics: повторяющиеся события - еженедельные перерывы, остальные - разовые
+  handleDocument: async (bot, msg) => {
+    const chatId = msg.chat.id;
+    const document = msg.document;
+
+    if (document.file_size && document.file_size > ICS_MAX_BYTES) {
+      await bot.sendMessage(chatId, '📅 Файл календаря слишком большой (больше 1 МБ).');
+      return;
+    }
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'quiet-ics-'));
+    try {
+      const user = await User.findOne({ telegramId: msg.from.id });
+      if (!user) {
+        bot.sendMessage(chatId, 'Пожалуйста, сначала используйте команду /start для регистрации.');
+        return;
+      }
+
+      const filePath = await bot.downloadFile(document.file_id, tmpDir);
+      const imported = availabilityService.importIcs(await fs.readFile(filePath, 'utf8'), user.settings.timezone);
+
+      if (imported.blackouts.length === 0 && imported.blackoutDates.length === 0) {
+        await bot.sendMessage(chatId, '📅 В календаре не нашлось предстоящих событий.');
+        return;
+      }
+
+      // Повторный импорт заменяет предыдущий, ручные перерывы остаются
+      const availability = user.settings.availability;
+      const manual = availability.blackouts.filter(item => item.source !== 'ics');
+      availability.blackouts = [...manual, ...imported.blackouts].slice(0, config.availability.maxBlackouts);
+      availability.blackoutDates = [
+        ...availability.blackoutDates.filter(item => item.source !== 'ics'),
+        ...imported.blackoutDates
+      ];
+      await user.save();
+      await replanNotifications(user);
+
+      await bot.sendMessage(chatId, addressForms.formatForUser(
+        `📅 Календарь импортирован: ${imported.blackouts.length} повторяющихся и ` +
+        `${imported.blackoutDates.length} разовых событий. Во время них сигналов не будет.`,
+        user
+      ));
+      await showQuiet(bot, chatId, user);
+    } catch (error) {
+      console.error('Error importing calendar:', error);
+      bot.sendMessage(chatId, '❌ Не удалось прочитать файл календаря.');
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+};
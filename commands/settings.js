@@ -1,8 +1,169 @@
 const User = require('../models/User');
 const addressForms = require('../utils/addressForms');
+const sessionStore = require('../services/session-store');
+const questionnaireService = require('../services/questionnaire-service');
+const samplingService = require('../services/sampling-service');
+const timezoneService = require('../services/timezone-service');
+const { mainKeyboard } = require('./start');
 
 const settingsStates = new Map();
 
+const timePrompts = {
+  start_time: 'Введите время начала уведомлений в формате ЧЧ:ММ (например, 09:00):',
+  end_time: 'Введите время окончания уведомлений в формате ЧЧ:ММ (например, 21:00):',
+  fixed_times: 'Введите время сигналов через запятую в формате ЧЧ:ММ (например, 10:00, 14:00, 18:00):',
+  timezone_city: '🔎 Напишите город, в котором вы сейчас находитесь (например, Новосибирск или Berlin):',
+  timezone_location: '📍 Отправьте геопозицию кнопкой ниже - часовой пояс определится по ней.'
+};
+
+const CANCEL_TEXT = '❌ Отмена';
+
+// Клавиатура с запросом геопозиции для определения пояса
+const locationKeyboard = {
+  keyboard: [
+    [{ text: '📍 Отправить геопозицию', request_location: true }],
+    [{ text: CANCEL_TEXT }]
+  ],
+  resize_keyboard: true,
+  one_time_keyboard: true
+};
+
+// Варианты минимального интервала между сигналами (в минутах)
+const GAP_OPTIONS = [15, 30, 45, 60];
+
+// После смены расписания пересчитываем ближайший сигнал
+async function replanNotifications(user) {
+  if (global.notificationScheduler) {
+    await global.notificationScheduler.planUserNotifications(user);
+  }
+}
+
+// Смена пояса сразу пересчитывает оставшиеся на сегодня сигналы по новому времени
+async function applyTimezone(user, timezone) {
+  user.settings.timezone = timezone;
+  user.settings.timezoneChangedAt = new Date();
+  if (user.timezoneSuggestion?.suggestedAt && !user.timezoneSuggestion.answer) {
+    user.timezoneSuggestion.answer = 'accepted';
+  }
+  await user.save();
+  await replanNotifications(user);
+}
+
+function formatTimezone(timezone) {
+  return `${timezone} (${timezoneService.formatOffset(timezone)})`;
+}
+
+// Ожидание ввода сохраняется, чтобы перезапуск бота не сбрасывал его
+async function setSettingsState(userId, chatId, state) {
+  settingsStates.set(userId, state);
+
+  try {
+    await sessionStore.save('settings', userId, chatId, state);
+  } catch (error) {
+    console.error(`Settings state persist error for ${userId}:`, error);
+  }
+}
+
+// Запрос времени начала или окончания уведомлений на месте сообщения с кнопкой
+// (кнопки /settings и вопроса об удобстве расписания в /stats); на query отвечает вызывающий
+async function promptNotificationTime(bot, query, type) {
+  await setSettingsState(query.from.id, query.message.chat.id, { type });
+
+  await bot.editMessageText(
+    timePrompts[type],
+    {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id
+    }
+  );
+}
+
+async function clearSettingsState(userId) {
+  settingsStates.delete(userId);
+
+  try {
+    await sessionStore.remove('settings', userId);
+  } catch (error) {
+    console.error(`Settings state remove error for ${userId}:`, error);
+  }
+}
+
+async function handleTimezoneText(bot, msg, state) {
+  const userId = msg.from.id;
+  const chatId = msg.chat.id;
+
+  // Другая команда прерывает выбор пояса
+  if (msg.text.startsWith('/')) {
+    await clearSettingsState(userId);
+    return false;
+  }
+
+  if (state.type === 'timezone_location') {
+    if (msg.text === CANCEL_TEXT) {
+      await clearSettingsState(userId);
+      await bot.sendMessage(chatId, 'Часовой пояс не изменён', { reply_markup: mainKeyboard });
+    } else {
+      await bot.sendMessage(chatId, `📍 Отправьте геопозицию кнопкой ниже или нажмите «${CANCEL_TEXT}».`);
+    }
+    return true;
+  }
+
+  const results = timezoneService.searchCity(msg.text);
+  if (results.length === 0) {
+    await bot.sendMessage(chatId, 'Город не найден. Попробуйте написать название иначе или по-английски:');
+    return true;
+  }
+
+  await clearSettingsState(userId);
+  await bot.sendMessage(chatId, 'Выберите подходящий вариант:', {
+    reply_markup: {
+      inline_keyboard: [
+        ...results.map(result => [{
+          text: `${result.label} - ${formatTimezone(result.timezone)}`,
+          callback_data: `settings_tz_${result.timezone}`
+        }]),
+        [{ text: '🔎 Искать другой город', callback_data: 'settings_tz_search' }]
+      ]
+    }
+  });
+  return true;
+}
+
+async function handleFixedTimes(bot, msg) {
+  const userId = msg.from.id;
+  const chatId = msg.chat.id;
+  const times = samplingService.parseTimes(msg.text);
+
+  if (!times) {
+    bot.sendMessage(chatId, 'Неверный формат. Перечислите время через запятую, например: 10:00, 14:00, 18:00');
+    return true;
+  }
+
+  try {
+    const user = await User.findOne({ telegramId: userId });
+    if (!user) return false;
+
+    user.settings.sampling.fixedTimes = times;
+    user.settings.sampling.schedule = 'fixed';
+    await user.save();
+    await clearSettingsState(userId);
+    await replanNotifications(user);
+
+    bot.sendMessage(chatId, `✅ Сигналы будут приходить каждый день в ${times.join(', ')}`);
+
+    // Show settings menu again
+    setTimeout(() => {
+      module.exports.execute(bot, msg);
+    }, 1000);
+
+    return true;
+  } catch (error) {
+    console.error('Settings fixed times error:', error);
+    bot.sendMessage(chatId, 'Произошла ошибка при сохранении настроек.');
+    return true;
+  }
+}
+
 module.exports = {
   command: 'settings',
   execute: async (bot, msg) => {
@@ -23,16 +184,33 @@ module.exports = {
       // Проверяем настройки Pushover
       const hasPushover = user.settings.pushover && user.settings.pushover.enabled;
       const pushoverStatus = hasPushover ? '✅ Настроен' : '❌ Не настроен';
+
+      const questionnaire = await questionnaireService.resolveForUser(user);
+      const photoEnabled = !!user.settings.photo?.enabled;
+      const escalationEnabled = user.settings.escalationEnabled !== false;
+      const schedule = samplingService.getSchedule(user);
+      let scheduleText = samplingService.getLabel(schedule.type);
+      if (schedule.type === 'fixed') {
+        scheduleText += ` (${schedule.fixedTimes.join(', ')})`;
+      } else if (samplingService.sendsBeeps(schedule.type)) {
+        scheduleText += ` (${samplingService.getStrategyLabel(schedule.strategy)}, интервал ≥ ${schedule.minGapMinutes} мин)`;
+      }
       
       const keyboard = {
         inline_keyboard: [
           [{ text: `🔔 Уведомления: ${user.settings.notificationsEnabled ? 'Вкл' : 'Выкл'}`, callback_data: 'settings_toggle_notifications' }],
           [{ text: `⌚ Уведомления на часы: ${pushoverStatus}`, callback_data: 'settings_setup_pushover' }],
+          [{ text: '📡 Каналы уведомлений', callback_data: 'settings_channels' }],
+          [{ text: `🔁 Напоминания после пропуска: ${escalationEnabled ? 'Вкл' : 'Выкл'}`, callback_data: 'settings_toggle_escalation' }],
+          [{ text: `🗓 Расписание: ${samplingService.getLabel(schedule.type)}`, callback_data: 'settings_schedule' }],
           [{ text: `📅 Количество в день: ${user.settings.notificationsPerDay}`, callback_data: 'settings_notifications_count' }],
           [{ text: `⏰ Время начала: ${user.settings.notificationStartTime}`, callback_data: 'settings_start_time' }],
           [{ text: `⏰ Время окончания: ${user.settings.notificationEndTime}`, callback_data: 'settings_end_time' }],
+          [{ text: '🔕 Перерывы, выходные и тишина', callback_data: 'settings_quiet' }],
           [{ text: `🌍 Часовой пояс: ${user.settings.timezone}`, callback_data: 'settings_timezone' }],
           [{ text: `💬 Обращение: ${addressFormText}`, callback_data: 'settings_address_form' }],
+          [{ text: `📋 Опросник: ${questionnaire.title}`, callback_data: 'settings_questionnaire' }],
+          [{ text: `📷 Фото окружения: ${photoEnabled ? 'Вкл' : 'Выкл'}`, callback_data: 'settings_photo' }],
           [{ text: '❌ Закрыть', callback_data: 'settings_close' }]
         ]
       };
@@ -45,10 +223,14 @@ module.exports = {
         `Текущие параметры:\n` +
         `• Уведомления: ${user.settings.notificationsEnabled ? 'Включены' : 'Выключены'}\n` +
         `• Уведомления на часы: ${pushoverText}\n` +
+        `• Напоминания после пропуска: ${escalationEnabled ? 'Включены' : 'Выключены'}\n` +
+        `• Расписание: ${scheduleText}\n` +
         `• Количество в день: ${user.settings.notificationsPerDay}\n` +
         `• Время: ${user.settings.notificationStartTime} - ${user.settings.notificationEndTime}\n` +
         `• Часовой пояс: ${user.settings.timezone}\n` +
-        `• Обращение: ${addressFormText}${pushoverTip}\n\n` +
+        `• Обращение: ${addressFormText}\n` +
+        `• Опросник: ${questionnaire.title} (v${questionnaire.version})\n` +
+        `• Фото окружения: ${photoEnabled ? 'Включено' : 'Выключено'}${pushoverTip}\n\n` +
         `Выбери параметр для изменения:`,
         user
       );
@@ -83,11 +265,37 @@ module.exports = {
         // Refresh settings menu
         module.exports.execute(bot, query.message);
         
+      } else if (data === 'settings_toggle_escalation') {
+        user.settings.escalationEnabled = user.settings.escalationEnabled === false;
+        await user.save();
+
+        // Отключение сразу гасит идущую эскалацию
+        if (!user.settings.escalationEnabled && user.escalationState?.isEscalating && global.notificationScheduler) {
+          await global.notificationScheduler.stopEscalation(user, 'disabled');
+        }
+
+        await bot.answerCallbackQuery(query.id, {
+          text: `Напоминания после пропуска ${user.settings.escalationEnabled ? 'включены' : 'выключены'}`
+        });
+
+        // Refresh settings menu
+        module.exports.execute(bot, query.message);
+
       } else if (data === 'settings_setup_pushover') {
         const pushoverCommand = require('./pushover');
         await pushoverCommand.execute(bot, query.message);
         await bot.answerCallbackQuery(query.id);
         
+      } else if (data === 'settings_channels') {
+        const channelsCommand = require('./channels');
+        await channelsCommand.execute(bot, { ...query.message, from: query.from });
+        await bot.answerCallbackQuery(query.id);
+        
+      } else if (data === 'settings_quiet') {
+        const quietCommand = require('./quiet');
+        await quietCommand.execute(bot, query.message);
+        await bot.answerCallbackQuery(query.id);
+        
       } else if (data === 'settings_notifications_count') {
         const keyboard = {
           inline_keyboard: []
@@ -108,6 +316,98 @@ module.exports = {
           reply_markup: keyboard
         });
         
+      } else if (data === 'settings_schedule') {
+        const current = samplingService.getSchedule(user);
+        const keyboard = {
+          inline_keyboard: [
+            ...Object.entries(samplingService.schedules).map(([type, schedule]) => [{
+              text: `${type === current.type ? '✅ ' : ''}${schedule.label}`,
+              callback_data: `settings_schedule_${type}`
+            }]),
+            [{ text: '🕙 Задать фиксированное время', callback_data: 'settings_fixed_times' }],
+            Object.entries(samplingService.strategyLabels).map(([strategy, label]) => ({
+              text: `${strategy === current.strategy ? '✅ ' : ''}${label}`,
+              callback_data: `settings_strategy_${strategy}`
+            })),
+            GAP_OPTIONS.map(minutes => ({
+              text: `${minutes === current.minGapMinutes ? '✅ ' : ''}≥ ${minutes} мин`,
+              callback_data: `settings_gap_${minutes}`
+            })),
+            [{ text: '⬅️ Назад', callback_data: 'settings_back' }]
+          ]
+        };
+
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(
+          '🗓 Расписание опросов\n\n' +
+          '🎲 Случайные сигналы - в случайные моменты внутри окна уведомлений\n' +
+          '🕙 Фиксированное время - каждый день в одно и то же время\n' +
+          '📌 По событию - без сигналов, запись кнопкой «📌 Событие», когда событие произошло\n' +
+          '🔀 Случайные сигналы + события - оба способа вместе\n\n' +
+          'Как раскладывать случайные сигналы:\n' +
+          '🧱 По блокам - окно делится на равные части, в каждой по одному сигналу\n' +
+          '🎲 Равномерно - в любой момент окна\n' +
+          '🌧 Пуассоновский поток - случайные интервалы, число сигналов меняется день ото дня\n\n' +
+          'Минимальный интервал между сигналами выбирается в последнем ряду.',
+          {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            reply_markup: keyboard
+          }
+        );
+
+      } else if (data === 'settings_fixed_times') {
+        await setSettingsState(userId, chatId, { type: 'fixed_times' });
+
+        await bot.editMessageText(
+          timePrompts.fixed_times,
+          {
+            chat_id: chatId,
+            message_id: query.message.message_id
+          }
+        );
+
+      } else if (data.startsWith('settings_schedule_')) {
+        const type = data.replace('settings_schedule_', '');
+        if (!samplingService.schedules[type]) {
+          await bot.answerCallbackQuery(query.id, { text: 'Неизвестное расписание' });
+          return;
+        }
+
+        user.settings.sampling.schedule = type;
+        await user.save();
+        await replanNotifications(user);
+
+        await bot.answerCallbackQuery(query.id, {
+          text: `Расписание: ${samplingService.getLabel(type)}`
+        });
+
+        // Refresh settings menu
+        module.exports.execute(bot, query.message);
+
+      } else if (data.startsWith('settings_strategy_') || data.startsWith('settings_gap_')) {
+        if (data.startsWith('settings_strategy_')) {
+          const strategy = data.replace('settings_strategy_', '');
+          if (!samplingService.strategyLabels[strategy]) {
+            await bot.answerCallbackQuery(query.id, { text: 'Неизвестная стратегия' });
+            return;
+          }
+          user.settings.sampling.strategy = strategy;
+        } else {
+          user.settings.sampling.minGapMinutes = parseInt(data.replace('settings_gap_', ''));
+        }
+
+        await user.save();
+        await replanNotifications(user);
+
+        const schedule = samplingService.getSchedule(user);
+        await bot.answerCallbackQuery(query.id, {
+          text: `${samplingService.getStrategyLabel(schedule.strategy)}, интервал ≥ ${schedule.minGapMinutes} мин`
+        });
+
+        // Refresh settings menu
+        module.exports.execute(bot, query.message);
+
       } else if (data.startsWith('settings_set_count_')) {
         const count = parseInt(data.replace('settings_set_count_', ''));
         user.settings.notificationsPerDay = count;
@@ -120,31 +420,15 @@ module.exports = {
         // Refresh settings menu
         module.exports.execute(bot, query.message);
         
-      } else if (data === 'settings_start_time') {
-        settingsStates.set(userId, { type: 'start_time' });
-        
-        await bot.editMessageText(
-          'Введите время начала уведомлений в формате ЧЧ:ММ (например, 09:00):', 
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id
-          }
-        );
-        
-      } else if (data === 'settings_end_time') {
-        settingsStates.set(userId, { type: 'end_time' });
-        
-        await bot.editMessageText(
-          'Введите время окончания уведомлений в формате ЧЧ:ММ (например, 21:00):', 
-          {
-            chat_id: chatId,
-            message_id: query.message.message_id
-          }
-        );
+      } else if (data === 'settings_start_time' || data === 'settings_end_time') {
+        await bot.answerCallbackQuery(query.id);
+        await promptNotificationTime(bot, query, data.replace('settings_', ''));
         
       } else if (data === 'settings_timezone') {
         const keyboard = {
           inline_keyboard: [
+            [{ text: '📍 По геопозиции', callback_data: 'settings_tz_location' }],
+            [{ text: '🔎 Найти город', callback_data: 'settings_tz_search' }],
             [{ text: 'UTC', callback_data: 'settings_tz_UTC' }],
             [{ text: 'Europe/Moscow', callback_data: 'settings_tz_Europe/Moscow' }],
             [{ text: 'Europe/London', callback_data: 'settings_tz_Europe/London' }],
@@ -157,16 +441,43 @@ module.exports = {
           ]
         };
         
-        await bot.editMessageText('Выберите часовой пояс:', {
+        await bot.editMessageText(`Сейчас: ${formatTimezone(user.settings.timezone)}\n\nВыберите часовой пояс:`, {
           chat_id: chatId,
           message_id: query.message.message_id,
           reply_markup: keyboard
         });
         
+      } else if (data === 'settings_tz_location') {
+        await setSettingsState(userId, chatId, { type: 'timezone_location' });
+        await bot.answerCallbackQuery(query.id);
+        await bot.sendMessage(chatId, timePrompts.timezone_location, { reply_markup: locationKeyboard });
+
+      } else if (data === 'settings_tz_search') {
+        await setSettingsState(userId, chatId, { type: 'timezone_city' });
+        await bot.answerCallbackQuery(query.id);
+        await bot.sendMessage(chatId, timePrompts.timezone_city);
+
+      } else if (data === 'settings_tz_keep') {
+        // Ответ на предложение сменить пояс: участник никуда не уезжал
+        if (user.timezoneSuggestion?.suggestedAt) {
+          user.timezoneSuggestion.answer = 'dismissed';
+          await user.save();
+        }
+
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(`👌 Хорошо, часовой пояс остаётся ${formatTimezone(user.settings.timezone)}.`, {
+          chat_id: chatId,
+          message_id: query.message.message_id
+        });
+
       } else if (data.startsWith('settings_tz_')) {
         const timezone = data.replace('settings_tz_', '');
-        user.settings.timezone = timezone;
-        await user.save();
+        if (!timezoneService.isValid(timezone)) {
+          await bot.answerCallbackQuery(query.id, { text: 'Неизвестный часовой пояс' });
+          return;
+        }
+
+        await applyTimezone(user, timezone);
         
         await bot.answerCallbackQuery(query.id, {
           text: `Часовой пояс установлен: ${timezone}`
@@ -206,6 +517,82 @@ module.exports = {
         // Refresh settings menu
         module.exports.execute(bot, query.message);
 
+      } else if (data === 'settings_questionnaire') {
+        const available = await questionnaireService.listAvailable();
+        const currentKey = questionnaireService.getKeyForUser(user);
+
+        const keyboard = {
+          inline_keyboard: [
+            ...available.map(q => [{
+              text: `${q.key === currentKey ? '✅ ' : ''}${q.title}`,
+              callback_data: `settings_q_${q.key}`
+            }]),
+            [{ text: '⬅️ Назад', callback_data: 'settings_back' }]
+          ]
+        };
+
+        await bot.editMessageText('Выберите опросник:', {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          reply_markup: keyboard
+        });
+
+      } else if (data.startsWith('settings_q_')) {
+        const key = data.replace('settings_q_', '');
+        const questionnaire = await questionnaireService.getQuestionnaire(key);
+
+        if (!questionnaire) {
+          await bot.answerCallbackQuery(query.id, { text: 'Опросник не найден' });
+          return;
+        }
+
+        user.settings.questionnaire = key;
+        await user.save();
+
+        await bot.answerCallbackQuery(query.id, {
+          text: `Опросник: ${questionnaire.title}`
+        });
+
+        // Refresh settings menu
+        module.exports.execute(bot, query.message);
+
+      } else if (data === 'settings_photo') {
+        const photo = user.settings.photo || {};
+        const keyboard = {
+          inline_keyboard: [
+            [{ text: `📷 Шаг с фото: ${photo.enabled ? 'Вкл' : 'Выкл'}`, callback_data: 'settings_photo_toggle' }],
+            [{ text: `📍 Сохранять геолокацию из фото: ${photo.shareLocation ? 'Да' : 'Нет'}`, callback_data: 'settings_photo_location' }],
+            [{ text: '⬅️ Назад', callback_data: 'settings_back' }]
+          ]
+        };
+
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(
+          '📷 Фото окружения\n\n' +
+          'В конце опроса можно прислать снимок того, что было перед глазами в момент сигнала. ' +
+          'Сохраняется ссылка на файл в Telegram и его метаданные.\n\n' +
+          'Координаты из файла сохраняются только с твоего согласия, иначе удаляются.',
+          {
+            chat_id: chatId,
+            message_id: query.message.message_id,
+            reply_markup: keyboard
+          }
+        );
+
+      } else if (data === 'settings_photo_toggle' || data === 'settings_photo_location') {
+        const field = data === 'settings_photo_toggle' ? 'enabled' : 'shareLocation';
+        user.settings.photo[field] = !user.settings.photo[field];
+        await user.save();
+
+        await bot.answerCallbackQuery(query.id, {
+          text: field === 'enabled'
+            ? `Шаг с фото ${user.settings.photo.enabled ? 'включён' : 'выключен'}`
+            : `Геолокация из фото ${user.settings.photo.shareLocation ? 'сохраняется' : 'не сохраняется'}`
+        });
+
+        // Refresh settings menu
+        module.exports.execute(bot, query.message);
+
       } else if (data === 'settings_back') {
         // Refresh settings menu
         module.exports.execute(bot, query.message);
@@ -233,6 +620,14 @@ module.exports = {
     const state = settingsStates.get(userId);
     const timeRegex = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
 
+    if (state.type === 'fixed_times') {
+      return handleFixedTimes(bot, msg);
+    }
+
+    if (state.type === 'timezone_city' || state.type === 'timezone_location') {
+      return handleTimezoneText(bot, msg, state);
+    }
+
     if (!timeRegex.test(text)) {
       bot.sendMessage(chatId, 'Неверный формат времени. Используйте формат ЧЧ:ММ (например, 09:00)');
       return true;
@@ -249,7 +644,8 @@ module.exports = {
       }
 
       await user.save();
-      settingsStates.delete(userId);
+      await clearSettingsState(userId);
+      await replanNotifications(user);
 
       bot.sendMessage(chatId, `✅ Время ${state.type === 'start_time' ? 'начала' : 'окончания'} уведомлений установлено: ${text}`);
       
@@ -266,5 +662,55 @@ module.exports = {
     }
   },
 
+  // Геопозиция для определения пояса; false - геопозиция не для настроек
+  handleLocation: async (bot, msg) => {
+    const userId = msg.from.id;
+    if (settingsStates.get(userId)?.type !== 'timezone_location') return false;
+
+    try {
+      const user = await User.findOne({ telegramId: userId });
+      if (!user) return false;
+
+      const { timezone, city } = timezoneService.fromLocation(msg.location);
+      await clearSettingsState(userId);
+      await applyTimezone(user, timezone);
+
+      await bot.sendMessage(msg.chat.id,
+        `✅ Часовой пояс: ${formatTimezone(timezone)}${city ? ` (рядом с городом ${city})` : ''}.\n\n` +
+        'Оставшиеся на сегодня сигналы пересчитаны по новому времени.',
+        { reply_markup: mainKeyboard }
+      );
+    } catch (error) {
+      console.error('Settings timezone location error:', error);
+      bot.sendMessage(msg.chat.id, 'Произошла ошибка при сохранении настроек.', { reply_markup: mainKeyboard });
+    }
+    return true;
+  },
+
+  // Повторно запрашиваем ввод у тех, кого застал перезапуск бота
+  restoreSessions: async (bot) => {
+    const sessions = await sessionStore.loadAll('settings');
+
+    for (const { telegramId, chatId, state } of sessions) {
+      if (!timePrompts[state.type]) {
+        await clearSettingsState(telegramId);
+        continue;
+      }
+
+      settingsStates.set(telegramId, state);
+
+      try {
+        await bot.sendMessage(
+          chatId || telegramId,
+          `🔄 Бот был перезапущен.\n\n${timePrompts[state.type]}`,
+          state.type === 'timezone_location' ? { reply_markup: locationKeyboard } : {}
+        );
+      } catch (error) {
+        console.error(`Settings restore error for ${telegramId}:`, error);
+      }
+    }
+  },
+
+  promptNotificationTime,
   settingsStates
 };
\ No newline at end of file
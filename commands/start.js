@@ -1,9 +1,21 @@
 const User = require('../models/User');
 const addressForms = require('../utils/addressForms');
 
+// Основная клавиатура; возвращается и после шагов с запросом геопозиции
+const mainKeyboard = {
+  keyboard: [
+    ['📚 Помощь', '📊 Памятка'],
+    ['📈 Статистика', '🔔 Опрос'],
+    ['📌 Событие']
+  ],
+  resize_keyboard: true,
+  one_time_keyboard: false
+};
+
 module.exports = {
   command: 'start',
   description: 'Start the bot and show welcome message',
+  mainKeyboard,
   execute: async (bot, msg) => {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
@@ -45,14 +57,7 @@ module.exports = {
       );
       
       const keyboard = {
-        reply_markup: {
-          keyboard: [
-            ['📚 Помощь', '📊 Памятка'],
-            ['📈 Статистика', '🔔 Опрос']
-          ],
-          resize_keyboard: true,
-          one_time_keyboard: false
-        }
+        reply_markup: mainKeyboard
       };
       
       await bot.sendMessage(chatId, welcomeMessage, { ...keyboard, parse_mode: 'HTML' });
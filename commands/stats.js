@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Response = require('../models/Response');
+const moment = require('moment-timezone');
 const addressForms = require('../utils/addressForms');
+const complianceService = require('../services/compliance-service');
 
 // Эмодзи для визуализации прогресса
 const progressEmojis = {
@@ -26,6 +28,22 @@ function createProgressBar(percent, width = 10) {
   return '█'.repeat(filled) + '░'.repeat(empty);
 }
 
+// Отвеченные сигналы: сегодня, за неделю и по дням
+function formatCompliance(compliance) {
+  const line = stats => stats.sent > 0
+    ? `${getProgressEmoji(stats.rate * 100)} ${stats.answered} из ${stats.sent} (${complianceService.formatRate(stats)})`
+    : 'сигналов не было';
+
+  let text = `📬 **Отклик на сигналы:**\n`;
+  text += `├ Сегодня: ${line(compliance.today)}\n`;
+  text += `├ За ${compliance.days.length} дней: ${line(compliance.week)}\n`;
+  text += `└ По дням: ${compliance.days
+    .map(day => `${moment(day.date).format('DD.MM')} ${complianceService.formatRate(day)}`)
+    .join(', ')}\n\n`;
+
+  return text;
+}
+
 async function showStats(bot, chatId, telegramId) {
   try {
     const user = await User.findOne({ telegramId });
@@ -34,9 +52,10 @@ async function showStats(bot, chatId, telegramId) {
       return;
     }
 
-    // Получаем все ответы пользователя
+    // Получаем все ответы пользователя (без просроченных и поздних сигналов)
     const responses = await Response.find({ 
-      userId: user._id 
+      userId: user._id,
+      ...Response.lateSampleFilter()
     }).sort({ timestamp: -1 });
 
     if (responses.length === 0) {
@@ -130,6 +149,12 @@ async function showStats(bot, chatId, telegramId) {
     }
     message += `\n`;
 
+    // Комплаенс: доля отвеченных сигналов
+    const compliance = await complianceService.getCompliance(user);
+    if (compliance.week.sent > 0) {
+      message += formatCompliance(compliance);
+    }
+
     // Средние показатели
     if (countMood > 0 || countEnergy > 0 || countStress > 0) {
       message += `📊 **Средние показатели:**\n`;
@@ -252,5 +277,59 @@ module.exports = {
     const telegramId = msg.from.id;
     
     await showStats(bot, chatId, telegramId);
+  },
+
+  // Кнопки вопроса об удобстве расписания при низком комплаенсе
+  handleCallback: async (bot, query) => {
+    const chatId = query.message.chat.id;
+    const data = query.data;
+
+    try {
+      const user = await User.findOne({ telegramId: query.from.id });
+      if (!user) return;
+
+      let action = 'kept';
+      if (data.startsWith('compliance_count_')) {
+        action = 'count';
+      } else if (data === 'compliance_start_time' || data === 'compliance_end_time') {
+        action = data.replace('compliance_', '');
+      }
+
+      const lastCheckIn = user.complianceInterventions[user.complianceInterventions.length - 1];
+      if (lastCheckIn) {
+        lastCheckIn.action = action;
+        lastCheckIn.actedAt = new Date();
+      }
+
+      if (action === 'count') {
+        user.settings.notificationsPerDay = parseInt(data.replace('compliance_count_', ''));
+        await user.save();
+        if (global.notificationScheduler) {
+          await global.notificationScheduler.planUserNotifications(user);
+        }
+
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(
+          addressForms.formatForUser(`✅ Теперь ${user.settings.notificationsPerDay} сигналов в день. Спасибо за ответ!`, user),
+          { chat_id: chatId, message_id: query.message.message_id }
+        );
+      } else if (action === 'start_time' || action === 'end_time') {
+        await user.save();
+        await bot.answerCallbackQuery(query.id);
+        // Ввод времени - тот же, что в /settings
+        const settingsCommand = require('./settings');
+        await settingsCommand.promptNotificationTime(bot, query, action);
+      } else {
+        await user.save();
+        await bot.answerCallbackQuery(query.id, { text: 'Спасибо!' });
+        await bot.editMessageText(
+          addressForms.formatForUser('👌 Хорошо, расписание остаётся прежним. Постарайся отвечать на сигналы - каждый ответ важен!', user),
+          { chat_id: chatId, message_id: query.message.message_id }
+        );
+      }
+    } catch (error) {
+      console.error('Error in compliance callback:', error);
+      bot.answerCallbackQuery(query.id, { text: 'Произошла ошибка' });
+    }
   }
 };
\ No newline at end of file
@@ -9,6 +9,14 @@ const PatternFeedback = require('../helpers/patternFeedback');
 const GamificationService = require('../services/gamification-service');
 const { recordUserResponse, recordTrainingCompletion, recordTrainingDropout, recordIllusionDetected } = require('../utils/metrics');
 const addressForms = require('../utils/addressForms');
+const sessionStore = require('../services/session-store');
+const questionnaireService = require('../services/questionnaire-service');
+const esmBattery = require('../config/esm-battery');
+const speechToText = require('../services/speech-to-text-service');
+const photoService = require('../services/photo-service');
+const placeService = require('../services/place-service');
+const samplingService = require('../services/sampling-service');
+const { mainKeyboard } = require('./start');
 
 const surveyStates = new Map();
 const validator = new MomentValidator();
@@ -58,66 +66,126 @@ const trainingMessages = [
   }
 ];
 
-// Используем паттерны из конфигурации
+// Кнопка отказа от геопозиции на клавиатуре шага location
+const SKIP_LOCATION_TEXT = '⏭ Без геопозиции';
 
-// Расширенные вопросы с учетом принципов Херлберта
-const questions = [
-  {
-    id: 'moment_capture',
-    text: '🎯 СТОП! Что происходило в твоём сознании ИМЕННО в момент сигнала?\n\n' +
-          'Опиши не общее состояние дня, а что было ПРЯМО В ТОТ МОМЕНТ.',
-    type: 'text',
-    validation: 'pristine',
-    priority: true
-  },
-  {
-    id: 'challenge',
-    text: '📈 В ТОТ МОМЕНТ задача была:',
-    type: 'scale',
-    scale: { min: 0, max: 9, minLabel: 'Очень легкой', maxLabel: 'Очень сложной' }
-  },
-  {
-    id: 'skill',
-    text: '🛠 В ТОТ МОМЕНТ твои навыки были:',
-    type: 'scale',
-    scale: { min: 0, max: 9, minLabel: 'Недостаточными', maxLabel: 'Более чем достаточными' }
-  },
-  {
-    id: 'concentration',
-    text: '🎯 Насколько ты был сконцентрирован В ТОТ МОМЕНТ?',
-    type: 'scale',
-    scale: { min: 0, max: 9, minLabel: 'Совсем не сконцентрирован', maxLabel: 'Полностью сконцентрирован' }
-  },
-  {
-    id: 'mood',
-    text: '🌈 Какое было твоё состояние В МОМЕНТ сигнала?',
-    type: 'scale',
-    scale: { min: 1, max: 7, minLabel: 'Очень плохое', maxLabel: 'Отличное' }
-  },
-  {
-    id: 'energy',
-    text: '⚡ Уровень энергии В ТОТ МОМЕНТ:',
-    type: 'scale',
-    scale: { min: 1, max: 7, minLabel: 'Истощён', maxLabel: 'Полон сил' }
-  },
-  {
-    id: 'stress',
-    text: '😰 Уровень стресса В ТОТ МОМЕНТ:',
-    type: 'scale',
-    scale: { min: 1, max: 7, minLabel: 'Расслаблен', maxLabel: 'Очень напряжён' }
-  },
-  {
-    id: 'currentActivity',
-    text: '📝 Что КОНКРЕТНО ты делал? (не "работал", а "печатал email Ивану о проекте X")',
-    type: 'text',
-    validation: 'specific'
-  },
-  {
-    id: 'currentCompanion',
-    text: '👥 С кем ты был В ТОТ МОМЕНТ? (или "один")',
-    type: 'text'
+// Геопозиция не совпала ни с одним местом пользователя
+const UNKNOWN_PLACE = 'unknown';
+
+// Опросник по умолчанию; в самом опросе используется опросник пользователя (state.items)
+const questions = questionnaireService.getDefault().items;
+
+// Пункты опросника текущей сессии (сессии без items - опросник по умолчанию)
+function getItems(state) {
+  return state.items || questions;
+}
+
+// Сколько пунктов было задано с учётом ветвления
+function getAskedCount(state) {
+  return state.path?.length || getItems(state).length;
+}
+
+// Сколько пунктов опросника получили ответ (без follow-up и строк сеток)
+function getAnsweredCount(state) {
+  return getItems(state).filter(item => state.responses[item.id] !== undefined).length;
+}
+
+// Запись ответа на пункт с историей: каждая правка сохраняется со временем
+function recordAnswer(state, item, value) {
+  const previous = state.responses[item.id];
+  state.responses[item.id] = value;
+
+  state.answerHistory = [...(state.answerHistory || []), {
+    itemId: item.id,
+    value: questionnaireService.extractValue(value),
+    previousValue: previous === undefined ? null : questionnaireService.extractValue(previous),
+    // Повторный ответ без меню правки возможен только после «Назад»
+    via: previous === undefined ? 'answer' : (state.revising || 'back'),
+    answeredAt: new Date()
+  }];
+  state.revising = null;
+}
+
+// Оценки языковой моделью с версией промпта - для сравнения вариантов промптов
+function getAIValidations(state) {
+  return Object.entries(state.responses)
+    .filter(([, value]) => value && typeof value === 'object' && value.aiValidation)
+    .map(([itemId, value]) => ({ itemId, ...value.aiValidation }));
+}
+
+// Исправления для аудита в Response: записи истории, изменившие уже данный ответ
+function getAnswerEdits(state) {
+  return (state.answerHistory || [])
+    .filter(entry => entry.via !== 'answer' && JSON.stringify(entry.previousValue) !== JSON.stringify(entry.value))
+    .map(entry => ({
+      itemId: entry.itemId,
+      previousValue: entry.previousValue,
+      newValue: entry.value,
+      via: entry.via,
+      editedAt: entry.answeredAt
+    }));
+}
+
+// Уже заданные пункты с ответом, кроме текущего (для меню правки)
+function getEditableItems(state) {
+  const items = getItems(state);
+  return (state.path || []).slice(0, -1)
+    .map(id => items.findIndex(item => item.id === id))
+    .filter(index => index !== -1 && state.responses[items[index].id] !== undefined);
+}
+
+// Ответ пункта, ставшего скрытым по условиям, больше не действует (у сетки - и ответы строк)
+function forgetHiddenItem(state, item) {
+  (item.rows || []).forEach(row => delete state.responses[row.id]);
+  delete state.responses[item.id];
+  state.path = (state.path || []).filter(id => id !== item.id);
+  state.skippedByRules = [...new Set([...(state.skippedByRules || []), item.id])];
+}
+
+// Правка ответа из меню могла изменить условия пунктов между исправленным и прерванным:
+// ставшие скрытыми теряют ответы, первый ставший видимым пункт задаётся до возврата
+// @returns {number|null} индекс пункта, который нужно задать, или null - можно вернуться к resumeIndex
+function reconcileAfterEdit(state, fromIndex, resumeIndex) {
+  const items = getItems(state);
+
+  for (let index = fromIndex; index < resumeIndex; index++) {
+    const item = items[index];
+    if (!questionnaireService.isItemVisible(item, state.responses, state.blocks)) {
+      forgetHiddenItem(state, item);
+    } else if (state.responses[item.id] === undefined && !(state.path || []).includes(item.id)) {
+      state.skippedByRules = (state.skippedByRules || []).filter(id => id !== item.id);
+      return index;
+    }
+  }
+
+  return null;
+}
+
+// Краткое представление ответа для повторного показа пункта
+function formatAnswer(item, value) {
+  const raw = questionnaireService.extractValue(value);
+
+  if (item.type === 'choice') {
+    return item.options.find(option => option.value === raw)?.label || raw;
+  }
+  if (item.type === 'photo') {
+    return '📷 фото';
   }
-];
+
+  const text = String(raw);
+  return text.length > 100 ? `${text.slice(0, 100)}…` : text;
+}
+
+// Оценки батареи ESF из ответов опроса (строки сеток и отдельные шкалы)
+function pickBatteryScores(group, responses) {
+  const scores = {};
+  esmBattery[group].items.forEach(item => {
+    if (typeof responses[item.id] === 'number') {
+      scores[item.id] = responses[item.id];
+    }
+  });
+  return scores;
+}
 
 // Follow-up вопросы будут генерироваться динамически через FollowUpStrategy
 
@@ -149,8 +217,37 @@ function calculateDataQuality(responses) {
   return validator.calculateOverallQuality(responses);
 }
 
+// Сохранение состояния опроса, чтобы перезапуск бота не терял ответы
+async function persistSurveyState(telegramId) {
+  const state = surveyStates.get(telegramId);
+  if (!state) return;
+
+  try {
+    await sessionStore.save('survey', telegramId, state.chatId, state);
+  } catch (error) {
+    console.error(`[SURVEY] Не удалось сохранить состояние опроса ${telegramId}:`, error);
+  }
+}
+
+async function clearSurveyState(telegramId) {
+  surveyStates.delete(telegramId);
+
+  try {
+    await sessionStore.remove('survey', telegramId);
+  } catch (error) {
+    console.error(`[SURVEY] Не удалось удалить состояние опроса ${telegramId}:`, error);
+  }
+}
+
 // Модифицированная функция начала опроса
-async function startSurvey(bot, chatId, telegramId, notificationId = null) {
+/**
+ * Запуск опроса
+ * @param {string|null} notificationId - запись Response, созданная при отправке уведомления
+ * @param {Object} options.mode - 'full' или 'mini' (мини-форма: только шкалы, без уточнений)
+ * @param {Object} options.trigger - 'self' (по инициативе участника) или 'event' (кнопка «📌 Событие»);
+ *   у опроса по уведомлению тип сигнала уже записан при отправке
+ */
+async function startSurvey(bot, chatId, telegramId, notificationId = null, { mode = 'full', trigger = 'self' } = {}) {
   try {
     console.log(`[SURVEY] Поиск пользователя с telegramId: ${telegramId} (type: ${typeof telegramId})`);
     let user = await User.findOne({ telegramId });
@@ -162,31 +259,85 @@ async function startSurvey(bot, chatId, telegramId, notificationId = null) {
       console.log(`[SURVEY] Пользователь найден: ${user.firstName} (${user._id})`);
     }
 
+    const schedule = samplingService.getSchedule(user);
+    if (trigger === 'event' && !samplingService.acceptsEvents(schedule.type)) {
+      await bot.sendMessage(chatId, addressForms.formatForUser(
+        `📌 Записи по событию не включены в твоём расписании (${samplingService.getLabel(schedule.type)}). ` +
+        'Выбери расписание с событиями в /settings или начни обычный опрос кнопкой «🔔 Опрос».',
+        user
+      ));
+      return;
+    }
+
     // Определяем день обучения
     const trainingDay = await getUserTrainingDay(user);
     const isTraining = trainingDay <= TRAINING_DAYS;
+    const isMiniForm = mode === 'mini';
 
-    // Показываем обучающее сообщение если нужно
-    if (isTraining && trainingMessages[trainingDay - 1]) {
+    // Показываем обучающее сообщение если нужно (мини-форма идёт без пауз)
+    if (isTraining && !isMiniForm && trainingMessages[trainingDay - 1]) {
       await bot.sendMessage(chatId, trainingMessages[trainingDay - 1].message);
       await new Promise(resolve => setTimeout(resolve, 2000)); // Пауза для прочтения
     }
 
-    const response = new Response({
-      userId: user._id,
-      telegramId: telegramId,
-      notificationSentAt: notificationId ? new Date() : null,
-      responseStartedAt: new Date(),
-      responses: {},
-      metadata: {
-        trainingDay: trainingDay,
-        isTraining: isTraining
-      }
-    });
+    // Опросник пользователя (личный выбор, исследование или по умолчанию)
+    const questionnaire = isMiniForm
+      ? await questionnaireService.getQuestionnaire(config.miniForm.questionnaireKey)
+      : await questionnaireService.resolveForUser(user);
+
+    // Опрос по сигналу продолжает запись, созданную при отправке уведомления,
+    // чтобы сохранить notificationSentAt и задержку ответа
+    let response = notificationId ? await Response.findById(notificationId) : null;
+    // Чужой или уже отвеченный сигнал не продолжаем: completeSurvey перезаписал бы сохранённые ответы
+    if (response && (response.telegramId !== telegramId || response.responseCompletedAt)) {
+      await bot.sendMessage(chatId, 'Этот сигнал уже недоступен. Дождись следующего 🔔');
+      return;
+    }
+    if (response) {
+      response.questionnaire = {
+        key: questionnaire.key,
+        version: questionnaire.version
+      };
+      response.surveyMode = mode;
+      response.responseStartedAt = response.responseStartedAt || new Date();
+      response.metadata.trainingDay = trainingDay;
+      response.metadata.isTraining = isTraining;
+    } else {
+      response = new Response({
+        userId: user._id,
+        telegramId: telegramId,
+        questionnaire: {
+          key: questionnaire.key,
+          version: questionnaire.version
+        },
+        surveyMode: mode,
+        trigger,
+        notificationSentAt: null,
+        responseStartedAt: new Date(),
+        responses: {},
+        metadata: {
+          trainingDay: trainingDay,
+          isTraining: isTraining
+        }
+      });
+    }
 
     const surveyState = {
       responseId: response._id,
+      // Учёт трат и вариант промпта ИИ-уточнений - по участнику
+      userId: user._id,
+      chatId: chatId,
+      questionnaire: {
+        key: questionnaire.key,
+        version: questionnaire.version
+      },
+      // В мини-форме нет шагов с фото и геопозицией
+      items: isMiniForm ? [...questionnaire.items] : questionnaireService.getItemsForUser(questionnaire, user),
+      blocks: questionnaire.blocks,
+      surveyMode: mode,
       currentQuestion: 0,
+      path: [],
+      skippedByRules: [],
       responses: {},
       startTime: Date.now(),
       validationAttempts: {},
@@ -197,6 +348,18 @@ async function startSurvey(bot, chatId, telegramId, notificationId = null) {
 
     surveyStates.set(telegramId, surveyState);
     await response.save();
+    await persistSurveyState(telegramId);
+
+    if (trigger === 'event') {
+      await bot.sendMessage(chatId, addressForms.formatForUser(
+        `📌 Запись события\n\n${schedule.eventPrompt}. Описывай момент, когда событие произошло.`,
+        user
+      ));
+    }
+
+    if (isMiniForm) {
+      await bot.sendMessage(chatId, `⚡ Мини-форма: ${surveyState.items.length} коротких вопросов, ответ одним нажатием`);
+    }
 
     // Начинаем с самого важного вопроса - момент
     await askQuestion(bot, chatId, telegramId, 0);
@@ -219,8 +382,20 @@ async function askQuestion(bot, chatId, telegramId, questionIndex) {
   // Получаем пользователя для форматирования сообщений
   const user = await User.findOne({ telegramId });
 
-  // Проверяем, не нужен ли follow-up вопрос
-  if (!state.followUpPending && Object.keys(state.responses).length > 0) {
+  // После правки ответа из меню возвращаемся к прерванному вопросу,
+  // сначала задав пункты, которые правка сделала видимыми
+  if (state.resumeIndex !== undefined && state.resumeIndex !== null) {
+    const pending = reconcileAfterEdit(state, questionIndex, state.resumeIndex);
+    if (pending !== null) {
+      questionIndex = pending;
+    } else {
+      questionIndex = state.resumeIndex;
+      state.resumeIndex = null;
+    }
+  }
+
+  // Проверяем, не нужен ли follow-up вопрос (в мини-форме уточнений нет)
+  if (state.surveyMode !== 'mini' && !state.followUpPending && Object.keys(state.responses).length > 0) {
     const context = {
       responses: state.responses,
       currentQuestion: questionIndex,
@@ -234,6 +409,7 @@ async function askQuestion(bot, chatId, telegramId, questionIndex) {
       state.currentFollowUp = followUpQuestion;
       if (!state.askedFollowUps) state.askedFollowUps = [];
       state.askedFollowUps.push(followUpQuestion.clarifies);
+      await persistSurveyState(telegramId);
       
       await bot.sendMessage(chatId, followUpQuestion.text, {
         reply_markup: {
@@ -244,28 +420,98 @@ async function askQuestion(bot, chatId, telegramId, questionIndex) {
     }
   }
 
-  if (questionIndex >= questions.length) {
+  // Пропускаем пункты, условия которых не выполнены по ответам выше
+  const items = getItems(state);
+  const { index, skipped } = questionnaireService.getNextItemIndex(
+    items, questionIndex, state.responses, state.blocks
+  );
+  if (skipped.length > 0) {
+    state.skippedByRules = [...new Set([...(state.skippedByRules || []), ...skipped])];
+
+    // После возврата назад или правки пункт мог стать скрытым - его прежний ответ больше не действует
+    skipped.forEach(id => forgetHiddenItem(state, items.find(i => i.id === id)));
+  }
+
+  if (index >= items.length) {
     await completeSurvey(bot, chatId, telegramId);
     return;
   }
 
-  const question = questions[questionIndex];
-  state.currentQuestion = questionIndex;
+  // Путь - в порядке опросника: ставший видимым после правки пункт встаёт на своё место
+  if (!(state.path || []).includes(items[index].id)) {
+    const path = [...(state.path || []), items[index].id];
+    state.path = items.map(item => item.id).filter(id => path.includes(id));
+  }
 
-  if (question.type === 'scale') {
-    const text = addressForms.formatForUser(
-      `${question.text}\n\n${question.scale.minLabel} ← → ${question.scale.maxLabel}`,
-      user
-    );
-    const keyboardOptions = createScaleKeyboard(question.scale.min, question.scale.max);
-    await bot.sendMessage(chatId, text, keyboardOptions);
+  await showItem(bot, chatId, telegramId, index, user);
+}
+
+// Показ пункта; при возврате к уже отвеченному пункту показываем прежний ответ
+async function showItem(bot, chatId, telegramId, index, user) {
+  const state = surveyStates.get(telegramId);
+  const item = getItems(state)[index];
+  const previous = state.responses[item.id];
+
+  state.currentQuestion = index;
+  if (item.type === 'grid') {
+    state.pendingSelection = previous && typeof previous === 'object' && !Array.isArray(previous) ? { ...previous } : {};
   } else {
-    const questionText = addressForms.formatForUser(question.text, user);
-    await bot.sendMessage(chatId, questionText, {
+    state.pendingSelection = Array.isArray(previous) ? [...previous] : [];
+  }
+  await persistSurveyState(telegramId);
+
+  // Отмеченные варианты сетки и множественного выбора и так видны на кнопках
+  const shown = previous !== undefined && !['grid', 'multiselect'].includes(item.type)
+    ? { ...item, text: `${item.text}\n\n✏️ Текущий ответ: ${formatAnswer(item, previous)}` }
+    : item;
+
+  await sendQuestion(bot, chatId, shown, user, state.pendingSelection, state);
+}
+
+// Отправка вопроса с клавиатурой, соответствующей типу пункта
+async function sendQuestion(bot, chatId, question, user, selected = [], state = null) {
+  const skipRow = createControlRows(question, state);
+
+  if (question.type === 'scale' || question.type === 'slider') {
+    let text = `${question.text}\n\n${question.scale.minLabel} ← → ${question.scale.maxLabel}`;
+    if (question.type === 'slider') {
+      text += `\n\nМожно выбрать кнопку или ввести число от ${question.scale.min} до ${question.scale.max}`;
+    }
+    const keyboardOptions = createScaleKeyboard(question.scale.min, question.scale.max, question.scale.step, createNavRows(state));
+    await bot.sendMessage(chatId, addressForms.formatForUser(text, user), keyboardOptions);
+  } else if (question.type === 'choice') {
+    const keyboard = question.options.map((option, index) => [
+      { text: option.label, callback_data: `survey_choice_${index}` }
+    ]);
+    await bot.sendMessage(chatId, addressForms.formatForUser(question.text, user), {
+      reply_markup: { inline_keyboard: [...keyboard, ...skipRow] }
+    });
+  } else if (question.type === 'multiselect') {
+    await bot.sendMessage(chatId, addressForms.formatForUser(question.text, user), {
+      reply_markup: createMultiSelectKeyboard(question, selected, skipRow)
+    });
+  } else if (question.type === 'grid') {
+    const scores = Array.isArray(selected) ? {} : selected;
+    await bot.sendMessage(chatId, addressForms.formatForUser(formatGridText(question, scores), user), {
+      reply_markup: createGridKeyboard(question, scores, skipRow)
+    });
+  } else if (question.type === 'location') {
+    // Кнопка запроса геопозиции есть только у обычной клавиатуры, не у inline
+    await bot.sendMessage(chatId, addressForms.formatForUser(question.text, user), {
       reply_markup: {
-        inline_keyboard: [[{ text: '⏭ Пропустить', callback_data: 'survey_skip' }]]
+        keyboard: [
+          [{ text: '📍 Отправить геопозицию', request_location: true }],
+          [{ text: SKIP_LOCATION_TEXT }]
+        ],
+        resize_keyboard: true,
+        one_time_keyboard: true
       }
     });
+  } else {
+    const questionText = addressForms.formatForUser(question.text, user);
+    await bot.sendMessage(chatId, questionText, {
+      reply_markup: { inline_keyboard: skipRow }
+    });
   }
 }
 
@@ -273,7 +519,7 @@ async function askQuestion(bot, chatId, telegramId, questionIndex) {
 async function handleTextResponseWithGoldenStandard(bot, msg, state) {
   const chatId = msg.chat.id;
   const telegramId = msg.from.id;
-  const question = questions[state.currentQuestion];
+  const question = getItems(state)[state.currentQuestion];
   
   if (question && question.type === 'text') {
     const responseStartTime = Date.now();
@@ -281,6 +527,7 @@ async function handleTextResponseWithGoldenStandard(bot, msg, state) {
     // Получаем контекст для валидации
     const user = await User.findOne({ telegramId });
     const context = {
+      userId: user._id,
       trainingDay: user.currentTrainingDay || 1,
       previousResponses: Object.values(state.responses).map(r => r.text || r.value),
       currentActivity: state.responses.currentActivity?.text,
@@ -331,7 +578,7 @@ async function handleTextResponseWithGoldenStandard(bot, msg, state) {
     
     if (isAccepted) {
       // Сохраняем полные данные ответа
-      state.responses[question.id] = {
+      recordAnswer(state, question, {
         text: msg.text,
         timestamp: new Date(),
         responseTime: Date.now() - responseStartTime,
@@ -343,9 +590,18 @@ async function handleTextResponseWithGoldenStandard(bot, msg, state) {
           ai: aiValidation?.score,
           final: finalValidation.score
         },
+        // Оценка модели с версией промпта (без модели - локальные правила, prompt нет)
+        aiValidation: aiValidation?.prompt ? {
+          score: aiValidation.score,
+          quality: aiValidation.quality,
+          provider: aiValidation.provider,
+          prompt: aiValidation.prompt,
+          validatedAt: new Date()
+        } : undefined,
         phenomena: finalValidation.phenomena,
         goldenStandard: enhancedValidation.goldenStandard
-      };
+      });
+      recordVoiceAnswer(state, question, msg);
       
       // Проверяем, нужен ли follow-up вопрос
       const followUp = await checkForFollowUp(bot, chatId, state, context);
@@ -374,10 +630,50 @@ async function handleTextResponseWithGoldenStandard(bot, msg, state) {
   return false;
 }
 
-// Оригинальная обработка текстовых ответов с валидацией
+// Обработка текстового ответа с сохранением состояния опроса
 async function handleTextResponse(bot, msg, state) {
+  const handled = await processTextResponse(bot, msg, state);
+  if (handled) {
+    await persistSurveyState(msg.from.id);
+  }
+  return handled;
+}
+
+// Оригинальная обработка текстовых ответов с валидацией
+async function processTextResponse(bot, msg, state) {
   const chatId = msg.chat.id;
   const telegramId = msg.from.id;
+  const question = getItems(state)[state.currentQuestion];
+
+  // Ответ на сам пункт (не на уточнение): сначала правила опросника
+  if (question && !state.followUpPending && !state.expectingFollowUp) {
+    if (question.type === 'slider') {
+      return await handleSliderInput(bot, msg, state, question);
+    }
+
+    if (question.type === 'photo') {
+      await bot.sendMessage(chatId, '📷 Здесь нужно фото. Отправь снимок или нажми «Пропустить».');
+      return true;
+    }
+
+    if (question.type === 'location') {
+      if (msg.text === SKIP_LOCATION_TEXT) {
+        await bot.sendMessage(chatId, '⏭ Вопрос пропущен', { reply_markup: mainKeyboard });
+        await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+      } else {
+        await bot.sendMessage(chatId, `📍 Отправь геопозицию кнопкой ниже или нажми «${SKIP_LOCATION_TEXT}».`);
+      }
+      return true;
+    }
+
+    if (question.type === 'text') {
+      const check = questionnaireService.validateAnswer(question, msg.text);
+      if (!check.valid) {
+        await bot.sendMessage(chatId, `⚠️ ${check.error}`);
+        return true;
+      }
+    }
+  }
 
   // Если включен золотой стандарт, используем улучшенную версию
   if (config.validation && config.validation.useGoldenStandard) {
@@ -393,8 +689,6 @@ async function handleTextResponse(bot, msg, state) {
     return true;
   }
 
-  const question = questions[state.currentQuestion];
-
   if (question && question.type === 'text') {
     // Валидация ответа если нужна
     if (question.validation) {
@@ -411,7 +705,8 @@ async function handleTextResponse(bot, msg, state) {
 
         // Если слишком много неудачных попыток, принимаем ответ
         if (state.validationAttempts[attemptKey] >= 2) {
-          state.responses[question.id] = msg.text;
+          recordAnswer(state, question, msg.text);
+          recordVoiceAnswer(state, question, msg);
           state.qualityScore -= 10; // Снижаем оценку качества
           await bot.sendMessage(chatId,
             '✅ Ответ записан. Продолжайте практиковаться в точном наблюдении!'
@@ -426,7 +721,8 @@ async function handleTextResponse(bot, msg, state) {
     }
 
     // Ответ прошёл валидацию или валидация не требуется
-    state.responses[question.id] = msg.text;
+    recordAnswer(state, question, msg.text);
+    recordVoiceAnswer(state, question, msg);
     
     // Записываем метрики
     recordUserResponse(telegramId);
@@ -450,6 +746,129 @@ async function handleTextResponse(bot, msg, state) {
   return false;
 }
 
+// Голосовой ответ на открытый вопрос: расшифровка проходит ту же валидацию, что и текст
+async function handleVoiceResponse(bot, msg, state) {
+  const chatId = msg.chat.id;
+  const question = getItems(state)[state.currentQuestion];
+
+  if (!speechToText.isEnabled()) {
+    await bot.sendMessage(chatId, '🎙 Голосовые ответы сейчас отключены. Напиши ответ текстом.');
+    return true;
+  }
+
+  if (!question || question.type !== 'text' || state.followUpPending || state.expectingFollowUp) {
+    await bot.sendMessage(chatId, '🎙 Голосом можно ответить только на открытый вопрос. Здесь выбери ответ кнопкой или напиши текстом.');
+    return true;
+  }
+
+  let voiceAnswer;
+  try {
+    await bot.sendChatAction(chatId, 'typing');
+    voiceAnswer = await speechToText.transcribeVoice(bot, msg.voice);
+  } catch (error) {
+    console.error('[SURVEY] Ошибка распознавания голосового ответа:', error);
+    await bot.sendMessage(chatId, '😔 Не получилось распознать голосовое сообщение. Попробуй ещё раз или напиши ответ текстом.');
+    return true;
+  }
+
+  if (!voiceAnswer.transcript) {
+    await bot.sendMessage(chatId, '🤔 В сообщении не удалось разобрать слов. Попробуй ещё раз или напиши ответ текстом.');
+    return true;
+  }
+
+  await bot.sendMessage(chatId, `🎙 Расшифровка: «${voiceAnswer.transcript}»`);
+
+  return await handleTextResponse(bot, { ...msg, text: voiceAnswer.transcript, voiceAnswer }, state);
+}
+
+// Фото окружения для пункта типа photo
+async function handlePhotoResponse(bot, msg, state) {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+  const question = getItems(state)[state.currentQuestion];
+
+  if (!question || question.type !== 'photo' || state.followUpPending || state.expectingFollowUp) {
+    await bot.sendMessage(chatId, '📷 Сейчас фото не нужно — ответь на текущий вопрос.');
+    return true;
+  }
+
+  try {
+    const user = await User.findOne({ telegramId });
+    const photo = await photoService.extractPhoto(bot, msg, {
+      shareLocation: !!user?.settings?.photo?.shareLocation
+    });
+
+    // Без согласия на геолокацию у документа с координатами остаётся только превью
+    recordAnswer(state, question, photo.fileId || photo.thumbnailFileId || photo.fileUniqueId);
+    state.photos = (state.photos || []).filter(p => p.itemId !== question.id);
+    state.photos.push({ itemId: question.id, ...photo });
+
+    await bot.sendMessage(chatId,
+      '📷 Фото сохранено' + (photo.locationStripped ? ' (геолокация из файла удалена)' : '')
+    );
+    await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+  } catch (error) {
+    console.error('[SURVEY] Ошибка обработки фото:', error);
+    await bot.sendMessage(chatId, '😔 Не получилось сохранить фото. Попробуй ещё раз или пропусти этот шаг.');
+  }
+
+  await persistSurveyState(telegramId);
+  return true;
+}
+
+// Геопозиция для пункта типа location: сохраняется только название совпавшего места
+async function handleLocationResponse(bot, msg, state) {
+  const chatId = msg.chat.id;
+  const telegramId = msg.from.id;
+  const question = getItems(state)[state.currentQuestion];
+
+  if (!question || question.type !== 'location' || state.followUpPending || state.expectingFollowUp) {
+    await bot.sendMessage(chatId, '📍 Сейчас геопозиция не нужна — ответь на текущий вопрос.');
+    return true;
+  }
+
+  const user = await User.findOne({ telegramId });
+  const match = placeService.matchPlace(user?.places, msg.location);
+
+  recordAnswer(state, question, match ? match.name : UNKNOWN_PLACE);
+
+  await bot.sendMessage(chatId,
+    match ? `📍 Место: ${match.name}` : '📍 Записано: не из твоих мест',
+    { reply_markup: mainKeyboard }
+  );
+  await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+  await persistSurveyState(telegramId);
+  return true;
+}
+
+// Сохраняем расшифровку и ссылку на аудио, если ответ был голосовым
+function recordVoiceAnswer(state, question, msg) {
+  if (!msg.voiceAnswer) return;
+
+  state.voiceAnswers = (state.voiceAnswers || []).filter(v => v.itemId !== question.id);
+  state.voiceAnswers.push({
+    itemId: question.id,
+    transcript: msg.voiceAnswer.transcript,
+    transcribedBy: msg.voiceAnswer.transcribedBy,
+    audio: msg.voiceAnswer.audio,
+    recordedAt: new Date()
+  });
+}
+
+// Числовой ответ на слайдер, введённый текстом
+async function handleSliderInput(bot, msg, state, question) {
+  const check = questionnaireService.validateAnswer(question, msg.text);
+  if (!check.valid) {
+    await bot.sendMessage(msg.chat.id, `⚠️ ${check.error}`);
+    return true;
+  }
+
+  recordAnswer(state, question, check.value);
+  await bot.sendMessage(msg.chat.id, `✅ Ваш ответ: ${check.value}`);
+  await askQuestion(bot, msg.chat.id, msg.from.id, state.currentQuestion + 1);
+  return true;
+}
+
 // Модифицированная функция завершения с анализом качества
 async function completeSurvey(bot, chatId, telegramId) {
   try {
@@ -459,8 +878,9 @@ async function completeSurvey(bot, chatId, telegramId) {
     const response = await Response.findById(state.responseId);
     if (!response) return;
 
-    // Рассчитываем качество данных
-    const qualityScore = calculateDataQuality(state.responses);
+    // Рассчитываем качество данных; у мини-формы нет текста, качество не оценивается
+    const isMiniForm = state.surveyMode === 'mini';
+    const qualityScore = isMiniForm ? null : calculateDataQuality(state.responses);
     
     // Определяем Flow состояние
     let flowState = null;
@@ -485,9 +905,32 @@ async function completeSurvey(bot, chatId, telegramId) {
       focus: state.responses.concentration, // Мапим concentration на focus
       currentThoughts: typeof state.responses.moment_capture === 'string' ? state.responses.moment_capture : state.responses.moment_capture?.text,
       currentActivity: typeof state.responses.currentActivity === 'string' ? state.responses.currentActivity : state.responses.currentActivity?.text || '',
-      currentEmotions: typeof state.responses.currentCompanion === 'string' ? state.responses.currentCompanion : state.responses.currentCompanion?.text || ''
+      currentEmotions: typeof state.responses.currentCompanion === 'string' ? state.responses.currentCompanion : state.responses.currentCompanion?.text || '',
+      activityCategory: state.responses.activity_category,
+      companionCategory: state.responses.companion_category,
+      place: state.responses.place,
+      affect: pickBatteryScores('affect', state.responses),
+      state: pickBatteryScores('state', state.responses)
     };
 
+    // Ответы по id пунктов (ключ и версия опросника - в response.questionnaire)
+    const answers = {};
+    for (const item of getItems(state)) {
+      if (state.responses[item.id] !== undefined) {
+        answers[item.id] = questionnaireService.extractValue(state.responses[item.id]);
+      }
+    }
+    response.answers = answers;
+    if (state.questionnaire) {
+      response.questionnaire = state.questionnaire;
+    }
+    response.path = state.path || [];
+    response.skippedByRules = state.skippedByRules || [];
+    response.voiceAnswers = state.voiceAnswers || [];
+    response.photos = state.photos || [];
+    response.answerEdits = getAnswerEdits(state);
+    response.aiValidations = getAIValidations(state);
+
     // Сохраняем дополнительные данные в metadata
     response.metadata = {
       ...response.metadata,
@@ -569,7 +1012,7 @@ async function completeSurvey(bot, chatId, telegramId) {
       }
     }
 
-    surveyStates.delete(telegramId);
+    await clearSurveyState(telegramId);
 
     // Reset escalation since user completed the survey
     if (global.notificationScheduler) {
@@ -577,10 +1020,7 @@ async function completeSurvey(bot, chatId, telegramId) {
     }
 
     // Подсчитываем только основные вопросы (не follow-up)
-    const mainResponses = Object.keys(state.responses).filter(key => 
-      !key.startsWith('followup_')
-    );
-    const responseCount = mainResponses.length;
+    const responseCount = getAnsweredCount(state);
     const responseTime = Math.round((Date.now() - state.startTime) / 1000);
     
     // Считаем follow-up отдельно
@@ -590,7 +1030,9 @@ async function completeSurvey(bot, chatId, telegramId) {
 
     // Персонализированная обратная связь
     let feedbackMessage = '';
-    if (state.trainingDay <= TRAINING_DAYS) {
+    if (isMiniForm) {
+      feedbackMessage = '\n\n⚡ Когда будет время, пройди полный опрос — он точнее фиксирует момент.';
+    } else if (state.trainingDay <= TRAINING_DAYS) {
       feedbackMessage = `\n\n📚 День обучения ${state.trainingDay} из ${TRAINING_DAYS}`;
       if (qualityScore > 60) {
         feedbackMessage += '\n👍 Вы делаете отличные успехи!';
@@ -646,10 +1088,10 @@ async function completeSurvey(bot, chatId, telegramId) {
     await bot.sendMessage(
       chatId,
       `✅ Спасибо за участие!\n\n` +
-      `📊 Основные вопросы: ${responseCount} из ${questions.length}\n` +
+      `📊 Основные вопросы: ${responseCount} из ${getAskedCount(state)}\n` +
       (followUpCount > 0 ? `🔍 Дополнительные уточнения: ${followUpCount}\n` : '') +
       `⏱ Время заполнения: ${responseTime} секунд\n` +
-      `📈 Качество данных: ${qualityScore}%` +
+      (isMiniForm ? '⚡ Мини-форма: качество описания не оценивается' : `📈 Качество данных: ${qualityScore}%`) +
       feedbackMessage +
       patternInsights +
       scientificFact +
@@ -670,7 +1112,7 @@ async function completeSurvey(bot, chatId, telegramId) {
     );
 
     // Дополнительное сообщение для мотивации
-    if (state.trainingDay === 3) {
+    if (state.trainingDay === 3 && !isMiniForm) {
       // Записываем метрики завершения обучения
       recordTrainingCompletion(qualityScore);
       
@@ -691,21 +1133,66 @@ async function completeSurvey(bot, chatId, telegramId) {
   }
 }
 
+// Восстановление незавершённых опросов после перезапуска бота
+async function restoreSessions(bot) {
+  const sessions = await sessionStore.loadAll('survey');
+
+  for (const { telegramId, chatId, state } of sessions) {
+    const targetChatId = chatId || state.chatId || telegramId;
+
+    try {
+      surveyStates.set(telegramId, state);
+      const user = await User.findOne({ telegramId });
+
+      await bot.sendMessage(
+        targetChatId,
+        addressForms.formatForUser('🔄 Бот был перезапущен. Продолжим опрос с того же вопроса — твои ответы сохранены.', user)
+      );
+
+      if (state.expectingFollowUp && state.pendingFollowUp) {
+        await bot.sendMessage(targetChatId, state.pendingFollowUp.text);
+      } else if (state.followUpPending && state.currentFollowUp) {
+        await bot.sendMessage(targetChatId, state.currentFollowUp.text, {
+          reply_markup: {
+            inline_keyboard: [[{ text: '⏭ Пропустить', callback_data: 'survey_skip_followup' }]]
+          }
+        });
+      } else if (state.currentQuestion >= getItems(state).length) {
+        await completeSurvey(bot, targetChatId, telegramId);
+      } else {
+        await sendQuestion(bot, targetChatId, getItems(state)[state.currentQuestion], user, state.pendingSelection || [], state);
+      }
+    } catch (error) {
+      console.error(`[SURVEY] Не удалось восстановить опрос ${telegramId}:`, error);
+    }
+  }
+
+  if (sessions.length > 0) {
+    console.log(`[SURVEY] Восстановлено незавершённых опросов: ${sessions.length}`);
+  }
+}
+
 // Остальные функции остаются без изменений
-function createScaleKeyboard(min, max) {
+function createScaleKeyboard(min, max, step = 1, extraRows = []) {
   const keyboard = [];
-  const buttonsPerRow = max - min + 1 > 7 ? 5 : 7;
+  const buttonsCount = Math.floor((max - min) / step) + 1;
+  const buttonsPerRow = buttonsCount > 7 ? 5 : 7;
   let row = [];
 
-  for (let i = min; i <= max; i++) {
+  for (let i = min; i <= max; i += step) {
     row.push({ text: i.toString(), callback_data: `survey_scale_${i}` });
 
-    if (row.length === buttonsPerRow || i === max) {
+    if (row.length === buttonsPerRow) {
       keyboard.push([...row]);
       row = [];
     }
   }
 
+  if (row.length > 0) {
+    keyboard.push(row);
+  }
+
+  keyboard.push(...extraRows);
   keyboard.push([{ text: '❌ Отменить', callback_data: 'survey_cancel' }]);
 
   return {
@@ -715,18 +1202,130 @@ function createScaleKeyboard(min, max) {
   };
 }
 
+// Кнопка пропуска не показывается для обязательных пунктов
+function createSkipRow(question) {
+  return question.rules?.required
+    ? []
+    : [[{ text: '⏭ Пропустить', callback_data: 'survey_skip' }]];
+}
+
+// Навигация по уже заданным пунктам; при правке из меню - только возврат к опросу
+function createNavRows(state) {
+  if (!state) return [];
+
+  if (state.resumeIndex !== undefined && state.resumeIndex !== null) {
+    return [[{ text: '↩️ Оставить как было', callback_data: 'survey_edit_cancel' }]];
+  }
+
+  if ((state.path || []).length < 2) return [];
+
+  return [[
+    { text: '⬅️ Назад', callback_data: 'survey_back' },
+    { text: '✏️ Изменить ответ', callback_data: 'survey_edit' }
+  ]];
+}
+
+// Пропуск и навигация; при правке пропуск не нужен - «Оставить как было» делает то же
+function createControlRows(question, state = null) {
+  if (state && state.resumeIndex !== undefined && state.resumeIndex !== null) {
+    return createNavRows(state);
+  }
+  return [...createSkipRow(question), ...createNavRows(state)];
+}
+
+// Клавиатура множественного выбора: отмеченные варианты помечены галочкой
+function createMultiSelectKeyboard(question, selected = [], extraRows = []) {
+  const keyboard = question.options.map((option, index) => [{
+    text: `${selected.includes(option.value) ? '✅' : '⬜'} ${option.label}`,
+    callback_data: `survey_multi_${index}`
+  }]);
+
+  keyboard.push([{ text: '✔️ Готово', callback_data: 'survey_multi_done' }]);
+
+  return {
+    inline_keyboard: [...keyboard, ...extraRows]
+  };
+}
+
+// Текущая страница сетки: первая, где остались неоценённые строки
+function getGridPage(question, scores = {}) {
+  const perMessage = question.perMessage || 4;
+  const firstOpen = question.rows.findIndex(row => scores[row.id] === undefined);
+  const start = firstOpen === -1 ? 0 : Math.floor(firstOpen / perMessage) * perMessage;
+
+  return {
+    start,
+    end: Math.min(start + perMessage, question.rows.length),
+    page: start / perMessage + 1,
+    pages: Math.ceil(question.rows.length / perMessage)
+  };
+}
+
+function formatGridText(question, scores = {}) {
+  const { min, max, minLabel, maxLabel } = question.scale;
+  const { page, pages } = getGridPage(question, scores);
+
+  let text = `${question.text}\n\n`;
+  text += minLabel ? `${min} — ${minLabel}, ${max} — ${maxLabel}` : `Шкала от ${min} до ${max}`;
+  if (pages > 1) {
+    text += `\n\nЧасть ${page} из ${pages}`;
+  }
+  return text;
+}
+
+// Компактная клавиатура сетки: строка-заголовок пункта и ряд оценок под ней
+function createGridKeyboard(question, scores = {}, extraRows = []) {
+  const { min, max } = question.scale;
+  const { start, end } = getGridPage(question, scores);
+
+  const values = [];
+  for (let v = min; v <= max; v++) {
+    values.push(v);
+  }
+  // В ряду inline-клавиатуры помещается не больше 8 кнопок
+  const perRow = Math.ceil(values.length / Math.ceil(values.length / 8));
+
+  const keyboard = [];
+  question.rows.slice(start, end).forEach((row, offset) => {
+    const rowIndex = start + offset;
+    const title = row.minLabel ? `${row.minLabel} ↔ ${row.maxLabel}` : row.label;
+    const score = scores[row.id];
+
+    keyboard.push([{
+      text: score !== undefined ? `✅ ${title}: ${score}` : title,
+      callback_data: 'survey_grid_noop'
+    }]);
+
+    for (let i = 0; i < values.length; i += perRow) {
+      keyboard.push(values.slice(i, i + perRow).map(v => ({
+        text: score === v ? `•${v}•` : String(v),
+        callback_data: `survey_grid_${rowIndex}_${v}`
+      })));
+    }
+  });
+
+  return {
+    inline_keyboard: [...keyboard, ...extraRows]
+  };
+}
+
 module.exports = {
   command: 'survey',
   description: 'Start ESM survey',
   questions,
   surveyStates,
+  startSurvey,
   askQuestion,
+  restoreSessions,
 
-  execute: async (bot, msg) => {
+  // /survey quick - мини-форма без уведомления, /survey event - запись события
+  execute: async (bot, msg, args = []) => {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
+    const mode = args[0] === 'quick' ? 'mini' : 'full';
+    const trigger = args[0] === 'event' ? 'event' : 'self';
 
-    await startSurvey(bot, chatId, telegramId);
+    await startSurvey(bot, chatId, telegramId, null, { mode, trigger });
   },
 
   handleCallback: async (bot, query) => {
@@ -741,7 +1340,7 @@ module.exports = {
     }
 
     if (data === 'survey_cancel') {
-      surveyStates.delete(telegramId);
+      await clearSurveyState(telegramId);
       await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
         '❌ Опрос отменён',
@@ -755,6 +1354,14 @@ module.exports = {
 
       if (data === 'survey_skip_followup') {
         state.followUpPending = false;
+      } else {
+        // Частично заполненная сетка сохраняется
+        const skipped = getItems(state)[state.currentQuestion];
+        const partial = state.pendingSelection;
+        if (skipped?.type === 'grid' && partial && !Array.isArray(partial) && Object.keys(partial).length > 0) {
+          recordAnswer(state, skipped, partial);
+          Object.assign(state.responses, partial);
+        }
       }
 
       await bot.editMessageText(
@@ -765,23 +1372,230 @@ module.exports = {
       return;
     }
 
+    const messageOptions = { chat_id: chatId, message_id: query.message.message_id };
+
+    // Назад: предыдущий заданный пункт, прежний ответ заменится новым
+    if (data === 'survey_back') {
+      const path = state.path || [];
+      if (path.length < 2) {
+        await bot.answerCallbackQuery(query.id, { text: 'Это первый вопрос' });
+        return;
+      }
+
+      const items = getItems(state);
+      const previousIndex = items.findIndex(item => item.id === path[path.length - 2]);
+      state.path = path.slice(0, -1);
+      // Пункты после него снова проверятся по условиям при движении вперёд
+      state.skippedByRules = (state.skippedByRules || [])
+        .filter(id => items.findIndex(item => item.id === id) < previousIndex);
+      state.revising = 'back';
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText('⬅️ Возвращаемся к предыдущему вопросу', messageOptions);
+      await showItem(bot, chatId, telegramId, previousIndex, await User.findOne({ telegramId }));
+      return;
+    }
+
+    if (data === 'survey_edit_cancel') {
+      const resumeIndex = state.resumeIndex;
+      state.resumeIndex = null;
+      state.revising = null;
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText('↩️ Ответ оставлен без изменений', messageOptions);
+      await showItem(bot, chatId, telegramId, resumeIndex ?? state.currentQuestion, await User.findOne({ telegramId }));
+      return;
+    }
+
+    // Меню правки: любой из уже отвеченных пунктов, затем возврат к текущему вопросу
+    if (data === 'survey_edit') {
+      const editable = getEditableItems(state);
+      if (editable.length === 0) {
+        await bot.answerCallbackQuery(query.id, { text: 'Пока нет ответов для правки' });
+        return;
+      }
+
+      const items = getItems(state);
+      const keyboard = editable.map(index => [{
+        text: `${items[index].text.split('\n')[0].slice(0, 40)} — ${formatAnswer(items[index], state.responses[items[index].id])}`.slice(0, 64),
+        callback_data: `survey_edit_${index}`
+      }]);
+      keyboard.push([{ text: '↩️ Вернуться к вопросу', callback_data: 'survey_edit_cancel' }]);
+      state.resumeIndex = state.currentQuestion;
+      await persistSurveyState(telegramId);
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText('✏️ Какой ответ изменить?', {
+        ...messageOptions,
+        reply_markup: { inline_keyboard: keyboard }
+      });
+      return;
+    }
+
+    if (data.startsWith('survey_edit_')) {
+      const index = parseInt(data.replace('survey_edit_', ''));
+      if (!getEditableItems(state).includes(index)) {
+        await bot.answerCallbackQuery(query.id, { text: 'Этот ответ нельзя изменить' });
+        return;
+      }
+
+      if (state.resumeIndex === undefined || state.resumeIndex === null) {
+        state.resumeIndex = state.currentQuestion;
+      }
+      state.revising = 'edit';
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+      await showItem(bot, chatId, telegramId, index, await User.findOne({ telegramId }));
+      return;
+    }
+
+    const question = getItems(state)[state.currentQuestion];
+    if (!question) {
+      await bot.answerCallbackQuery(query.id);
+      return;
+    }
+
     if (data.startsWith('survey_scale_')) {
-      const value = parseInt(data.replace('survey_scale_', ''));
-      const question = questions[state.currentQuestion];
+      const check = questionnaireService.validateAnswer(question, Number(data.replace('survey_scale_', '')));
+      if (!check.valid) {
+        await bot.answerCallbackQuery(query.id, { text: check.error });
+        return;
+      }
 
-      state.responses[question.id] = value;
+      recordAnswer(state, question, check.value);
 
       await bot.answerCallbackQuery(query.id);
       await bot.editMessageText(
-        `${question.text}\n\n✅ Ваш ответ: ${value}`,
+        `${question.text}\n\n✅ Ваш ответ: ${check.value}`,
         { chat_id: chatId, message_id: query.message.message_id }
       );
 
       await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+      return;
+    }
+
+    if (data.startsWith('survey_choice_')) {
+      const option = question.options?.[parseInt(data.replace('survey_choice_', ''))];
+      if (!option) {
+        await bot.answerCallbackQuery(query.id, { text: 'Вариант недоступен' });
+        return;
+      }
+
+      recordAnswer(state, question, option.value);
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageText(
+        `${question.text}\n\n✅ Ваш ответ: ${option.label}`,
+        { chat_id: chatId, message_id: query.message.message_id }
+      );
+
+      await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+      return;
+    }
+
+    if (data.startsWith('survey_grid_') && question.type === 'grid') {
+      if (data === 'survey_grid_noop') {
+        await bot.answerCallbackQuery(query.id);
+        return;
+      }
+
+      const [rowIndex, score] = data.replace('survey_grid_', '').split('_').map(Number);
+      const row = question.rows[rowIndex];
+      if (!row || score < question.scale.min || score > question.scale.max) {
+        await bot.answerCallbackQuery(query.id, { text: 'Вариант недоступен' });
+        return;
+      }
+
+      const previous = Array.isArray(state.pendingSelection) ? {} : state.pendingSelection;
+      const scores = { ...previous, [row.id]: score };
+      state.pendingSelection = scores;
+      await bot.answerCallbackQuery(query.id);
+
+      const messageOptions = { chat_id: chatId, message_id: query.message.message_id };
+
+      if (question.rows.every(r => scores[r.id] !== undefined)) {
+        const check = questionnaireService.validateAnswer(question, scores);
+        if (!check.valid) {
+          await bot.sendMessage(chatId, `⚠️ ${check.error}`);
+          return;
+        }
+
+        // Строки сетки доступны и по собственным id (для ветвления и батареи ESF)
+        recordAnswer(state, question, check.value);
+        Object.assign(state.responses, check.value);
+
+        await bot.editMessageText(
+          `${question.text}\n\n✅ Оценено пунктов: ${question.rows.length}`,
+          messageOptions
+        );
+        await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+        return;
+      }
+
+      await persistSurveyState(telegramId);
+
+      const keyboard = createGridKeyboard(question, scores, createControlRows(question, state));
+      if (getGridPage(question, scores).start !== getGridPage(question, previous).start) {
+        await bot.editMessageText(formatGridText(question, scores), {
+          ...messageOptions,
+          reply_markup: keyboard
+        });
+      } else {
+        await bot.editMessageReplyMarkup(keyboard, messageOptions);
+      }
+      return;
+    }
+
+    if (data.startsWith('survey_multi_') && question.type === 'multiselect') {
+      const selected = state.pendingSelection || [];
+
+      if (data === 'survey_multi_done') {
+        const check = questionnaireService.validateAnswer(question, selected);
+        if (!check.valid) {
+          await bot.answerCallbackQuery(query.id, { text: check.error });
+          return;
+        }
+
+        recordAnswer(state, question, check.value);
+        const labels = question.options
+          .filter(option => selected.includes(option.value))
+          .map(option => option.label)
+          .join(', ');
+
+        await bot.answerCallbackQuery(query.id);
+        await bot.editMessageText(
+          `${question.text}\n\n✅ Ваш ответ: ${labels || '—'}`,
+          { chat_id: chatId, message_id: query.message.message_id }
+        );
+
+        await askQuestion(bot, chatId, telegramId, state.currentQuestion + 1);
+        return;
+      }
+
+      const option = question.options[parseInt(data.replace('survey_multi_', ''))];
+      if (!option) {
+        await bot.answerCallbackQuery(query.id, { text: 'Вариант недоступен' });
+        return;
+      }
+
+      state.pendingSelection = selected.includes(option.value)
+        ? selected.filter(value => value !== option.value)
+        : [...selected, option.value];
+      await persistSurveyState(telegramId);
+
+      await bot.answerCallbackQuery(query.id);
+      await bot.editMessageReplyMarkup(
+        createMultiSelectKeyboard(question, state.pendingSelection, createControlRows(question, state)),
+        { chat_id: chatId, message_id: query.message.message_id }
+      );
     }
   },
 
   handleTextResponse,
+  handleVoiceResponse,
+  handlePhotoResponse,
+  handleLocationResponse,
   handleTextResponseWithGoldenStandard,
   
   // Новые функции золотого стандарта
@@ -966,7 +1780,8 @@ async function checkForFollowUp(bot, chatId, state, context) {
         {
           detectedContext: lastResponse.goldenStandard?.detectedContext,
           quality: lastResponse.quality,
-          followUpCount: state.followUpCount
+          followUpCount: state.followUpCount,
+          userId: state.userId
         }
       );
       
@@ -1128,12 +1943,12 @@ async function updateUserStats(user, response) {
 }
 
 async function sendCompletionMessage(bot, chatId, state, quality, recommendations) {
-  const responseCount = Object.keys(state.responses).length;
+  const responseCount = getAnsweredCount(state);
   const responseTime = Math.round((Date.now() - state.startTime) / 1000);
   
   let message = `✅ Спасибо за участие!\n\n`;
   message += `📊 Статистика:\n`;
-  message += `├ Ответов: ${responseCount} из ${questions.length}\n`;
+  message += `├ Ответов: ${responseCount} из ${getAskedCount(state)}\n`;
   message += `├ Время: ${responseTime} сек\n`;
   message += `└ Качество: ${getQualityEmoji(quality)} ${Math.round(quality)}%\n\n`;
   
@@ -0,0 +1,208 @@
+/**
+ * Схемы ответов языковых моделей
+ *
+ * Каждый ответ модели проверяется по схеме своего типа (utils/json-schema.js).
+ * Ответ не по схеме возвращается модели с ошибками на исправление
+ * (config.llm.schemaRepairAttempts); не исправлен - запрос уходит следующему
+ * провайдеру цепочки, после последнего сервис использует свой запасной вариант,
+ * помеченный source: 'fallback'. Значения по умолчанию вместо полей ответа не подставляются.
+ *
+ * required - поля, которые использует бот (по умолчанию ни одного); остальные поля
+ * из промпта проверяются, только если модель их вернула. Меняя структуру в промпте
+ * или чтение ответа в сервисе, обновите схему.
+ */
+
+const string = { type: 'string', minLength: 1 };
+const strings = { type: 'array', items: { type: 'string' } };
+const share = { type: 'number', minimum: 0, maximum: 1 };
+
+function object(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+module.exports = {
+  // Оценка ответа ESM (промпт validation)
+  validation: object({
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    quality: { type: 'string', enum: ['pristine', 'excellent', 'good', 'fair', 'poor', 'garbage'] },
+    issues: strings,
+    suggestions: strings,
+    phenomena: strings,
+    educationalValue: share,
+    confidence: share
+  }, ['score', 'quality']),
+
+  // Уточняющий вопрос (follow_up); null - вопрос не нужен
+  follow_up: object({
+    question: { type: ['string', 'null'] }
+  }, ['question']),
+
+  semantic_similarity: object({
+    shouldAsk: { type: 'boolean' },
+    confidence: share,
+    reason: string
+  }, ['shouldAsk', 'confidence']),
+
+  insights: object({
+    insights: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        type: { type: 'string', enum: ['temporal', 'activity', 'social', 'correlation', 'anomaly'] },
+        title: string,
+        description: string,
+        recommendation: string,
+        confidence: share,
+        emoji: { type: 'string' }
+      }, ['type', 'title', 'description', 'recommendation', 'confidence'])
+    }
+  }, ['insights']),
+
+  predictions: object({
+    predictions: {
+      type: 'array',
+      items: object({
+        type: { type: 'string', enum: ['mood', 'energy', 'stress', 'flow_likelihood'] },
+        predicted_value: { type: 'number', minimum: 0, maximum: 9 },
+        confidence: share,
+        reasoning: string,
+        recommendation: string,
+        time_frame: string
+      }, ['type', 'predicted_value', 'confidence', 'reasoning'])
+    },
+    alerts: {
+      type: 'array',
+      items: object({
+        type: { type: 'string', enum: ['warning', 'opportunity'] },
+        message: string,
+        action: string
+      }, ['type', 'message'])
+    }
+  }, ['predictions']),
+
+  // Паттерны пользователя (user_patterns) - целиком заменяют User.commonPatterns, поэтому обязательны все поля
+  user_patterns: object({
+    usesInnerSpeech: { type: ['boolean', 'null'] },
+    tendencyToGeneralize: share,
+    introspectiveAccuracy: share,
+    preferredResponseLength: { type: 'number', minimum: 0 },
+    readingVoiceIllusion: { type: ['boolean', 'null'] },
+    emotionAsThought: { type: ['boolean', 'null'] },
+    sensoryDetailRichness: share,
+    momentCaptureAbility: share,
+    emptinessRecognition: share
+  }, [
+    'usesInnerSpeech', 'tendencyToGeneralize', 'introspectiveAccuracy', 'preferredResponseLength',
+    'readingVoiceIllusion', 'emotionAsThought', 'sensoryDetailRichness', 'momentCaptureAbility', 'emptinessRecognition'
+  ]),
+
+  // Анализ прогресса обучения (adaptive-training-coach)
+  training_analysis: object({
+    qualityTrend: { type: 'string', enum: ['improving', 'stable', 'declining'] },
+    weaknesses: strings,
+    strengths: strings,
+    learningVelocity: { type: 'string', enum: ['slow', 'normal', 'fast'] },
+    illusionPatterns: strings,
+    adaptationReason: string,
+    confidence: share,
+    riskFactors: strings,
+    recommendedFocus: strings
+  }, ['qualityTrend', 'weaknesses', 'strengths', 'illusionPatterns', 'adaptationReason', 'confidence', 'riskFactors']),
+
+  // Персональная программа обучения (adaptive-training-coach); ключи - day1, day2...
+  training_content: object({
+    exercises: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        items: object({ title: string, description: string, target: { type: 'string' } }, ['title', 'description'])
+      }
+    },
+    messages: {
+      type: 'object',
+      additionalProperties: strings
+    },
+    interventions: {
+      type: 'array',
+      items: object({ trigger: string, response: string, example: { type: 'string' } }, ['trigger', 'response'])
+    },
+    dailyFocus: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    nextSteps: strings
+  }, ['exercises', 'messages', 'interventions', 'dailyFocus', 'nextSteps']),
+
+  weakness_analysis: object({
+    criticalWeaknesses: {
+      type: 'array',
+      items: object({
+        type: string,
+        severity: share,
+        evidence: { type: 'string' },
+        hiddenPattern: { type: 'string' },
+        riskLevel: { type: 'string', enum: ['high', 'medium', 'low'] }
+      }, ['type', 'severity'])
+    },
+    subtleIssues: {
+      type: 'array',
+      items: object({
+        pattern: string,
+        description: { type: 'string' },
+        examples: strings,
+        interventionNeeded: { type: 'boolean' }
+      }, ['pattern'])
+    },
+    learningBlocks: {
+      type: 'array',
+      items: object({
+        blockType: string,
+        manifestation: { type: 'string' },
+        suggestion: { type: 'string' }
+      }, ['blockType'])
+    },
+    progressionInsights: object({
+      overallTrend: { type: 'string', enum: ['improving', 'plateauing', 'declining'] },
+      stuckAreas: strings,
+      breakthroughPotential: strings
+    }),
+    confidence: share
+  }, ['criticalWeaknesses']),
+
+  exercise_generation: object({
+    customExercises: {
+      type: 'array',
+      minItems: 1,
+      items: object({
+        title: string,
+        description: string,
+        targetWeakness: string,
+        technique: { type: 'string' },
+        selfCheckQuestions: strings,
+        duration: { type: 'string' },
+        difficulty: { type: 'integer', minimum: 1, maximum: 3 },
+        expectedOutcome: { type: 'string' }
+      }, ['title', 'description', 'targetWeakness', 'difficulty'])
+    },
+    adaptiveNotes: strings,
+    progressionTriggers: strings
+  }, ['customExercises']),
+
+  // Длительность обучения (adaptive-duration-calculator), 2-7 дней
+  duration_adjustment: object({
+    recommendedDuration: { type: 'integer', minimum: 2, maximum: 7 },
+    adjustment: { type: 'number' },
+    reasoning: string,
+    confidence: share,
+    alternatives: {
+      type: 'array',
+      items: object({ duration: { type: 'integer', minimum: 2, maximum: 7 }, condition: string }, ['duration', 'condition'])
+    },
+    keyMilestones: {
+      type: 'array',
+      items: object({ day: { type: 'integer', minimum: 1 }, goal: string }, ['day', 'goal'])
+    },
+    stopConditions: strings,
+    continueConditions: strings
+  }, ['recommendedDuration', 'reasoning', 'confidence'])
+};
@@ -0,0 +1,68 @@
+/**
+ * Категории контекста момента: чем человек был занят и с кем
+ *
+ * Коды сохраняются в responses.activityCategory / responses.companionCategory
+ * и используются аналитикой напрямую. keywords нужны только для старых
+ * ответов, где активность и компания записаны свободным текстом.
+ */
+
+const activity = [
+  { code: 'work', label: '💼 Работа', keywords: ['работ', 'задач', 'проект', 'код', 'письм', 'email', 'почт', 'совещан', 'встреч', 'созвон', 'отчёт', 'отчет'] },
+  { code: 'study', label: '📚 Учёба', keywords: ['уч', 'лекци', 'курс', 'экзамен', 'домашк', 'конспект'] },
+  { code: 'commute', label: '🚌 Дорога', keywords: ['дорог', 'еду', 'ехал', 'иду', 'шёл', 'шел', 'метро', 'автобус', 'машин', 'такси', 'поезд'] },
+  { code: 'leisure', label: '🎮 Досуг', keywords: ['игр', 'фильм', 'сериал', 'смотр', 'музык', 'читал книг', 'гулял', 'прогулк', 'хобби'] },
+  { code: 'chores', label: '🧹 Домашние дела', keywords: ['убира', 'уборк', 'стир', 'посуд', 'готов', 'магазин', 'покупк'] },
+  { code: 'social', label: '🗣 Общение', keywords: ['разговар', 'болтал', 'общал', 'переписк', 'звонил', 'гости'] },
+  { code: 'eating', label: '🍽 Еда', keywords: ['ел', 'ем', 'обед', 'ужин', 'завтрак', 'перекус', 'кофе', 'чай'] },
+  { code: 'self_care', label: '🚿 Уход за собой', keywords: ['душ', 'умыва', 'одева', 'зубы'] },
+  { code: 'exercise', label: '🏃 Спорт', keywords: ['спорт', 'трениров', 'бега', 'бегал', 'спортзал', 'йог', 'зарядк'] },
+  { code: 'rest', label: '🛋 Отдых', keywords: ['отдых', 'лежал', 'сплю', 'спал', 'дремал', 'ничего не делал'] },
+  { code: 'other', label: '❓ Другое', keywords: [] }
+];
+
+const companion = [
+  { code: 'alone', label: '🙋 Один', keywords: ['один', 'одна', 'одни', 'никого', 'ни с кем', 'сам', 'сама', 'solo'] },
+  { code: 'partner', label: '❤️ Партнёр', keywords: ['жен', 'муж', 'девушк', 'парн', 'партнёр', 'партнер'] },
+  { code: 'family', label: '👨‍👩‍👧 Семья', keywords: ['семь', 'мам', 'пап', 'сын', 'доч', 'ребён', 'ребен', 'детьм', 'детей', 'брат', 'сестр', 'родител'] },
+  { code: 'friends', label: '🧑‍🤝‍🧑 Друзья', keywords: ['друз', 'друг', 'подруг', 'приятел'] },
+  { code: 'colleagues', label: '💼 Коллеги', keywords: ['коллег', 'начальн', 'команд', 'сотрудник', 'клиент'] },
+  { code: 'strangers', label: '👥 Незнакомые люди', keywords: ['незнаком', 'прохож', 'люди', 'пассажир', 'толп'] }
+];
+
+// Первая категория, ключевое слово которой встречается в тексте (старые ответы).
+// Ключевые слова - начала слов («работ» найдёт «работал»), фразы ищутся целиком
+function classify(categories, text, fallback = null) {
+  if (typeof text !== 'string' || text.trim() === '') return fallback;
+
+  const normalized = text.toLowerCase();
+  const words = normalized.split(/[^a-zа-яё]+/).filter(Boolean);
+  const match = categories.find(category =>
+    category.keywords.some(keyword =>
+      keyword.includes(' ')
+        ? normalized.includes(keyword)
+        : words.some(word => word.startsWith(keyword))
+    )
+  );
+
+  return match ? match.code : fallback;
+}
+
+function getLabel(categories, code) {
+  return categories.find(category => category.code === code)?.label || code;
+}
+
+// Варианты для пункта типа choice в опроснике
+function toOptions(categories) {
+  return categories.map(({ code, label }) => ({ value: code, label }));
+}
+
+module.exports = {
+  activity,
+  companion,
+
+  classifyActivity: text => classify(activity, text, 'other'),
+  classifyCompanion: text => classify(companion, text),
+  activityLabel: code => getLabel(activity, code),
+  companionLabel: code => getLabel(companion, code),
+  toOptions
+};
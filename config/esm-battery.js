@@ -0,0 +1,52 @@
+/**
+ * Классическая батарея ESF (Csikszentmihalyi & Larson)
+ *
+ * Из этого списка строятся поля Response.responses.affect / .state,
+ * колонки экспорта и пункты-сетки опросника esm_classic, поэтому новый
+ * пункт достаточно добавить сюда.
+ */
+
+module.exports = {
+  // Аффект: биполярные шкалы 1-7 (13 пунктов)
+  affect: {
+    scale: { min: 1, max: 7 },
+    items: [
+      { id: 'happy', label: 'Счастливый', minLabel: 'Грустный', maxLabel: 'Счастливый' },
+      { id: 'cheerful', label: 'Весёлый', minLabel: 'Раздражённый', maxLabel: 'Весёлый' },
+      { id: 'alert', label: 'Бодрый', minLabel: 'Сонный', maxLabel: 'Бодрый' },
+      { id: 'relaxed', label: 'Расслабленный', minLabel: 'Напряжённый', maxLabel: 'Расслабленный' },
+      { id: 'active', label: 'Активный', minLabel: 'Пассивный', maxLabel: 'Активный' },
+      { id: 'proud', label: 'Гордый', minLabel: 'Стыдно', maxLabel: 'Гордый' },
+      { id: 'sociable', label: 'Общительный', minLabel: 'Одинокий', maxLabel: 'Общительный' },
+      { id: 'involved', label: 'Вовлечённый', minLabel: 'Отстранённый', maxLabel: 'Вовлечённый' },
+      { id: 'excited', label: 'Воодушевлённый', minLabel: 'Скучающий', maxLabel: 'Воодушевлённый' },
+      { id: 'clear', label: 'Ясность', minLabel: 'Растерянный', maxLabel: 'Ясный' },
+      { id: 'strong', label: 'Сильный', minLabel: 'Слабый', maxLabel: 'Сильный' },
+      { id: 'free', label: 'Свободный', minLabel: 'Скованный', maxLabel: 'Свободный' },
+      { id: 'cooperative', label: 'Сотрудничающий', minLabel: 'Соперничающий', maxLabel: 'Сотрудничающий' }
+    ]
+  },
+
+  // Состояние: униполярные шкалы 0-9 (16 пунктов)
+  state: {
+    scale: { min: 0, max: 9, minLabel: 'Совсем нет', maxLabel: 'Очень сильно' },
+    items: [
+      { id: 'challenge', label: 'Сложность задачи' },
+      { id: 'skill', label: 'Твои навыки' },
+      { id: 'concentration', label: 'Концентрация' },
+      { id: 'concentrationEase', label: 'Легко сосредоточиться' },
+      { id: 'control', label: 'Контроль над ситуацией' },
+      { id: 'success', label: 'Получалось то, что хотел' },
+      { id: 'wishElsewhere', label: 'Хотелось делать что-то другое' },
+      { id: 'selfConscious', label: 'Неловкость, смущение' },
+      { id: 'importanceSelf', label: 'Важно для тебя' },
+      { id: 'importanceGoals', label: 'Важно для твоих целей' },
+      { id: 'interest', label: 'Интересно' },
+      { id: 'enjoyment', label: 'Нравилось' },
+      { id: 'choice', label: 'Делал по своему выбору' },
+      { id: 'timeFlies', label: 'Время летело незаметно' },
+      { id: 'satisfied', label: 'Доволен собой' },
+      { id: 'physicalDiscomfort', label: 'Физический дискомфорт' }
+    ]
+  }
+};
@@ -210,6 +210,248 @@ module.exports = {
     ]
   },
 
+  // Хранение незавершённых опросов между перезапусками
+  sessions: {
+    // Через сколько часов бездействия сессия считается брошенной
+    ttlHours: 12,
+
+    // 'mongo' в продакшене, 'memory' для тестов
+    adapter: process.env.SESSION_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo')
+  },
+
+  // Срок действия сигнала: ESM фиксирует момент сигнала, поздний ответ - уже воспоминание
+  beepExpiry: {
+    // Через сколько минут после уведомления кнопка «Начать опрос» перестаёт работать (0 - без ограничения)
+    minutes: parseInt(process.env.BEEP_EXPIRY_MINUTES || '15', 10),
+
+    // Исключать просроченные и поздние сигналы из статистики, инсайтов и экспорта
+    excludeLateSamples: true
+  },
+
+  // Комплаенс: доля отвеченных сигналов (services/compliance-service.js)
+  compliance: {
+    // За сколько дней показывать комплаенс в /stats
+    historyDays: 7,
+
+    // В какой час по времени пользователя проверять пороги вмешательств
+    checkHour: 20,
+
+    // Вмешательства при низком комплаенсе: за windowDays отвечено меньше below
+    // (при минимум minSent сигналах) - вопрос об удобстве расписания, не чаще раза в cooldownDays.
+    // В тексте: {answered}, {sent}, {rate}, {days}
+    interventions: [
+      {
+        id: 'low_3_days',
+        windowDays: 3,
+        below: 0.5,
+        minSent: 6,
+        cooldownDays: 7,
+        message: '🤔 За последние {days} дня отвечено {answered} из {sent} сигналов ({rate}).\n\n' +
+          'Возможно, расписание неудобно? Можно присылать сигналы реже или сдвинуть время - выбери ниже.'
+      }
+    ]
+  },
+
+  // Определение часового пояса (services/timezone-service.js, список городов - config/timezones.js)
+  timezoneDetection: {
+    // Геопозиция дальше этого от любого известного города - пояс по долготе (Etc/GMT±N)
+    maxCityDistanceKm: 1000,
+
+    // Минимальное сходство названия при поиске города (0..1)
+    minSearchScore: 0.6,
+
+    // В какой час по времени пользователя проверять, не сдвинулись ли ответы
+    checkHour: 12,
+
+    // Ответы последних recentDays дней в среднем сдвинуты относительно
+    // предыдущих baselineDays дней на столько часов - предлагаем сменить пояс
+    shiftThresholdHours: 3,
+    recentDays: 2,
+    baselineDays: 14,
+    minRecentSamples: 3,
+
+    // Не предлагать повторно чаще, чем раз в столько дней
+    suggestionCooldownDays: 3
+  },
+
+  // Очередь отправок в MongoDB (models/NotificationJob.js, services/job-queue.js)
+  jobs: {
+    // Сигналы, пропущенные пока бот был выключен, отправляются после запуска,
+    // если опоздали не больше чем на столько минут; более старые помечаются expired
+    replayGraceMinutes: parseInt(process.env.JOB_REPLAY_GRACE_MINUTES || '10', 10),
+
+    // На сколько секунд экземпляр бота захватывает отправку
+    lockSeconds: 120,
+
+    // После стольких неудачных попыток отправка отменяется
+    maxAttempts: 3,
+
+    // Пауза перед повтором неудачной отправки: 30 с, затем 60 с...
+    // (повторы должны уложиться в replayGraceMinutes)
+    retryBaseSeconds: parseInt(process.env.JOB_RETRY_BASE_SECONDS || '30', 10),
+
+    // Имя экземпляра в lockedBy (по умолчанию hostname:pid)
+    instanceId: process.env.BOT_INSTANCE_ID || null
+  },
+
+  // Каналы доставки сигналов (services/notification-channels.js, /channels)
+  channels: {
+    // Сколько ждать начала опроса перед следующим каналом цепочки (минуты);
+    // участник меняет в /channels в пределах 1..maxFallbackMinutes
+    fallbackMinutes: 5,
+    maxFallbackMinutes: 30,
+
+    // Ссылка на бота в письмах, ntfy и вебхуках
+    botUrl: process.env.BOT_USERNAME ? `https://t.me/${process.env.BOT_USERNAME}` : null,
+
+    // ntfy и вебхуки не ходят на localhost и в частные сети; исключения -
+    // хосты через запятую (например, свой ntfy в сети исследования)
+    allowedHosts: (process.env.CHANNEL_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean),
+
+    // Почта: SMTP-сервер исследования (без SMTP_HOST канал недоступен).
+    // secure - TLS сразу (порт 465), иначе STARTTLS, если сервер его предлагает
+    email: {
+      host: process.env.SMTP_HOST || null,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER || null,
+      pass: process.env.SMTP_PASS || null,
+      from: process.env.SMTP_FROM || null,
+      timeoutMs: 15000
+    },
+
+    // ntfy: сервер по умолчанию, если участник не указал свой
+    ntfy: {
+      defaultServer: process.env.NTFY_SERVER || 'https://ntfy.sh',
+      token: process.env.NTFY_TOKEN || null,
+      timeoutMs: 10000
+    },
+
+    // Вебхук: POST JSON с подписью X-ESM-Signature: t=<unix>,v1=<hex HMAC-SHA256 от "<t>.<тело>">
+    webhook: {
+      timeoutMs: 10000
+    }
+  },
+
+  // Pushover: экстренные уведомления (priority 2) повторяются, пока участник
+  // не подтвердит их на часах; подтверждение останавливает эскалацию
+  pushover: {
+    apiUrl: process.env.PUSHOVER_API_URL || 'https://api.pushover.net/1',
+    timeoutMs: 10000,
+    // Повтор экстренного уведомления (API: не чаще раза в 30 с) и срок, после которого повторы прекращаются
+    emergencyRetrySeconds: 60,
+    emergencyExpireSeconds: 900,
+    // Сколько квитанций проверять за минуту: API ограничивает частоту запросов
+    receiptPollLimit: 50,
+    // Список звуков из API кэшируется
+    soundsCacheHours: 24,
+    // Callback URL: Pushover сам сообщает о подтверждении POST-запросом на
+    // <baseUrl>/pushover/callback/<secret>. Без baseUrl остаётся только опрос квитанций
+    callback: {
+      baseUrl: process.env.PUSHOVER_CALLBACK_BASE_URL || null,
+      secret: process.env.PUSHOVER_CALLBACK_SECRET || null,
+      port: parseInt(process.env.PUSHOVER_CALLBACK_PORT || '8080', 10)
+    }
+  },
+
+  // Расписание выборки (services/sampling-service.js)
+  sampling: {
+    // random_blocks - случайные сигналы по блокам окна (signal-contingent),
+    // fixed - сигналы в фиксированное время (interval-contingent),
+    // event - только записи по кнопке «📌 Событие» (event-contingent),
+    // hybrid - случайные сигналы и записи по кнопке
+    defaultSchedule: process.env.SAMPLING_SCHEDULE || 'random_blocks',
+
+    // Как раскладывать случайные сигналы по окну (strategies/schedulingStrategy.js):
+    // stratified_block - по одному сигналу в каждом из равных блоков окна,
+    // uniform - равномерно по окну, poisson - пуассоновский процесс
+    defaultStrategy: process.env.SCHEDULING_STRATEGY || 'stratified_block',
+
+    // Минимальный интервал между сигналами (в минутах)
+    minGapMinutes: 30,
+
+    // Зерно генератора: с ним расписание воспроизводимо (для каждого пользователя и дня своё)
+    seed: process.env.SCHEDULE_SEED || null,
+
+    // Время сигналов для fixed, если пользователь не задал своё
+    fixedTimes: ['10:00', '14:00', '18:00'],
+    maxFixedTimes: 10,
+
+    // Что отмечать кнопкой «📌 Событие»
+    eventPrompt: 'Отметь момент, когда произошло событие, которое ты отслеживаешь',
+
+    // Расписание исследования: studyId -> { schedule, strategy, minGapMinutes, fixedTimes, eventPrompt }
+    studies: {}
+  },
+
+  // Когда нельзя беспокоить: окна по дням недели, перерывы, календарь .ics, режим тишины (/quiet)
+  availability: {
+    // Лимиты на число перерывов у пользователя
+    maxBlackouts: 20,
+    maxBlackoutDates: 50,
+
+    // Разовые события из .ics берём только на столько дней вперёд
+    icsLookaheadDays: 60,
+
+    // На сколько дней вперёд искать свободный день для сигналов
+    lookaheadDays: 7,
+
+    // Максимальная длительность режима тишины (в часах)
+    maxQuietHours: 72
+  },
+
+  // Паузы в исследовании (/pause): отпуск, болезнь, поездка
+  pause: {
+    // Максимальная длительность одной паузы (в днях)
+    maxDays: 30,
+
+    reasons: {
+      illness: '🤒 Болезнь',
+      travel: '✈️ Поездка',
+      vacation: '🏖 Отпуск',
+      personal: '🏠 Личные дела',
+      other: '❓ Другое'
+    }
+  },
+
+  // Мини-форма (≤ 2 мин): третья кнопка в уведомлении для тех, у кого нет времени
+  miniForm: {
+    // Опросник из config/questionnaires.js: только основные шкалы с кнопками
+    questionnaireKey: 'mini_form',
+
+    // Опыт за мини-форму (за полный опрос - 10)
+    experiencePoints: 5
+  },
+
+  // Голосовые ответы на открытые вопросы
+  speechToText: {
+    enabled: process.env.VOICE_ANSWERS !== 'false',
+
+    // 'whisper' - локальный Whisper-совместимый HTTP-сервер, 'stub' - заглушка для тестов
+    adapter: process.env.STT_ADAPTER || (process.env.NODE_ENV === 'test' ? 'stub' : 'whisper'),
+
+    whisper: {
+      url: process.env.WHISPER_URL || 'http://localhost:8000/v1/audio/transcriptions',
+      model: process.env.WHISPER_MODEL || 'whisper-1',
+      language: 'ru',
+      timeoutMs: 60000,
+      apiKey: process.env.WHISPER_API_KEY || null
+    },
+
+    // Ограничение длины голосового сообщения (в секундах)
+    maxDurationSeconds: 180,
+
+    // Куда сохранять аудио
+    audioDir: process.env.VOICE_AUDIO_DIR || 'uploads/voice'
+  },
+
+  // Именованные места (дом, работа, спортзал) для геопозиции в опросе
+  places: {
+    // Радиус совпадения по умолчанию (в метрах)
+    defaultRadiusMeters: 150,
+    maxPerUser: 10
+  },
+
   // Система эскалации уведомлений
   escalation: {
     // Время ожидания ответа до начала эскалации (в минутах)
@@ -256,6 +498,59 @@ module.exports = {
       
       // Прекратить если достигли дневного лимита уведомлений
       respectDailyLimit: false
+    },
+
+    // Жёсткий лимит напоминаний эскалации за день (в часовом поясе пользователя)
+    maxRemindersPerDay: 4,
+
+    // Подстройка под отзывчивость участника (services/escalation-policy.js):
+    // по доле отвеченных сигналов и медианной задержке ответа за historyDays
+    // выбирается профиль - сколько напоминаний, с какими паузами и каким тоном
+    adaptive: {
+      enabled: true,
+      historyDays: 14,
+
+      // Меньше сигналов в истории - профиль defaultProfile
+      minSamples: 5,
+      defaultProfile: 'steady',
+
+      profiles: {
+        // Отвечает почти всегда и быстро: пропуск, скорее всего, из-за занятости - хватит одного мягкого напоминания попозже
+        responsive: {
+          label: 'Отзывчивый',
+          minCompliance: 0.75,
+          maxMedianLatencyMinutes: 10,
+          maxReminders: 1,
+          intervalScale: 1.5,
+          tone: 'gentle'
+        },
+        // Отвечает обычно: два напоминания с обычными паузами
+        steady: {
+          label: 'Обычный',
+          minCompliance: 0.4,
+          maxMedianLatencyMinutes: 30,
+          maxReminders: 2,
+          intervalScale: 1,
+          tone: 'gentle'
+        },
+        // Часто пропускает или отвечает поздно: до трёх напоминаний, настойчивее
+        reluctant: {
+          label: 'Нужны напоминания',
+          minCompliance: 0,
+          maxMedianLatencyMinutes: Infinity,
+          maxReminders: 3,
+          intervalScale: 1,
+          tone: 'standard'
+        }
+      },
+
+      // Тон сообщений: standard - лестница escalation.messages
+      tones: {
+        gentle: [
+          '🌿 Когда будет минутка - короткий опрос ждёт',
+          '🙂 Напоминание про опрос: всего 2-3 минуты'
+        ]
+      }
     }
   },
 
@@ -274,5 +569,104 @@ module.exports = {
       patternDetectionConfidence: 0.7,
       personalInsightsMinData: 100
     }
+  },
+
+  // Языковые модели для валидации ответов и инсайтов (services/llm-providers.js)
+  llm: {
+    // self-hosted - свой OpenAI-совместимый сервер (llama.cpp, Ollama, vLLM): тексты не покидают
+    // наши серверы; openai, anthropic - внешние API; fixture - записанные ответы (тесты без сети);
+    // none - только локальные правила. Без LLM_PROVIDER - внешний API, если задан его ключ
+    provider: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'fixture'
+      : process.env.OPENAI_API_KEY ? 'openai'
+        : process.env.ANTHROPIC_API_KEY ? 'anthropic' : 'none'),
+
+    // Цепочка провайдеров, например LLM_CHAIN=self-hosted,anthropic,openai: следующий -
+    // если предыдущий не ответил или его предохранитель разомкнут; после последнего -
+    // локальные правила. Без LLM_CHAIN цепочка - один provider
+    chain: (process.env.LLM_CHAIN || '').split(',').map(name => name.trim()).filter(Boolean),
+
+    // Предохранитель каждого провайдера (utils/circuit-breaker.js): размыкается после
+    // failureThreshold неудач подряд, через resetTimeoutMs пропускает пробный вызов.
+    // У провайдера можно переопределить в providers.<имя>.circuitBreaker
+    circuitBreaker: {
+      failureThreshold: 3,
+      resetTimeoutMs: 60000,
+      halfOpenMaxCalls: 1,
+      successThreshold: 1
+    },
+
+    // Ответ не по схеме (config/ai-schemas.js) возвращается той же модели с ошибками
+    // проверки столько раз; не исправлен - сбой провайдера, запрос уходит следующему
+    schemaRepairAttempts: parseInt(process.env.LLM_SCHEMA_REPAIR_ATTEMPTS || '1', 10),
+
+    // Настройки каждого провайдера: модель, тайм-аут одной попытки, число повторов
+    // и пауза перед первым повтором (дальше удваивается)
+    providers: {
+      'self-hosted': {
+        baseUrl: process.env.LLM_LOCAL_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.LLM_LOCAL_API_KEY || null,
+        model: process.env.LLM_LOCAL_MODEL || 'qwen2.5:7b-instruct',
+        // Генерация на своём железе медленнее облачной
+        timeoutMs: parseInt(process.env.LLM_LOCAL_TIMEOUT_MS || '120000', 10),
+        maxRetries: 1,
+        retryDelayMs: 2000,
+        // response_format: json_object (поддерживают llama.cpp server и Ollama)
+        jsonMode: process.env.LLM_LOCAL_JSON_MODE !== 'false'
+      },
+      openai: {
+        baseUrl: 'https://api.openai.com/v1',
+        apiKey: process.env.OPENAI_API_KEY || null,
+        model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+        timeoutMs: 30000,
+        maxRetries: 2,
+        retryDelayMs: 2000,
+        jsonMode: true
+      },
+      anthropic: {
+        baseUrl: 'https://api.anthropic.com/v1',
+        apiKey: process.env.ANTHROPIC_API_KEY || null,
+        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-20250514',
+        timeoutMs: 30000,
+        maxRetries: 2,
+        retryDelayMs: 2000
+      },
+      // replay - только записанные ответы, нет записи - ошибка (сервисы переходят на правила);
+      // record - запрос уходит провайдеру recordWith, ответ сохраняется в dir
+      fixture: {
+        dir: process.env.LLM_FIXTURES_DIR || 'tests/fixtures/llm',
+        mode: process.env.LLM_FIXTURE_MODE || 'replay',
+        recordWith: process.env.LLM_FIXTURE_RECORD_WITH || 'self-hosted',
+        timeoutMs: 5000,
+        maxRetries: 0,
+        retryDelayMs: 0
+      }
+    },
+
+    // Цена за 1 млн токенов в долларах: { input, output }. Модель ищется по началу имени
+    // (ответ gpt-4o-2024-08-06 - цена gpt-4o); нет в списке - цена провайдера
+    pricing: {
+      models: {
+        'gpt-4-turbo': { input: 10, output: 30 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 },
+        'gpt-4o': { input: 2.5, output: 10 },
+        'claude-sonnet-4': { input: 3, output: 15 },
+        'claude-3-5-haiku': { input: 0.8, output: 4 }
+      },
+      providers: {
+        'self-hosted': { input: 0, output: 0 },
+        fixture: { input: 0, output: 0 },
+        openai: { input: 10, output: 30 },
+        anthropic: { input: 3, output: 15 }
+      }
+    },
+
+    // Бюджеты в долларах (0 - без ограничения), сутки и месяц по UTC. Сверх бюджета платные
+    // провайдеры не вызываются: бесплатные (self-hosted) работают дальше, без них - локальные
+    // правила. При доле warnAt от бюджета - предупреждение в лог
+    budgets: {
+      dailyUsd: parseFloat(process.env.LLM_DAILY_BUDGET_USD || '0'),
+      monthlyUsd: parseFloat(process.env.LLM_MONTHLY_BUDGET_USD || '0'),
+      warnAt: 0.8
+    }
   }
 };
\ No newline at end of file
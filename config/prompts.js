@@ -0,0 +1,270 @@
+/**
+ * Промпты языковых моделей
+ *
+ * Каждый промпт версионируется, как опросники: результат ИИ сохраняется с ключом
+ * и версией промпта, поэтому после изменения текста нужно добавить новую версию,
+ * а не править старую. Без эксперимента используется последняя версия.
+ *
+ * Подстановки в system и template (services/prompt-registry.js):
+ * - {{name}} - значение переменной; переменная не передана - ошибка
+ * - {{#name}}...{{/name}} - блок выводится, только если значение непустое
+ *
+ * experiments - A/B-тесты: пользователи делятся между версиями промпта по весам
+ * (вариант закреплён за пользователем: хэш ключа эксперимента и userId).
+ * Результаты вариантов - GET /api/monitoring/prompts/<ключ>/comparison
+ *   {
+ *     key: 'validation-2026-11',
+ *     prompt: 'validation',
+ *     active: true,
+ *     variants: [
+ *       { name: 'control', version: 1, weight: 50 },
+ *       { name: 'short', version: 2, weight: 50 }
+ *     ]
+ *   }
+ */
+
+module.exports = {
+  definitions: [
+    {
+      key: 'validation',
+      version: 1,
+      description: 'Оценка ответа по критериям Херлберта',
+      // text - ответ; detectedContext, trainingDay, tendencies, example - необязательные
+      system: `Вы эксперт по валидации ответов для метода Experience Sampling Method (ESM) на основе исследований Рассела Херлберта.
+
+Ваша задача - оценить, насколько хорошо человек описал свой моментальный сознательный опыт.
+
+Ключевые принципы Херлберта:
+1. МОМЕНТ, а не период - ответ должен описывать конкретный миг
+2. СЕНСОРНЫЕ ДЕТАЛИ, а не абстракции - что видел/слышал/чувствовал
+3. ТЕЛО не лжет - физические ощущения надежнее мыслей
+4. ПУСТОТА тоже опыт - не надо придумывать
+5. Внутренняя речь при чтении есть только в 3% случаев (Hurlburt & Heavey, 2018)
+
+Красные флаги (плохо):
+- "обычно", "всегда", "часто" = обобщение
+- "интересно", "скучно" = абстракция  
+- "весь день", "утром" = не момент
+- "наверное", "думаю" = теоретизирование
+- "ничего особенного" = избегание
+
+Золотые признаки (хорошо):
+- Указан конкретный момент
+- Есть сенсорные детали
+- Описаны телесные ощущения
+- Прямая речь мыслей
+- Признана пустота, если она была
+
+ВАЖНО: Отвечайте ТОЛЬКО валидным JSON на русском языке. Не включайте никакого текста до или после JSON объекта.
+
+Отвечайте в точно такой JSON структуре:
+{
+  "score": 0-100,
+  "quality": "pristine|excellent|good|fair|poor|garbage",
+  "issues": ["список", "обнаруженных", "проблем"],
+  "suggestions": ["конкретные", "практические", "рекомендации"],
+  "phenomena": ["обнаруженные", "феномены", "Херлберта"],
+  "educationalValue": 0-1,
+  "confidence": 0-1
+}`,
+      template: `Оцените этот ответ ESM:
+
+Ответ: "{{text}}"
+
+{{#detectedContext}}Контекст: {{detectedContext}}
+{{/detectedContext}}{{#trainingDay}}День обучения: {{trainingDay}}
+{{/trainingDay}}{{#tendencies}}Примечание: У пользователя есть тенденция {{tendencies}}
+{{/tendencies}}
+Проведите детальный анализ, фокусируясь на критериях Херлберта.{{#example}}
+
+Пример отличного ответа для справки: "{{example}}"{{/example}}`
+    },
+    {
+      key: 'follow_up',
+      version: 1,
+      description: 'Уточняющий вопрос к ответу',
+      system: 'Вы эксперт по Descriptive Experience Sampling. Отвечайте только на русском языке.',
+      template: `На основе этого ответа ESM, сгенерируйте ОДИН уточняющий вопрос на русском языке, чтобы помочь человеку точнее наблюдать свой опыт:
+
+Ответ: "{{text}}"
+Контекст: {{detectedContext}}
+Количество предыдущих уточнений: {{followUpCount}}
+
+Вопрос должен:
+- Быть коротким (до 15 слов)
+- Фокусироваться на сенсорном опыте
+- Не быть обвиняющим
+- Помочь преодолеть иллюзии
+
+НЕ задавайте вопрос если:
+- Ответ уже содержит конкретные сенсорные детали
+- Пользователь уже описал физические ощущения подробно
+- Ответ содержит более 20 слов с хорошими деталями
+- Пользователь раздражен или говорит "я уже сказал"
+
+Отвечайте JSON: {"question": "..." } или {"question": null}`
+    },
+    {
+      key: 'semantic_similarity',
+      version: 1,
+      description: 'Раскрыта ли уже тема уточняющего вопроса',
+      system: 'Ты эксперт по анализу семантической схожести в контексте ESM исследований. Отвечай только JSON.',
+      template: `Анализируй, стоит ли задавать follow-up вопрос на основе предыдущих ответов пользователя.
+
+ПРЕДЫДУЩИЕ ОТВЕТЫ:
+{{previousResponses}}
+
+КАНДИДАТ НА ВОПРОС:
+"{{question}}"
+Категория: {{category}}
+
+ЗАДАЧА:
+Определи, была ли концепция, которую уточняет этот вопрос, уже раскрыта в предыдущих ответах.
+
+КРИТЕРИИ ДЛЯ ОТКЛОНЕНИЯ ВОПРОСА:
+- Пользователь уже упомянул конкретное расположение в теле
+- Уже описал качество ощущения (острое, тупое, пульсирующее и т.д.)
+- Уже объяснил модальность восприятия (слышал, видел, чувствовал)
+- Уже указал временные характеристики
+- Уже различил эмоцию от физического ощущения
+- Уже описал характеристики внимания/фокуса
+
+ОСОБЕННОСТИ:
+- Семантически похожие формулировки считай как уже раскрытые
+- "дискомфорт в глазах" = "неприятные ощущения в области глаз"
+- Учитывай контекст всего разговора, не только буквальные совпадения
+
+Отвечай только JSON:
+{
+  "shouldAsk": true/false,
+  "confidence": 0.0-1.0,
+  "reason": "краткое объяснение решения"
+}`
+    },
+    {
+      key: 'insights',
+      version: 1,
+      description: 'Персональные инсайты по паттернам пользователя',
+      // profile - JSON паттернов (services/pattern-analysis-service.js)
+      system: 'Ты эксперт по анализу поведения и персональной аналитике. Отвечай только в формате JSON.',
+      template: `Ты - эксперт по анализу поведения и психологии. Проанализируй паттерны пользователя и создай персональные инсайты.
+
+ДАННЫЕ ПОЛЬЗОВАТЕЛЯ:
+{{profile}}
+
+ЗАДАЧА:
+Создай 3-5 персональных инсайтов в формате JSON. Каждый инсайт должен:
+1. Быть основан на реальных данных
+2. Быть понятным и действенным
+3. Содержать конкретные рекомендации
+4. Иметь эмоциональный подтекст поддержки
+
+ФОРМАТ ОТВЕТА:
+{
+  "insights": [
+    {
+      "type": "temporal" | "activity" | "social" | "correlation" | "anomaly",
+      "title": "Краткий заголовок",
+      "description": "Подробное описание паттерна",
+      "recommendation": "Конкретная рекомендация",
+      "confidence": 0.0-1.0,
+      "emoji": "подходящая эмодзи"
+    }
+  ]
+}
+
+Пиши на русском языке, используй дружелюбный тон.`
+    },
+    {
+      key: 'predictions',
+      version: 1,
+      description: 'Прогноз состояния пользователя',
+      system: 'Ты эксперт по анализу поведения и персональной аналитике. Отвечай только в формате JSON.',
+      template: `Ты - эксперт по предиктивной аналитике поведения. На основе паттернов пользователя предскажи его вероятное состояние.
+
+ДАННЫЕ ПОЛЬЗОВАТЕЛЯ:
+{{profile}}
+
+ТЕКУЩИЙ КОНТЕКСТ:
+- Время: {{hour}}:00
+- День недели: {{weekday}}
+- Дополнительный контекст: {{context}}
+
+ЗАДАЧА:
+Создай предсказания в формате JSON:
+
+{
+  "predictions": [
+    {
+      "type": "mood" | "energy" | "stress" | "flow_likelihood",
+      "predicted_value": число от 1-7 или 0-9,
+      "confidence": 0.0-1.0,
+      "reasoning": "Объяснение на основе паттернов",
+      "recommendation": "Что можно сделать для улучшения",
+      "time_frame": "следующие 2 часа" | "сегодня" | "завтра"
+    }
+  ],
+  "alerts": [
+    {
+      "type": "warning" | "opportunity",
+      "message": "Предупреждение или возможность",
+      "action": "Рекомендуемое действие"
+    }
+  ]
+}
+
+Отвечай на русском языке.`
+    },
+    {
+      key: 'user_patterns',
+      version: 1,
+      description: 'Устойчивые паттерны ответов пользователя (User.commonPatterns)',
+      system: 'Вы эксперт по Descriptive Experience Sampling. Отвечайте только JSON.',
+      template: `Проанализируйте последние ответы ESM пользователя и оцените устойчивые паттерны его наблюдений:
+
+{{responses}}
+
+Оцените:
+- usesInnerSpeech - описывает ли пользователь внутреннюю речь (null - неясно)
+- tendencyToGeneralize - склонность к обобщениям вместо момента сигнала, 0-1
+- introspectiveAccuracy - точность самонаблюдения, 0-1
+- preferredResponseLength - типичная длина ответа в словах
+- readingVoiceIllusion - иллюзия внутреннего голоса при чтении (null - неясно)
+- emotionAsThought - описание эмоций как мыслей (null - неясно)
+- sensoryDetailRichness, momentCaptureAbility, emptinessRecognition - 0-1
+
+Отвечайте JSON:
+{
+  "usesInnerSpeech": true | false | null,
+  "tendencyToGeneralize": 0-1,
+  "introspectiveAccuracy": 0-1,
+  "preferredResponseLength": число,
+  "readingVoiceIllusion": true | false | null,
+  "emotionAsThought": true | false | null,
+  "sensoryDetailRichness": 0-1,
+  "momentCaptureAbility": 0-1,
+  "emptinessRecognition": 0-1
+}`
+    },
+    {
+      // Повторный запрос, когда ответ не прошёл проверку схемой (config/ai-schemas.js);
+      // system - от исходного запроса
+      key: 'schema_repair',
+      version: 1,
+      description: 'Исправление ответа не по схеме',
+      template: `{{prompt}}
+
+Ваш предыдущий ответ не прошёл проверку формата.
+
+ПРЕДЫДУЩИЙ ОТВЕТ:
+{{response}}
+
+ОШИБКИ:
+{{errors}}
+
+Исправьте ответ: верните только JSON в требуемой структуре, без текста до или после него.`
+    }
+  ],
+
+  experiments: []
+};
@@ -0,0 +1,348 @@
+/**
+ * Встроенные определения опросников
+ *
+ * Каждый опросник версионируется: ответы сохраняются с ключом и версией,
+ * поэтому после изменения пунктов нужно поднять version, а не править старую.
+ * Опросники из коллекции questionnaires (см. migrations/seedQuestionnaires.js)
+ * имеют приоритет над встроенными с тем же ключом.
+ *
+ * Типы пунктов:
+ * - scale: шкала с кнопками (scale.min..scale.max)
+ * - slider: числовая шкала с шагом (scale.step), можно ввести число текстом
+ * - text: свободный ответ, проходит валидацию Херлберта (validation)
+ * - choice: один вариант из options
+ * - multiselect: несколько вариантов из options
+ * - grid: несколько шкал (rows) с общим диапазоном scale, по perMessage строк
+ *   в сообщении; ответ каждой строки сохраняется и под id строки
+ * - photo: фото из Telegram (file_id и метаданные), задаётся только если
+ *   пользователь включил фото в /settings
+ * - location: геопозиция из Telegram, сохраняется только название совпавшего
+ *   места пользователя (см. /places); задаётся, если у пользователя есть места
+ *
+ * rules - ограничения на ответ: required, minLength, maxLength, minSelected, maxSelected
+ * showIf - условие показа пункта (ветвление), проверяется по уже данным ответам:
+ *   { item: 'stress', op: 'gte', value: 6 }
+ *   { all: [...] }, { any: [...] }, { not: {...} }
+ *   операторы: eq, neq, gt, gte, lt, lte, in, notIn, contains, answered, notAnswered
+ * block - имя блока; blocks[имя].showIf опросника действует на все пункты блока
+ */
+
+const esmBattery = require('./esm-battery');
+const contextCategories = require('./context-categories');
+
+const momentCapture = {
+  id: 'moment_capture',
+  text: '🎯 СТОП! Что происходило в твоём сознании ИМЕННО в момент сигнала?\n\n' +
+        'Опиши не общее состояние дня, а что было ПРЯМО В ТОТ МОМЕНТ.',
+  type: 'text',
+  validation: 'pristine',
+  priority: true
+};
+
+const scaleItems = {
+  challenge: {
+    id: 'challenge',
+    text: '📈 В ТОТ МОМЕНТ задача была:',
+    type: 'scale',
+    scale: { min: 0, max: 9, minLabel: 'Очень легкой', maxLabel: 'Очень сложной' }
+  },
+  skill: {
+    id: 'skill',
+    text: '🛠 В ТОТ МОМЕНТ твои навыки были:',
+    type: 'scale',
+    scale: { min: 0, max: 9, minLabel: 'Недостаточными', maxLabel: 'Более чем достаточными' }
+  },
+  concentration: {
+    id: 'concentration',
+    text: '🎯 Насколько ты был сконцентрирован В ТОТ МОМЕНТ?',
+    type: 'scale',
+    scale: { min: 0, max: 9, minLabel: 'Совсем не сконцентрирован', maxLabel: 'Полностью сконцентрирован' }
+  },
+  mood: {
+    id: 'mood',
+    text: '🌈 Какое было твоё состояние В МОМЕНТ сигнала?',
+    type: 'scale',
+    scale: { min: 1, max: 7, minLabel: 'Очень плохое', maxLabel: 'Отличное' }
+  },
+  energy: {
+    id: 'energy',
+    text: '⚡ Уровень энергии В ТОТ МОМЕНТ:',
+    type: 'scale',
+    scale: { min: 1, max: 7, minLabel: 'Истощён', maxLabel: 'Полон сил' }
+  },
+  stress: {
+    id: 'stress',
+    text: '😰 Уровень стресса В ТОТ МОМЕНТ:',
+    type: 'scale',
+    scale: { min: 1, max: 7, minLabel: 'Расслаблен', maxLabel: 'Очень напряжён' }
+  }
+};
+
+const currentActivity = {
+  id: 'currentActivity',
+  text: '📝 Что КОНКРЕТНО ты делал? (не "работал", а "печатал email Ивану о проекте X")',
+  type: 'text',
+  validation: 'specific'
+};
+
+const currentCompanion = {
+  id: 'currentCompanion',
+  text: '👥 С кем ты был В ТОТ МОМЕНТ? (или "один")',
+  type: 'text'
+};
+
+// Сетка по группе батареи ESF (config/esm-battery.js)
+function batteryGrid(id, text, group, perMessage) {
+  return {
+    id,
+    text,
+    type: 'grid',
+    scale: { ...esmBattery[group].scale },
+    rows: esmBattery[group].items.map(item => ({ ...item })),
+    perMessage
+  };
+}
+
+// Отдельная шкала из батареи ESF (ответ попадает и в responses.affect / .state)
+function batteryScale(group, id, text) {
+  const row = esmBattery[group].items.find(item => item.id === id);
+  return {
+    id,
+    text,
+    type: 'scale',
+    scale: { ...esmBattery[group].scale, minLabel: row.minLabel, maxLabel: row.maxLabel }
+  };
+}
+
+// Ответы, означающие что человек был один
+const aloneAnswers = ['один', 'одна', 'одни', 'никого', 'ни с кем', 'сам', 'сама'];
+
+const stressSource = {
+  id: 'stress_source',
+  text: '🔥 Что было источником напряжения В ТОТ МОМЕНТ?',
+  type: 'text',
+  showIf: { item: 'stress', op: 'gte', value: 6 }
+};
+
+const socialItems = [
+  {
+    id: 'social_interaction',
+    text: '💬 Ты взаимодействовал с ними В ТОТ МОМЕНТ?',
+    type: 'choice',
+    block: 'social',
+    options: [
+      { value: 'talking', label: '🗣 Разговаривали' },
+      { value: 'together', label: '🤝 Делали что-то вместе' },
+      { value: 'nearby', label: '👀 Просто были рядом' },
+      { value: 'online', label: '📱 Общались онлайн' }
+    ]
+  },
+  {
+    id: 'social_enjoyment',
+    text: '😊 Насколько приятно тебе было их общество В ТОТ МОМЕНТ?',
+    type: 'scale',
+    block: 'social',
+    scale: { min: 1, max: 7, minLabel: 'Совсем неприятно', maxLabel: 'Очень приятно' }
+  }
+];
+
+// Двухшаговый контекст: сначала категория кнопкой, затем необязательное уточнение текстом
+const contextItems = {
+  activityCategory: {
+    id: 'activity_category',
+    text: '🧭 Чем ты был занят В ТОТ МОМЕНТ?',
+    type: 'choice',
+    options: contextCategories.toOptions(contextCategories.activity)
+  },
+  activityDetail: {
+    ...currentActivity,
+    text: '📝 Что КОНКРЕТНО ты делал? (не "работал", а "печатал email Ивану о проекте X")\n\n' +
+          'Можно пропустить.'
+  },
+  companionCategory: {
+    id: 'companion_category',
+    text: '👥 С кем ты был В ТОТ МОМЕНТ?',
+    type: 'choice',
+    options: contextCategories.toOptions(contextCategories.companion)
+  },
+  companionDetail: {
+    ...currentCompanion,
+    text: '✏️ Кто именно был рядом? Можно пропустить.',
+    showIf: { item: 'companion_category', op: 'neq', value: 'alone' }
+  },
+  place: {
+    id: 'place',
+    text: '📍 Где ты был В ТОТ МОМЕНТ? Отправь геопозицию — она сопоставится с твоими местами, ' +
+          'сами координаты не сохраняются.',
+    type: 'location'
+  }
+};
+
+module.exports = {
+  // Опросник по умолчанию
+  defaultKey: 'hurlburt_esm',
+
+  // Шаг с фото, который добавляется в конец опроса, если в опроснике его нет
+  photoItem: {
+    id: 'environment_photo',
+    text: '📷 Сфотографируй то, что было перед глазами В МОМЕНТ сигнала.\n\n' +
+          'Это необязательно — можно пропустить.',
+    type: 'photo'
+  },
+
+  // Привязка исследований к опросникам: studyId -> key
+  studyAssignments: {},
+
+  definitions: [
+    {
+      key: 'hurlburt_esm',
+      version: 1,
+      title: 'ESM по Херлберту',
+      description: 'Момент сигнала, Flow-шкалы, состояние и контекст',
+      items: [
+        momentCapture,
+        scaleItems.challenge,
+        scaleItems.skill,
+        scaleItems.concentration,
+        scaleItems.mood,
+        scaleItems.energy,
+        scaleItems.stress,
+        currentActivity,
+        currentCompanion
+      ]
+    },
+    {
+      key: 'hurlburt_esm',
+      version: 2,
+      title: 'ESM по Херлберту',
+      description: 'Момент сигнала, Flow-шкалы, состояние и контекст с ветвлением',
+      // Социальный блок задаётся, только если человек был не один
+      blocks: {
+        social: {
+          showIf: {
+            all: [
+              { item: 'currentCompanion', op: 'answered' },
+              { item: 'currentCompanion', op: 'notIn', value: aloneAnswers }
+            ]
+          }
+        }
+      },
+      items: [
+        momentCapture,
+        scaleItems.challenge,
+        scaleItems.skill,
+        scaleItems.concentration,
+        scaleItems.mood,
+        scaleItems.energy,
+        scaleItems.stress,
+        stressSource,
+        currentActivity,
+        currentCompanion,
+        ...socialItems
+      ]
+    },
+    {
+      key: 'hurlburt_esm',
+      version: 3,
+      title: 'ESM по Херлберту',
+      description: 'Момент сигнала, Flow-шкалы, состояние и контекст по категориям',
+      blocks: {
+        social: {
+          showIf: {
+            all: [
+              { item: 'companion_category', op: 'answered' },
+              { item: 'companion_category', op: 'neq', value: 'alone' }
+            ]
+          }
+        }
+      },
+      items: [
+        momentCapture,
+        scaleItems.challenge,
+        scaleItems.skill,
+        scaleItems.concentration,
+        scaleItems.mood,
+        scaleItems.energy,
+        scaleItems.stress,
+        stressSource,
+        contextItems.activityCategory,
+        contextItems.activityDetail,
+        contextItems.companionCategory,
+        contextItems.companionDetail,
+        ...socialItems,
+        contextItems.place
+      ]
+    },
+    {
+      key: 'esm_classic',
+      version: 1,
+      title: 'Классическая ESM-форма (13 + 16 шкал)',
+      description: 'Контекст, аффект 1-7 и состояние 0-9 по Чиксентмихайи и Ларсону',
+      items: [
+        momentCapture,
+        currentActivity,
+        {
+          id: 'currentLocation',
+          text: '📍 Где ты был В ТОТ МОМЕНТ?',
+          type: 'text'
+        },
+        currentCompanion,
+        batteryGrid('affect', '🎭 Как ты себя чувствовал В ТОТ МОМЕНТ?', 'affect', 4),
+        batteryGrid('state', '🧭 Опиши своё состояние В ТОТ МОМЕНТ:', 'state', 4)
+      ]
+    },
+    {
+      key: 'des_free_text',
+      version: 1,
+      title: 'DES (только свободный текст)',
+      description: 'Описание момента и формы внутреннего опыта без шкал',
+      items: [
+        { ...momentCapture, rules: { required: true } },
+        {
+          id: 'experience_forms',
+          text: '🧩 Что из этого было в ТОТ МОМЕНТ? (можно выбрать несколько)',
+          type: 'multiselect',
+          options: [
+            { value: 'inner_speech', label: '🗣 Внутренняя речь' },
+            { value: 'inner_seeing', label: '👁 Внутреннее видение' },
+            { value: 'unsymbolized_thinking', label: '💭 Мысль без слов и образов' },
+            { value: 'feeling', label: '❤️ Чувство' },
+            { value: 'sensory_awareness', label: '✋ Сенсорное осознание' },
+            { value: 'nothing', label: '⭕ Ничего из этого' }
+          ],
+          rules: { minSelected: 1 }
+        },
+        currentActivity
+      ]
+    },
+    {
+      key: 'mini_form',
+      version: 1,
+      title: 'Мини-форма (≤ 2 мин)',
+      description: 'Только основные шкалы, без текстовых ответов',
+      items: [
+        scaleItems.mood,
+        scaleItems.energy,
+        scaleItems.stress,
+        scaleItems.challenge,
+        scaleItems.skill
+      ]
+    },
+    {
+      key: 'mini_form',
+      version: 2,
+      title: 'Мини-форма (≤ 2 мин)',
+      description: 'Контекст и основные шкалы, каждый ответ одним нажатием',
+      items: [
+        contextItems.activityCategory,
+        contextItems.companionCategory,
+        scaleItems.challenge,
+        scaleItems.skill,
+        scaleItems.concentration,
+        scaleItems.mood,
+        batteryScale('affect', 'happy', '😊 В ТОТ МОМЕНТ ты был:'),
+        batteryScale('affect', 'relaxed', '🧘 В ТОТ МОМЕНТ ты был:')
+      ]
+    }
+  ]
+};
@@ -0,0 +1,102 @@
+/**
+ * Города для определения часового пояса
+ *
+ * По геопозиции выбирается ближайший город (если он не дальше
+ * config.timezoneDetection.maxCityDistanceKm), по названию - нечёткий поиск
+ * по name и aliases. Города, которых здесь нет, находятся по названиям зон
+ * IANA (Asia/Yekaterinburg -> «yekaterinburg»).
+ */
+
+const cities = [
+  // Россия
+  { name: 'Калининград', aliases: ['kaliningrad'], timezone: 'Europe/Kaliningrad', latitude: 54.71, longitude: 20.51 },
+  { name: 'Москва', aliases: ['moscow', 'мск'], timezone: 'Europe/Moscow', latitude: 55.76, longitude: 37.62 },
+  { name: 'Санкт-Петербург', aliases: ['петербург', 'питер', 'спб', 'saint petersburg', 'st petersburg'], timezone: 'Europe/Moscow', latitude: 59.94, longitude: 30.31 },
+  { name: 'Нижний Новгород', aliases: ['nizhny novgorod'], timezone: 'Europe/Moscow', latitude: 56.33, longitude: 44.0 },
+  { name: 'Казань', aliases: ['kazan'], timezone: 'Europe/Moscow', latitude: 55.79, longitude: 49.12 },
+  { name: 'Ростов-на-Дону', aliases: ['ростов', 'rostov'], timezone: 'Europe/Moscow', latitude: 47.24, longitude: 39.71 },
+  { name: 'Краснодар', aliases: ['krasnodar'], timezone: 'Europe/Moscow', latitude: 45.04, longitude: 38.98 },
+  { name: 'Сочи', aliases: ['sochi'], timezone: 'Europe/Moscow', latitude: 43.6, longitude: 39.73 },
+  { name: 'Волгоград', aliases: ['volgograd'], timezone: 'Europe/Volgograd', latitude: 48.71, longitude: 44.51 },
+  { name: 'Самара', aliases: ['samara'], timezone: 'Europe/Samara', latitude: 53.2, longitude: 50.15 },
+  { name: 'Екатеринбург', aliases: ['екб', 'yekaterinburg', 'ekaterinburg'], timezone: 'Asia/Yekaterinburg', latitude: 56.84, longitude: 60.61 },
+  { name: 'Пермь', aliases: ['perm'], timezone: 'Asia/Yekaterinburg', latitude: 58.01, longitude: 56.25 },
+  { name: 'Уфа', aliases: ['ufa'], timezone: 'Asia/Yekaterinburg', latitude: 54.73, longitude: 55.96 },
+  { name: 'Челябинск', aliases: ['chelyabinsk'], timezone: 'Asia/Yekaterinburg', latitude: 55.16, longitude: 61.4 },
+  { name: 'Тюмень', aliases: ['tyumen'], timezone: 'Asia/Yekaterinburg', latitude: 57.15, longitude: 65.53 },
+  { name: 'Омск', aliases: ['omsk'], timezone: 'Asia/Omsk', latitude: 54.99, longitude: 73.37 },
+  { name: 'Новосибирск', aliases: ['novosibirsk'], timezone: 'Asia/Novosibirsk', latitude: 55.03, longitude: 82.92 },
+  { name: 'Томск', aliases: ['tomsk'], timezone: 'Asia/Tomsk', latitude: 56.48, longitude: 84.95 },
+  { name: 'Барнаул', aliases: ['barnaul'], timezone: 'Asia/Barnaul', latitude: 53.35, longitude: 83.78 },
+  { name: 'Красноярск', aliases: ['krasnoyarsk'], timezone: 'Asia/Krasnoyarsk', latitude: 56.01, longitude: 92.87 },
+  { name: 'Иркутск', aliases: ['irkutsk'], timezone: 'Asia/Irkutsk', latitude: 52.29, longitude: 104.28 },
+  { name: 'Якутск', aliases: ['yakutsk'], timezone: 'Asia/Yakutsk', latitude: 62.03, longitude: 129.73 },
+  { name: 'Хабаровск', aliases: ['khabarovsk'], timezone: 'Asia/Vladivostok', latitude: 48.48, longitude: 135.08 },
+  { name: 'Владивосток', aliases: ['vladivostok'], timezone: 'Asia/Vladivostok', latitude: 43.12, longitude: 131.89 },
+  { name: 'Магадан', aliases: ['magadan'], timezone: 'Asia/Magadan', latitude: 59.56, longitude: 150.8 },
+  { name: 'Петропавловск-Камчатский', aliases: ['камчатка', 'petropavlovsk-kamchatsky'], timezone: 'Asia/Kamchatka', latitude: 53.02, longitude: 158.65 },
+
+  // Ближнее зарубежье
+  { name: 'Минск', aliases: ['minsk'], timezone: 'Europe/Minsk', latitude: 53.9, longitude: 27.56 },
+  { name: 'Киев', aliases: ['київ', 'kyiv', 'kiev'], timezone: 'Europe/Kyiv', latitude: 50.45, longitude: 30.52 },
+  { name: 'Кишинёв', aliases: ['chisinau'], timezone: 'Europe/Chisinau', latitude: 47.01, longitude: 28.86 },
+  { name: 'Рига', aliases: ['riga'], timezone: 'Europe/Riga', latitude: 56.95, longitude: 24.11 },
+  { name: 'Вильнюс', aliases: ['vilnius'], timezone: 'Europe/Vilnius', latitude: 54.69, longitude: 25.28 },
+  { name: 'Таллин', aliases: ['tallinn'], timezone: 'Europe/Tallinn', latitude: 59.44, longitude: 24.75 },
+  { name: 'Тбилиси', aliases: ['tbilisi'], timezone: 'Asia/Tbilisi', latitude: 41.72, longitude: 44.79 },
+  { name: 'Ереван', aliases: ['yerevan'], timezone: 'Asia/Yerevan', latitude: 40.18, longitude: 44.51 },
+  { name: 'Баку', aliases: ['baku'], timezone: 'Asia/Baku', latitude: 40.41, longitude: 49.87 },
+  { name: 'Алматы', aliases: ['алма-ата', 'almaty'], timezone: 'Asia/Almaty', latitude: 43.24, longitude: 76.89 },
+  { name: 'Астана', aliases: ['astana'], timezone: 'Asia/Almaty', latitude: 51.17, longitude: 71.43 },
+  { name: 'Ташкент', aliases: ['tashkent'], timezone: 'Asia/Tashkent', latitude: 41.3, longitude: 69.24 },
+  { name: 'Бишкек', aliases: ['bishkek'], timezone: 'Asia/Bishkek', latitude: 42.87, longitude: 74.59 },
+
+  // Европа
+  { name: 'Лондон', aliases: ['london'], timezone: 'Europe/London', latitude: 51.51, longitude: -0.13 },
+  { name: 'Дублин', aliases: ['dublin'], timezone: 'Europe/Dublin', latitude: 53.35, longitude: -6.26 },
+  { name: 'Лиссабон', aliases: ['lisbon', 'lisboa'], timezone: 'Europe/Lisbon', latitude: 38.72, longitude: -9.14 },
+  { name: 'Мадрид', aliases: ['madrid'], timezone: 'Europe/Madrid', latitude: 40.42, longitude: -3.7 },
+  { name: 'Барселона', aliases: ['barcelona'], timezone: 'Europe/Madrid', latitude: 41.39, longitude: 2.17 },
+  { name: 'Париж', aliases: ['paris'], timezone: 'Europe/Paris', latitude: 48.86, longitude: 2.35 },
+  { name: 'Амстердам', aliases: ['amsterdam'], timezone: 'Europe/Amsterdam', latitude: 52.37, longitude: 4.9 },
+  { name: 'Берлин', aliases: ['berlin'], timezone: 'Europe/Berlin', latitude: 52.52, longitude: 13.4 },
+  { name: 'Мюнхен', aliases: ['munich', 'münchen'], timezone: 'Europe/Berlin', latitude: 48.14, longitude: 11.58 },
+  { name: 'Прага', aliases: ['prague', 'praha'], timezone: 'Europe/Prague', latitude: 50.08, longitude: 14.44 },
+  { name: 'Вена', aliases: ['vienna', 'wien'], timezone: 'Europe/Vienna', latitude: 48.21, longitude: 16.37 },
+  { name: 'Варшава', aliases: ['warsaw', 'warszawa'], timezone: 'Europe/Warsaw', latitude: 52.23, longitude: 21.01 },
+  { name: 'Рим', aliases: ['rome', 'roma'], timezone: 'Europe/Rome', latitude: 41.9, longitude: 12.5 },
+  { name: 'Белград', aliases: ['belgrade', 'beograd'], timezone: 'Europe/Belgrade', latitude: 44.79, longitude: 20.45 },
+  { name: 'Стокгольм', aliases: ['stockholm'], timezone: 'Europe/Stockholm', latitude: 59.33, longitude: 18.07 },
+  { name: 'Хельсинки', aliases: ['helsinki'], timezone: 'Europe/Helsinki', latitude: 60.17, longitude: 24.94 },
+  { name: 'Афины', aliases: ['athens'], timezone: 'Europe/Athens', latitude: 37.98, longitude: 23.73 },
+  { name: 'Стамбул', aliases: ['istanbul'], timezone: 'Europe/Istanbul', latitude: 41.01, longitude: 28.98 },
+
+  // Азия и Океания
+  { name: 'Тель-Авив', aliases: ['tel aviv'], timezone: 'Asia/Jerusalem', latitude: 32.09, longitude: 34.78 },
+  { name: 'Дубай', aliases: ['dubai'], timezone: 'Asia/Dubai', latitude: 25.2, longitude: 55.27 },
+  { name: 'Дели', aliases: ['delhi', 'new delhi'], timezone: 'Asia/Kolkata', latitude: 28.61, longitude: 77.21 },
+  { name: 'Катманду', aliases: ['kathmandu'], timezone: 'Asia/Kathmandu', latitude: 27.72, longitude: 85.32 },
+  { name: 'Бангкок', aliases: ['bangkok'], timezone: 'Asia/Bangkok', latitude: 13.76, longitude: 100.5 },
+  { name: 'Пхукет', aliases: ['phuket'], timezone: 'Asia/Bangkok', latitude: 7.88, longitude: 98.39 },
+  { name: 'Бали', aliases: ['bali', 'денпасар', 'denpasar'], timezone: 'Asia/Makassar', latitude: -8.65, longitude: 115.22 },
+  { name: 'Сингапур', aliases: ['singapore'], timezone: 'Asia/Singapore', latitude: 1.35, longitude: 103.82 },
+  { name: 'Пекин', aliases: ['beijing'], timezone: 'Asia/Shanghai', latitude: 39.9, longitude: 116.4 },
+  { name: 'Шанхай', aliases: ['shanghai'], timezone: 'Asia/Shanghai', latitude: 31.23, longitude: 121.47 },
+  { name: 'Сеул', aliases: ['seoul'], timezone: 'Asia/Seoul', latitude: 37.57, longitude: 126.98 },
+  { name: 'Токио', aliases: ['tokyo'], timezone: 'Asia/Tokyo', latitude: 35.68, longitude: 139.69 },
+  { name: 'Сидней', aliases: ['sydney'], timezone: 'Australia/Sydney', latitude: -33.87, longitude: 151.21 },
+
+  // Америка и Африка
+  { name: 'Нью-Йорк', aliases: ['new york', 'nyc'], timezone: 'America/New_York', latitude: 40.71, longitude: -74.01 },
+  { name: 'Торонто', aliases: ['toronto'], timezone: 'America/Toronto', latitude: 43.65, longitude: -79.38 },
+  { name: 'Чикаго', aliases: ['chicago'], timezone: 'America/Chicago', latitude: 41.88, longitude: -87.63 },
+  { name: 'Денвер', aliases: ['denver'], timezone: 'America/Denver', latitude: 39.74, longitude: -104.99 },
+  { name: 'Лос-Анджелес', aliases: ['los angeles', 'la'], timezone: 'America/Los_Angeles', latitude: 34.05, longitude: -118.24 },
+  { name: 'Сан-Франциско', aliases: ['san francisco', 'sf'], timezone: 'America/Los_Angeles', latitude: 37.77, longitude: -122.42 },
+  { name: 'Мехико', aliases: ['mexico city'], timezone: 'America/Mexico_City', latitude: 19.43, longitude: -99.13 },
+  { name: 'Буэнос-Айрес', aliases: ['buenos aires'], timezone: 'America/Argentina/Buenos_Aires', latitude: -34.6, longitude: -58.38 },
+  { name: 'Сан-Паулу', aliases: ['sao paulo', 'são paulo'], timezone: 'America/Sao_Paulo', latitude: -23.55, longitude: -46.63 },
+  { name: 'Каир', aliases: ['cairo'], timezone: 'Africa/Cairo', latitude: 30.04, longitude: 31.24 }
+];
+
+module.exports = { cities };
@@ -4,6 +4,9 @@ const fs = require('fs');
 const path = require('path');
 const { connectDB } = require('./services/database');
 const NotificationScheduler = require('./services/notificationScheduler');
+const PushoverCallbackServer = require('./services/pushover-callback-server');
+const aiUsage = require('./services/ai-usage-service');
+const config = require('./config/hurlburt');
 
 const token = process.env.BOT_TOKEN;
 
@@ -29,7 +32,8 @@ for (const file of commandFiles) {
       command.execute(bot, msg, match);
     });
   } else {
-    bot.onText(new RegExp(`\/${command.command}(?:\s+(.+))?`), (msg, match) => {
+    // Только команда целиком в начале сообщения, в группах - с @имя_бота
+    bot.onText(new RegExp(`^\\/${command.command}(?:@\\w+)?(?:\\s+(.+))?$`), (msg, match) => {
       console.log(`[CMD] Выполнение команды ${command.command} для пользователя ${msg.from.id} (${msg.from.first_name})`);
       const args = match[1] ? match[1].split(' ') : [];
       command.execute(bot, msg, args);
@@ -43,6 +47,7 @@ bot.on('message', async (msg) => {
     const surveyCommand = commands.get('survey');
     const settingsCommand = commands.get('settings');
     const pushoverCommand = commands.get('pushover');
+    const placesCommand = commands.get('places');
     
     if (surveyCommand && surveyCommand.surveyStates && surveyCommand.surveyStates.has(telegramId)) {
       const state = surveyCommand.surveyStates.get(telegramId);
@@ -55,6 +60,23 @@ bot.on('message', async (msg) => {
       if (handled) return;
     }
     
+    if (placesCommand && placesCommand.placesStates.has(telegramId)) {
+      const handled = await placesCommand.handleTextMessage(bot, msg);
+      if (handled) return;
+    }
+    
+    const quietCommand = commands.get('quiet');
+    if (quietCommand && quietCommand.quietStates.has(telegramId)) {
+      const handled = await quietCommand.handleTextMessage(bot, msg);
+      if (handled) return;
+    }
+    
+    const pauseCommand = commands.get('pause');
+    if (pauseCommand && pauseCommand.pauseStates.has(telegramId)) {
+      const handled = await pauseCommand.handleTextMessage(bot, msg);
+      if (handled) return;
+    }
+    
     if (pushoverCommand && pushoverCommand.handleTextMessage) {
       const handled = await pushoverCommand.handleTextMessage(bot, msg);
       if (handled) return;
@@ -101,6 +123,11 @@ bot.on('message', async (msg) => {
       if (surveyCommand) {
         surveyCommand.execute(bot, msg);
       }
+    } else if (msg.text === '📌 Событие') {
+      const surveyCommand = commands.get('survey');
+      if (surveyCommand) {
+        surveyCommand.execute(bot, msg, ['event']);
+      }
     } else if (!msg.text.startsWith('/') && 
                msg.text !== '📚 Помощь' && 
                msg.text !== '📊 Памятка' && 
@@ -110,9 +137,42 @@ bot.on('message', async (msg) => {
                msg.text !== '📊 Рейтинги' &&
                msg.text !== '🧠 Инсайты' &&
                msg.text !== '📰 Новости' &&
-               msg.text !== '🔔 Опрос') {
+               msg.text !== '🔔 Опрос' &&
+               msg.text !== '📌 Событие') {
       bot.sendMessage(msg.chat.id, `Вы написали: "${msg.text}"\n\nИспользуйте /help или кнопки клавиатуры для просмотра доступных команд.`);
     }
+  } else if (msg.voice) {
+    const surveyCommand = commands.get('survey');
+    
+    if (surveyCommand && surveyCommand.surveyStates && surveyCommand.surveyStates.has(msg.from.id)) {
+      const state = surveyCommand.surveyStates.get(msg.from.id);
+      await surveyCommand.handleVoiceResponse(bot, msg, state);
+    } else {
+      bot.sendMessage(msg.chat.id, '🎙 Голосовые сообщения принимаются во время опроса в ответ на открытые вопросы.');
+    }
+  } else if (msg.location) {
+    const surveyCommand = commands.get('survey');
+    const settingsCommand = commands.get('settings');
+    const placesCommand = commands.get('places');
+    
+    if (surveyCommand && surveyCommand.surveyStates && surveyCommand.surveyStates.has(msg.from.id)) {
+      const state = surveyCommand.surveyStates.get(msg.from.id);
+      await surveyCommand.handleLocationResponse(bot, msg, state);
+    } else if (
+      !(settingsCommand && await settingsCommand.handleLocation(bot, msg)) &&
+      !(placesCommand && await placesCommand.handleLocation(bot, msg))
+    ) {
+      bot.sendMessage(msg.chat.id, '📍 Геопозиция принимается во время опроса, при добавлении места в /places или при выборе часового пояса в /settings.');
+    }
+  } else if (msg.document && commands.get('quiet')?.isIcsDocument(msg.document)) {
+    await commands.get('quiet').handleDocument(bot, msg);
+  } else if (msg.photo || (msg.document && msg.document.mime_type?.startsWith('image/'))) {
+    const surveyCommand = commands.get('survey');
+    
+    if (surveyCommand && surveyCommand.surveyStates && surveyCommand.surveyStates.has(msg.from.id)) {
+      const state = surveyCommand.surveyStates.get(msg.from.id);
+      await surveyCommand.handlePhotoResponse(bot, msg, state);
+    }
   }
 });
 
@@ -127,14 +187,34 @@ bot.on('callback_query', async (query) => {
     if (settingsCommand && settingsCommand.handleCallback) {
       await settingsCommand.handleCallback(bot, query);
     }
-  } else if (query.data.startsWith('start_survey_')) {
-    const responseId = query.data.replace('start_survey_', '');
-    await notificationScheduler.handleSurveyStart(responseId, query.from.id);
+  } else if (query.data.startsWith('start_survey_') || query.data.startsWith('quick_survey_')) {
+    // quick_survey_ - мини-форма: только основные шкалы без уточнений
+    const mode = query.data.startsWith('quick_survey_') ? 'mini' : 'full';
+    const responseId = query.data.replace(/^(start|quick)_survey_/, '');
+    const startResult = await notificationScheduler.handleSurveyStart(responseId, query.from.id);
+
+    // Повторное нажатие «Начать» на уже начатый или отвеченный сигнал
+    if (startResult.refused) {
+      await bot.answerCallbackQuery(query.id, {
+        text: startResult.refused === 'not_owner' ? 'Этот сигнал отправлен не вам' : '✅ На этот сигнал уже отвечено'
+      });
+      return;
+    }
+
+    if (startResult.expired) {
+      await bot.answerCallbackQuery(query.id, { text: '⌛ Сигнал истёк' });
+      await bot.sendMessage(query.message.chat.id,
+        `⌛ Этот сигнал уже истёк.\n\n` +
+        `ESM фиксирует именно момент сигнала, поэтому ответ засчитывается только в течение ` +
+        `${startResult.expiryMinutes} минут после уведомления. Дождись следующего 🔔`
+      );
+      return;
+    }
     
     const surveyCommand = commands.get('survey');
     if (surveyCommand) {
       await bot.answerCallbackQuery(query.id, { text: 'Начинаем опрос...' });
-      surveyCommand.execute(bot, query.message);
+      surveyCommand.startSurvey(bot, query.message.chat.id, query.from.id, responseId, { mode });
     }
   } else if (query.data.startsWith('skip_survey_')) {
     const responseId = query.data.replace('skip_survey_', '');
@@ -158,6 +238,31 @@ bot.on('callback_query', async (query) => {
     if (exportCommand && exportCommand.handleCallback) {
       await exportCommand.handleCallback(bot, query);
     }
+  } else if (query.data.startsWith('places_')) {
+    const placesCommand = commands.get('places');
+    if (placesCommand && placesCommand.handleCallback) {
+      await placesCommand.handleCallback(bot, query);
+    }
+  } else if (query.data.startsWith('quiet_')) {
+    const quietCommand = commands.get('quiet');
+    if (quietCommand && quietCommand.handleCallback) {
+      await quietCommand.handleCallback(bot, query);
+    }
+  } else if (query.data.startsWith('compliance_')) {
+    const statsCommand = commands.get('stats');
+    if (statsCommand && statsCommand.handleCallback) {
+      await statsCommand.handleCallback(bot, query);
+    }
+  } else if (query.data.startsWith('pause_')) {
+    const pauseCommand = commands.get('pause');
+    if (pauseCommand && pauseCommand.handleCallback) {
+      await pauseCommand.handleCallback(bot, query);
+    }
+  } else if (query.data.startsWith('channels_')) {
+    const channelsCommand = commands.get('channels');
+    if (channelsCommand && channelsCommand.handleCallback) {
+      await channelsCommand.handleCallback(bot, query);
+    }
   } else if (query.data.startsWith('pushover_')) {
     const pushoverCommand = commands.get('pushover');
     if (pushoverCommand && pushoverCommand.handleCallback) {
@@ -220,6 +325,9 @@ bot.on('polling_error', (error) => {
 
 const startBot = async () => {
   await connectDB();
+
+  // Траты на ИИ за текущие сутки и месяц - для бюджетов
+  await aiUsage.restore();
   
   // Initialize notification scheduler
   notificationScheduler = new NotificationScheduler(bot);
@@ -227,7 +335,26 @@ const startBot = async () => {
   
   // Make scheduler globally accessible for survey completion
   global.notificationScheduler = notificationScheduler;
-  
+
+  // Подтверждения экстренных уведомлений Pushover (без callback URL их находит опрос квитанций)
+  if (config.pushover.callback.baseUrl && config.pushover.callback.secret) {
+    const callbackServer = new PushoverCallbackServer(
+      (receipt, acknowledgment) => notificationScheduler.handlePushoverAcknowledged(receipt, acknowledgment)
+    );
+    await callbackServer.start();
+  }
+
+  // Resume surveys and settings input interrupted by a restart
+  for (const command of commands.values()) {
+    if (command.restoreSessions) {
+      try {
+        await command.restoreSessions(bot);
+      } catch (error) {
+        console.error(`Failed to restore sessions for ${command.command}:`, error);
+      }
+    }
+  }
+
   console.log('MSE Bot is running...');
   console.log(`Loaded ${commands.size} commands`);
 };
@@ -0,0 +1,83 @@
+/**
+ * Миграция: загрузка встроенных опросников в коллекцию questionnaires
+ * После неё новые версии можно публиковать прямо в БД, не меняя код.
+ * Существующие версии не перезаписываются - ответы ссылаются на них.
+ */
+
+const mongoose = require('mongoose');
+const Questionnaire = require('../models/Questionnaire');
+const questionnaireConfig = require('../config/questionnaires');
+
+async function seedQuestionnaires() {
+  try {
+    console.log('🔄 Начинаем миграцию: загрузка встроенных опросников...');
+
+    // Подключаемся к базе данных если не подключены
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mse-telegram-bot');
+    }
+
+    let inserted = 0;
+
+    for (const definition of questionnaireConfig.definitions) {
+      const result = await Questionnaire.updateOne(
+        { key: definition.key, version: definition.version },
+        { $setOnInsert: definition },
+        { upsert: true }
+      );
+
+      if (result.upsertedCount > 0) {
+        inserted++;
+        console.log(`  + ${definition.key} v${definition.version}`);
+      }
+    }
+
+    console.log(`✅ Добавлено опросников: ${inserted}, уже существовало: ${questionnaireConfig.definitions.length - inserted}`);
+    console.log('🎉 Миграция успешно завершена!');
+
+  } catch (error) {
+    console.error('❌ Ошибка при выполнении миграции:', error);
+    throw error;
+  }
+}
+
+async function rollbackQuestionnaires() {
+  try {
+    console.log('🔄 Откат миграции: удаление встроенных опросников...');
+
+    if (mongoose.connection.readyState === 0) {
+      await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/mse-telegram-bot');
+    }
+
+    const result = await Questionnaire.deleteMany({
+      $or: questionnaireConfig.definitions.map(d => ({ key: d.key, version: d.version }))
+    });
+
+    console.log(`✅ Удалено опросников: ${result.deletedCount}`);
+    console.log('🎉 Откат миграции успешно завершен!');
+
+  } catch (error) {
+    console.error('❌ Ошибка при откате миграции:', error);
+    throw error;
+  }
+}
+
+// Если файл запускается напрямую
+if (require.main === module) {
+  const command = process.argv[2];
+
+  if (command === 'rollback') {
+    rollbackQuestionnaires()
+      .then(() => process.exit(0))
+      .catch(() => process.exit(1));
+  } else {
+    seedQuestionnaires()
+      .then(() => process.exit(0))
+      .catch(() => process.exit(1));
+  }
+}
+
+module.exports = {
+  seedQuestionnaires,
+  rollbackQuestionnaires
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+/**
+ * Один вызов языковой модели: токены, модель и оценка стоимости.
+ * Пишется на каждый ответ провайдера, в том числе непригодный (токены всё равно оплачены).
+ * По этим записям после перезапуска восстанавливаются траты за сутки и месяц (бюджеты config.llm.budgets)
+ */
+const aiUsageSchema = new mongoose.Schema({
+  // Функция бота: validation, follow_up, semantic_similarity, insights, training_coach...
+  feature: {
+    type: String,
+    required: true
+  },
+  task: String,
+  // Кому считали; null - служебные вызовы без пользователя
+  userId: {
+    type: String,
+    default: null
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  model: String,
+
+  inputTokens: {
+    type: Number,
+    default: 0
+  },
+  outputTokens: {
+    type: Number,
+    default: 0
+  },
+  // Провайдер не вернул usage - токены оценены по длине текста
+  estimated: {
+    type: Boolean,
+    default: false
+  },
+  costUsd: {
+    type: Number,
+    default: 0
+  },
+  success: {
+    type: Boolean,
+    default: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+aiUsageSchema.index({ createdAt: -1 });
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+aiUsageSchema.index({ feature: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
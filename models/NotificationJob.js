@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+/**
+ * Запланированная отправка: сигнал по расписанию, напоминание эскалации
+ * или fallback - следующий канал доставки, если на сигнал не ответили.
+ *
+ * planned → sent → answered | expired; planned → cancelled (перепланирование,
+ * пауза, пропуск) или expired (бот был выключен дольше льготного периода).
+ * Отправку захватывает один экземпляр бота: lockedBy/lockedUntil ставятся
+ * атомарно, истёкшая блокировка (упавший экземпляр) снова доступна для захвата.
+ * После неудачной отправки lockedUntil без lockedBy - время, раньше которого повтора не будет.
+ */
+const notificationJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['beep', 'escalation', 'fallback'],
+    default: 'beep'
+  },
+  scheduledFor: {
+    type: Date,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['planned', 'sent', 'answered', 'expired', 'cancelled'],
+    default: 'planned'
+  },
+
+  // Захват отправки
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+
+  // Для fallback: номер шага цепочки каналов (settings.channels.priority)
+  step: {
+    type: Number,
+    default: null
+  },
+
+  // Результат (у fallback - сигнал, о котором напоминаем, с момента планирования)
+  responseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Response',
+    default: null
+  },
+  sentAt: Date,
+  answeredAt: Date,
+  closedReason: String,
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Поиск готовых к отправке
+notificationJobSchema.index({ state: 1, scheduledFor: 1 });
+notificationJobSchema.index({ userId: 1, type: 1, state: 1 });
+notificationJobSchema.index({ responseId: 1 });
+// Один запланированный сигнал на момент: повторное планирование не создаёт дублей
+notificationJobSchema.index(
+  { userId: 1, type: 1, scheduledFor: 1 },
+  { unique: true, partialFilterExpression: { state: 'planned' } }
+);
+
+module.exports = mongoose.model('NotificationJob', notificationJobSchema);
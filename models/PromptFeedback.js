@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+/**
+ * Оценка пользователем результата ИИ (👍 / 👎 под инсайтами) с версией промпта,
+ * который его породил: по ней сравниваются варианты A/B-тестов промптов
+ */
+const promptFeedbackSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  prompt: {
+    key: { type: String, required: true },
+    version: { type: Number, required: true },
+    experiment: { type: String, default: null },
+    variant: { type: String, default: null }
+  },
+  // 1 - полезно, -1 - нет
+  rating: {
+    type: Number,
+    enum: [1, -1],
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+promptFeedbackSchema.index({ 'prompt.key': 1, 'prompt.version': 1 });
+promptFeedbackSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PromptFeedback', promptFeedbackSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Пункт опросника (см. описание типов в config/questionnaires.js)
+const itemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['scale', 'text', 'choice', 'multiselect', 'slider', 'grid', 'photo', 'location'],
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  scale: {
+    min: Number,
+    max: Number,
+    step: Number,
+    minLabel: String,
+    maxLabel: String
+  },
+  options: [{
+    value: String,
+    label: String
+  }],
+  // Строки сетки: несколько шкал с общим диапазоном scale
+  rows: [{
+    id: String,
+    label: String,
+    minLabel: String,
+    maxLabel: String
+  }],
+  // Сколько строк сетки показывать в одном сообщении
+  perMessage: Number,
+  // Тип валидации MomentValidator для текстовых ответов (pristine, specific, ...)
+  validation: String,
+  rules: {
+    required: Boolean,
+    minLength: Number,
+    maxLength: Number,
+    minSelected: Number,
+    maxSelected: Number
+  },
+  // Условие показа пункта (см. QuestionnaireService.evaluateCondition)
+  showIf: mongoose.Schema.Types.Mixed,
+  // Блок, условие которого применяется ко всем его пунктам
+  block: String,
+  priority: Boolean
+}, { _id: false });
+
+const questionnaireSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  title: String,
+  description: String,
+  items: [itemSchema],
+  // Условия блоков: { social: { showIf: {...} } }
+  blocks: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+questionnaireSchema.index({ key: 1, version: -1 }, { unique: true });
+
+// Последняя активная версия опросника
+questionnaireSchema.statics.findLatest = function(key) {
+  return this.findOne({ key, isActive: true }).sort({ version: -1 });
+};
+
+module.exports = mongoose.model('Questionnaire', questionnaireSchema);
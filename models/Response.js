@@ -1,4 +1,15 @@
 const mongoose = require('mongoose');
+const esmBattery = require('../config/esm-battery');
+const config = require('../config/hurlburt');
+
+// Числовые поля для каждого пункта батареи ESF (см. config/esm-battery.js)
+function batteryFields(group) {
+  return Object.fromEntries(group.items.map(item => [item.id, {
+    type: Number,
+    min: group.scale.min,
+    max: group.scale.max
+  }]));
+}
 
 const responseSchema = new mongoose.Schema({
   userId: {
@@ -18,6 +29,143 @@ const responseSchema = new mongoose.Schema({
   notificationSentAt: Date,
   responseStartedAt: Date,
   responseCompletedAt: Date,
+  // Задержка начала ответа после сигнала: responseStartedAt - notificationSentAt
+  latencySeconds: Number,
+  // Сигнал истёк (см. config.beepExpiry)
+  expired: {
+    type: Boolean,
+    default: false
+  },
+  expiredAt: Date,
+  // no_response - на сигнал не ответили вовремя, started_after_expiry - нажали «Начать» слишком поздно
+  expiryReason: {
+    type: String,
+    enum: ['no_response', 'started_after_expiry', null],
+    default: null
+  },
+  // Экстренное уведомление Pushover (priority 2): квитанция и подтверждение на часах.
+  // acknowledgedVia: poll - узнали опросом квитанции, callback - Pushover сообщил сам
+  pushover: {
+    receipt: {
+      type: String,
+      default: null
+    },
+    priority: Number,
+    sentAt: Date,
+    expiresAt: Date,
+    acknowledgedAt: {
+      type: Date,
+      default: null
+    },
+    acknowledgedByDevice: String,
+    acknowledgedVia: {
+      type: String,
+      enum: ['poll', 'callback', null],
+      default: null
+    },
+    lastCheckedAt: Date,
+    // Повторы закончились без подтверждения или отменены после ответа
+    closed: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Что вызвало запись: signal - случайный сигнал, interval - сигнал в фиксированное время,
+  // event - кнопка «📌 Событие», self - опрос по инициативе участника (/survey)
+  trigger: {
+    type: String,
+    enum: ['signal', 'interval', 'event', 'self', null],
+    default: null
+  },
+  // Опросник, по которому собраны ответы
+  questionnaire: {
+    key: String,
+    version: Number
+  },
+  // full - полный опрос, mini - мини-форма: только шкалы, без проверки текста и уточнений
+  surveyMode: {
+    type: String,
+    enum: ['full', 'mini'],
+    default: 'full'
+  },
+  // Ответы по id пунктов опросника
+  answers: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  },
+  // Порядок заданных пунктов с учётом ветвления (showIf)
+  path: [String],
+  // Пункты, пропущенные по условиям ветвления
+  skippedByRules: [String],
+  // Исправления ответов во время опроса (кнопки «Назад» и «Изменить ответ»)
+  answerEdits: [{
+    itemId: String,
+    previousValue: mongoose.Schema.Types.Mixed,
+    newValue: mongoose.Schema.Types.Mixed,
+    via: {
+      type: String,
+      enum: ['back', 'edit']
+    },
+    editedAt: Date
+  }],
+  // Оценки текстовых ответов языковой моделью с версией промпта (config/prompts.js),
+  // по ним сравниваются варианты A/B-тестов промптов
+  aiValidations: [{
+    itemId: String,
+    score: Number,
+    quality: String,
+    provider: String,
+    prompt: {
+      key: String,
+      version: Number,
+      experiment: String,
+      variant: String
+    },
+    validatedAt: Date
+  }],
+  // Фото окружения: файл остаётся в Telegram, здесь file_id и метаданные
+  photos: [{
+    itemId: String,
+    source: {
+      type: String,
+      enum: ['photo', 'document']
+    },
+    fileId: String,
+    fileUniqueId: String,
+    thumbnailFileId: String,
+    width: Number,
+    height: Number,
+    fileSize: Number,
+    mimeType: String,
+    caption: String,
+    exif: {
+      make: String,
+      model: String,
+      orientation: Number,
+      takenAt: Date,
+      // Только с согласия пользователя (settings.photo.shareLocation)
+      location: {
+        latitude: Number,
+        longitude: Number
+      }
+    },
+    locationStripped: Boolean,
+    receivedAt: Date
+  }],
+  // Голосовые ответы: расшифровка и ссылка на аудио
+  voiceAnswers: [{
+    itemId: String,
+    transcript: String,
+    transcribedBy: String,
+    audio: {
+      fileId: String,
+      fileUniqueId: String,
+      duration: Number,
+      mimeType: String,
+      path: String
+    },
+    recordedAt: Date
+  }],
   responses: {
     // Основные шкалы (совместимость с текущей схемой)
     mood: {
@@ -43,7 +191,15 @@ const responseSchema = new mongoose.Schema({
     // Текстовые поля
     currentThoughts: String,
     currentActivity: String,
-    currentEmotions: String
+    currentEmotions: String,
+    // Структурированный контекст (коды из config/context-categories.js)
+    activityCategory: String,
+    companionCategory: String,
+    // Название места пользователя по геопозиции; координаты не сохраняются
+    place: String,
+    // Классическая батарея ESF: аффект 1-7 и состояние 0-9
+    affect: batteryFields(esmBattery.affect),
+    state: batteryFields(esmBattery.state)
   },
   metadata: {
     // Базовые метаданные
@@ -164,6 +320,8 @@ const responseSchema = new mongoose.Schema({
 
 responseSchema.index({ userId: 1, timestamp: -1 });
 responseSchema.index({ telegramId: 1, timestamp: -1 });
+responseSchema.index({ 'pushover.receipt': 1 });
+responseSchema.index({ 'aiValidations.prompt.key': 1, 'aiValidations.prompt.version': 1 });
 
 responseSchema.methods.calculateResponseTime = function() {
   if (this.notificationSentAt && this.responseCompletedAt) {
@@ -172,6 +330,31 @@ responseSchema.methods.calculateResponseTime = function() {
   return null;
 };
 
+responseSchema.methods.calculateLatency = function() {
+  if (this.notificationSentAt && this.responseStartedAt) {
+    return Math.round((this.responseStartedAt - this.notificationSentAt) / 1000);
+  }
+  return null;
+};
+
+// Истёк ли сигнал к моменту now
+responseSchema.methods.isBeepExpired = function(now = new Date(), expiryMinutes = config.beepExpiry.minutes) {
+  if (this.expired) return true;
+  if (!this.notificationSentAt || !expiryMinutes) return false;
+  return now - this.notificationSentAt > expiryMinutes * 60 * 1000;
+};
+
+responseSchema.methods.markExpired = function(reason) {
+  this.expired = true;
+  this.expiredAt = new Date();
+  this.expiryReason = reason;
+};
+
+// Записи до появления поля trigger: с уведомлением - случайный сигнал, без него - по инициативе участника
+responseSchema.methods.getTrigger = function() {
+  return this.trigger || (this.notificationSentAt ? 'signal' : 'self');
+};
+
 // Новые методы для метода Херлберта
 responseSchema.methods.isHighQuality = function() {
   return this.metadata?.dataQualityScore >= 70;
@@ -193,6 +376,33 @@ responseSchema.methods.getTrainingStatus = function() {
   return 'graduated';
 };
 
+// Оценки батареи ESF: только отвеченные пункты
+responseSchema.methods.getBatteryScores = function(group) {
+  const scores = {};
+  esmBattery[group].items.forEach(item => {
+    const value = this.responses?.[group]?.[item.id];
+    if (value !== undefined && value !== null) {
+      scores[item.id] = value;
+    }
+  });
+  return scores;
+};
+
+responseSchema.methods.getAffectScores = function() {
+  return this.getBatteryScores('affect');
+};
+
+responseSchema.methods.getStateScores = function() {
+  return this.getBatteryScores('state');
+};
+
+// Средний аффект по отвеченным пунктам (null, если батарея не заполнялась)
+responseSchema.methods.getMeanAffect = function() {
+  const values = Object.values(this.getAffectScores());
+  if (values.length === 0) return null;
+  return Math.round(values.reduce((sum, v) => sum + v, 0) / values.length * 100) / 100;
+};
+
 // Метод для экспорта данных
 responseSchema.methods.exportForResearch = function() {
   return {
@@ -208,6 +418,11 @@ responseSchema.methods.exportForResearch = function() {
     skill: this.metadata?.skill,
     concentration: this.metadata?.concentration,
     flowState: this.metadata?.flowState,
+
+    // Батарея ESF
+    ...Object.fromEntries(esmBattery.affect.items.map(item => [`affect_${item.id}`, this.responses.affect?.[item.id]])),
+    ...Object.fromEntries(esmBattery.state.items.map(item => [`state_${item.id}`, this.responses.state?.[item.id]])),
+    meanAffect: this.getMeanAffect(),
     
     // Качество
     dataQuality: this.metadata?.dataQualityScore,
@@ -221,7 +436,10 @@ responseSchema.methods.exportForResearch = function() {
     activityLength: this.responses.currentActivity?.length || 0,
     
     // Метаданные
+    surveyMode: this.surveyMode,
+    trigger: this.getTrigger(),
     responseTime: this.metadata?.responseTime,
+    pushoverAcknowledgedAt: this.pushover?.acknowledgedAt || null,
     followUpCount: this.metadata?.followUpAnswers?.length || 0
   };
 };
@@ -230,9 +448,15 @@ responseSchema.pre('save', function(next) {
   if (this.responseCompletedAt && this.notificationSentAt) {
     this.metadata.responseTime = this.calculateResponseTime();
   }
+
+  if (this.responseStartedAt && this.notificationSentAt) {
+    this.latencySeconds = this.calculateLatency();
+  }
   
   const hasQuantitative = this.responses.mood || this.responses.energy || 
-                         this.responses.stress || this.responses.focus;
+                         this.responses.stress || this.responses.focus ||
+                         Object.keys(this.getAffectScores()).length > 0 ||
+                         Object.keys(this.getStateScores()).length > 0;
   const hasQualitative = this.responses.currentThoughts || 
                         this.responses.currentActivity || 
                         this.responses.currentEmotions;
@@ -264,6 +488,22 @@ responseSchema.pre('save', function(next) {
 });
 
 // Статические методы для анализа
+
+// Условие запроса, отсекающее просроченные и поздние сигналы.
+// По умолчанию пустое, если config.beepExpiry.excludeLateSamples выключен.
+responseSchema.statics.lateSampleFilter = function({
+  enabled = config.beepExpiry.excludeLateSamples,
+  expiryMinutes = config.beepExpiry.minutes
+} = {}) {
+  if (!enabled) return {};
+
+  const late = [{ expired: true }];
+  if (expiryMinutes) {
+    late.push({ latencySeconds: { $gt: expiryMinutes * 60 } });
+  }
+  return { $nor: late };
+};
+
 responseSchema.statics.getFlowStatistics = async function(userId, limit = 100) {
   const responses = await this.find({ 
     userId, 
@@ -293,7 +533,8 @@ responseSchema.statics.getQualityTrend = async function(userId, days = 30) {
   const responses = await this.find({
     userId,
     timestamp: { $gte: startDate },
-    'metadata.dataQualityScore': { $exists: true }
+    // У мини-формы качество текста не оценивается
+    'metadata.dataQualityScore': { $exists: true, $ne: null }
   })
   .sort({ timestamp: 1 });
   
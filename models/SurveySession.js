@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * Незавершённые диалоги с пользователем (опрос, ввод настроек).
+ * Переживают перезапуск бота; устаревшие записи удаляются TTL-индексом.
+ */
+const surveySessionSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['survey', 'settings'],
+    required: true
+  },
+  telegramId: {
+    type: Number,
+    required: true
+  },
+  chatId: Number,
+  state: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { minimize: false });
+
+surveySessionSchema.index({ kind: 1, telegramId: 1 }, { unique: true });
+surveySessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SurveySession', surveySessionSchema);
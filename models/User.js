@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 
 const userSchema = new mongoose.Schema({
   telegramId: {
@@ -18,6 +19,11 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: true
     },
+    // Напоминания после пропущенного сигнала (эскалация)
+    escalationEnabled: {
+      type: Boolean,
+      default: true
+    },
     notificationStartTime: {
       type: String,
       default: '09:00'
@@ -36,6 +42,85 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'Europe/Moscow'
     },
+    // Когда пояс меняли последний раз (ответы до этого не сравниваются при поиске сдвига)
+    timezoneChangedAt: Date,
+    // Ключ опросника (null - опросник исследования или по умолчанию)
+    questionnaire: {
+      type: String,
+      default: null
+    },
+    // Расписание выборки (null - расписание исследования или по умолчанию, см. config.sampling)
+    sampling: {
+      schedule: {
+        type: String,
+        enum: ['random_blocks', 'fixed', 'event', 'hybrid', null],
+        default: null
+      },
+      // Стратегия случайных сигналов (null - стратегия исследования или по умолчанию)
+      strategy: {
+        type: String,
+        enum: ['stratified_block', 'uniform', 'poisson', null],
+        default: null
+      },
+      minGapMinutes: {
+        type: Number,
+        default: null,
+        min: 0,
+        max: 180
+      },
+      // Время сигналов для расписания fixed (ЧЧ:ММ)
+      fixedTimes: [String]
+    },
+    // Когда нельзя беспокоить (services/availability-service.js)
+    availability: {
+      // Своё окно уведомлений для дня недели (0 - воскресенье), например на выходные
+      weekdayWindows: [{
+        _id: false,
+        weekday: { type: Number, min: 0, max: 6 },
+        start: String,
+        end: String
+      }],
+      // Еженедельные перерывы: планёрки, дорога, молитва (ЧЧ:ММ, конец раньше начала - через полночь)
+      blackouts: [{
+        weekdays: [Number],
+        start: String,
+        end: String,
+        label: String,
+        source: {
+          type: String,
+          enum: ['manual', 'ics'],
+          default: 'manual'
+        }
+      }],
+      // Разовые перерывы (события из календаря)
+      blackoutDates: [{
+        startAt: Date,
+        endAt: Date,
+        label: String,
+        source: {
+          type: String,
+          enum: ['manual', 'ics'],
+          default: 'ics'
+        }
+      }],
+      // Режим тишины «на N часов / до завтра»
+      quietUntil: {
+        type: Date,
+        default: null
+      }
+    },
+    // Фото окружения в конце опроса
+    photo: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Согласие сохранять координаты из EXIF
+      shareLocation: {
+        type: Boolean,
+        default: false
+      }
+    },
     // Pushover настройки для уведомлений на часы
     pushover: {
       enabled: {
@@ -56,15 +141,113 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: 'persistent'
       }
+    },
+    // Каналы доставки сигналов (см. /channels, services/notification-channels.js)
+    channels: {
+      // Порядок каналов: первый - сразу, следующий - если опрос не начат за fallbackMinutes.
+      // Пусто - как раньше: Telegram и Pushover (если настроен) одновременно
+      priority: {
+        type: [String],
+        default: []
+      },
+      fallbackMinutes: {
+        type: Number,
+        default: null
+      },
+      email: {
+        enabled: { type: Boolean, default: false },
+        address: { type: String, default: null }
+      },
+      ntfy: {
+        enabled: { type: Boolean, default: false },
+        server: { type: String, default: null },
+        topic: { type: String, default: null }
+      },
+      webhook: {
+        enabled: { type: Boolean, default: false },
+        url: { type: String, default: null },
+        // Ключ подписи HMAC-SHA256, показывается участнику один раз при настройке
+        secret: { type: String, default: null }
+      }
     }
   },
+  // Именованные места для геопозиции в опросе (см. /places)
+  places: [{
+    name: {
+      type: String,
+      required: true
+    },
+    latitude: Number,
+    longitude: Number,
+    radiusMeters: {
+      type: Number,
+      default: 150
+    }
+  }],
+  // Исследование, в котором участвует пользователь (см. config/questionnaires.js)
+  studyId: {
+    type: String,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
   },
   lastSurveyAt: Date,
   nextNotificationAt: Date,
+  // Сигналы, запланированные на текущий день (nextNotificationAt - ближайший из них)
+  plannedNotifications: [Date],
+  
+  // Паузы в исследовании (/pause): сигналы и эскалация не идут,
+  // дни паузы не прерывают стрики и не считаются днями обучения
+  pauses: [{
+    // Начало первого дня паузы
+    startAt: Date,
+    // Начало дня после паузы или момент досрочного возвращения
+    endAt: Date,
+    reason: {
+      type: String,
+      enum: ['illness', 'travel', 'vacation', 'personal', 'other'],
+      default: 'other'
+    },
+    note: String,
+    endedEarly: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   
+  // Вопросы об удобстве расписания при низком комплаенсе (config.compliance.interventions)
+  complianceInterventions: [{
+    _id: false,
+    interventionId: String,
+    sentAt: Date,
+    sent: Number,
+    answered: Number,
+    // Что выбрал участник: count - меньше сигналов, start_time/end_time - другое окно, kept - оставить
+    action: {
+      type: String,
+      enum: ['count', 'start_time', 'end_time', 'kept', null],
+      default: null
+    },
+    actedAt: Date
+  }],
+
+  // Последнее предложение сменить часовой пояс по сдвигу времени ответов
+  timezoneSuggestion: {
+    suggestedAt: Date,
+    offsetMinutes: Number,
+    answer: {
+      type: String,
+      enum: ['accepted', 'dismissed', null],
+      default: null
+    }
+  },
+
   // Escalation system fields
   escalationState: {
     isEscalating: {
@@ -83,7 +266,15 @@ const userSchema = new mongoose.Schema({
       default: 0
     },
     lastResponseAt: Date,
-    escalationStartedAt: Date
+    escalationStartedAt: Date,
+    // Профиль отзывчивости, выбранный в начале эскалации (config.escalation.adaptive.profiles)
+    profile: String,
+    // Счётчик напоминаний за день пользователя (YYYY-MM-DD) для escalation.maxRemindersPerDay
+    remindersDay: String,
+    remindersToday: {
+      type: Number,
+      default: 0
+    }
   },
   
   // Поля для отслеживания обучения по Херлберту
@@ -259,17 +450,54 @@ userSchema.methods.shouldReceiveNotification = function() {
   return currentTime >= startTime && currentTime <= endTime;
 };
 
+// Пауза, действующая в момент date
+userSchema.methods.getActivePause = function(date = new Date()) {
+  return (this.pauses || []).find(pause => pause.startAt <= date && date < pause.endAt) || null;
+};
+
+userSchema.methods.isPausedAt = function(date = new Date()) {
+  return !!this.getActivePause(date);
+};
+
+// Задевает ли пауза день date (день в часовом поясе пользователя)
+userSchema.methods.isPausedOn = function(date) {
+  const dayStart = moment(date).tz(this.settings?.timezone || 'UTC').startOf('day');
+  const dayEnd = dayStart.clone().add(1, 'day');
+
+  return (this.pauses || []).some(pause => pause.startAt < dayEnd.toDate() && pause.endAt > dayStart.toDate());
+};
+
+// Число дней паузы с дня from по день to включительно
+userSchema.methods.countPausedDays = function(from, to = new Date()) {
+  const timezone = this.settings?.timezone || 'UTC';
+  const day = moment(from).tz(timezone).startOf('day');
+  const lastDay = moment(to).tz(timezone).startOf('day');
+  let count = 0;
+
+  while (!day.isAfter(lastDay)) {
+    if (this.isPausedOn(day)) count++;
+    day.add(1, 'day');
+  }
+
+  return count;
+};
+
 // Геймификация методы
 userSchema.methods.updateStreak = function(type, isQualityResponse = false, isFlowState = false) {
-  const today = new Date().toDateString();
+  // Дни - в часовом поясе пользователя, как и дни паузы (isPausedOn)
+  const timezone = this.settings?.timezone || 'UTC';
+  const today = moment().tz(timezone).startOf('day');
   const streak = this.streaks.current[type];
+  const lastDay = streak.lastDate ? moment(streak.lastDate).tz(timezone).startOf('day') : null;
   
-  if (!streak.lastDate || streak.lastDate.toDateString() !== today) {
-    // Проверяем, был ли вчера ответ для продолжения стрика
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
+  if (!lastDay || !lastDay.isSame(today)) {
+    // Проверяем, был ли вчера ответ для продолжения стрика (дни паузы пропускаем)
+    const yesterday = today.clone().subtract(1, 'day');
+    while (lastDay && yesterday.isAfter(lastDay) && this.isPausedOn(yesterday)) {
+      yesterday.subtract(1, 'day');
+    }
     
-    if (streak.lastDate && streak.lastDate.toDateString() === yesterday.toDateString()) {
+    if (lastDay && lastDay.isSame(yesterday)) {
       streak.count += 1;
     } else {
       streak.count = 1; // Начинаем новый стрик
@@ -342,12 +342,17 @@ ${JSON.stringify(analysisData.dailyQuality.progression)}
 }`;
 
     try {
-      const result = await this.aiService.validate(prompt, { 
-        isDurationAnalysis: true,
-        userId: analysisData.userId
+      // Ответ проверяется по схеме duration_adjustment (config/ai-schemas.js)
+      const { data } = await this.aiService.generateStructured({
+        task: 'duration_adjustment',
+        feature: 'training_duration',
+        userId: analysisData.userId,
+        prompt,
+        temperature: 0.3,
+        maxTokens: 800
       });
       
-      return this.parseAIAdjustmentResult(result);
+      return this.parseAIAdjustmentResult(data);
       
     } catch (error) {
       console.error('AI duration adjustment failed:', error);
@@ -884,37 +889,17 @@ ${JSON.stringify(analysisData.dailyQuality.progression)}
     return 'low';
   }
 
+  // Ответ уже проверен схемой duration_adjustment; не прошёл - расчёт без ИИ (null)
   parseAIAdjustmentResult(result) {
-    try {
-      const fallback = {
-        recommendedDuration: this.durationLimits.standard,
-        adjustment: 0,
-        reasoning: 'AI анализ недоступен',
-        confidence: 0.5,
-        alternatives: [],
-        keyMilestones: [],
-        stopConditions: [],
-        continueConditions: []
-      };
-
-      if (result && typeof result === 'object') {
-        return {
-          ...fallback,
-          ...result,
-          adjustment: (result.recommendedDuration || this.durationLimits.standard) - this.durationLimits.standard
-        };
-      }
-      
-      return fallback;
-    } catch (error) {
-      console.error('Error parsing AI adjustment result:', error);
-      return {
-        recommendedDuration: this.durationLimits.standard,
-        adjustment: 0,
-        reasoning: 'Ошибка парсинга AI результата',
-        confidence: 0.3
-      };
-    }
+    return {
+      ...result,
+      alternatives: result.alternatives || [],
+      keyMilestones: result.keyMilestones || [],
+      stopConditions: result.stopConditions || [],
+      continueConditions: result.continueConditions || [],
+      adjustment: result.recommendedDuration - this.durationLimits.standard,
+      source: 'ai'
+    };
   }
 
   createFallbackDuration(userId) {
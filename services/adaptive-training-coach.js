@@ -122,6 +122,7 @@ class AdaptiveTrainingCoach {
     const statisticalAnalysis = this.performStatisticalAnalysis(responses);
     
     return {
+      userId,
       currentDay: currentProgress?.getCurrentDay() || 1,
       totalResponses: responses.length,
       qualityTrend: aiAnalysis.qualityTrend,
@@ -133,7 +134,9 @@ class AdaptiveTrainingCoach {
       phenomenaProfile: statisticalAnalysis.phenomenaProfile,
       adaptationReason: aiAnalysis.adaptationReason,
       confidence: aiAnalysis.confidence || 0.7,
-      riskFactors: aiAnalysis.riskFactors || []
+      riskFactors: aiAnalysis.riskFactors || [],
+      // ai - анализ модели, fallback - статистическая замена без неё
+      source: aiAnalysis.source
     };
   }
 
@@ -186,13 +189,17 @@ ${JSON.stringify(analysisData, null, 2)}
 }`;
 
     try {
-      const result = await this.aiService.validate(prompt, { 
-        isMetaAnalysis: true,
-        userId: responses[0]?.userId
+      // Ответ проверяется по схеме training_analysis (config/ai-schemas.js)
+      const { data } = await this.aiService.generateStructured({
+        task: 'training_analysis',
+        feature: 'training_coach',
+        userId: responses[0]?.userId,
+        prompt,
+        temperature: 0.3,
+        maxTokens: 800
       });
       
-      // Парсим и валидируем ответ ИИ
-      return this.parseAIAnalysisResult(result);
+      return this.parseAIAnalysisResult(data);
       
     } catch (error) {
       console.error('AI analysis failed:', error);
@@ -333,12 +340,16 @@ ${JSON.stringify(analysisData, null, 2)}
 }`;
 
     try {
-      const result = await this.aiService.validate(prompt, { 
-        isContentGeneration: true,
-        learningProfile: learningProfile.type
+      const { data } = await this.aiService.generateStructured({
+        task: 'training_content',
+        feature: 'training_coach',
+        userId: analysis.userId,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 2000
       });
       
-      return this.parsePersonalizedContent(result);
+      return this.parsePersonalizedContent(data);
       
     } catch (error) {
       console.error('Personalized content generation failed:', error);
@@ -538,60 +549,21 @@ ${JSON.stringify(analysisData, null, 2)}
     return timeDistribution;
   }
 
+  // Ответ уже проверен схемой training_analysis; недостающие поля не подменяются
   parseAIAnalysisResult(result) {
-    // Базовая структура с fallback значениями
-    const fallback = {
-      qualityTrend: 'stable',
-      weaknesses: ['specificity', 'moment_focus'],
-      strengths: ['engagement'],
-      learningVelocity: 'normal',
-      illusionPatterns: [],
-      adaptationReason: 'Standard adaptation',
-      confidence: 0.5,
-      riskFactors: []
-    };
-
-    try {
-      if (result && typeof result === 'object') {
-        return {
-          ...fallback,
-          ...result,
-          confidence: Math.min(1, Math.max(0, result.confidence || 0.5))
-        };
-      }
-      
-      // Попытка парсинга JSON из текста
-      if (typeof result === 'string') {
-        const parsed = JSON.parse(result);
-        return { ...fallback, ...parsed };
-      }
-      
-      return fallback;
-    } catch (error) {
-      console.error('Error parsing AI analysis result:', error);
-      return fallback;
-    }
+    return { ...result, source: 'ai' };
   }
 
+  // Ответ уже проверен схемой training_content
   parsePersonalizedContent(result) {
-    const fallback = this.createFallbackContent({}, { type: 'analytical' });
-    
-    try {
-      if (result && typeof result === 'object') {
-        return {
-          exercises: result.exercises || fallback.exercises,
-          messages: result.messages || fallback.messages,
-          interventions: result.interventions || fallback.interventions,
-          dailyFocus: result.dailyFocus || fallback.dailyFocus,
-          nextSteps: result.nextSteps || fallback.nextSteps
-        };
-      }
-      
-      return fallback;
-    } catch (error) {
-      console.error('Error parsing personalized content:', error);
-      return fallback;
-    }
+    return {
+      exercises: result.exercises,
+      messages: result.messages,
+      interventions: result.interventions,
+      dailyFocus: result.dailyFocus,
+      nextSteps: result.nextSteps,
+      source: 'ai'
+    };
   }
 
   createInitialAnalysis() {
@@ -631,7 +603,8 @@ ${JSON.stringify(analysisData, null, 2)}
       adaptationReason: 'Fallback analysis due to AI unavailability',
       confidence: 0.4,
       riskFactors: avgQuality < 40 ? ['low_quality', 'inconsistency'] : [],
-      averageQuality: avgQuality
+      averageQuality: avgQuality,
+      source: 'fallback'
     };
   }
 
@@ -689,7 +662,8 @@ ${JSON.stringify(analysisData, null, 2)}
       nextSteps: [
         "Продолжайте практиковать точное наблюдение",
         "Обращайте внимание на различие между опытом и мыслями об опыте"
-      ]
+      ],
+      source: 'fallback'
     };
   }
 
@@ -1,5 +1,9 @@
 const config = require('../config/hurlburt');
 const PatternAnalysisService = require('./pattern-analysis-service');
+const { createDefaultProvider } = require('./llm-providers');
+const promptRegistry = require('./prompt-registry');
+const { parseWithSchema } = require('../utils/json-schema');
+const aiSchemas = require('../config/ai-schemas');
 
 /**
  * AI-сервис для генерации персональных инсайтов на основе паттернов поведения
@@ -14,22 +18,14 @@ class AIInsightsService {
     this.initializeProvider();
   }
   
-  initializeProvider() {
-    try {
-      // Используем конфигурацию из того же config что и ai-validator
-      if (process.env.OPENAI_API_KEY && this.config.provider === 'openai') {
-        this.provider = 'openai';
-        this.isConfigured = true;
-      } else if (process.env.ANTHROPIC_API_KEY && this.config.provider === 'anthropic') {
-        this.provider = 'anthropic';
-        this.isConfigured = true;
-      }
-      
-      if (this.isConfigured) {
-        console.log(`AI Insights Service configured with ${this.provider}`);
-      }
-    } catch (error) {
-      console.warn('AI Insights Service not configured:', error.message);
+  // Та же цепочка провайдеров и те же предохранители, что и у ai-validator (config.llm)
+  initializeProvider(llm = createDefaultProvider()) {
+    this.llm = llm;
+    this.isConfigured = !!llm;
+    this.provider = llm ? llm.name : null;
+
+    if (this.isConfigured) {
+      console.log(`AI Insights Service configured with ${this.provider}`);
     }
   }
   
@@ -48,9 +44,11 @@ class AIInsightsService {
         return this.cache.get(cacheKey);
       }
       
-      const prompt = this.createInsightsPrompt(userProfile);
-      const aiResponse = await this.callAI(prompt);
+      const prompt = this.createInsightsPrompt(userProfile, userId);
+      const aiResponse = await this.callAI(prompt, 'insights', userId);
       const insights = this.parseAIResponse(aiResponse);
+      // Версия промпта - для отзыва пользователя и сравнения вариантов
+      insights.prompt = prompt.ref;
       
       // Сохраняем в кэш
       this.cache.set(cacheKey, insights);
@@ -72,9 +70,10 @@ class AIInsightsService {
         return this.generateFallbackPredictions(userProfile, context);
       }
       
-      const prompt = this.createPredictivePrompt(userProfile, context);
-      const aiResponse = await this.callAI(prompt);
+      const prompt = this.createPredictivePrompt(userProfile, context, userId);
+      const aiResponse = await this.callAI(prompt, 'predictions', userId);
       const predictions = this.parsePredictiveResponse(aiResponse);
+      predictions.prompt = prompt.ref;
       
       return predictions;
     } catch (error) {
@@ -84,174 +83,58 @@ class AIInsightsService {
     }
   }
   
-  // Создание промпта для генерации инсайтов
-  createInsightsPrompt(userProfile) {
+  // Промпт инсайтов из реестра (config/prompts.js): { system, prompt, ref }
+  createInsightsPrompt(userProfile, userId = null) {
     const { timePatterns, activityPatterns, socialPatterns, correlations, anomalies } = userProfile;
     
-    return `Ты - эксперт по анализу поведения и психологии. Проанализируй паттерны пользователя и создай персональные инсайты.
-
-ДАННЫЕ ПОЛЬЗОВАТЕЛЯ:
-${JSON.stringify({
-  timePatterns: timePatterns?.insufficient_data ? 'Недостаточно данных' : timePatterns,
-  activityPatterns: Object.keys(activityPatterns || {}).length === 0 ? 'Недостаточно данных' : activityPatterns,
-  socialPatterns: Object.keys(socialPatterns || {}).length === 0 ? 'Недостаточно данных' : socialPatterns,
-  correlations: correlations?.insufficient_data ? 'Недостаточно данных' : correlations,
-  anomalies: anomalies?.insufficient_data ? 'Недостаточно данных' : anomalies
-}, null, 2)}
-
-ЗАДАЧА:
-Создай 3-5 персональных инсайтов в формате JSON. Каждый инсайт должен:
-1. Быть основан на реальных данных
-2. Быть понятным и действенным
-3. Содержать конкретные рекомендации
-4. Иметь эмоциональный подтекст поддержки
-
-ФОРМАТ ОТВЕТА:
-{
-  "insights": [
-    {
-      "type": "temporal" | "activity" | "social" | "correlation" | "anomaly",
-      "title": "Краткий заголовок",
-      "description": "Подробное описание паттерна",
-      "recommendation": "Конкретная рекомендация",
-      "confidence": 0.0-1.0,
-      "emoji": "подходящая эмодзи"
-    }
-  ]
-}
-
-Пиши на русском языке, используй дружелюбный тон.`;
+    return promptRegistry.render('insights', {
+      profile: {
+        timePatterns: timePatterns?.insufficient_data ? 'Недостаточно данных' : timePatterns,
+        activityPatterns: Object.keys(activityPatterns || {}).length === 0 ? 'Недостаточно данных' : activityPatterns,
+        socialPatterns: Object.keys(socialPatterns || {}).length === 0 ? 'Недостаточно данных' : socialPatterns,
+        correlations: correlations?.insufficient_data ? 'Недостаточно данных' : correlations,
+        anomalies: anomalies?.insufficient_data ? 'Недостаточно данных' : anomalies
+      }
+    }, { userId });
   }
   
-  // Создание промпта для предиктивной аналитики
-  createPredictivePrompt(userProfile, context) {
+  // Промпт предиктивной аналитики из реестра
+  createPredictivePrompt(userProfile, context, userId = null) {
     const currentTime = new Date();
-    const currentHour = currentTime.getHours();
-    const currentWeekday = currentTime.getDay();
     
-    return `Ты - эксперт по предиктивной аналитике поведения. На основе паттернов пользователя предскажи его вероятное состояние.
-
-ДАННЫЕ ПОЛЬЗОВАТЕЛЯ:
-${JSON.stringify(userProfile, null, 2)}
-
-ТЕКУЩИЙ КОНТЕКСТ:
-- Время: ${currentHour}:00
-- День недели: ${['Воскресенье', 'Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота'][currentWeekday]}
-- Дополнительный контекст: ${JSON.stringify(context)}
-
-ЗАДАЧА:
-Создай предсказания в формате JSON:
-
-{
-  "predictions": [
-    {
-      "type": "mood" | "energy" | "stress" | "flow_likelihood",
-      "predicted_value": число от 1-7 или 0-9,
-      "confidence": 0.0-1.0,
-      "reasoning": "Объяснение на основе паттернов",
-      "recommendation": "Что можно сделать для улучшения",
-      "time_frame": "следующие 2 часа" | "сегодня" | "завтра"
-    }
-  ],
-  "alerts": [
-    {
-      "type": "warning" | "opportunity",
-      "message": "Предупреждение или возможность",
-      "action": "Рекомендуемое действие"
-    }
-  ]
-}
-
-Отвечай на русском языке.`;
+    return promptRegistry.render('predictions', {
+      profile: userProfile,
+      hour: currentTime.getHours(),
+      weekday: ['Воскресенье', 'Понедельник', 'Вторник', 'Среда', 'Четверг', 'Пятница', 'Суббота'][currentTime.getDay()],
+      context: JSON.stringify(context)
+    }, { userId });
   }
   
-  // Вызов AI API
-  async callAI(prompt) {
-    if (this.provider === 'openai') {
-      return await this.callOpenAI(prompt);
-    } else if (this.provider === 'anthropic') {
-      return await this.callAnthropic(prompt);
-    }
-    throw new Error('No AI provider configured');
-  }
-  
-  async callOpenAI(prompt) {
-    const fetch = (await import('node-fetch')).default;
-    
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4',
-        messages: [
-          {
-            role: 'system',
-            content: 'Ты эксперт по анализу поведения и персональной аналитике. Отвечай только в формате JSON.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 1500,
-        response_format: { type: "json_object" }
-      }),
-      timeout: 30000
-    });
-    
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
+  // Вызов языковой модели; prompt - результат promptRegistry.render.
+  // Ответ не по схеме задачи (config/ai-schemas.js) цепочка отправляет на исправление
+  async callAI(prompt, task = 'insights', userId = null) {
+    if (!this.llm) {
+      throw new Error('No AI provider configured');
     }
-    
-    const data = await response.json();
-    return data.choices[0].message.content;
-  }
-  
-  async callAnthropic(prompt) {
-    const fetch = (await import('node-fetch')).default;
-    
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'x-api-key': process.env.ANTHROPIC_API_KEY,
-        'Content-Type': 'application/json',
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-3-sonnet-20240229',
-        max_tokens: 1500,
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.7
-      }),
-      timeout: 30000
+
+    const completion = await this.llm.complete({
+      task,
+      userId,
+      system: prompt.system,
+      prompt: prompt.prompt,
+      temperature: 0.7,
+      maxTokens: 1500,
+      json: true,
+      schema: aiSchemas[task],
+      promptId: prompt.ref ? promptRegistry.formatId(prompt.ref) : task
     });
-    
-    if (!response.ok) {
-      throw new Error(`Anthropic API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.content[0].text;
+    return completion.text;
   }
   
   // Парсинг ответа AI для инсайтов
   parseAIResponse(response) {
     try {
-      const parsed = JSON.parse(response);
-      
-      // Валидация структуры
-      if (!parsed.insights || !Array.isArray(parsed.insights)) {
-        throw new Error('Invalid response structure');
-      }
+      const parsed = parseWithSchema(response, aiSchemas.insights);
       
       // Дополнительная обработка инсайтов
       parsed.insights = parsed.insights.map(insight => ({
@@ -271,12 +154,7 @@ ${JSON.stringify(userProfile, null, 2)}
   // Парсинг ответа AI для предсказаний
   parsePredictiveResponse(response) {
     try {
-      const parsed = JSON.parse(response);
-      
-      // Валидация структуры
-      if (!parsed.predictions || !Array.isArray(parsed.predictions)) {
-        throw new Error('Invalid prediction response structure');
-      }
+      const parsed = parseWithSchema(response, aiSchemas.predictions);
       
       return {
         ...parsed,
@@ -327,7 +205,8 @@ ${JSON.stringify(userProfile, null, 2)}
         .slice(0, 2);
       
       if (activities.length > 0) {
-        const [bestActivity, data] = activities[0];
+        const [code, data] = activities[0];
+        const bestActivity = data.label || code;
         insights.push({
           type: 'activity',
           title: 'Любимая активность',
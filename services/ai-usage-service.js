@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const config = require('../config/hurlburt');
+const AIUsage = require('../models/AIUsage');
+
+/**
+ * Учёт токенов и стоимости вызовов языковых моделей
+ *
+ * Каждый ответ провайдера записывается с функцией бота и пользователем (models/AIUsage).
+ * Траты за текущие сутки и месяц (UTC) держатся в памяти для проверки бюджетов
+ * config.llm.budgets и восстанавливаются из базы после перезапуска.
+ * Цены - config.llm.pricing, за 1 млн токенов.
+ */
+
+const round = value => Math.round(value * 1e6) / 1e6;
+
+function createTotals() {
+  return { calls: 0, failed: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+}
+
+function addTo(totals, entry, calls) {
+  totals.calls += calls;
+  if (entry.success === false) totals.failed += calls;
+  totals.inputTokens += entry.inputTokens || 0;
+  totals.outputTokens += entry.outputTokens || 0;
+  totals.costUsd += entry.costUsd || 0;
+}
+
+class AIUsageService {
+  constructor(settings = config.llm) {
+    this.settings = settings;
+    this.reset();
+  }
+
+  reset() {
+    this.periods = { day: null, month: null };
+    this.warnings = new Set();
+  }
+
+  /**
+   * Цена модели: самое длинное совпавшее начало имени, иначе цена провайдера; null - неизвестна
+   */
+  getPrice(provider, model) {
+    const pricing = this.settings?.pricing || {};
+    const match = Object.keys(pricing.models || {})
+      .filter(prefix => model && model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? pricing.models[match] : pricing.providers?.[provider] || null;
+  }
+
+  isFree(provider, model) {
+    const price = this.getPrice(provider, model);
+    return !!price && price.input === 0 && price.output === 0;
+  }
+
+  // Грубая оценка, когда сервер не вернул usage: ~4 символа на токен
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  calculateCost(provider, model, inputTokens, outputTokens) {
+    const price = this.getPrice(provider, model);
+    if (!price) return 0;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  getPeriodKey(kind, now) {
+    return now.toISOString().slice(0, kind === 'day' ? 10 : 7);
+  }
+
+  // Текущий период; новые сутки или месяц начинают счёт заново
+  getPeriod(kind, now = new Date()) {
+    const key = this.getPeriodKey(kind, now);
+    if (this.periods[kind]?.key !== key) {
+      this.periods[kind] = { key, totals: createTotals(), byFeature: {}, byModel: {}, byUser: {} };
+    }
+    return this.periods[kind];
+  }
+
+  addToPeriod(period, entry, calls = 1) {
+    const groups = {
+      byFeature: entry.feature,
+      byModel: `${entry.provider}/${entry.model || 'unknown'}`,
+      byUser: entry.userId || 'system'
+    };
+
+    addTo(period.totals, entry, calls);
+    for (const [group, key] of Object.entries(groups)) {
+      if (!period[group][key]) period[group][key] = createTotals();
+      addTo(period[group][key], entry, calls);
+    }
+  }
+
+  /**
+   * Записать ответ провайдера
+   * @param {Object} call - feature, task, userId, provider, model, usage ({ inputTokens, outputTokens }),
+   *   prompt и text для оценки токенов без usage, success - пригоден ли ответ
+   * @returns {Object} запись с токенами и стоимостью
+   */
+  record(call, now = new Date()) {
+    const estimated = !call.usage;
+    const inputTokens = call.usage?.inputTokens ?? this.estimateTokens(call.prompt);
+    const outputTokens = call.usage?.outputTokens ?? this.estimateTokens(call.text);
+
+    const entry = {
+      feature: call.feature || call.task || 'default',
+      task: call.task || null,
+      userId: call.userId != null ? String(call.userId) : null,
+      provider: call.provider,
+      model: call.model || null,
+      inputTokens,
+      outputTokens,
+      estimated,
+      costUsd: this.calculateCost(call.provider, call.model, inputTokens, outputTokens),
+      success: call.success !== false,
+      createdAt: now
+    };
+
+    this.addToPeriod(this.getPeriod('day', now), entry);
+    this.addToPeriod(this.getPeriod('month', now), entry);
+    this.checkBudgetWarnings(now);
+
+    // Без подключения к базе (тесты, скрипты) - только в памяти
+    if (mongoose.connection.readyState === 1) {
+      AIUsage.create(entry).catch(error => console.error('Failed to save AI usage:', error.message));
+    }
+
+    return entry;
+  }
+
+  /**
+   * Траты против бюджетов; exceeded - исчерпан хотя бы один
+   */
+  getBudgetStatus(now = new Date()) {
+    const budgets = this.settings?.budgets || {};
+    const status = { exceeded: false };
+
+    for (const [kind, limit] of [['day', budgets.dailyUsd], ['month', budgets.monthlyUsd]]) {
+      const spentUsd = this.getPeriod(kind, now).totals.costUsd;
+      const exceeded = limit > 0 && spentUsd >= limit;
+      status[kind] = { spentUsd: round(spentUsd), limitUsd: limit || null, exceeded };
+      status.exceeded = status.exceeded || exceeded;
+    }
+
+    return status;
+  }
+
+  /**
+   * Можно ли вызвать провайдера: бесплатные - всегда, платные - пока бюджеты не исчерпаны
+   */
+  allows(provider, model, now = new Date()) {
+    return this.isFree(provider, model) || !this.getBudgetStatus(now).exceeded;
+  }
+
+  // Одно предупреждение на период и порог
+  checkBudgetWarnings(now) {
+    const budgets = this.settings?.budgets || {};
+    const status = this.getBudgetStatus(now);
+
+    for (const kind of ['day', 'month']) {
+      const { spentUsd, limitUsd, exceeded } = status[kind];
+      if (!limitUsd) continue;
+
+      const level = exceeded ? 'exceeded' : spentUsd >= limitUsd * (budgets.warnAt || 1) ? 'warning' : null;
+      const key = `${kind}:${this.getPeriodKey(kind, now)}:${level}`;
+      if (!level || this.warnings.has(key)) continue;
+
+      this.warnings.add(key);
+      const message = `LLM ${kind} budget ${level}: $${spentUsd.toFixed(4)} of $${limitUsd}`;
+      if (exceeded) {
+        console.error(`${message}, paid providers are disabled until the next ${kind}`);
+      } else {
+        console.warn(message);
+      }
+    }
+  }
+
+  /**
+   * Восстановить траты текущего месяца из базы (после перезапуска)
+   */
+  async restore(now = new Date()) {
+    const monthStart = new Date(`${this.getPeriodKey('month', now)}-01T00:00:00Z`);
+    const today = this.getPeriodKey('day', now);
+
+    try {
+      const rows = await AIUsage.aggregate([
+        { $match: { createdAt: { $gte: monthStart } } },
+        {
+          $group: {
+            _id: {
+              day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+              feature: '$feature',
+              provider: '$provider',
+              model: '$model',
+              userId: '$userId',
+              success: '$success'
+            },
+            calls: { $sum: 1 },
+            inputTokens: { $sum: '$inputTokens' },
+            outputTokens: { $sum: '$outputTokens' },
+            costUsd: { $sum: '$costUsd' }
+          }
+        }
+      ]);
+
+      this.reset();
+      const day = this.getPeriod('day', now);
+      const month = this.getPeriod('month', now);
+
+      for (const row of rows) {
+        const entry = { ...row._id, inputTokens: row.inputTokens, outputTokens: row.outputTokens, costUsd: row.costUsd };
+        this.addToPeriod(month, entry, row.calls);
+        if (row._id.day === today) this.addToPeriod(day, entry, row.calls);
+      }
+
+      console.log(`AI usage restored: $${month.totals.costUsd.toFixed(4)} this month, $${day.totals.costUsd.toFixed(4)} today`);
+    } catch (error) {
+      console.error('Failed to restore AI usage:', error.message);
+    }
+  }
+
+  /**
+   * Разбивка трат за сутки или месяц: по функциям, моделям и пользователям (дорогие первыми)
+   * @param {string} kind - day или month
+   */
+  getBreakdown(kind = 'day', now = new Date()) {
+    const period = this.getPeriod(kind, now);
+    const format = totals => ({ ...totals, costUsd: round(totals.costUsd) });
+    const sorted = group => Object.fromEntries(
+      Object.entries(group)
+        .sort(([, a], [, b]) => b.costUsd - a.costUsd || b.calls - a.calls)
+        .map(([key, totals]) => [key, format(totals)])
+    );
+
+    return {
+      period: kind,
+      key: period.key,
+      currency: 'USD',
+      totals: format(period.totals),
+      byFeature: sorted(period.byFeature),
+      byModel: sorted(period.byModel),
+      byUser: sorted(period.byUser),
+      budget: this.getBudgetStatus(now)[kind]
+    };
+  }
+}
+
+module.exports = new AIUsageService();
@@ -1,9 +1,14 @@
 const config = require('../config/hurlburt');
 const goldenExamples = require('../config/golden-examples-config');
 const crypto = require('crypto');
-const { startValidation, endValidation, recordValidationError, recordAIUsage, recordCacheHit, recordCacheMiss } = require('../utils/metrics');
+const { startValidation, endValidation, recordValidationError, recordAIUsage, recordCacheHit, recordCacheMiss, getMetrics } = require('../utils/metrics');
+const { parseWithSchema } = require('../utils/json-schema');
+const aiSchemas = require('../config/ai-schemas');
 const SemanticCache = require('./semantic-cache');
 const SemanticAnalysisMonitor = require('./semantic-monitor');
+const { createDefaultProvider, getBreakerStates } = require('./llm-providers');
+const aiUsage = require('./ai-usage-service');
+const promptRegistry = require('./prompt-registry');
 
 // Graceful shutdown handler
 process.on('SIGINT', () => {
@@ -16,7 +21,8 @@ process.on('SIGINT', () => {
 
 /**
  * Сервис интеграции с ИИ для валидации ответов ESM
- * Поддерживает OpenAI GPT-4, Anthropic Claude, локальные модели
+ * Модель - свой сервер (self-hosted), OpenAI или Anthropic (см. services/llm-providers.js);
+ * без модели - локальные правила (validateLocally)
  */
 class AIValidatorService {
   constructor() {
@@ -35,10 +41,8 @@ class AIValidatorService {
     });
     this.monitor = new SemanticAnalysisMonitor();
     
-    // Настройки по умолчанию
+    // Настройки по умолчанию (тайм-аут и повторы - у провайдера, config.llm.providers)
     this.defaultSettings = {
-      timeout: 30000, // 30 секунд для Claude
-      maxRetries: 3,
       cacheTTL: 24 * 60 * 60 * 1000, // 24 часа
       rateLimit: {
         requests: 10,
@@ -52,42 +56,17 @@ class AIValidatorService {
 
   /**
    * Инициализация провайдера ИИ
+   * @param {LLMProvider|ProviderChain|null} llm - по умолчанию цепочка из config.llm
    */
-  async initializeProvider() {
-    // OpenAI
-    if (process.env.OPENAI_API_KEY) {
-      try {
-        const { Configuration, OpenAIApi } = require('openai');
-        const configuration = new Configuration({
-          apiKey: process.env.OPENAI_API_KEY,
-        });
-        this.openai = new OpenAIApi(configuration);
-        this.provider = 'openai';
-        this.isConfigured = true;
-        console.log('✅ AI Validator: OpenAI GPT-4 configured');
-      } catch (error) {
-        console.log('⚠️ AI Validator: OpenAI not available');
-      }
-    }
-    
-    // Anthropic Claude
-    if (process.env.ANTHROPIC_API_KEY && !this.isConfigured) {
-      try {
-        const Anthropic = require('@anthropic-ai/sdk');
-        this.anthropic = new Anthropic({
-          apiKey: process.env.ANTHROPIC_API_KEY,
-        });
-        this.provider = 'anthropic';
-        this.isConfigured = true;
-        console.log('✅ AI Validator: Anthropic Claude configured');
-      } catch (error) {
-        console.log('⚠️ AI Validator: Anthropic not available');
-      }
-    }
-    
-    // Если нет внешних API, используем упрощённую локальную валидацию
-    if (!this.isConfigured) {
-      this.provider = 'local';
+  initializeProvider(llm = createDefaultProvider()) {
+    this.llm = llm;
+    this.isConfigured = !!llm;
+    // 'local' - без модели, только правила
+    this.provider = llm ? llm.name : 'local';
+
+    if (llm) {
+      console.log(`✅ AI Validator: ${llm.name} configured${llm.model ? ` (${llm.model})` : ''}`);
+    } else {
       console.log('ℹ️ AI Validator: Using local validation only');
     }
   }
@@ -108,6 +87,7 @@ class AIValidatorService {
     if (!this.checkRateLimit(userId)) {
       console.warn(`Rate limit exceeded for user ${userId}`);
       const localResult = await this.validateLocally(text, context);
+      this.monitor.recordProvider('local', 'validation');
       endValidation(timerId, localResult);
       return localResult;
     }
@@ -125,12 +105,13 @@ class AIValidatorService {
     let result;
     
     try {
-      // Graceful degradation with timeout
-      result = await this.validateWithRetries(text, context);
+      // Тайм-аут и повторы - на стороне провайдера
+      result = await this.validateWithProvider(text, context);
       
       // Кэшируем результат с TTL
       if (result) {
         this.setCachedResult(cacheKey, result);
+        this.monitor.recordProvider(result.provider, 'validation');
       }
       
       endValidation(timerId, result);
@@ -140,84 +121,39 @@ class AIValidatorService {
       recordValidationError(error, timerId);
       
       const localResult = await this.validateLocally(text, context);
+      this.monitor.recordProvider('local', 'validation');
       return localResult;
     }
   }
 
   /**
-   * Валидация через OpenAI GPT-4
+   * Валидация через языковую модель; ответ не по схеме validation - сбой провайдера,
+   * цепочка передаёт запрос следующему
    */
-  async validateWithOpenAI(text, context) {
-    if (!this.openai) {
-      throw new Error('OpenAI not configured');
-    }
-    
-    const prompt = this.constructPrompt(text, context);
-    
-    try {
-      const completion = await this.openai.createChatCompletion({
-        model: "gpt-4-turbo-preview",
-        messages: [
-          {
-            role: "system",
-            content: this.getSystemPrompt()
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        temperature: 0.3,
-        max_tokens: 500,
-        response_format: { type: "json_object" }
-      });
-
-      const response = completion.data.choices[0]?.message?.content;
-      if (!response) {
-        throw new Error('Empty response from OpenAI');
-      }
-      
-      recordAIUsage('openai', true);
-      return this.parseAIResponse(response);
-    } catch (error) {
-      console.error('OpenAI API error:', error);
-      recordAIUsage('openai', false);
-      throw error;
-    }
-  }
+  async validateWithLLM(text, context) {
+    const rendered = this.buildValidationPrompt(text, context);
 
-  /**
-   * Валидация через Anthropic Claude
-   */
-  async validateWithAnthropic(text, context) {
-    if (!this.anthropic) {
-      throw new Error('Anthropic not configured');
-    }
-    
-    const prompt = this.constructPrompt(text, context);
-    
     try {
-      const message = await this.anthropic.messages.create({
-        model: 'claude-3-opus-20240229',
-        max_tokens: 1000,
+      const completion = await this.llm.complete({
+        task: 'validation',
+        // Тренер, анализ слабых мест и др. тоже вызывают validate() - со своей функцией в context.feature
+        feature: context.feature || 'validation',
+        userId: context.userId,
+        system: rendered.system,
+        prompt: rendered.prompt,
         temperature: 0.3,
-        system: this.getSystemPrompt(),
-        messages: [
-          {
-            role: 'user',
-            content: prompt
-          }
-        ]
+        maxTokens: 500,
+        json: true,
+        schema: aiSchemas.validation,
+        promptId: promptRegistry.formatId(rendered.ref)
       });
 
-      const responseText = message.content?.[0]?.text;
-      if (!responseText) {
-        throw new Error('Empty response from Anthropic');
-      }
-      
-      return this.parseAIResponse(responseText);
+      const validated = this.normalizeValidation(this.getStructuredData(completion, aiSchemas.validation));
+      recordAIUsage(completion.provider, true);
+      return { ...validated, provider: completion.provider, prompt: rendered.ref };
     } catch (error) {
-      console.error('Anthropic API error:', error);
+      console.error(`${this.provider} API error:`, error.message);
+      recordAIUsage(this.provider, false);
       throw error;
     }
   }
@@ -271,76 +207,20 @@ class AIValidatorService {
   }
 
   /**
-   * Системный промпт для ИИ
+   * Промпт оценки ответа из реестра (config/prompts.js, ключ validation)
+   * @returns {Object} { system, prompt, ref }
    */
-  getSystemPrompt() {
-    return `Вы эксперт по валидации ответов для метода Experience Sampling Method (ESM) на основе исследований Рассела Херлберта.
-
-Ваша задача - оценить, насколько хорошо человек описал свой моментальный сознательный опыт.
-
-Ключевые принципы Херлберта:
-1. МОМЕНТ, а не период - ответ должен описывать конкретный миг
-2. СЕНСОРНЫЕ ДЕТАЛИ, а не абстракции - что видел/слышал/чувствовал
-3. ТЕЛО не лжет - физические ощущения надежнее мыслей
-4. ПУСТОТА тоже опыт - не надо придумывать
-5. Внутренняя речь при чтении есть только в 3% случаев (Hurlburt & Heavey, 2018)
-
-Красные флаги (плохо):
-- "обычно", "всегда", "часто" = обобщение
-- "интересно", "скучно" = абстракция  
-- "весь день", "утром" = не момент
-- "наверное", "думаю" = теоретизирование
-- "ничего особенного" = избегание
-
-Золотые признаки (хорошо):
-- Указан конкретный момент
-- Есть сенсорные детали
-- Описаны телесные ощущения
-- Прямая речь мыслей
-- Признана пустота, если она была
-
-ВАЖНО: Отвечайте ТОЛЬКО валидным JSON на русском языке. Не включайте никакого текста до или после JSON объекта.
-
-Отвечайте в точно такой JSON структуре:
-{
-  "score": 0-100,
-  "quality": "pristine|excellent|good|fair|poor|garbage",
-  "issues": ["список", "обнаруженных", "проблем"],
-  "suggestions": ["конкретные", "практические", "рекомендации"],
-  "phenomena": ["обнаруженные", "феномены", "Херлберта"],
-  "educationalValue": 0-1,
-  "confidence": 0-1
-}`;
-  }
+  buildValidationPrompt(text, context) {
+    // Пример из золотого стандарта для контекста
+    const examples = context.detectedContext && goldenExamples.examples[context.detectedContext];
 
-  /**
-   * Конструирование промпта для ИИ
-   */
-  constructPrompt(text, context) {
-    let prompt = `Оцените этот ответ ESM:\n\n`;
-    prompt += `Ответ: "${text}"\n\n`;
-    
-    if (context.detectedContext) {
-      prompt += `Контекст: ${context.detectedContext}\n`;
-    }
-    
-    if (context.trainingDay) {
-      prompt += `День обучения: ${context.trainingDay}\n`;
-    }
-    
-    if (context.previousResponses) {
-      prompt += `Примечание: У пользователя есть тенденция ${this.detectUserTendencies(context.previousResponses)}\n`;
-    }
-    
-    prompt += `\nПроведите детальный анализ, фокусируясь на критериях Херлберта.`;
-    
-    // Добавляем примеры из золотого стандарта для контекста
-    if (context.detectedContext && goldenExamples.examples[context.detectedContext]) {
-      const examples = goldenExamples.examples[context.detectedContext];
-      prompt += `\n\nПример отличного ответа для справки: "${examples.excellent[0].text}"`;
-    }
-    
-    return prompt;
+    return promptRegistry.render('validation', {
+      text,
+      detectedContext: context.detectedContext,
+      trainingDay: context.trainingDay,
+      tendencies: context.previousResponses ? this.detectUserTendencies(context.previousResponses) : null,
+      example: examples ? examples.excellent[0].text : null
+    }, { userId: context.userId });
   }
 
   /**
@@ -369,85 +249,84 @@ class AIValidatorService {
   }
 
   /**
-   * Парсинг ответа ИИ
+   * Парсинг ответа ИИ; ответ не по схеме - null, а не оценка по умолчанию
    */
   parseAIResponse(response) {
     try {
-      // Очищаем ответ от лишних символов
-      let cleanResponse = response.trim().replace(/```json\n?|```\n?/g, '');
-      
-      // Ищем JSON объект в тексте
-      const jsonMatch = cleanResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        cleanResponse = jsonMatch[0];
-      }
-      
-      // Пытаемся распарсить JSON
-      const parsed = JSON.parse(cleanResponse);
-      
-      // Строгая валидация структуры
-      const validated = {
-        score: this.validateNumber(parsed.score, 0, 100, 50),
-        quality: this.validateQuality(parsed.quality),
-        issues: this.validateArray(parsed.issues),
-        suggestions: this.validateArray(parsed.suggestions),
-        phenomena: this.validateArray(parsed.phenomena),
-        educationalValue: this.validateNumber(parsed.educationalValue, 0, 1, 0.5),
-        confidence: this.validateNumber(parsed.confidence, 0, 1, 0.7),
-        timestamp: Date.now(),
-        provider: this.provider
-      };
-      
-      return validated;
+      return this.normalizeValidation(parseWithSchema(response, aiSchemas.validation));
     } catch (error) {
       console.error('Failed to parse AI response:', {
         error: error.message,
         response: response?.substring(0, 200),
         provider: this.provider
       });
-      return this.createFallbackResponse();
+      return null;
     }
   }
 
   /**
-   * Валидация числовых значений
+   * Оценка модели, прошедшая проверку схемой validation
    */
-  validateNumber(value, min, max, defaultValue) {
-    const num = parseFloat(value);
-    if (isNaN(num)) return defaultValue;
-    return Math.max(min, Math.min(max, num));
+  normalizeValidation(parsed) {
+    return {
+      score: parsed.score,
+      quality: parsed.quality,
+      issues: parsed.issues,
+      suggestions: parsed.suggestions,
+      phenomena: parsed.phenomena,
+      educationalValue: parsed.educationalValue,
+      confidence: parsed.confidence,
+      timestamp: Date.now(),
+      provider: this.provider
+    };
   }
 
   /**
-   * Валидация качества
+   * Проверенный ответ: цепочка возвращает его в data, одиночный провайдер - только текст
    */
-  validateQuality(quality) {
-    const validQualities = ['pristine', 'excellent', 'good', 'fair', 'poor', 'garbage'];
-    return validQualities.includes(quality) ? quality : 'fair';
+  getStructuredData(completion, schema) {
+    return completion.data !== undefined ? completion.data : parseWithSchema(completion.text, schema);
   }
 
   /**
-   * Валидация массивов
+   * Ответ модели по схеме из config/ai-schemas.js для тренера, анализа слабых мест,
+   * генерации упражнений и др. Ответ не по схеме после исправлений - ошибка:
+   * вызывающий сервис использует свой запасной вариант
+   * @param {Object} request - task, feature, userId, system, prompt, temperature, maxTokens;
+   *   schema - по умолчанию aiSchemas[task]; promptId - промпт для счётчиков ответов не по схеме
+   * @returns {Object} { data, provider, model }
    */
-  validateArray(arr) {
-    return Array.isArray(arr) ? arr.filter(item => typeof item === 'string') : [];
-  }
+  async generateStructured({ task, feature, userId, system, prompt, schema, promptId, temperature = 0.5, maxTokens = 1500 }) {
+    if (!this.llm) {
+      throw new Error('No AI provider configured');
+    }
+    const responseSchema = schema || aiSchemas[task];
+    if (!responseSchema) {
+      throw new Error(`No response schema for ${task}`);
+    }
 
-  /**
-   * Создание fallback ответа при ошибке парсинга
-   */
-  createFallbackResponse() {
-    return {
-      score: 50,
-      quality: 'fair',
-      issues: ['ai_parsing_error'],
-      suggestions: ['Попробуйте быть более конкретным'],
-      phenomena: [],
-      educationalValue: 0.3,
-      confidence: 0.3,
-      timestamp: Date.now(),
-      provider: 'fallback'
-    };
+    try {
+      const completion = await this.llm.complete({
+        task,
+        feature,
+        userId,
+        system,
+        prompt,
+        temperature,
+        maxTokens,
+        json: true,
+        schema: responseSchema,
+        promptId
+      });
+
+      const data = this.getStructuredData(completion, responseSchema);
+      recordAIUsage(completion.provider, true);
+      this.monitor.recordProvider(completion.provider, task);
+      return { data, provider: completion.provider, model: completion.model };
+    } catch (error) {
+      recordAIUsage(this.provider, false);
+      throw error;
+    }
   }
 
   /**
@@ -463,52 +342,26 @@ class AIValidatorService {
       return null; // Максимум 2 follow-up вопроса
     }
 
-    const prompt = `На основе этого ответа ESM, сгенерируйте ОДИН уточняющий вопрос на русском языке, чтобы помочь человеку точнее наблюдать свой опыт:
-
-Ответ: "${text}"
-Контекст: ${context.detectedContext || 'неизвестен'}
-Количество предыдущих уточнений: ${context.followUpCount || 0}
-
-Вопрос должен:
-- Быть коротким (до 15 слов)
-- Фокусироваться на сенсорном опыте
-- Не быть обвиняющим
-- Помочь преодолеть иллюзии
-
-НЕ задавайте вопрос если:
-- Ответ уже содержит конкретные сенсорные детали
-- Пользователь уже описал физические ощущения подробно
-- Ответ содержит более 20 слов с хорошими деталями
-- Пользователь раздражен или говорит "я уже сказал"
-
-Отвечайте JSON: {"question": "..." } или {"question": null}`;
+    const rendered = promptRegistry.render('follow_up', {
+      text,
+      detectedContext: context.detectedContext || 'неизвестен',
+      followUpCount: context.followUpCount || 0
+    }, { userId: context.userId });
 
     try {
-      let result;
-      
-      if (this.provider === 'openai') {
-        const completion = await this.openai.createChatCompletion({
-          model: "gpt-4-turbo-preview",
-          messages: [
-            { role: "system", content: "Вы эксперт по Descriptive Experience Sampling. Отвечайте только на русском языке." },
-            { role: "user", content: prompt }
-          ],
-          temperature: 0.7,
-          max_tokens: 100
-        });
-        result = completion.data.choices[0].message.content;
-      } else if (this.provider === 'anthropic') {
-        const message = await this.anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 100,
-          temperature: 0.7,
-          messages: [{ role: 'user', content: prompt }]
-        });
-        result = message.content[0].text;
-      }
-      
-      const parsed = JSON.parse(result);
-      return parsed.question;
+      const completion = await this.llm.complete({
+        task: 'follow_up',
+        userId: context.userId,
+        system: rendered.system,
+        prompt: rendered.prompt,
+        temperature: 0.7,
+        maxTokens: 100,
+        json: true,
+        schema: aiSchemas.follow_up,
+        promptId: promptRegistry.formatId(rendered.ref)
+      });
+
+      return this.getStructuredData(completion, aiSchemas.follow_up).question;
     } catch (error) {
       console.error('Failed to generate follow-up:', error);
       return null;
@@ -558,71 +411,29 @@ class AIValidatorService {
         return result;
       }
 
-    const prompt = `Анализируй, стоит ли задавать follow-up вопрос на основе предыдущих ответов пользователя.
-
-ПРЕДЫДУЩИЕ ОТВЕТЫ:
-${responseTexts}
-
-КАНДИДАТ НА ВОПРОС:
-"${candidateQuestion.text}"
-Категория: ${candidateQuestion.clarifies}
-
-ЗАДАЧА:
-Определи, была ли концепция, которую уточняет этот вопрос, уже раскрыта в предыдущих ответах.
-
-КРИТЕРИИ ДЛЯ ОТКЛОНЕНИЯ ВОПРОСА:
-- Пользователь уже упомянул конкретное расположение в теле
-- Уже описал качество ощущения (острое, тупое, пульсирующее и т.д.)
-- Уже объяснил модальность восприятия (слышал, видел, чувствовал)
-- Уже указал временные характеристики
-- Уже различил эмоцию от физического ощущения
-- Уже описал характеристики внимания/фокуса
-
-ОСОБЕННОСТИ:
-- Семантически похожие формулировки считай как уже раскрытые
-- "дискомфорт в глазах" = "неприятные ощущения в области глаз"
-- Учитывай контекст всего разговора, не только буквальные совпадения
-
-Отвечай только JSON:
-{
-  "shouldAsk": true/false,
-  "confidence": 0.0-1.0,
-  "reason": "краткое объяснение решения"
-}`;
+    const rendered = promptRegistry.render('semantic_similarity', {
+      previousResponses: responseTexts,
+      question: candidateQuestion.text,
+      category: candidateQuestion.clarifies
+    }, { userId: context.userId });
 
     try {
-      let result;
-      
-      if (this.provider === 'openai') {
-        const completion = await this.openai.createChatCompletion({
-          model: "gpt-4-turbo-preview", 
-          messages: [
-            { role: "system", content: "Ты эксперт по анализу семантической схожести в контексте ESM исследований. Отвечай только JSON." },
-            { role: "user", content: prompt }
-          ],
-          temperature: 0.3, // Низкая температура для консистентности
-          max_tokens: 150
-        });
-        result = completion.data.choices[0].message.content;
-      } else if (this.provider === 'anthropic') {
-        const message = await this.anthropic.messages.create({
-          model: 'claude-sonnet-4-20250514',
-          max_tokens: 150,
-          temperature: 0.3,
-          messages: [{ role: 'user', content: prompt }]
-        });
-        result = message.content[0].text;
-      }
+      const completion = await this.llm.complete({
+        task: 'semantic_similarity',
+        userId: context.userId,
+        system: rendered.system,
+        prompt: rendered.prompt,
+        temperature: 0.3, // Низкая температура для консистентности
+        maxTokens: 150,
+        json: true,
+        // Ответ не по схеме - исправление, затем следующий провайдер цепочки
+        schema: aiSchemas.semantic_similarity,
+        promptId: promptRegistry.formatId(rendered.ref)
+      });
 
-      // Парсим результат
-      const aiAnalysis = JSON.parse(result);
-      
-      // Валидация результата
-      if (typeof aiAnalysis.shouldAsk !== 'boolean' || 
-          typeof aiAnalysis.confidence !== 'number' || 
-          !aiAnalysis.reason) {
-        throw new Error('Invalid AI response format');
-      }
+      const data = this.getStructuredData(completion, aiSchemas.semantic_similarity);
+      const aiAnalysis = { ...data, provider: completion.provider, prompt: rendered.ref };
+      this.monitor.recordProvider(completion.provider, 'semantic_similarity');
 
       // Сохраняем в кэш
       this.semanticCache.set(candidateQuestion, previousResponses, context, aiAnalysis);
@@ -654,6 +465,10 @@ ${responseTexts}
     if (!this.config.enablePatternDetection || responses.length < this.config.minDataForPersonalization) {
       return null;
     }
+    // Без модели паттерны не оцениваются: оценки по умолчанию выглядели бы как настоящие
+    if (!this.llm) {
+      return null;
+    }
 
     // Подготавливаем данные для анализа
     const summary = responses.map(r => ({
@@ -662,22 +477,22 @@ ${responseTexts}
       phenomena: r.phenomena || []
     }));
 
-    const prompt = `Analyze these ESM responses for patterns and provide personalized insights:
-
-${JSON.stringify(summary, null, 2)}
-
-Identify:
-1. Common mistakes or illusions
-2. Strengths in observation
-3. Specific recommendations for improvement
-4. Estimated phenomena frequencies
-
-Respond with actionable insights in JSON format.`;
+    const rendered = promptRegistry.render('user_patterns', {
+      responses: summary
+    }, { userId });
 
     try {
-      // Вызываем ИИ для анализа
-      const analysis = await this.validate(prompt, { isMetaAnalysis: true });
-      return analysis;
+      // Поля ответа - User.commonPatterns (схема user_patterns)
+      const { data } = await this.generateStructured({
+        task: 'user_patterns',
+        userId,
+        system: rendered.system,
+        prompt: rendered.prompt,
+        promptId: promptRegistry.formatId(rendered.ref),
+        temperature: 0.3,
+        maxTokens: 500
+      });
+      return data;
     } catch (error) {
       console.error('Pattern analysis failed:', error);
       return null;
@@ -685,12 +500,14 @@ Respond with actionable insights in JSON format.`;
   }
 
   /**
-   * Получение ключа кэша
+   * Получение ключа кэша. В ключе - версия промпта и вариант A/B-теста пользователя:
+   * иначе оценка, полученная одним вариантом, досталась бы из кэша другому
    */
   getCacheKey(text, context) {
     const crypto = require('crypto');
+    const { ref } = promptRegistry.resolve('validation', { userId: context.userId });
     const hash = crypto.createHash('md5')
-      .update(`${text}_${context.detectedContext || 'none'}_${context.trainingDay || 0}`)
+      .update(`${text}_${context.detectedContext || 'none'}_${context.trainingDay || 0}_${promptRegistry.formatId(ref)}_${ref.variant || 'none'}`)
       .digest('hex');
     return hash.substring(0, 16);
   }
@@ -748,50 +565,14 @@ Respond with actionable insights in JSON format.`;
     return true;
   }
 
-  /**
-   * Валидация с повторными попытками и timeout
-   */
-  async validateWithRetries(text, context, attempt = 1) {
-    const maxRetries = this.defaultSettings.maxRetries;
-    
-    try {
-      // Timeout обёртка
-      const result = await Promise.race([
-        this.validateWithProvider(text, context),
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Timeout')), this.defaultSettings.timeout)
-        )
-      ]);
-      
-      return result;
-    } catch (error) {
-      console.warn(`AI validation attempt ${attempt} failed:`, error.message);
-      
-      if (attempt < maxRetries) {
-        // Exponential backoff
-        const delay = Math.pow(2, attempt) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return this.validateWithRetries(text, context, attempt + 1);
-      }
-      
-      throw error;
-    }
-  }
-
   /**
    * Выбор провайдера для валидации
    */
   async validateWithProvider(text, context) {
-    switch (this.provider) {
-      case 'openai':
-        return await this.validateWithOpenAI(text, context);
-      case 'anthropic':
-        return await this.validateWithAnthropic(text, context);
-      case 'local':
-        return await this.validateLocally(text, context);
-      default:
-        throw new Error('No valid provider configured');
+    if (this.llm) {
+      return await this.validateWithLLM(text, context);
     }
+    return await this.validateLocally(text, context);
   }
 
   /**
@@ -843,12 +624,26 @@ Respond with actionable insights in JSON format.`;
       cacheSize: this.cache.size,
       rateLimitEntries: this.rateLimiter.size,
       provider: this.provider,
+      model: this.llm?.model || null,
       isConfigured: this.isConfigured,
+      budget: aiUsage.getBudgetStatus(),
       uptime: process.uptime(),
       lastCacheCleanup: this.lastCacheCleanup || 'never'
     };
   }
 
+  /**
+   * Состояние предохранителей провайдеров цепочки (для мониторинга)
+   */
+  getProviderStatus() {
+    return {
+      chain: this.provider,
+      providers: getBreakerStates(),
+      usage: this.monitor.getMetrics().providers,
+      schemaFailures: getMetrics().aiSchemaFailures
+    };
+  }
+
   /**
    * Экспорт данных для обучения модели
    */
@@ -0,0 +1,275 @@
+const moment = require('moment-timezone');
+const config = require('../config/hurlburt');
+const icsParser = require('../utils/ics');
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// Дни недели в нумерации moment: 0 - воскресенье
+const WEEKDAYS = [
+  { day: 1, short: 'пн', aliases: ['пн', 'пон', 'понедельник'] },
+  { day: 2, short: 'вт', aliases: ['вт', 'вто', 'вторник'] },
+  { day: 3, short: 'ср', aliases: ['ср', 'сре', 'среда'] },
+  { day: 4, short: 'чт', aliases: ['чт', 'чет', 'четверг'] },
+  { day: 5, short: 'пт', aliases: ['пт', 'пят', 'пятница'] },
+  { day: 6, short: 'сб', aliases: ['сб', 'суб', 'суббота'] },
+  { day: 0, short: 'вс', aliases: ['вс', 'вос', 'воскресенье'] }
+];
+
+/**
+ * Когда пользователю можно присылать сигналы
+ *
+ * Окно дня (общее или своё для дня недели) минус еженедельные перерывы
+ * (планёрки, дорога, молитва), разовые перерывы из календаря .ics,
+ * паузы в исследовании и режим тишины «на N часов / до завтра».
+ */
+class AvailabilityService {
+  toMinutes(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * Момент дня day в ЧЧ:ММ по часам пояса day. В дни перевода часов:
+   * несуществующее время (02:30 при переводе вперёд) сдвигается вперёд на
+   * величину перевода (03:30), двойное (02:30 при переводе назад) - первое из двух
+   */
+  atTime(day, time) {
+    const timezone = day.tz();
+    if (!timezone) {
+      const [hour, minute] = time.split(':').map(Number);
+      return day.clone().startOf('day').hour(hour).minute(minute);
+    }
+    return moment.tz(`${day.format('YYYY-MM-DD')} ${time}`, 'YYYY-MM-DD H:mm', timezone);
+  }
+
+  formatWeekdays(weekdays) {
+    return WEEKDAYS.filter(({ day }) => weekdays.includes(day)).map(({ short }) => short).join(',');
+  }
+
+  /**
+   * Окно уведомлений на день: своё для дня недели или общее из настроек
+   * @param {moment} day - любой момент дня в часовом поясе пользователя
+   * @returns {Object} - { start, end } (moment)
+   */
+  getWindow(user, day) {
+    const override = (user.settings.availability?.weekdayWindows || [])
+      .find(window => window.weekday === day.day());
+
+    return {
+      start: this.atTime(day, override?.start || user.settings.notificationStartTime),
+      end: this.atTime(day, override?.end || user.settings.notificationEndTime)
+    };
+  }
+
+  /**
+   * Перерывы, задевающие этот день: [{ start, end }] (moment)
+   */
+  getBlockedIntervals(user, day) {
+    const availability = user.settings.availability || {};
+    const startOfDay = day.clone().startOf('day');
+    const endOfDay = startOfDay.clone().add(1, 'day');
+    const weekday = startOfDay.day();
+    const previousWeekday = (weekday + 6) % 7;
+    const intervals = [];
+
+    (availability.blackouts || []).forEach(blackout => {
+      const overnight = this.toMinutes(blackout.end) <= this.toMinutes(blackout.start);
+
+      if (blackout.weekdays.includes(weekday)) {
+        intervals.push({
+          start: this.atTime(startOfDay, blackout.start),
+          end: overnight ? endOfDay.clone() : this.atTime(startOfDay, blackout.end)
+        });
+      }
+      // Перерыв через полночь (22:00-02:00) продолжается утром следующего дня
+      if (overnight && blackout.weekdays.includes(previousWeekday)) {
+        intervals.push({ start: startOfDay.clone(), end: this.atTime(startOfDay, blackout.end) });
+      }
+    });
+
+    // Пауза в исследовании (/pause) блокирует день целиком
+    const dated = [...(availability.blackoutDates || []), ...(user.pauses || [])];
+    if (availability.quietUntil) {
+      dated.push({ startAt: new Date(0), endAt: availability.quietUntil });
+    }
+
+    dated.forEach(({ startAt, endAt }) => {
+      const start = moment.max(moment(startAt).tz(day.tz()), startOfDay);
+      const end = moment.min(moment(endAt).tz(day.tz()), endOfDay);
+      if (start.isBefore(end)) intervals.push({ start, end });
+    });
+
+    return intervals;
+  }
+
+  /**
+   * Свободные отрезки окна дня после вычета перерывов: [{ start, end }]
+   */
+  getAvailableSegments(user, day) {
+    const window = this.getWindow(user, day);
+    if (!window.start.isBefore(window.end)) return [];
+
+    const blocked = this.getBlockedIntervals(user, day)
+      .sort((a, b) => a.start.valueOf() - b.start.valueOf());
+
+    const segments = [];
+    let cursor = window.start.clone();
+
+    blocked.forEach(interval => {
+      if (interval.start.isAfter(cursor)) {
+        segments.push({ start: cursor.clone(), end: moment.min(interval.start, window.end).clone() });
+      }
+      if (interval.end.isAfter(cursor)) cursor = interval.end.clone();
+    });
+
+    if (cursor.isBefore(window.end)) {
+      segments.push({ start: cursor, end: window.end.clone() });
+    }
+
+    return segments.filter(segment => segment.start.isBefore(segment.end));
+  }
+
+  // Можно ли прислать сигнал в момент time (moment в поясе пользователя)
+  isAvailable(user, time) {
+    return this.getAvailableSegments(user, time).some(segment =>
+      !time.isBefore(segment.start) && time.isBefore(segment.end)
+    );
+  }
+
+  // Попадает ли момент в перерыв или режим тишины (без учёта окна дня - для фиксированного времени)
+  isBlocked(user, time) {
+    return this.getBlockedIntervals(user, time).some(interval =>
+      !time.isBefore(interval.start) && time.isBefore(interval.end)
+    );
+  }
+
+  isQuiet(user, now = new Date()) {
+    const quietUntil = user.settings.availability?.quietUntil;
+    return !!quietUntil && quietUntil > now;
+  }
+
+  /**
+   * Режим тишины: «2» - на 2 часа, «завтра» - до начала окна завтра
+   * @returns {Date|null} - до какого момента тишина или null, если не разобрали
+   */
+  resolveQuietUntil(user, argument, now = moment().tz(user.settings.timezone)) {
+    const text = (argument || '').trim().toLowerCase();
+
+    if (['завтра', 'tomorrow'].includes(text)) {
+      return this.getWindow(user, now.clone().add(1, 'day')).start.toDate();
+    }
+
+    const hours = parseFloat(text.replace(',', '.'));
+    if (Number.isFinite(hours) && hours > 0 && hours <= config.availability.maxQuietHours) {
+      return now.clone().add(Math.round(hours * 60), 'minutes').toDate();
+    }
+
+    return null;
+  }
+
+  /**
+   * Разбор «пн-пт 09:00-21:00» или «пн,ср 10:00-11:00 Планёрка» (по строке на диапазон)
+   * @returns {Array|null} - [{ weekdays, start, end, label }] или null при ошибке
+   */
+  parseWeeklyRanges(text) {
+    const lines = (text || '').split('\n').map(line => line.trim()).filter(Boolean);
+    if (lines.length === 0) return null;
+
+    const ranges = [];
+    for (const line of lines) {
+      const match = /^(\S+)\s+(\d{1,2}:\d{2})\s*[-–]\s*(\d{1,2}:\d{2})\s*(.*)$/.exec(line);
+      if (!match || !TIME_REGEX.test(match[2]) || !TIME_REGEX.test(match[3])) return null;
+
+      const weekdays = this.parseWeekdays(match[1]);
+      if (!weekdays) return null;
+
+      ranges.push({
+        weekdays,
+        start: this.normalizeTime(match[2]),
+        end: this.normalizeTime(match[3]),
+        label: match[4].trim().slice(0, 40) || null
+      });
+    }
+
+    return ranges;
+  }
+
+  // «пн-пт», «сб,вс», «ежедневно»
+  parseWeekdays(text) {
+    const value = text.toLowerCase();
+    if (['ежедневно', 'каждый', 'все', 'пн-вс'].includes(value)) {
+      return WEEKDAYS.map(({ day }) => day);
+    }
+
+    const find = alias => WEEKDAYS.findIndex(({ aliases }) => aliases.includes(alias));
+    const days = [];
+
+    for (const part of value.split(',')) {
+      const [from, to] = part.split('-');
+      const fromIndex = find(from);
+      const toIndex = to === undefined ? fromIndex : find(to);
+      if (fromIndex === -1 || toIndex === -1 || toIndex < fromIndex) return null;
+
+      WEEKDAYS.slice(fromIndex, toIndex + 1).forEach(({ day }) => days.push(day));
+    }
+
+    return [...new Set(days)];
+  }
+
+  normalizeTime(time) {
+    const [hour, minute] = time.split(':');
+    return `${hour.padStart(2, '0')}:${minute}`;
+  }
+
+  /**
+   * Перерывы из календаря .ics: бессрочные уже начавшиеся повторы «каждый день / каждую
+   * неделю» становятся еженедельными перерывами. Остальные события и повторы (COUNT,
+   * INTERVAL, UNTIL, EXDATE, начало в будущем, по месяцам и годам) разворачиваются
+   * в разовые перерывы - только будущие, в пределах lookaheadDays
+   * @returns {Object} - { blackouts, blackoutDates }
+   */
+  importIcs(text, timezone, now = moment().tz(timezone)) {
+    const horizon = now.clone().add(config.availability.icsLookaheadDays, 'days');
+    const blackouts = [];
+    const blackoutDates = [];
+
+    icsParser.parse(text, timezone).forEach(event => {
+      const label = event.summary ? event.summary.slice(0, 40) : null;
+      const rule = event.rrule;
+
+      if (this.isWeeklyRule(event, now)) {
+        blackouts.push({
+          weekdays: rule.freq === 'DAILY'
+            ? WEEKDAYS.map(({ day }) => day)
+            : (rule.byDay.length > 0 ? [...new Set(rule.byDay.map(item => item.day))] : [event.start.day()]),
+          start: event.start.format('HH:mm'),
+          end: event.end.format('HH:mm'),
+          label,
+          source: 'ics'
+        });
+        return;
+      }
+
+      icsParser.occurrences(event, now, horizon).forEach(({ start, end }) => {
+        blackoutDates.push({ startAt: start.toDate(), endAt: end.toDate(), label, source: 'ics' });
+      });
+    });
+
+    return {
+      blackouts: blackouts.slice(0, config.availability.maxBlackouts),
+      blackoutDates: blackoutDates
+        .sort((a, b) => a.startAt - b.startAt)
+        .slice(0, config.availability.maxBlackoutDates)
+    };
+  }
+
+  // Повтор без конца и пропусков, который уже идёт, - можно хранить как еженедельный перерыв
+  isWeeklyRule(event, now) {
+    const rule = event.rrule;
+    return !!rule && rule.supported && ['WEEKLY', 'DAILY'].includes(rule.freq) && !event.allDay &&
+      rule.interval === 1 && !rule.count && !rule.until && !event.exdates.some(date => date.isAfter(now)) &&
+      !event.start.isAfter(now) && event.end.diff(event.start, 'hours') < 24;
+  }
+}
+
+module.exports = new AvailabilityService();
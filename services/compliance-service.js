@@ -0,0 +1,135 @@
+const moment = require('moment-timezone');
+const Response = require('../models/Response');
+const config = require('../config/hurlburt');
+
+/**
+ * Комплаенс - доля отвеченных сигналов: отвеченные / отправленные
+ *
+ * Считаются только сигналы расписания (не напоминания эскалации и не записи
+ * по своей инициативе). Сигнал отвечен, если опрос начат до его истечения
+ * (config.beepExpiry). Ниже порогов из config.compliance.interventions
+ * участнику приходит вопрос, удобно ли расписание, с кнопками для его изменения.
+ */
+class ComplianceService {
+  /**
+   * Сигналы пользователя с момента since
+   */
+  async getBeeps(user, since, now = new Date()) {
+    return Response.find({
+      userId: user._id,
+      notificationSentAt: { $gte: since, $lte: now },
+      'metadata.isEscalation': { $ne: true }
+    }).select('notificationSentAt responseStartedAt expired').lean();
+  }
+
+  isAnswered(beep) {
+    return !!beep.responseStartedAt && !beep.expired;
+  }
+
+  summarize(beeps) {
+    const answered = beeps.filter(beep => this.isAnswered(beep)).length;
+    return {
+      sent: beeps.length,
+      answered,
+      rate: beeps.length > 0 ? answered / beeps.length : null
+    };
+  }
+
+  /**
+   * Комплаенс по дням пользователя, от старых к новым
+   * @returns {Array} - [{ date: 'YYYY-MM-DD', sent, answered, rate }]
+   */
+  groupByDay(beeps, timezone, days, now = new Date()) {
+    const today = moment(now).tz(timezone).startOf('day');
+    const byDay = new Map();
+
+    for (let offset = days - 1; offset >= 0; offset--) {
+      byDay.set(today.clone().subtract(offset, 'days').format('YYYY-MM-DD'), []);
+    }
+
+    beeps.forEach(beep => {
+      const date = moment(beep.notificationSentAt).tz(timezone).format('YYYY-MM-DD');
+      if (byDay.has(date)) byDay.get(date).push(beep);
+    });
+
+    return [...byDay.entries()].map(([date, dayBeeps]) => ({ date, ...this.summarize(dayBeeps) }));
+  }
+
+  /**
+   * Сегодня, за неделю и по дням недели
+   * @returns {Object} - { today, week, days }
+   */
+  async getCompliance(user, now = new Date()) {
+    const timezone = user.settings.timezone;
+    const days = config.compliance.historyDays;
+    const since = moment(now).tz(timezone).startOf('day').subtract(days - 1, 'days').toDate();
+
+    const beeps = await this.getBeeps(user, since, now);
+    const byDay = this.groupByDay(beeps, timezone, days, now);
+
+    return {
+      today: byDay[byDay.length - 1],
+      week: this.summarize(beeps),
+      days: byDay
+    };
+  }
+
+  formatRate(stats) {
+    return stats.rate === null ? '—' : `${Math.round(stats.rate * 100)}%`;
+  }
+
+  /**
+   * Первое сработавшее вмешательство (не на паузе кулдауна), или null
+   * @returns {Object|null} - { intervention, stats }
+   */
+  async findIntervention(user, now = new Date()) {
+    const history = user.complianceInterventions || [];
+
+    for (const intervention of config.compliance.interventions) {
+      const last = history
+        .filter(item => item.interventionId === intervention.id)
+        .sort((a, b) => b.sentAt - a.sentAt)[0];
+      if (last && now - last.sentAt < intervention.cooldownDays * 24 * 60 * 60 * 1000) continue;
+
+      const since = new Date(now.getTime() - intervention.windowDays * 24 * 60 * 60 * 1000);
+      const stats = this.summarize(await this.getBeeps(user, since, now));
+
+      if (stats.sent >= intervention.minSent && stats.rate < intervention.below) {
+        return { intervention, stats };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Сообщение-вопрос «удобно ли расписание» с кнопками: меньше сигналов в день,
+   * другое время начала или окончания, оставить как есть
+   */
+  buildCheckIn(user, intervention, stats) {
+    const current = user.settings.notificationsPerDay;
+    const counts = [current - 1, current - 2].filter(count => count >= 1);
+
+    const text = intervention.message
+      .replaceAll('{answered}', String(stats.answered))
+      .replaceAll('{sent}', String(stats.sent))
+      .replaceAll('{rate}', this.formatRate(stats))
+      .replaceAll('{days}', String(intervention.windowDays));
+
+    return {
+      text,
+      keyboard: {
+        inline_keyboard: [
+          counts.map(count => ({ text: `📉 ${count} в день`, callback_data: `compliance_count_${count}` })),
+          [
+            { text: `⏰ Начало (${user.settings.notificationStartTime})`, callback_data: 'compliance_start_time' },
+            { text: `⏰ Конец (${user.settings.notificationEndTime})`, callback_data: 'compliance_end_time' }
+          ],
+          [{ text: '👌 Всё удобно', callback_data: 'compliance_ok' }]
+        ].filter(row => row.length > 0)
+      }
+    };
+  }
+}
+
+module.exports = new ComplianceService();
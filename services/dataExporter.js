@@ -4,6 +4,9 @@ const Response = require('../models/Response');
 const User = require('../models/User');
 const PatternDetector = require('../helpers/patternDetector');
 const config = require('../config/hurlburt');
+const esmBattery = require('../config/esm-battery');
+const pauseService = require('./pause-service');
+const questionnaireService = require('./questionnaire-service');
 
 /**
  * Сервис экспорта данных для исследований
@@ -30,6 +33,7 @@ class DataExporter {
       startDate = null,
       endDate = null,
       includeTraining = false,
+      includeLate = !config.beepExpiry.excludeLateSamples,
       anonymize = true
     } = options;
 
@@ -48,6 +52,9 @@ class DataExporter {
       if (!includeTraining) {
         query['metadata.isTraining'] = { $ne: true };
       }
+      if (!includeLate) {
+        Object.assign(query, Response.lateSampleFilter({ enabled: true }));
+      }
 
       // Получаем ответы
       const responses = await Response.find(query)
@@ -110,15 +117,17 @@ class DataExporter {
       participant: anonymize ? {
         id: this.hashUserId(user._id.toString()),
         registrationDate: user.createdAt,
-        timezone: user.timezone || 'UTC'
+        timezone: user.timezone || 'UTC',
+        pauses: pauseService.exportPauses(user, true)
       } : {
         id: user._id,
         telegramId: user.telegramId,
         username: user.username,
-        registrationDate: user.createdAt
+        registrationDate: user.createdAt,
+        pauses: pauseService.exportPauses(user)
       },
       patterns: this.patternDetector.exportForResearch(patterns, user._id),
-      responses: responses.map(r => this.formatResponseForExport(r, anonymize))
+      responses: responses.map(r => this.formatResponseForExport(r, anonymize, user))
     };
 
     return exportData;
@@ -127,12 +136,21 @@ class DataExporter {
   /**
    * Форматирование отдельного ответа для экспорта
    */
-  formatResponseForExport(response, anonymize) {
+  formatResponseForExport(response, anonymize, user = null) {
     const formatted = {
       // Временные метки
       timestamp: response.timestamp,
       responseTime: response.metadata?.responseTime,
-      
+      latencySeconds: response.latencySeconds ?? '',
+      expired: response.expired || false,
+      expiryReason: response.expiryReason || '',
+
+      // Опросник
+      questionnaireKey: response.questionnaire?.key || '',
+      questionnaireVersion: response.questionnaire?.version ?? '',
+      answers: this.formatAnswers(response, anonymize),
+      questionPath: (response.path || []).join(' > '),
+
       // Основные шкалы
       mood: response.responses.mood,
       energy: response.responses.energy,
@@ -144,6 +162,22 @@ class DataExporter {
       skill: response.metadata?.skill,
       concentration: response.metadata?.concentration,
       flowState: response.metadata?.flowState,
+
+      // Полный опрос или мини-форма
+      surveyMode: response.surveyMode || 'full',
+
+      // Что вызвало запись: signal, interval, event или self
+      trigger: response.getTrigger(),
+
+      // Сколько дней паузы (/pause) было с регистрации до ответа
+      pauseDaysBefore: user ? user.countPausedDays(user.createdAt, response.timestamp) : '',
+
+      // Категории контекста (config/context-categories.js)
+      activityCategory: response.responses.activityCategory,
+      companionCategory: response.responses.companionCategory,
+
+      // Батарея ESF (аффект 1-7, состояние 0-9)
+      ...this.formatBatteryScores(response),
       
       // Качество данных
       dataQuality: response.metadata?.dataQualityScore,
@@ -160,7 +194,13 @@ class DataExporter {
       
       // Follow-up
       hasFollowUp: response.metadata?.followUpAnswers?.length > 0,
-      followUpCount: response.metadata?.followUpAnswers?.length || 0
+      followUpCount: response.metadata?.followUpAnswers?.length || 0,
+
+      // Фото окружения: ссылки на файл и превью в Telegram
+      photos: this.formatPhotos(response.photos, anonymize),
+
+      // Исправления ответов во время опроса
+      answerEdits: this.formatAnswerEdits(response.answerEdits, anonymize)
     };
 
     // Добавляем текстовые данные (анонимизированные если нужно)
@@ -168,6 +208,7 @@ class DataExporter {
       formatted.currentThoughts = response.responses.currentThoughts;
       formatted.currentActivity = response.responses.currentActivity;
       formatted.currentCompanion = response.metadata?.currentCompanion;
+      formatted.place = response.responses.place;
     } else {
       // Для анонимизации сохраняем только характеристики текста
       formatted.thoughtsLength = response.responses.currentThoughts?.length || 0;
@@ -180,6 +221,74 @@ class DataExporter {
     return formatted;
   }
 
+  /**
+   * Ответы по id пунктов опросника (в CSV - колонки answer_<id>).
+   * При анонимизации без свободного текста и мест: типы пунктов берутся из встроенного
+   * опросника той же версии, строка в неизвестном пункте считается свободным текстом
+   */
+  formatAnswers(response, anonymize) {
+    const answers = Object.fromEntries(
+      response.answers instanceof Map ? response.answers : Object.entries(response.answers || {})
+    );
+    if (!anonymize) return answers;
+
+    const { key, version } = response.questionnaire || {};
+    const items = (key && questionnaireService.getBuiltin(key, version)?.items) || [];
+    const types = new Map(items.map(item => [item.id, item.type]));
+
+    return Object.fromEntries(Object.entries(answers).filter(([itemId, value]) => {
+      const type = types.get(itemId);
+      return type ? !['text', 'location'].includes(type) : typeof value !== 'string';
+    }));
+  }
+
+  /**
+   * Исправления ответов: при анонимизации без самих значений (там может быть свободный текст)
+   */
+  formatAnswerEdits(edits = [], anonymize) {
+    return edits.map(edit => ({
+      itemId: edit.itemId,
+      via: edit.via,
+      editedAt: edit.editedAt,
+      ...(anonymize ? {} : {
+        previousValue: edit.previousValue,
+        newValue: edit.newValue
+      })
+    }));
+  }
+
+  /**
+   * Фото для экспорта: превью (thumbnailFileId) и метаданные без подписи и координат при анонимизации
+   */
+  formatPhotos(photos = [], anonymize) {
+    return photos.map(photo => ({
+      itemId: photo.itemId,
+      fileUniqueId: photo.fileUniqueId,
+      thumbnailFileId: photo.thumbnailFileId || photo.fileId,
+      width: photo.width,
+      height: photo.height,
+      takenAt: photo.exif?.takenAt || null,
+      ...(anonymize ? {} : {
+        fileId: photo.fileId,
+        caption: photo.caption,
+        location: photo.exif?.location || null
+      })
+    }));
+  }
+
+  /**
+   * Колонки батареи ESF: affect_<id>, state_<id> для каждого пункта из config/esm-battery.js
+   */
+  formatBatteryScores(response) {
+    const columns = {};
+    ['affect', 'state'].forEach(group => {
+      esmBattery[group].items.forEach(item => {
+        columns[`${group}_${item.id}`] = response.responses?.[group]?.[item.id];
+      });
+    });
+    return columns;
+  }
+
   /**
    * Экспорт в JSON
    */
@@ -223,16 +332,24 @@ class DataExporter {
   convertToCSV(responses) {
     if (responses.length === 0) return '';
 
-    // Получаем заголовки из первого объекта
-    const headers = Object.keys(responses[0]);
-    const csvHeaders = headers.join(',');
+    // Получаем заголовки из первого объекта; ответы по id пунктов - колонками answer_<id>
+    // по всем записям (у опросников разные пункты)
+    const answerIds = [...new Set(responses.flatMap(row => Object.keys(row.answers || {})))];
+    const columns = Object.keys(responses[0]).flatMap(header => header === 'answers'
+      ? answerIds.map(itemId => ({ name: `answer_${itemId}`, get: row => row.answers?.[itemId] }))
+      : [{ name: header, get: row => row[header] }]);
+    const csvHeaders = columns.map(column => column.name).join(',');
 
     // Конвертируем данные
     const csvRows = responses.map(row => {
-      return headers.map(header => {
-        const value = row[header];
-        // Экранируем значения с запятыми
-        if (typeof value === 'string' && value.includes(',')) {
+      return columns.map(column => {
+        let value = column.get(row);
+        // Вложенные данные (например, фото) сохраняем в ячейке как JSON
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+          value = JSON.stringify(value);
+        }
+        // Экранируем значения с запятыми и кавычками
+        if (typeof value === 'string' && /[",\n]/.test(value)) {
           return `"${value.replace(/"/g, '""')}"`;
         }
         return value ?? '';
@@ -399,7 +516,7 @@ EXECUTE.`;
   calculateAverageQuality(responses) {
     const qualities = responses
       .map(r => r.metadata?.dataQualityScore)
-      .filter(q => q !== undefined);
+      .filter(q => q !== undefined && q !== null);
     
     return qualities.length > 0 ?
       Math.round(qualities.reduce((a, b) => a + b, 0) / qualities.length) : 0;
@@ -0,0 +1,140 @@
+const moment = require('moment-timezone');
+const Response = require('../models/Response');
+const config = require('../config/hurlburt');
+
+/**
+ * Политика эскалации под конкретного участника
+ *
+ * Лестница config.escalation одинакова для всех и становится всё настойчивее.
+ * Здесь по истории ответов (доля отвеченных сигналов и медианная задержка)
+ * выбирается профиль: сколько напоминаний прислать после пропуска, во сколько
+ * раз растянуть паузы между ними и каким тоном писать. Сверху действует
+ * дневной лимит напоминаний, а участник может отключить эскалацию в /settings.
+ */
+class EscalationPolicy {
+  get profiles() {
+    return config.escalation.adaptive.profiles;
+  }
+
+  // Без подстройки - прежняя лестница целиком
+  get standardProfile() {
+    return {
+      label: 'Стандартный',
+      maxReminders: config.escalation.maxEscalationLevel,
+      intervalScale: 1,
+      tone: 'standard'
+    };
+  }
+
+  isEnabled(user) {
+    return user.settings?.escalationEnabled !== false;
+  }
+
+  /**
+   * Отзывчивость по обычным сигналам (не напоминаниям) за historyDays
+   * @returns {Object} - { samples, compliance, medianLatencyMinutes }
+   */
+  async getResponsiveness(user, now = new Date()) {
+    const since = new Date(now.getTime() - config.escalation.adaptive.historyDays * 24 * 60 * 60 * 1000);
+
+    const beeps = await Response.find({
+      userId: user._id,
+      notificationSentAt: { $gte: since, $lte: now },
+      'metadata.isEscalation': { $ne: true }
+    }).select('notificationSentAt responseStartedAt').lean();
+
+    return this.summarize(beeps);
+  }
+
+  summarize(beeps) {
+    const latencies = beeps
+      .filter(beep => beep.responseStartedAt)
+      .map(beep => (new Date(beep.responseStartedAt) - new Date(beep.notificationSentAt)) / 60000)
+      .sort((a, b) => a - b);
+
+    const middle = Math.floor(latencies.length / 2);
+    const median = latencies.length === 0
+      ? null
+      : latencies.length % 2 ? latencies[middle] : (latencies[middle - 1] + latencies[middle]) / 2;
+
+    return {
+      samples: beeps.length,
+      compliance: beeps.length > 0 ? latencies.length / beeps.length : 0,
+      medianLatencyMinutes: median
+    };
+  }
+
+  /**
+   * Ключ профиля: первый, чьи пороги проходят (профили в config по убыванию строгости)
+   */
+  classify({ samples, compliance, medianLatencyMinutes }) {
+    const adaptive = config.escalation.adaptive;
+    if (samples < adaptive.minSamples) return adaptive.defaultProfile;
+
+    const match = Object.entries(this.profiles).find(([, profile]) =>
+      compliance >= profile.minCompliance &&
+      (medianLatencyMinutes ?? Infinity) <= profile.maxMedianLatencyMinutes
+    );
+    return match ? match[0] : adaptive.defaultProfile;
+  }
+
+  // Профиль выбирается один раз в начале эскалации
+  async chooseProfile(user, now = new Date()) {
+    if (!config.escalation.adaptive.enabled) return null;
+    return this.classify(await this.getResponsiveness(user, now));
+  }
+
+  getProfile(user) {
+    const key = user.escalationState?.profile;
+    return (config.escalation.adaptive.enabled && this.profiles[key]) || this.standardProfile;
+  }
+
+  /**
+   * Пауза до следующего напоминания (минуты): интервал уровня из лестницы,
+   * растянутый на intervalScale профиля
+   */
+  nextIntervalMinutes(user, random = Math.random) {
+    const level = Math.min(user.escalationState.escalationLevel, config.escalation.maxEscalationLevel);
+    const intervals = config.escalation.intervals[`level${level}`] || config.escalation.intervals.level1;
+    const minutes = intervals.min + Math.floor(random() * (intervals.max - intervals.min + 1));
+
+    return Math.round(minutes * this.getProfile(user).intervalScale);
+  }
+
+  getMessage(user, level) {
+    const tone = config.escalation.adaptive.tones[this.getProfile(user).tone];
+    if (tone) {
+      return tone[Math.min(level, tone.length) - 1];
+    }
+    return config.escalation.messages[`level${level}`] || config.escalation.messages.level1;
+  }
+
+  // Уже отправлено напоминаний в этой эскалации (уровень растёт после каждого)
+  remindersSent(user) {
+    return Math.max(0, (user.escalationState.escalationLevel || 1) - 1);
+  }
+
+  remindersToday(user, now = new Date()) {
+    const state = user.escalationState;
+    const today = moment(now).tz(user.settings.timezone).format('YYYY-MM-DD');
+    return state.remindersDay === today ? state.remindersToday || 0 : 0;
+  }
+
+  countReminder(user, now = new Date()) {
+    const today = moment(now).tz(user.settings.timezone).format('YYYY-MM-DD');
+    user.escalationState.remindersToday = this.remindersToday(user, now) + 1;
+    user.escalationState.remindersDay = today;
+  }
+
+  /**
+   * Почему больше не напоминать (null - можно напомнить)
+   */
+  getStopReason(user, now = new Date()) {
+    if (!this.isEnabled(user)) return 'disabled';
+    if (this.remindersSent(user) >= this.getProfile(user).maxReminders) return 'reminder_limit';
+    if (this.remindersToday(user, now) >= config.escalation.maxRemindersPerDay) return 'daily_cap';
+    return null;
+  }
+}
+
+module.exports = new EscalationPolicy();
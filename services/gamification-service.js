@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const Response = require('../models/Response');
+const config = require('../config/hurlburt');
 
 class GamificationService {
   
@@ -8,14 +9,15 @@ class GamificationService {
     const achievements = [];
     let levelUp = false;
     
-    // Базовые очки за ответ
-    let experienceGained = 10;
+    // Базовые очки за ответ; мини-форма сохраняет стрик, но даёт меньше опыта
+    const isMiniForm = response.surveyMode === 'mini';
+    let experienceGained = isMiniForm ? config.miniForm.experiencePoints : 10;
     
     // Обновляем ежедневный стрик
     const dailyStreak = user.updateStreak('daily');
     
-    // Проверяем качество ответа
-    const isHighQuality = response.metadata?.dataQualityScore >= 70;
+    // Проверяем качество ответа (у мини-формы оно не оценивается)
+    const isHighQuality = !isMiniForm && response.metadata?.dataQualityScore >= 70;
     if (isHighQuality) {
       experienceGained += 15;
       const qualityStreak = user.updateStreak('quality');
@@ -148,7 +150,7 @@ class GamificationService {
     if (recentResponses.length > 0) {
       const qualityScores = recentResponses
         .map(r => r.metadata?.dataQualityScore)
-        .filter(score => score !== undefined);
+        .filter(score => score !== undefined && score !== null);
       
       if (qualityScores.length > 0) {
         user.rankings.qualityAverage = qualityScores.reduce((a, b) => a + b, 0) / qualityScores.length;
@@ -0,0 +1,202 @@
+const os = require('os');
+const NotificationJob = require('../models/NotificationJob');
+const config = require('../config/hurlburt');
+
+// insertMany с ordered: false: дубли (E11000) значат, что сигнал уже запланирован
+function isDuplicateKeyError(error) {
+  return error.code === 11000 ||
+    (Array.isArray(error.writeErrors) && error.writeErrors.every(writeError => writeError.code === 11000));
+}
+
+/**
+ * Очередь отправок в MongoDB
+ *
+ * Сигналы и напоминания эскалации хранятся как документы NotificationJob,
+ * поэтому переживают перезапуск. Отправку захватывает ровно один экземпляр бота
+ * (атомарный findOneAndUpdate с блокировкой на lockSeconds), так что два
+ * экземпляра не пришлют один сигнал дважды.
+ */
+class JobQueue {
+  constructor() {
+    this.instanceId = config.jobs.instanceId || `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Сверяет будущие запланированные отправки пользователя с новым планом:
+   * лишние отменяются, недостающие создаются, совпадающие остаются как есть.
+   * Просроченные (scheduledFor <= now) не трогаем - их заберёт claimNext или expireOverdue
+   */
+  async replacePlanned(user, times, type = 'beep', now = new Date()) {
+    const wanted = new Set(times
+      .map(time => new Date(time).getTime())
+      .filter(time => time > now.getTime()));
+
+    const planned = await NotificationJob.find({
+      userId: user._id,
+      type,
+      state: 'planned',
+      scheduledFor: { $gt: now }
+    }).select('scheduledFor').lean();
+
+    const existing = new Set(planned.map(job => job.scheduledFor.getTime()));
+    const stale = planned.filter(job => !wanted.has(job.scheduledFor.getTime())).map(job => job._id);
+    const missing = [...wanted].filter(time => !existing.has(time));
+
+    if (stale.length > 0) {
+      await NotificationJob.updateMany(
+        { _id: { $in: stale }, state: 'planned' },
+        { $set: { state: 'cancelled', closedReason: 'replanned' } }
+      );
+    }
+
+    if (missing.length > 0) {
+      try {
+        await NotificationJob.insertMany(missing.map(time => ({
+          userId: user._id,
+          telegramId: user.telegramId,
+          type,
+          scheduledFor: new Date(time)
+        })), { ordered: false });
+      } catch (error) {
+        // Другой экземпляр успел запланировать тот же момент
+        if (!isDuplicateKeyError(error)) throw error;
+      }
+    }
+  }
+
+  /**
+   * Отдельная отправка вне плана дня (следующий канал для отправленного сигнала)
+   * @param {Object} fields - { responseId, step }
+   */
+  async enqueue(user, type, scheduledFor, fields = {}) {
+    try {
+      return await NotificationJob.create({
+        userId: user._id,
+        telegramId: user.telegramId,
+        type,
+        scheduledFor,
+        ...fields
+      });
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+      return null;
+    }
+  }
+
+  async hasPlanned(userId, type = 'beep', now = new Date()) {
+    return !!(await NotificationJob.exists({ userId, type, state: 'planned', scheduledFor: { $gt: now } }));
+  }
+
+  /**
+   * Захватывает ближайшую наступившую отправку (не старше льготного периода),
+   * не заблокированную другим экземпляром и не ожидающую повтора после ошибки
+   * @returns {Object|null} - NotificationJob или null, если отправлять нечего
+   */
+  async claimNext(now = new Date()) {
+    const graceStart = new Date(now.getTime() - config.jobs.replayGraceMinutes * 60 * 1000);
+
+    return NotificationJob.findOneAndUpdate(
+      {
+        state: 'planned',
+        scheduledFor: { $lte: now, $gte: graceStart },
+        attempts: { $lt: config.jobs.maxAttempts },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + config.jobs.lockSeconds * 1000)
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  async markSent(job, responseId) {
+    await NotificationJob.updateOne(
+      { _id: job._id, state: 'planned' },
+      {
+        $set: { state: 'sent', sentAt: new Date(), responseId, lockedBy: null, lockedUntil: null }
+      }
+    );
+  }
+
+  /**
+   * Неудачная отправка: повтор не раньше чем через retryBaseSeconds * 2^(attempts-1)
+   * (lockedUntil без lockedBy - claimNext не выдаст отправку до этого времени,
+   * в том числе в текущем проходе processDueJobs) или отмена после maxAttempts
+   */
+  async release(job, error, now = new Date()) {
+    const exhausted = job.attempts >= config.jobs.maxAttempts;
+    const backoffSeconds = config.jobs.retryBaseSeconds * 2 ** Math.max(job.attempts - 1, 0);
+
+    await NotificationJob.updateOne(
+      { _id: job._id, state: 'planned' },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: exhausted ? null : new Date(now.getTime() + backoffSeconds * 1000),
+          lastError: String(error?.message || error).slice(0, 500),
+          ...(exhausted ? { state: 'cancelled', closedReason: 'send_failed' } : {})
+        }
+      }
+    );
+  }
+
+  async cancel(job, reason) {
+    await NotificationJob.updateOne(
+      { _id: job._id, state: 'planned' },
+      { $set: { state: 'cancelled', closedReason: reason, lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  async cancelForUser(userId, type, reason) {
+    await NotificationJob.updateMany(
+      { userId, type, state: 'planned' },
+      { $set: { state: 'cancelled', closedReason: reason, lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  // Ответ на сигнал (в том числе «Пропустить» - с reason 'skipped'); следующие каналы уже не нужны
+  async markAnswered(responseId, reason = 'answered') {
+    await NotificationJob.updateMany(
+      { responseId, state: 'sent' },
+      { $set: { state: 'answered', answeredAt: new Date(), closedReason: reason } }
+    );
+    await this.cancelFallbacks(responseId, reason);
+  }
+
+  // Участник увидел сигнал (подтвердил экстренное уведомление Pushover) - другие каналы не нужны
+  async cancelFallbacks(responseId, reason) {
+    await NotificationJob.updateMany(
+      { responseId, type: 'fallback', state: 'planned' },
+      { $set: { state: 'cancelled', closedReason: reason, lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  // Отправленные сигналы без ответа дольше beepExpiry
+  async expireSent(threshold) {
+    const result = await NotificationJob.updateMany(
+      { state: 'sent', sentAt: { $lte: threshold } },
+      { $set: { state: 'expired', closedReason: 'no_response' } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Отправки, опоздавшие больше чем на replayGraceMinutes (бот был выключен):
+   * сигнал, присланный через час после момента выборки, для ESM уже не годится
+   */
+  async expireOverdue(now = new Date()) {
+    const graceStart = new Date(now.getTime() - config.jobs.replayGraceMinutes * 60 * 1000);
+
+    const result = await NotificationJob.updateMany(
+      { state: 'planned', scheduledFor: { $lt: graceStart } },
+      { $set: { state: 'expired', closedReason: 'missed_offline', lockedBy: null, lockedUntil: null } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new JobQueue();
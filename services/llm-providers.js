@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/hurlburt');
+const CircuitBreaker = require('../utils/circuit-breaker');
+const { SchemaValidationError, parseWithSchema, formatErrors } = require('../utils/json-schema');
+const { recordSchemaFailure } = require('../utils/metrics');
+const aiUsage = require('./ai-usage-service');
+const promptRegistry = require('./prompt-registry');
+
+/**
+ * Провайдеры языковых моделей
+ *
+ * Общий интерфейс для валидации ответов и инсайтов: complete(request), где
+ * request - { task, feature, userId, system, prompt, temperature, maxTokens, json }, возвращает
+ * { text, provider, model, usage: { inputTokens, outputTokens } }.
+ * С request.schema (config/ai-schemas.js) цепочка проверяет ответ по схеме и возвращает
+ * его в data; ответ не по схеме уходит той же модели на исправление с ошибками проверки.
+ * Тайм-аут и повторы задаются для каждого провайдера в config.llm.providers.
+ *
+ * self-hosted - OpenAI-совместимый сервер в нашей сети (llama.cpp server, Ollama, vLLM);
+ * openai и anthropic - внешние API; fixture - записанные ответы для тестов без сети.
+ * ProviderChain перебирает провайдеров по порядку config.llm.chain, у каждого свой
+ * предохранитель: упавший провайдер пропускается, пока предохранитель разомкнут.
+ * Цепочка записывает токены и стоимость каждого ответа (ai-usage-service) с функцией
+ * бота (request.feature) и пользователем; сверх бюджета платные провайдеры пропускаются.
+ */
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class LLMError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+// 429 и ошибки сервера стоит повторить, остальные 4xx - нет
+async function checkResponse(response, label) {
+  if (response.ok) return response.json();
+
+  const body = await response.text().catch(() => '');
+  throw new LLMError(`${label} error: ${response.status} ${body.slice(0, 200)}`.trim(), {
+    status: response.status,
+    retryable: response.status === 429 || response.status >= 500
+  });
+}
+
+/**
+ * Тайм-аут и повторы с удвоением паузы; send(request, signal) реализуют наследники
+ */
+class LLMProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+    this.model = options.model || null;
+  }
+
+  async complete(request) {
+    const { timeoutMs = 30000, maxRetries = 0, retryDelayMs = 1000 } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+      try {
+        const result = await this.send(request, controller.signal);
+        return { provider: this.name, model: this.model, usage: null, ...result };
+      } catch (error) {
+        const failure = controller.signal.aborted ? new LLMError(`${this.name} timeout after ${timeoutMs}ms`) : error;
+        if (attempt >= maxRetries || failure.retryable === false) {
+          throw failure;
+        }
+        console.warn(`LLM ${this.name} attempt ${attempt + 1} failed: ${failure.message}`);
+        await sleep(retryDelayMs * Math.pow(2, attempt));
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  async send() {
+    throw new Error('send() is not implemented');
+  }
+}
+
+/**
+ * POST /chat/completions: OpenAI и любой совместимый сервер
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+  async send(request, signal) {
+    const messages = [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      { role: 'user', content: request.prompt }
+    ];
+
+    const response = await fetch(`${this.options.baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.options.apiKey ? { Authorization: `Bearer ${this.options.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model: this.model,
+        messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens,
+        ...(request.json && this.options.jsonMode ? { response_format: { type: 'json_object' } } : {})
+      }),
+      signal
+    });
+
+    const data = await checkResponse(response, this.name);
+    const text = data.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new LLMError(`Empty response from ${this.name}`);
+    }
+
+    return {
+      text,
+      model: data.model || this.model,
+      usage: data.usage ? { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens } : null
+    };
+  }
+}
+
+class AnthropicProvider extends LLMProvider {
+  async send(request, signal) {
+    const response = await fetch(`${this.options.baseUrl.replace(/\/+$/, '')}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.options.apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature,
+        ...(request.system ? { system: request.system } : {}),
+        messages: [{ role: 'user', content: request.prompt }]
+      }),
+      signal
+    });
+
+    const data = await checkResponse(response, this.name);
+    const text = data.content?.[0]?.text;
+    if (!text) {
+      throw new LLMError(`Empty response from ${this.name}`);
+    }
+
+    return {
+      text,
+      model: data.model || this.model,
+      usage: data.usage ? { inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens } : null
+    };
+  }
+}
+
+/**
+ * Записанные ответы: файл <task>-<хэш запроса>.json в каталоге dir.
+ * В режиме record запрос уходит настоящему провайдеру, ответ сохраняется
+ */
+class FixtureProvider extends LLMProvider {
+  constructor(options = {}, recorder = null) {
+    super('fixture', { ...options, maxRetries: 0 });
+    this.recorder = recorder;
+  }
+
+  // Температура и модель не входят в ключ: запись переживает смену модели
+  getKey(request) {
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([request.task || 'default', request.system || '', request.prompt, !!request.json]))
+      .digest('hex')
+      .slice(0, 16);
+    return `${request.task || 'default'}-${hash}`;
+  }
+
+  getPath(request) {
+    return path.join(this.options.dir, `${this.getKey(request)}.json`);
+  }
+
+  async send(request) {
+    const file = this.getPath(request);
+
+    if (this.options.mode === 'record') {
+      if (!this.recorder) {
+        throw new LLMError('Fixture recording needs a provider', { retryable: false });
+      }
+      const result = await this.recorder.complete(request);
+      await fs.promises.mkdir(this.options.dir, { recursive: true });
+      await fs.promises.writeFile(file, `${JSON.stringify({
+        task: request.task || 'default',
+        request: { system: request.system || null, prompt: request.prompt, json: !!request.json },
+        response: { text: result.text, provider: result.provider, model: result.model, usage: result.usage }
+      }, null, 2)}\n`);
+      return result;
+    }
+
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      throw new LLMError(`No LLM fixture ${path.basename(file)}`, { retryable: false });
+    }
+    return { text: fixture.response.text, model: fixture.response.model || null, usage: fixture.response.usage || null };
+  }
+}
+
+// Предохранители общие для валидации и инсайтов: сбой провайдера виден обоим сервисам
+const breakers = new Map();
+
+function getBreaker(name, settings = config.llm) {
+  if (!breakers.has(name)) {
+    breakers.set(name, new CircuitBreaker(name, {
+      ...settings?.circuitBreaker,
+      ...settings?.providers?.[name]?.circuitBreaker
+    }));
+  }
+  return breakers.get(name);
+}
+
+function getBreakerStates() {
+  return Array.from(breakers.values()).map(breaker => breaker.getState());
+}
+
+function resetBreakers() {
+  breakers.clear();
+}
+
+/**
+ * Цепочка провайдеров с тем же complete(request). Провайдер с разомкнутым
+ * предохранителем пропускается; если задан request.parse(text), непригодный ответ
+ * тоже считается сбоем и запрос уходит следующему. Результат дополняется
+ * data (итог parse) и attempts - кто пробовал и чем закончилось
+ */
+class ProviderChain {
+  /**
+   * @param {Array<LLMProvider>} providers - в порядке предпочтения
+   * @param {Object} options - getBreaker(name) вместо общего реестра (для тестов);
+   *   usage - учёт трат с record(call) и allows(provider, model), null - без учёта;
+   *   repairAttempts - повторных запросов на ответ не по схеме
+   */
+  constructor(providers, options = {}) {
+    this.providers = providers;
+    const breakerFor = options.getBreaker || (name => getBreaker(name));
+    // Сразу: мониторинг видит всю цепочку, а не только уже вызванных
+    this.breakers = new Map(providers.map(provider => [provider.name, breakerFor(provider.name)]));
+    this.usage = options.usage || null;
+    this.repairAttempts = options.repairAttempts ?? config.llm?.schemaRepairAttempts ?? 1;
+    this.name = providers.map(provider => provider.name).join(',');
+    this.model = providers.length === 1 ? providers[0].model : null;
+  }
+
+  async complete(request) {
+    const attempts = [];
+
+    for (const provider of this.providers) {
+      // Бюджет проверяется до предохранителя: пропуск не тратит пробный вызов
+      if (this.usage && !this.usage.allows(provider.name, provider.model)) {
+        attempts.push({ provider: provider.name, status: 'over_budget' });
+        continue;
+      }
+
+      const breaker = this.breakers.get(provider.name);
+      if (!breaker.canRequest()) {
+        attempts.push({ provider: provider.name, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        const { result, data, repairs } = await this.completeWith(provider, request);
+        breaker.recordSuccess();
+        attempts.push({ provider: provider.name, status: 'ok', ...(repairs > 0 ? { repairs } : {}) });
+        return { ...result, data, attempts };
+      } catch (error) {
+        // Нет записи в режиме replay - не сбой сервиса
+        if (!(provider instanceof FixtureProvider)) {
+          breaker.recordFailure(error);
+        }
+        attempts.push({ provider: provider.name, status: 'failed', error: error.message });
+        console.warn(`LLM ${provider.name} failed for ${request.task || 'default'}: ${error.message}`);
+      }
+    }
+
+    const overBudget = attempts.length > 0 && attempts.every(attempt => attempt.status === 'over_budget');
+    const error = new LLMError(overBudget ? 'LLM budget exceeded' : 'All LLM providers failed', { retryable: false });
+    error.attempts = attempts;
+    throw error;
+  }
+
+  /**
+   * Ответ одного провайдера: разбор (request.parse) или проверка по request.schema.
+   * Ответ не по схеме отправляется модели с ошибками не больше repairAttempts раз
+   * @returns {Object} { result, data, repairs }
+   */
+  async completeWith(provider, request) {
+    const promptId = request.promptId || request.task || 'default';
+    let current = request;
+    let repairs = 0;
+
+    for (;;) {
+      const result = await provider.complete(current);
+
+      try {
+        const data = request.schema ? parseWithSchema(result.text, request.schema)
+          : request.parse ? request.parse(result.text) : undefined;
+        this.recordUsage(current, result, true);
+        if (repairs > 0) recordSchemaFailure(provider.name, promptId, true);
+        return { result, data, repairs };
+      } catch (error) {
+        // Непригодный ответ тоже оплачен
+        this.recordUsage(current, result, false);
+        if (!(error instanceof SchemaValidationError)) throw error;
+
+        if (repairs >= this.repairAttempts) {
+          recordSchemaFailure(provider.name, promptId, false);
+          throw error;
+        }
+        repairs++;
+        current = this.buildRepairRequest(request, result.text, error);
+        console.warn(`LLM ${provider.name} returned invalid ${promptId} response, asking to repair: ${error.message}`);
+      }
+    }
+  }
+
+  // Исходный запрос с ответом модели и ошибками проверки
+  buildRepairRequest(request, text, error) {
+    const rendered = promptRegistry.render('schema_repair', {
+      prompt: request.prompt,
+      response: text || '(пустой ответ)',
+      errors: formatErrors(error.errors).map(line => `- ${line}`).join('\n')
+    });
+
+    return {
+      ...request,
+      prompt: rendered.prompt,
+      temperature: 0
+    };
+  }
+
+  recordUsage(request, result, success) {
+    if (!this.usage) return;
+
+    this.usage.record({
+      feature: request.feature || request.task,
+      task: request.task,
+      userId: request.userId,
+      provider: result.provider,
+      model: result.model,
+      usage: result.usage,
+      prompt: `${request.system || ''}${request.prompt}`,
+      text: result.text,
+      success
+    });
+  }
+}
+
+/**
+ * Провайдер по имени; null - без модели (none или неизвестное имя)
+ * @param {Object} settings - config.llm
+ */
+function createProvider(name, settings = config.llm) {
+  const options = settings?.providers?.[name];
+  if (!options) return null;
+
+  switch (name) {
+    case 'self-hosted':
+      return new OpenAICompatibleProvider(name, options);
+    case 'openai':
+      return options.apiKey ? new OpenAICompatibleProvider(name, options) : null;
+    case 'anthropic':
+      return options.apiKey ? new AnthropicProvider(name, options) : null;
+    case 'fixture': {
+      const recorder = options.mode === 'record' ? createProvider(options.recordWith, settings) : null;
+      return new FixtureProvider(options, recorder);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Цепочка из config.llm.chain (или одного config.llm.provider); ненастроенные
+ * провайдеры пропускаются, rules и none в цепочке означают локальные правила,
+ * которые и так идут последними. null - ни одного провайдера
+ */
+function createDefaultProvider(settings = config.llm) {
+  if (!settings) return null;
+
+  const names = (settings.chain?.length ? settings.chain : [settings.provider])
+    .filter(name => name && name !== 'none' && name !== 'rules');
+
+  const providers = names.map(name => {
+    const provider = createProvider(name, settings);
+    if (!provider) {
+      console.warn(`LLM provider "${name}" is not configured, skipping`);
+    }
+    return provider;
+  }).filter(Boolean);
+
+  if (providers.length === 0) {
+    if (names.length > 0) console.warn('No LLM provider is configured, using local rules only');
+    return null;
+  }
+  return new ProviderChain(providers, { getBreaker: name => getBreaker(name, settings), usage: aiUsage });
+}
+
+module.exports = {
+  LLMError,
+  LLMProvider,
+  OpenAICompatibleProvider,
+  AnthropicProvider,
+  FixtureProvider,
+  ProviderChain,
+  getBreaker,
+  getBreakerStates,
+  resetBreakers,
+  createProvider,
+  createDefaultProvider
+};
@@ -0,0 +1,379 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const config = require('../config/hurlburt');
+const { sendMail } = require('../utils/smtp');
+
+/**
+ * Каналы доставки сигналов
+ *
+ * Каждый канал умеет isConfigured(user) и send(user, notification), где
+ * notification - { kind, title, message, responseId, level, keyboard, link, expiresAt },
+ * kind: beep | fallback | escalation | test. send возвращает { success } или бросает ошибку.
+ *
+ * Кнопки опроса есть только в Telegram, поэтому сам сигнал всегда приходит туда;
+ * остальные каналы - будильник со ссылкой на бота. Порядок каналов участник
+ * задаёт в /channels: первый срабатывает сразу, следующий - если опрос не начат
+ * за fallbackMinutes или если канал не смог доставить сообщение.
+ */
+
+// Сам сервер бота и внутренние сети: туда ntfy и вебхуки не ходят
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Адрес ntfy-сервера или вебхука вводит участник, а запрос уходит с сервера бота.
+ * Разрешены только http(s)-адреса, все IP которых публичные (не localhost,
+ * не частные и не link-local сети); хосты из allowedHosts - без проверки
+ * (например, свой ntfy в сети исследования)
+ */
+async function isAllowedUrl(value, allowedHosts = config.channels.allowedHosts) {
+  if (!isHttpUrl(value)) return false;
+
+  const hostname = new URL(value).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (allowedHosts.includes(hostname)) return true;
+
+  try {
+    const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.lookup(hostname, { all: true });
+    return addresses.length > 0 &&
+      !addresses.some(({ address }) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4'));
+  } catch (error) {
+    return false;
+  }
+}
+
+async function postJson(url, body, { headers = {}, timeoutMs, allowedHosts }) {
+  if (!(await isAllowedUrl(url, allowedHosts))) {
+    throw new Error(`Address not allowed: ${url}`);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    // Без перехода по редиректам: иначе публичный адрес мог бы отправить запрос во внутреннюю сеть
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body,
+      redirect: 'manual',
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return { success: true, status: response.status };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Текст для каналов без кнопок: сообщение и ссылка на бота
+function plainText(notification) {
+  return notification.link ? `${notification.message}\n\nОткрыть бота: ${notification.link}` : notification.message;
+}
+
+class TelegramChannel {
+  constructor(bot) {
+    this.name = 'telegram';
+    this.label = '💬 Telegram';
+    this.bot = bot;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(user, notification) {
+    await this.bot.sendMessage(user.telegramId, notification.message, {
+      ...(notification.keyboard ? { reply_markup: notification.keyboard } : {}),
+      ...(notification.silent ? { disable_notification: true } : {})
+    });
+    return { success: true };
+  }
+}
+
+class PushoverChannel {
+  constructor(pushoverService) {
+    this.name = 'pushover';
+    this.label = '⌚ Pushover';
+    this.pushoverService = pushoverService;
+  }
+
+  isConfigured(user) {
+    return !!this.pushoverService.isEnabled(user);
+  }
+
+  async send(user, notification) {
+    if (notification.kind === 'escalation') {
+      return this.pushoverService.sendEscalationNotification(
+        user, notification.message, notification.level, notification.responseId
+      );
+    }
+    if (notification.kind === 'beep') {
+      return this.pushoverService.sendSurveyNotification(user, notification.responseId);
+    }
+    return this.pushoverService.sendNotification(user, notification.message, {
+      title: notification.title,
+      url: notification.link,
+      urlTitle: 'Открыть бота'
+    });
+  }
+}
+
+class EmailChannel {
+  constructor(options = config.channels.email) {
+    this.name = 'email';
+    this.label = '✉️ Email';
+    this.options = options;
+  }
+
+  // Без SMTP-сервера исследования канал недоступен
+  isAvailable() {
+    return !!(this.options.host && this.options.from);
+  }
+
+  isValidAddress(address) {
+    return /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/.test(address || '');
+  }
+
+  isConfigured(user) {
+    const email = user.settings.channels?.email;
+    return this.isAvailable() && !!email?.enabled && this.isValidAddress(email.address);
+  }
+
+  async send(user, notification) {
+    await sendMail(this.options, {
+      from: this.options.from,
+      to: user.settings.channels.email.address,
+      subject: notification.title,
+      text: plainText(notification)
+    });
+    return { success: true };
+  }
+}
+
+class NtfyChannel {
+  constructor(options = config.channels.ntfy) {
+    this.name = 'ntfy';
+    this.label = '📣 ntfy';
+    this.options = options;
+  }
+
+  isValidTopic(topic) {
+    return /^[A-Za-z0-9_-]{1,64}$/.test(topic || '');
+  }
+
+  isValidServer(url) {
+    return isHttpUrl(url);
+  }
+
+  isAllowedServer(url) {
+    return isAllowedUrl(url, this.options.allowedHosts);
+  }
+
+  isConfigured(user) {
+    const ntfy = user.settings.channels?.ntfy;
+    return !!ntfy?.enabled && this.isValidTopic(ntfy.topic);
+  }
+
+  getServer(user) {
+    return (user.settings.channels.ntfy.server || this.options.defaultServer).replace(/\/+$/, '');
+  }
+
+  // Публикация JSON-ом в корень сервера: заголовки HTTP не годятся для кириллицы в Title
+  async send(user, notification) {
+    const { topic } = user.settings.channels.ntfy;
+    const body = JSON.stringify({
+      topic,
+      title: notification.title,
+      message: notification.message,
+      priority: notification.kind === 'escalation' ? 5 : 4,
+      tags: ['bell'],
+      ...(notification.link ? { click: notification.link } : {})
+    });
+
+    return postJson(this.getServer(user), body, {
+      headers: this.options.token ? { Authorization: `Bearer ${this.options.token}` } : {},
+      timeoutMs: this.options.timeoutMs,
+      allowedHosts: this.options.allowedHosts
+    });
+  }
+}
+
+class WebhookChannel {
+  constructor(options = config.channels.webhook) {
+    this.name = 'webhook';
+    this.label = '🔗 Вебхук';
+    this.options = options;
+  }
+
+  isValidUrl(url) {
+    return isHttpUrl(url);
+  }
+
+  isAllowedUrl(url) {
+    return isAllowedUrl(url, this.options.allowedHosts);
+  }
+
+  isConfigured(user) {
+    const webhook = user.settings.channels?.webhook;
+    return !!webhook?.enabled && !!webhook.secret && this.isValidUrl(webhook.url);
+  }
+
+  generateSecret() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Подпись в стиле Stripe: получатель считает HMAC от "<t>.<тело>" своим ключом
+   * и сравнивает с v1; по t можно отбросить старые запросы
+   */
+  sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  async send(user, notification) {
+    const { url, secret } = user.settings.channels.webhook;
+    const body = JSON.stringify({
+      event: notification.kind,
+      title: notification.title,
+      message: notification.message,
+      responseId: notification.responseId ? String(notification.responseId) : null,
+      escalationLevel: notification.level || null,
+      link: notification.link || null,
+      sentAt: new Date().toISOString(),
+      expiresAt: notification.expiresAt ? new Date(notification.expiresAt).toISOString() : null
+    });
+
+    return postJson(url, body, {
+      headers: { 'X-ESM-Signature': this.sign(secret, body) },
+      timeoutMs: this.options.timeoutMs,
+      allowedHosts: this.options.allowedHosts
+    });
+  }
+}
+
+/**
+ * Выбор каналов для пользователя и доставка с переходом к следующему
+ */
+class NotificationRouter {
+  /**
+   * @param {Object} channels - { telegram, pushover, email, ntfy, webhook }
+   */
+  constructor(channels) {
+    this.channels = channels;
+  }
+
+  getChannel(name) {
+    return this.channels[name] || null;
+  }
+
+  /**
+   * Шаги доставки: список списков каналов. Без своего порядка - как раньше:
+   * Telegram и Pushover (если настроен) одновременно. Ненастроенные каналы пропускаются
+   */
+  getSteps(user) {
+    const priority = user.settings.channels?.priority || [];
+
+    if (priority.length === 0) {
+      const pushover = this.getChannel('pushover');
+      return [['telegram', ...(pushover && pushover.isConfigured(user) ? ['pushover'] : [])]];
+    }
+
+    const steps = [...new Set(priority)]
+      .filter(name => this.getChannel(name)?.isConfigured(user))
+      .map(name => [name]);
+
+    return steps.length > 0 ? steps : [['telegram']];
+  }
+
+  getFallbackMinutes(user) {
+    return user.settings.channels?.fallbackMinutes || config.channels.fallbackMinutes;
+  }
+
+  async sendVia(name, user, notification) {
+    try {
+      const result = await this.getChannel(name).send(user, notification);
+      if (result && result.success === false) {
+        return { channel: name, success: false, error: result.error || result.reason };
+      }
+      // Экстренные уведомления Pushover: квитанция для проверки подтверждения
+      const receipt = result?.receipt ? { receipt: result.receipt, priority: result.priority, expiresAt: result.expiresAt } : {};
+      return { channel: name, success: true, ...receipt };
+    } catch (error) {
+      console.error(`Channel ${name} failed for user ${user.telegramId}:`, error.message);
+      return { channel: name, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Доставка начиная с шага fromStep; если ни один канал шага не доставил -
+   * сразу следующий шаг
+   * @param {string[]} options.alreadySent - каналы шага fromStep, уже доставленные вызывающим
+   * @returns {Object} - { step, results }; step = -1, если не доставил ни один канал
+   */
+  async deliver(user, notification, fromStep = 0, { alreadySent = [] } = {}) {
+    const steps = this.getSteps(user);
+    const results = [];
+
+    for (let step = fromStep; step < steps.length; step++) {
+      // Шаг засчитан, если хотя бы один его канал уже доставлен вызывающим
+      const delivered = step === fromStep ? steps[step].filter(name => alreadySent.includes(name)) : [];
+      const names = steps[step].filter(name => !delivered.includes(name));
+
+      const stepResults = await Promise.all(names.map(name => this.sendVia(name, user, notification)));
+      results.push(...stepResults);
+
+      if (delivered.length > 0 || stepResults.some(result => result.success)) {
+        return { step, results };
+      }
+    }
+
+    return { step: -1, results };
+  }
+
+  /**
+   * Во все настроенные каналы цепочки сразу (напоминания эскалации)
+   */
+  async deliverAll(user, notification, { exclude = [] } = {}) {
+    const names = [...new Set(this.getSteps(user).flat())].filter(name => !exclude.includes(name));
+    return Promise.all(names.map(name => this.sendVia(name, user, notification)));
+  }
+}
+
+function createChannels(bot, pushoverService) {
+  return {
+    telegram: new TelegramChannel(bot),
+    pushover: new PushoverChannel(pushoverService),
+    email: new EmailChannel(),
+    ntfy: new NtfyChannel(),
+    webhook: new WebhookChannel()
+  };
+}
+
+module.exports = {
+  TelegramChannel,
+  PushoverChannel,
+  EmailChannel,
+  NtfyChannel,
+  WebhookChannel,
+  NotificationRouter,
+  createChannels
+};
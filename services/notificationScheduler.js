@@ -4,12 +4,20 @@ const User = require('../models/User');
 const Response = require('../models/Response');
 const config = require('../config/hurlburt');
 const PushoverService = require('./pushover-service');
+const samplingService = require('./sampling-service');
+const availabilityService = require('./availability-service');
+const jobQueue = require('./job-queue');
+const escalationPolicy = require('./escalation-policy');
+const complianceService = require('./compliance-service');
+const timezoneService = require('./timezone-service');
+const { NotificationRouter, createChannels } = require('./notification-channels');
+const { createSchedulingStrategy } = require('../strategies/schedulingStrategy');
 
 class NotificationScheduler {
     constructor(bot) {
         this.bot = bot;
-        this.scheduledJobs = new Map();
         this.pushoverService = new PushoverService();
+        this.channelRouter = new NotificationRouter(createChannels(bot, this.pushoverService));
     }
 
     /**
@@ -17,6 +25,9 @@ class NotificationScheduler {
      */
     async initialize() {
         console.log('Initializing notification scheduler...');
+
+        // Beeps that came due while the bot was down: recent ones go out now, older ones expire
+        await this.replayOverdueJobs();
         
         // Schedule daily notification planning at midnight for each timezone
         this.scheduleDaily();
@@ -27,8 +38,8 @@ class NotificationScheduler {
         // Check for missed notifications and handle escalation
         this.scheduleEscalationCheck();
         
-        // Plan notifications for all active users on startup
-        await this.planAllUserNotifications();
+        // Plan notifications for users without a stored plan (new users, plans lost before jobs existed)
+        await this.planAllUserNotifications({ keepPlanned: true });
         
         console.log('Notification scheduler initialized');
     }
@@ -56,43 +67,176 @@ class NotificationScheduler {
                 timezoneGroups[tz].push(user);
             });
             
-            // Check if it's midnight in any timezone
+            // Plan on the first hourly run of each local day. Measured from the start of the day
+            // rather than hour() === 0: zones with :30/:45 offsets never see 00:00 on the hour,
+            // and on some DST days local midnight does not exist at all
             for (const [timezone, tzUsers] of Object.entries(timezoneGroups)) {
                 const now = moment().tz(timezone);
-                if (now.hour() === 0 && now.minute() < 5) {
+                if (now.diff(now.clone().startOf('day'), 'minutes') < 60) {
                     console.log(`Planning notifications for ${tzUsers.length} users in ${timezone}`);
                     for (const user of tzUsers) {
+                        // Another instance (or last night's lookahead) may have planned the day already
+                        if (await jobQueue.hasPlanned(user._id)) continue;
                         await this.planUserNotifications(user);
                     }
                 }
+
+                // Evening check-in for participants who keep missing beeps
+                if (now.hour() === config.compliance.checkHour) {
+                    for (const user of tzUsers) {
+                        await this.checkComplianceIntervention(user);
+                    }
+                }
+
+                // Answers drifting by several hours usually mean the participant has travelled
+                if (now.hour() === config.timezoneDetection.checkHour) {
+                    for (const user of tzUsers) {
+                        await this.checkTimezoneShift(user);
+                    }
+                }
             }
         });
     }
 
     /**
-     * Check for pending notifications every minute
+     * Offer a timezone switch when recent answers are shifted against the usual times
+     */
+    async checkTimezoneShift(user, now = new Date()) {
+        try {
+            if (user.isPausedAt(now)) return;
+
+            const shift = await timezoneService.checkShift(user, now);
+            if (!shift) return;
+
+            const { text, keyboard } = timezoneService.buildSuggestion(user, shift, now);
+            await this.bot.sendMessage(user.telegramId, text, { reply_markup: keyboard });
+
+            user.timezoneSuggestion = { suggestedAt: now, offsetMinutes: shift.offsetMinutes, answer: null };
+            await user.save();
+
+            console.log(`Timezone switch suggested to ${user.getFullName()} (shift ${shift.shiftHours}h)`);
+        } catch (error) {
+            console.error(`Error checking timezone shift for user ${user.telegramId}:`, error);
+        }
+    }
+
+    /**
+     * Ask a low-compliance participant whether the schedule is inconvenient,
+     * with buttons to send fewer beeps or move the time window
+     */
+    async checkComplianceIntervention(user, now = new Date()) {
+        try {
+            if (user.isPausedAt(now) || !samplingService.sendsBeeps(samplingService.getSchedule(user).type)) {
+                return;
+            }
+
+            const found = await complianceService.findIntervention(user, now);
+            if (!found) return;
+
+            const { text, keyboard } = complianceService.buildCheckIn(user, found.intervention, found.stats);
+            await this.bot.sendMessage(user.telegramId, text, { reply_markup: keyboard });
+
+            user.complianceInterventions.push({
+                interventionId: found.intervention.id,
+                sentAt: now,
+                sent: found.stats.sent,
+                answered: found.stats.answered
+            });
+            await user.save();
+
+            console.log(`Compliance check-in (${found.intervention.id}) sent to ${user.getFullName()}`);
+        } catch (error) {
+            console.error(`Error checking compliance for user ${user.telegramId}:`, error);
+        }
+    }
+
+    /**
+     * Send due beeps and escalation reminders every minute
      */
     schedulePendingNotifications() {
         cron.schedule('* * * * *', async () => {
-            const now = new Date();
-            
-            // Find users with pending notifications
-            const users = await User.find({
-                isActive: true,
-                'settings.notificationsEnabled': true,
-                nextNotificationAt: { $lte: now }
-            });
-            
-            for (const user of users) {
-                await this.sendNotification(user);
-            }
+            await this.processDueJobs();
         });
     }
 
+    /**
+     * Replay jobs missed during downtime: those within the grace period
+     * are sent right away, older ones are marked expired
+     */
+    async replayOverdueJobs(now = new Date()) {
+        const expired = await jobQueue.expireOverdue(now);
+        if (expired > 0) {
+            console.log(`Expired ${expired} notification jobs missed while the bot was down`);
+        }
+
+        await this.processDueJobs(now);
+    }
+
+    /**
+     * Claim and run due jobs one by one; a claimed job is locked,
+     * so a second bot instance skips it
+     */
+    async processDueJobs(now = new Date()) {
+        try {
+            await jobQueue.expireOverdue(now);
+
+            let job;
+            while ((job = await jobQueue.claimNext(now))) {
+                await this.runJob(job);
+            }
+        } catch (error) {
+            console.error('Error processing notification jobs:', error);
+        }
+    }
+
+    /**
+     * Run a claimed job: send the beep or the escalation reminder
+     */
+    async runJob(job) {
+        const user = await User.findById(job.userId);
+        if (!user || !user.isActive || !user.settings.notificationsEnabled) {
+            await jobQueue.cancel(job, 'notifications_disabled');
+            return;
+        }
+
+        if (job.type === 'escalation') {
+            await this.handleEscalationNotification(user, job);
+            return;
+        }
+
+        if (job.type === 'fallback') {
+            await this.handleFallbackNotification(user, job);
+            return;
+        }
+
+        // Quiet mode, a blackout or a pause set after the beep was planned
+        if (!this.canNotifyNow(user)) {
+            await jobQueue.cancel(job, 'unavailable');
+            await this.planNextNotification(user);
+            return;
+        }
+
+        await this.sendNotification(user, job);
+    }
+
+    /**
+     * Whether a beep may go out right now: fixed times only check blackouts,
+     * random beeps also have to fall inside the day's window
+     */
+    canNotifyNow(user) {
+        const now = moment().tz(user.settings.timezone);
+        const schedule = samplingService.getSchedule(user);
+
+        return schedule.type === 'fixed'
+            ? !availabilityService.isBlocked(user, now)
+            : availabilityService.isAvailable(user, now);
+    }
+
     /**
      * Plan notifications for all active users
+     * @param {boolean} options.keepPlanned - skip users that already have planned beeps
      */
-    async planAllUserNotifications() {
+    async planAllUserNotifications({ keepPlanned = false } = {}) {
         const users = await User.find({
             isActive: true,
             'settings.notificationsEnabled': true
@@ -101,116 +245,163 @@ class NotificationScheduler {
         console.log(`Planning notifications for ${users.length} active users`);
         
         for (const user of users) {
+            if (keepPlanned && await jobQueue.hasPlanned(user._id)) continue;
             await this.planUserNotifications(user);
         }
     }
 
+    /**
+     * Save the user's plan and sync it to the job collection: the day plan
+     * for random beeps, the next slot for fixed times, nothing for event-only
+     */
+    async savePlan(user) {
+        await user.save();
+
+        const schedule = samplingService.getSchedule(user);
+        let times = [];
+        if (schedule.type === 'fixed') {
+            times = user.nextNotificationAt ? [user.nextNotificationAt] : [];
+        } else if (samplingService.sendsBeeps(schedule.type) && user.nextNotificationAt) {
+            times = user.plannedNotifications || [];
+        }
+
+        await jobQueue.replacePlanned(user, times);
+    }
+
     /**
      * Plan notifications for a specific user for the current day
      */
     async planUserNotifications(user) {
         const timezone = user.settings.timezone;
         const now = moment().tz(timezone);
-        const startOfDay = now.clone().startOf('day');
-        const endOfDay = now.clone().endOf('day');
-        
-        // Parse notification window times
-        const [startHour, startMinute] = user.settings.notificationStartTime.split(':').map(Number);
-        const [endHour, endMinute] = user.settings.notificationEndTime.split(':').map(Number);
-        
-        const windowStart = startOfDay.clone().hour(startHour).minute(startMinute);
-        const windowEnd = startOfDay.clone().hour(endHour).minute(endMinute);
-        
-        // If we're already past the window end, plan for tomorrow
-        if (now.isAfter(windowEnd)) {
-            windowStart.add(1, 'day');
-            windowEnd.add(1, 'day');
+        const schedule = samplingService.getSchedule(user);
+
+        // Event-contingent users only log entries via the event button
+        if (!samplingService.sendsBeeps(schedule.type)) {
+            user.nextNotificationAt = null;
+            await this.savePlan(user);
+            return;
         }
-        
-        // Generate random times within the window
-        const notificationTimes = this.generateRandomTimes(
-            windowStart,
-            windowEnd,
-            user.settings.notificationsPerDay,
-            now
-        );
+
+        if (schedule.type === 'fixed') {
+            // Fixed times ignore the daily window but not blackouts and quiet mode
+            const next = samplingService.nextFixedTime(
+                schedule.fixedTimes,
+                timezone,
+                now,
+                time => !availabilityService.isBlocked(user, time),
+                config.availability.lookaheadDays
+            );
+            user.nextNotificationAt = next ? next.toDate() : null;
+            await this.savePlan(user);
+            console.log(`Planned fixed-time notifications (${schedule.fixedTimes.join(', ')}) for user ${user.getFullName()}`);
+            return;
+        }
+
+        // Today's remaining beeps; past the window end this is empty and we plan ahead
+        const notificationTimes = this.planDay(user, now, now);
         
         // Set the next notification time
         if (notificationTimes.length > 0) {
+            user.plannedNotifications = notificationTimes.map(time => time.toDate());
             user.nextNotificationAt = notificationTimes[0].toDate();
-            await user.save();
+            await this.savePlan(user);
             console.log(`Planned ${notificationTimes.length} notifications for user ${user.getFullName()}`);
+        } else {
+            // Today's window is over or fully blacked out
+            await this.scheduleForTomorrow(user);
+            await this.savePlan(user);
         }
     }
 
     /**
-     * Generate random notification times within a window
+     * Generate random notification times within a window (signal-contingent schedule)
+     * @param {SchedulingStrategy} strategy - stratified-block, uniform or Poisson placement;
+     *   defaults to stratified blocks with the configured minimum gap
      */
-    generateRandomTimes(windowStart, windowEnd, count, currentTime) {
-        const times = [];
-        const windowDuration = windowEnd.diff(windowStart, 'minutes');
-        const minInterval = Math.floor(windowDuration / (count + 1));
-        
-        // Generate evenly distributed random times
-        for (let i = 0; i < count; i++) {
-            const segmentStart = windowStart.clone().add(i * minInterval, 'minutes');
-            const segmentEnd = windowStart.clone().add((i + 1) * minInterval, 'minutes');
-            
-            // Random time within this segment
-            const randomMinutes = Math.floor(Math.random() * minInterval);
-            const notificationTime = segmentStart.clone().add(randomMinutes, 'minutes');
-            
-            // Only add if it's in the future
-            if (notificationTime.isAfter(currentTime)) {
-                times.push(notificationTime);
-            }
-        }
-        
-        return times.sort((a, b) => a.valueOf() - b.valueOf());
+    generateRandomTimes(windowStart, windowEnd, count, currentTime, strategy = null) {
+        const placement = strategy || createSchedulingStrategy(config.sampling.defaultStrategy, {
+            minGapMinutes: config.sampling.minGapMinutes
+        });
+
+        return placement.generate(windowStart, windowEnd, count, currentTime)
+            .sort((a, b) => a.valueOf() - b.valueOf());
+    }
+
+    /**
+     * Random beeps for one day, spread over the day's window (per-weekday if set)
+     * minus weekly blackouts, calendar events and quiet mode
+     */
+    planDay(user, day, currentTime) {
+        const segments = availabilityService.getAvailableSegments(user, day);
+        const strategy = samplingService.createStrategy(user, day.clone().startOf('day'));
+
+        return strategy.generateInSegments(segments, user.settings.notificationsPerDay, currentTime)
+            .sort((a, b) => a.valueOf() - b.valueOf());
+    }
+
+    /**
+     * Notification buttons: full survey, skip, and the mini-form for users short on time
+     */
+    createSurveyKeyboard(responseId) {
+        return {
+            inline_keyboard: [
+                [
+                    { text: '📝 Начать опрос', callback_data: `start_survey_${responseId}` },
+                    { text: '🚫 Пропустить', callback_data: `skip_survey_${responseId}` }
+                ],
+                [
+                    { text: '⚡ Мини-форма (≤ 2 мин)', callback_data: `quick_survey_${responseId}` }
+                ]
+            ]
+        };
     }
 
     /**
      * Send a notification to a user
+     * @param {Object} job - claimed NotificationJob; marked sent on success, released for retry on failure
      */
-    async sendNotification(user) {
+    async sendNotification(user, job = null) {
         try {
-            // Create a new response record
+            // The response id goes into the buttons; the record is saved once Telegram accepted the message
+            const schedule = samplingService.getSchedule(user);
             const response = new Response({
                 userId: user._id,
                 telegramId: user.telegramId,
-                notificationSentAt: new Date()
+                notificationSentAt: new Date(),
+                trigger: samplingService.beepTrigger(schedule.type)
             });
-            await response.save();
             
             // Send Telegram notification
-            const keyboard = {
-                inline_keyboard: [[
-                    { text: '📝 Начать опрос', callback_data: `start_survey_${response._id}` },
-                    { text: '🚫 Пропустить', callback_data: `skip_survey_${response._id}` }
-                ]]
-            };
+            const keyboard = this.createSurveyKeyboard(response._id);
             
             const message = `🔔 Время для короткого опроса!\n\n` +
                 `Это займет всего 2-3 минуты. Расскажи, как ты себя чувствуешь прямо сейчас.`;
             
+            // The survey buttons only exist in Telegram, so the beep always goes there;
+            // when another channel comes first in the user's chain it arrives silently
+            const telegramFirst = this.channelRouter.getSteps(user)[0].includes('telegram');
             await this.bot.sendMessage(user.telegramId, message, {
-                reply_markup: keyboard
+                reply_markup: keyboard,
+                ...(telegramFirst ? {} : { disable_notification: true })
             });
-            
-            // Send Pushover notification to watch if enabled
-            if (this.pushoverService.isEnabled(user)) {
-                const pushoverResult = await this.pushoverService.sendSurveyNotification(
-                    user, 
-                    response._id
-                );
-                
-                if (pushoverResult.success) {
-                    console.log(`Pushover notification sent to ${user.getFullName()}`);
-                } else {
-                    console.log(`Pushover notification failed for ${user.getFullName()}: ${pushoverResult.reason}`);
-                }
+            await response.save();
+            if (job) {
+                await jobQueue.markSent(job, response._id);
             }
             
+            // Alert through the other channels of the first step (Pushover, email, ntfy, webhook);
+            // a channel that fails hands over to the next step right away
+            const delivery = await this.channelRouter.deliver(
+                user,
+                this.buildChannelNotification('beep', response),
+                0,
+                { alreadySent: ['telegram'] }
+            );
+            this.logDelivery(user, delivery.results);
+            await this.recordPushoverReceipt(response, delivery.results);
+            await this.scheduleChannelFallback(user, response, delivery.step + 1);
+            
             console.log(`Notification sent to ${user.getFullName()}`);
             
             // Plan next notification
@@ -218,6 +409,220 @@ class NotificationScheduler {
             
         } catch (error) {
             console.error(`Failed to send notification to user ${user.telegramId}:`, error);
+            if (job) {
+                await jobQueue.release(job, error);
+            }
+        }
+    }
+
+    /**
+     * Alert for channels without survey buttons
+     * @param {string} kind - beep | fallback | escalation
+     */
+    buildChannelNotification(kind, response, { message, level } = {}) {
+        const expiryMinutes = config.beepExpiry.minutes;
+
+        return {
+            kind,
+            title: kind === 'escalation' ? `🚨 Опрос ждёт ответа (уровень ${level})` : '🔔 Время опроса',
+            message: message || 'Время для короткого опроса! Это займет всего 2-3 минуты. Расскажи, как ты себя чувствуешь прямо сейчас.',
+            responseId: response._id,
+            level,
+            keyboard: this.createSurveyKeyboard(response._id),
+            link: config.channels.botUrl,
+            expiresAt: expiryMinutes > 0
+                ? new Date(response.notificationSentAt.getTime() + expiryMinutes * 60 * 1000)
+                : null
+        };
+    }
+
+    logDelivery(user, results) {
+        results.forEach(result => {
+            console.log(`${result.channel} ${result.success ? 'delivered' : `failed (${result.error})`} for ${user.getFullName()}`);
+        });
+    }
+
+    /**
+     * Queue the next channel of the user's chain for a beep nobody has started yet
+     */
+    async scheduleChannelFallback(user, response, step) {
+        if (step <= 0 || step >= this.channelRouter.getSteps(user).length) return;
+
+        const scheduledFor = new Date(Date.now() + this.channelRouter.getFallbackMinutes(user) * 60 * 1000);
+        await jobQueue.enqueue(user, 'fallback', scheduledFor, { responseId: response._id, step });
+    }
+
+    /**
+     * Keep the receipt of an emergency (priority 2) Pushover notification on the response:
+     * Pushover repeats it until the participant acknowledges it on the watch
+     */
+    async recordPushoverReceipt(response, results) {
+        const sent = results.find(result => result.channel === 'pushover' && result.receipt);
+        if (!sent) return;
+
+        response.pushover = {
+            receipt: sent.receipt,
+            priority: sent.priority,
+            sentAt: new Date(),
+            expiresAt: sent.expiresAt || null
+        };
+        await Response.updateOne({ _id: response._id }, { $set: { pushover: response.pushover } });
+    }
+
+    /**
+     * Ask Pushover about receipts that are neither acknowledged nor closed;
+     * the least recently checked go first so every receipt gets its turn
+     */
+    async pollPushoverReceipts(now = new Date()) {
+        try {
+            const pending = await Response.find({
+                'pushover.receipt': { $ne: null },
+                'pushover.acknowledgedAt': null,
+                'pushover.closed': { $ne: true }
+            })
+                .sort({ 'pushover.lastCheckedAt': 1 })
+                .limit(config.pushover.receiptPollLimit);
+
+            for (const response of pending) {
+                const { receipt, expiresAt } = response.pushover;
+                try {
+                    const status = await this.pushoverService.getReceipt(receipt);
+                    if (status.acknowledged) {
+                        await this.handlePushoverAcknowledged(receipt, {
+                            acknowledgedAt: status.acknowledgedAt || now,
+                            device: status.acknowledgedByDevice,
+                            via: 'poll'
+                        });
+                        continue;
+                    }
+
+                    await Response.updateOne(
+                        { _id: response._id },
+                        { $set: { 'pushover.lastCheckedAt': now, 'pushover.closed': status.expired } }
+                    );
+                } catch (error) {
+                    // A receipt the API no longer answers for is dropped once its retries are over
+                    console.error(`Failed to check Pushover receipt ${receipt}:`, error.message);
+                    await Response.updateOne(
+                        { _id: response._id },
+                        { $set: { 'pushover.lastCheckedAt': now, 'pushover.closed': !expiresAt || expiresAt <= now } }
+                    );
+                }
+            }
+        } catch (error) {
+            console.error('Error polling Pushover receipts:', error);
+        }
+    }
+
+    /**
+     * The participant acknowledged an emergency notification (found by polling or reported
+     * by the callback URL): the beep counts as seen, so its remaining channels are dropped
+     * and escalation stops
+     * @returns {boolean} - false when the receipt is unknown or was already acknowledged
+     */
+    async handlePushoverAcknowledged(receipt, { acknowledgedAt = new Date(), device = null, via = 'poll' } = {}) {
+        // Polling and the callback may report the same receipt; only the first one counts
+        const response = await Response.findOneAndUpdate(
+            { 'pushover.receipt': receipt, 'pushover.acknowledgedAt': null },
+            {
+                $set: {
+                    'pushover.acknowledgedAt': acknowledgedAt,
+                    'pushover.acknowledgedByDevice': device,
+                    'pushover.acknowledgedVia': via,
+                    'pushover.closed': true
+                }
+            },
+            { new: true }
+        );
+        if (!response) return false;
+
+        await jobQueue.cancelFallbacks(response._id, 'acknowledged');
+
+        const user = await User.findById(response.userId);
+        if (user) {
+            console.log(`Pushover notification acknowledged by ${user.getFullName()} (${via})`);
+            if (user.escalationState?.isEscalating) {
+                await this.stopEscalation(user, 'acknowledged');
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Stop the retries of a response's emergency notification
+     */
+    async cancelPushoverReceipt(response) {
+        const pushover = response.pushover;
+        if (!pushover?.receipt || pushover.acknowledgedAt || pushover.closed) return;
+
+        try {
+            await this.pushoverService.cancelReceipt(pushover.receipt);
+        } catch (error) {
+            console.error(`Failed to cancel Pushover receipt ${pushover.receipt}:`, error.message);
+        }
+        await Response.updateOne({ _id: response._id }, { $set: { 'pushover.closed': true } });
+    }
+
+    /**
+     * Stop every emergency notification of a user that is still repeating
+     */
+    async cancelPushoverReceipts(userId) {
+        const pending = await Response.find({
+            userId,
+            'pushover.receipt': { $ne: null },
+            'pushover.acknowledgedAt': null,
+            'pushover.closed': { $ne: true }
+        });
+
+        for (const response of pending) {
+            await this.cancelPushoverReceipt(response);
+        }
+    }
+
+    /**
+     * Next channel for an unanswered beep: skipped once the survey has started,
+     * the beep expired, or the user became unavailable (pause, quiet mode, blackout)
+     */
+    async handleFallbackNotification(user, job) {
+        try {
+            const response = await Response.findById(job.responseId);
+            if (!response || response.responseStartedAt || response.expired) {
+                await jobQueue.cancel(job, 'answered');
+                return;
+            }
+
+            // Already acknowledged on the watch: the participant has seen the beep
+            if (response.pushover?.acknowledgedAt) {
+                await jobQueue.cancel(job, 'acknowledged');
+                return;
+            }
+
+            const now = moment().tz(user.settings.timezone);
+            if (availabilityService.isQuiet(user) || availabilityService.isBlocked(user, now)) {
+                await jobQueue.cancel(job, 'unavailable');
+                return;
+            }
+
+            const delivery = await this.channelRouter.deliver(
+                user,
+                this.buildChannelNotification('fallback', response, {
+                    message: '🔔 Сигнал всё ещё ждёт ответа!\n\nЭто займет всего 2-3 минуты. Расскажи, как ты себя чувствуешь прямо сейчас.'
+                }),
+                job.step
+            );
+            this.logDelivery(user, delivery.results);
+            await this.recordPushoverReceipt(response, delivery.results);
+
+            if (delivery.step < 0) {
+                await jobQueue.release(job, new Error('no channel delivered'));
+                return;
+            }
+
+            await jobQueue.markSent(job, response._id);
+            await this.scheduleChannelFallback(user, response, delivery.step + 1);
+        } catch (error) {
+            console.error(`Error sending fallback for user ${user.telegramId}:`, error);
+            await jobQueue.release(job, error);
         }
     }
 
@@ -227,87 +632,124 @@ class NotificationScheduler {
     async planNextNotification(user) {
         const timezone = user.settings.timezone;
         const now = moment().tz(timezone);
-        
-        // Get today's notification window
-        const [startHour, startMinute] = user.settings.notificationStartTime.split(':').map(Number);
-        const [endHour, endMinute] = user.settings.notificationEndTime.split(':').map(Number);
-        
-        const windowEnd = now.clone().hour(endHour).minute(endMinute);
-        
-        // Count today's notifications
-        const startOfDay = now.clone().startOf('day');
-        const endOfDay = now.clone().endOf('day');
-        
-        const todayNotifications = await Response.countDocuments({
-            userId: user._id,
-            notificationSentAt: {
-                $gte: startOfDay.toDate(),
-                $lte: endOfDay.toDate()
-            }
+        const schedule = samplingService.getSchedule(user);
+
+        // Fixed times and event-only schedules have no day plan
+        if (schedule.type === 'fixed' || !samplingService.sendsBeeps(schedule.type)) {
+            await this.planUserNotifications(user);
+            return;
+        }
+
+        // No plan for today (planned before day plans existed, or the bot was down):
+        // plan today's remaining beeps now
+        const plan = user.plannedNotifications || [];
+        const lastPlanned = plan[plan.length - 1];
+        if (!lastPlanned || moment(lastPlanned).tz(timezone).isBefore(now.clone().startOf('day'))) {
+            await this.planUserNotifications(user);
+            return;
+        }
+
+        // Follow the day plan so the strategy's blocks and minimum gap hold;
+        // beeps that fell into a blackout added after planning are dropped
+        const upcoming = plan.filter(time => {
+            const planned = moment(time).tz(timezone);
+            return planned.isAfter(now) && availabilityService.isAvailable(user, planned);
         });
-        
-        // If we haven't reached the daily limit and we're still within today's window
-        if (todayNotifications < user.settings.notificationsPerDay && now.isBefore(windowEnd)) {
-            // Calculate remaining notifications for today
-            const remainingToday = user.settings.notificationsPerDay - todayNotifications;
-            const remainingMinutes = windowEnd.diff(now, 'minutes');
-            
-            if (remainingMinutes > 30) { // At least 30 minutes left in window
-                // Schedule next notification today
-                const minInterval = Math.max(30, Math.floor(remainingMinutes / (remainingToday + 1)));
-                const randomDelay = 15 + Math.floor(Math.random() * (minInterval - 15));
-                
-                user.nextNotificationAt = now.clone().add(randomDelay, 'minutes').toDate();
-            } else {
-                // Schedule for tomorrow
-                await this.scheduleForTomorrow(user);
-            }
+
+        if (upcoming.length > 0) {
+            user.nextNotificationAt = upcoming[0];
         } else {
-            // Schedule for tomorrow
             await this.scheduleForTomorrow(user);
         }
         
-        await user.save();
+        await this.savePlan(user);
     }
 
     /**
-     * Schedule the first notification for tomorrow
+     * Schedule the first notification for tomorrow, or for the next day
+     * that isn't fully blacked out
      */
     async scheduleForTomorrow(user) {
         const timezone = user.settings.timezone;
-        const tomorrow = moment().tz(timezone).add(1, 'day').startOf('day');
-        
-        const [startHour, startMinute] = user.settings.notificationStartTime.split(':').map(Number);
-        const [endHour, endMinute] = user.settings.notificationEndTime.split(':').map(Number);
-        
-        const windowStart = tomorrow.clone().hour(startHour).minute(startMinute);
-        const windowEnd = tomorrow.clone().hour(endHour).minute(endMinute);
-        
-        // Generate all notifications for tomorrow
-        const notificationTimes = this.generateRandomTimes(
-            windowStart,
-            windowEnd,
-            user.settings.notificationsPerDay,
-            moment().tz(timezone)
-        );
-        
-        if (notificationTimes.length > 0) {
-            user.nextNotificationAt = notificationTimes[0].toDate();
+        const now = moment().tz(timezone);
+        let notificationTimes = [];
+
+        for (let offset = 1; offset <= config.availability.lookaheadDays && notificationTimes.length === 0; offset++) {
+            notificationTimes = this.planDay(user, now.clone().add(offset, 'day').startOf('day'), now);
         }
+        
+        user.plannedNotifications = notificationTimes.map(time => time.toDate());
+        user.nextNotificationAt = notificationTimes.length > 0 ? notificationTimes[0].toDate() : null;
     }
 
     /**
      * Handle survey start callback
+     * @returns {Object} - { expired, refused }: refused is 'not_owner' for someone else's beep,
+     *   'already_started' when the beep's survey was started or completed before
+     *   (a second tap must not reset the latency or rerun the survey over saved answers)
      */
     async handleSurveyStart(responseId, userId) {
         const response = await Response.findById(responseId);
         if (response) {
-            response.responseStartedAt = new Date();
+            const now = new Date();
+
+            if (response.telegramId !== userId) {
+                return { expired: false, refused: 'not_owner' };
+            }
+            if (response.responseStartedAt || response.responseCompletedAt) {
+                return { expired: false, refused: 'already_started' };
+            }
+
+            // A late answer is a recollection, not an in-the-moment sample
+            if (response.isBeepExpired(now)) {
+                if (!response.expired) {
+                    response.markExpired('started_after_expiry');
+                }
+                response.responseStartedAt = response.responseStartedAt || now;
+                await response.save();
+                return { expired: true, expiryMinutes: config.beepExpiry.minutes };
+            }
+
+            response.responseStartedAt = response.responseStartedAt || now;
             await response.save();
+            await jobQueue.markAnswered(response._id);
+            await this.cancelPushoverReceipt(response);
         }
         
         // Reset escalation when user responds
         await this.resetEscalation(userId);
+        return { expired: false };
+    }
+
+    /**
+     * Mark unanswered notifications older than the expiry window as expired
+     */
+    async expireStaleNotifications() {
+        const expiryMinutes = config.beepExpiry.minutes;
+        if (!expiryMinutes) return;
+
+        const threshold = new Date(Date.now() - expiryMinutes * 60 * 1000);
+
+        try {
+            const result = await Response.updateMany(
+                {
+                    notificationSentAt: { $lte: threshold },
+                    responseStartedAt: null,
+                    expired: { $ne: true }
+                },
+                {
+                    $set: { expired: true, expiredAt: new Date(), expiryReason: 'no_response' }
+                }
+            );
+
+            if (result.modifiedCount > 0) {
+                console.log(`Marked ${result.modifiedCount} notifications as expired`);
+            }
+
+            await jobQueue.expireSent(threshold);
+        } catch (error) {
+            console.error('Error expiring stale notifications:', error);
+        }
     }
 
     /**
@@ -319,6 +761,8 @@ class NotificationScheduler {
             response.missedReason = reason;
             response.isComplete = false;
             await response.save();
+            await jobQueue.markAnswered(response._id, 'skipped');
+            await this.cancelPushoverReceipt(response);
         }
     }
 
@@ -327,8 +771,9 @@ class NotificationScheduler {
      */
     scheduleEscalationCheck() {
         cron.schedule('* * * * *', async () => {
+            await this.expireStaleNotifications();
+            await this.pollPushoverReceipts();
             await this.checkForMissedNotifications();
-            await this.processEscalations();
         });
     }
 
@@ -349,7 +794,27 @@ class NotificationScheduler {
 
         for (const response of missedNotifications) {
             const user = response.userId;
-            if (user && user.isActive && user.settings.notificationsEnabled) {
+            if (!user || !user.isActive || !user.settings.notificationsEnabled) {
+                continue;
+            }
+
+            // No reminders during a study pause or when the participant opted out
+            let missedReason = 'timeout_escalation';
+            if (user.isPausedAt(now)) {
+                missedReason = 'paused';
+            } else if (response.pushover?.acknowledgedAt) {
+                // Seen on the watch and left unanswered on purpose
+                missedReason = 'acknowledged';
+            } else if (!escalationPolicy.isEnabled(user)) {
+                missedReason = 'escalation_disabled';
+            }
+
+            // Claim the missed beep so that only one bot instance escalates it
+            const claimed = await Response.updateOne(
+                { _id: response._id, missedReason: null },
+                { $set: { missedReason } }
+            );
+            if (claimed.modifiedCount === 1 && missedReason === 'timeout_escalation') {
                 await this.startEscalation(user, response);
             }
         }
@@ -374,8 +839,9 @@ class NotificationScheduler {
                 user.escalationState.escalationLevel = 1;
                 user.escalationState.escalationStartedAt = new Date();
                 user.escalationState.missedNotificationsCount = 1;
+                user.escalationState.profile = await escalationPolicy.chooseProfile(user);
                 
-                console.log(`Starting escalation for user ${user.getFullName()}`);
+                console.log(`Starting escalation for user ${user.getFullName()} (profile: ${escalationPolicy.getProfile(user).label})`);
             } else {
                 user.escalationState.missedNotificationsCount++;
             }
@@ -394,35 +860,25 @@ class NotificationScheduler {
     }
 
     /**
-     * Process ongoing escalations
-     */
-    async processEscalations() {
-        const now = new Date();
-        
-        // Find users currently in escalation with due notifications
-        const escalatingUsers = await User.find({
-            'escalationState.isEscalating': true,
-            'escalationState.lastEscalationNotificationAt': { $lte: now }
-        });
-
-        for (const user of escalatingUsers) {
-            await this.handleEscalationNotification(user);
-        }
-    }
-
-    /**
-     * Handle escalation notification for a specific user
+     * Handle a due escalation job for a specific user
      */
-    async handleEscalationNotification(user) {
+    async handleEscalationNotification(user, job) {
         try {
+            // Escalation ended (answer, pause) after the reminder was planned
+            if (!user.escalationState?.isEscalating) {
+                await jobQueue.cancel(job, 'escalation_stopped');
+                return;
+            }
+
             // Check if escalation should continue
             if (!this.shouldContinueEscalation(user)) {
-                await this.stopEscalation(user, 'timeout_reached');
+                await this.stopEscalation(user, escalationPolicy.getStopReason(user) || 'timeout_reached');
                 return;
             }
 
             // Send escalation notification
-            await this.sendEscalationNotification(user);
+            await this.sendEscalationNotification(user, job);
+            escalationPolicy.countReminder(user);
             
             // Increase escalation level
             user.escalationState.escalationLevel = Math.min(
@@ -441,35 +897,29 @@ class NotificationScheduler {
 
     /**
      * Send escalation notification
+     * @param {Object} job - claimed escalation job; a failed reminder is cancelled, the next one is planned anyway
      */
-    async sendEscalationNotification(user) {
+    async sendEscalationNotification(user, job = null) {
         try {
             const level = user.escalationState.escalationLevel;
-            const levelKey = `level${level}`;
             
-            // Get escalation message
-            const message = config.escalation.messages[levelKey] || 
-                           config.escalation.messages.level1;
+            // Message tone follows the participant's responsiveness profile
+            const message = escalationPolicy.getMessage(user, level);
 
             // Create response record
             const response = new Response({
                 userId: user._id,
                 telegramId: user.telegramId,
                 notificationSentAt: new Date(),
+                trigger: samplingService.beepTrigger(samplingService.getSchedule(user).type),
                 metadata: {
                     isEscalation: true,
                     escalationLevel: level
                 }
             });
-            await response.save();
 
             // Send notification with escalation urgency
-            const keyboard = {
-                inline_keyboard: [[
-                    { text: '📝 Начать опрос', callback_data: `start_survey_${response._id}` },
-                    { text: '🚫 Пропустить', callback_data: `skip_survey_${response._id}` }
-                ]]
-            };
+            const keyboard = this.createSurveyKeyboard(response._id);
 
             const fullMessage = `${message}\n\n` +
                 `Это займет всего 2-3 минуты. Расскажите, как вы себя чувствуете прямо сейчас.`;
@@ -477,27 +927,27 @@ class NotificationScheduler {
             await this.bot.sendMessage(user.telegramId, fullMessage, {
                 reply_markup: keyboard
             });
-
-            // Send Pushover escalation notification if enabled
-            if (this.pushoverService.isEnabled(user)) {
-                const pushoverResult = await this.pushoverService.sendEscalationNotification(
-                    user,
-                    message,
-                    level,
-                    response._id
-                );
-                
-                if (pushoverResult.success) {
-                    console.log(`Pushover escalation notification sent to ${user.getFullName()}`);
-                } else {
-                    console.log(`Pushover escalation notification failed for ${user.getFullName()}: ${pushoverResult.reason}`);
-                }
+            await response.save();
+            if (job) {
+                await jobQueue.markSent(job, response._id);
             }
 
+            // Reminders go to every channel of the user's chain at once
+            const results = await this.channelRouter.deliverAll(
+                user,
+                this.buildChannelNotification('escalation', response, { message, level }),
+                { exclude: ['telegram'] }
+            );
+            this.logDelivery(user, results);
+            await this.recordPushoverReceipt(response, results);
+
             console.log(`Escalation notification (level ${level}) sent to ${user.getFullName()}`);
 
         } catch (error) {
             console.error(`Failed to send escalation notification to user ${user.telegramId}:`, error);
+            if (job) {
+                await jobQueue.cancel(job, 'send_failed');
+            }
         }
     }
 
@@ -505,17 +955,12 @@ class NotificationScheduler {
      * Schedule next escalation notification
      */
     async scheduleEscalationNotification(user) {
-        const level = user.escalationState.escalationLevel;
-        const levelKey = `level${Math.min(level, config.escalation.maxEscalationLevel)}`;
-        const intervals = config.escalation.intervals[levelKey] || 
-                         config.escalation.intervals.level1;
-
-        // Generate random interval
-        const randomMinutes = intervals.min + 
-            Math.floor(Math.random() * (intervals.max - intervals.min + 1));
+        // Random interval from the ladder, stretched for participants who answer on their own
+        const randomMinutes = escalationPolicy.nextIntervalMinutes(user);
 
         const nextNotificationTime = new Date(Date.now() + (randomMinutes * 60 * 1000));
         user.escalationState.lastEscalationNotificationAt = nextNotificationTime;
+        await jobQueue.replacePlanned(user, [nextNotificationTime], 'escalation');
 
         console.log(`Next escalation notification for ${user.getFullName()} scheduled in ${randomMinutes} minutes`);
     }
@@ -534,17 +979,21 @@ class NotificationScheduler {
             return false;
         }
 
-        // Stop if outside time window (if configured)
+        // Stop if the participant went on a study pause
+        if (user.isPausedAt(now)) {
+            return false;
+        }
+
+        // Stop on opt-out, the profile's reminder count or the daily reminder cap
+        if (escalationPolicy.getStopReason(user, now)) {
+            return false;
+        }
+
+        // Stop if outside time window, in a blackout or in quiet mode (if configured)
         if (config.escalation.stopConditions.respectTimeWindow) {
-            const timezone = user.settings.timezone;
-            const userNow = moment().tz(timezone);
-            const [startHour, startMinute] = user.settings.notificationStartTime.split(':').map(Number);
-            const [endHour, endMinute] = user.settings.notificationEndTime.split(':').map(Number);
-            
-            const windowStart = userNow.clone().hour(startHour).minute(startMinute);
-            const windowEnd = userNow.clone().hour(endHour).minute(endMinute);
+            const userNow = moment().tz(user.settings.timezone);
             
-            if (!userNow.isBetween(windowStart, windowEnd)) {
+            if (!availabilityService.isAvailable(user, userNow)) {
                 return false;
             }
         }
@@ -561,6 +1010,8 @@ class NotificationScheduler {
         user.escalationState.isEscalating = false;
         user.escalationState.escalationLevel = 0;
         user.escalationState.lastEscalationNotificationAt = null;
+        await jobQueue.cancelForUser(user._id, 'escalation', `escalation_${reason}`);
+        await this.cancelPushoverReceipts(user._id);
         
         if (reason === 'completed') {
             user.escalationState.lastResponseAt = new Date();
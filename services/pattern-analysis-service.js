@@ -1,5 +1,6 @@
 const Response = require('../models/Response');
 const User = require('../models/User');
+const contextCategories = require('../config/context-categories');
 
 class PatternAnalysisService {
   
@@ -11,6 +12,7 @@ class PatternAnalysisService {
     const responses = await Response.find({
       userId,
       timestamp: { $gte: startDate },
+      ...Response.lateSampleFilter(),
       'metadata.isComplete': true
     }).sort({ timestamp: 1 });
     
@@ -106,52 +108,26 @@ class PatternAnalysisService {
     const responses = await Response.find({
       userId,
       timestamp: { $gte: startDate },
-      'responses.currentActivity': { $exists: true, $ne: '' }
+      ...Response.lateSampleFilter(),
+      $or: [
+        { 'responses.activityCategory': { $exists: true, $nin: [null, ''] } },
+        { 'responses.currentActivity': { $exists: true, $ne: '' } }
+      ]
     });
     
-    const activityImpact = {};
-    const activityKeywords = this.extractActivityKeywords(responses);
-    
-    // Анализируем влияние различных активностей
-    responses.forEach(response => {
-      const activity = response.responses.currentActivity?.toLowerCase() || '';
-      const mood = response.responses.mood || 0;
-      const energy = response.responses.energy || 0;
-      const stress = response.responses.stress || 0;
-      const flowState = response.metadata?.flowState;
-      
-      // Ищем ключевые слова в активности
-      activityKeywords.forEach(keyword => {
-        if (activity.includes(keyword)) {
-          if (!activityImpact[keyword]) {
-            activityImpact[keyword] = {
-              count: 0,
-              mood: { sum: 0, avg: 0 },
-              energy: { sum: 0, avg: 0 },
-              stress: { sum: 0, avg: 0 },
-              flowCount: 0
-            };
-          }
-          
-          const impact = activityImpact[keyword];
-          impact.count++;
-          impact.mood.sum += mood;
-          impact.energy.sum += energy;
-          impact.stress.sum += stress;
-          if (flowState === 'flow') impact.flowCount++;
-        }
-      });
-    });
+    // Группируем по коду категории; старые ответы без кода классифицируем по тексту
+    const activityImpact = this.groupByCategory(responses, response =>
+      response.responses.activityCategory ||
+      contextCategories.classifyActivity(response.responses.currentActivity)
+    );
     
     // Вычисляем средние значения и фильтруем значимые активности
     const significantActivities = {};
-    Object.entries(activityImpact).forEach(([keyword, data]) => {
+    Object.entries(activityImpact).forEach(([code, data]) => {
       if (data.count >= 3) { // Минимум 3 записи для статистической значимости
-        data.mood.avg = data.mood.sum / data.count;
-        data.energy.avg = data.energy.sum / data.count;
-        data.stress.avg = data.stress.sum / data.count;
-        data.flowPercentage = (data.flowCount / data.count) * 100;
-        significantActivities[keyword] = data;
+        this.finalizeImpact(data);
+        data.label = contextCategories.activityLabel(code);
+        significantActivities[code] = data;
       }
     });
     
@@ -166,51 +142,27 @@ class PatternAnalysisService {
     const responses = await Response.find({
       userId,
       timestamp: { $gte: startDate },
-      'responses.currentCompanion': { $exists: true, $ne: '' }
+      ...Response.lateSampleFilter(),
+      $or: [
+        { 'responses.companionCategory': { $exists: true, $nin: [null, ''] } },
+        { 'metadata.currentCompanion': { $exists: true, $ne: '' } }
+      ]
     });
     
-    const socialImpact = {};
-    
-    responses.forEach(response => {
-      const companion = response.responses.currentCompanion?.toLowerCase() || 'один';
-      const mood = response.responses.mood || 0;
-      const energy = response.responses.energy || 0;
-      const stress = response.responses.stress || 0;
-      const flowState = response.metadata?.flowState;
-      
-      // Нормализуем варианты одиночества
-      const normalizedCompanion = companion.includes('один') || 
-                                 companion.includes('сам') || 
-                                 companion.includes('solo') ? 'один' : companion;
-      
-      if (!socialImpact[normalizedCompanion]) {
-        socialImpact[normalizedCompanion] = {
-          count: 0,
-          mood: { sum: 0, avg: 0 },
-          energy: { sum: 0, avg: 0 },
-          stress: { sum: 0, avg: 0 },
-          flowCount: 0
-        };
-      }
-      
-      const impact = socialImpact[normalizedCompanion];
-      impact.count++;
-      impact.mood.sum += mood;
-      impact.energy.sum += energy;
-      impact.stress.sum += stress;
-      if (flowState === 'flow') impact.flowCount++;
-    });
+    // Текст компании в старых ответах хранится в metadata.currentCompanion
+    const socialImpact = this.groupByCategory(responses, response =>
+      response.responses.companionCategory ||
+      contextCategories.classifyCompanion(response.metadata?.currentCompanion)
+    );
     
     // Вычисляем средние значения
-    Object.keys(socialImpact).forEach(companion => {
-      const data = socialImpact[companion];
+    Object.keys(socialImpact).forEach(code => {
+      const data = socialImpact[code];
       if (data.count >= 2) { // Минимум 2 записи
-        data.mood.avg = data.mood.sum / data.count;
-        data.energy.avg = data.energy.sum / data.count;
-        data.stress.avg = data.stress.sum / data.count;
-        data.flowPercentage = (data.flowCount / data.count) * 100;
+        this.finalizeImpact(data);
+        data.label = contextCategories.companionLabel(code);
       } else {
-        delete socialImpact[companion];
+        delete socialImpact[code];
       }
     });
     
@@ -225,6 +177,7 @@ class PatternAnalysisService {
     const responses = await Response.find({
       userId,
       timestamp: { $gte: startDate },
+      ...Response.lateSampleFilter(),
       'metadata.isComplete': true
     });
     
@@ -326,27 +279,41 @@ class PatternAnalysisService {
   }
   
   // Вспомогательные методы
-  static extractActivityKeywords(responses) {
-    const allActivities = responses
-      .map(r => r.responses.currentActivity?.toLowerCase() || '')
-      .filter(activity => activity.length > 0);
-    
-    const wordCounts = {};
-    allActivities.forEach(activity => {
-      // Извлекаем значимые слова (исключаем предлоги, союзы и т.д.)
-      const words = activity.split(/\s+/)
-        .filter(word => word.length > 2)
-        .filter(word => !['что', 'как', 'это', 'для', 'при', 'без', 'над', 'под'].includes(word));
+  // Суммы настроения, энергии, стресса и Flow по категориям; ответы без категории пропускаются
+  static groupByCategory(responses, getCategory) {
+    const impact = {};
+    
+    responses.forEach(response => {
+      const code = getCategory(response);
+      if (!code) return;
       
-      words.forEach(word => {
-        wordCounts[word] = (wordCounts[word] || 0) + 1;
-      });
+      if (!impact[code]) {
+        impact[code] = {
+          count: 0,
+          mood: { sum: 0, avg: 0 },
+          energy: { sum: 0, avg: 0 },
+          stress: { sum: 0, avg: 0 },
+          flowCount: 0
+        };
+      }
+      
+      const data = impact[code];
+      data.count++;
+      data.mood.sum += response.responses.mood || 0;
+      data.energy.sum += response.responses.energy || 0;
+      data.stress.sum += response.responses.stress || 0;
+      if (response.metadata?.flowState === 'flow') data.flowCount++;
     });
     
-    // Возвращаем слова, которые встречаются минимум 3 раза
-    return Object.entries(wordCounts)
-      .filter(([_, count]) => count >= 3)
-      .map(([word, _]) => word);
+    return impact;
+  }
+  
+  static finalizeImpact(data) {
+    data.mood.avg = data.mood.sum / data.count;
+    data.energy.avg = data.energy.sum / data.count;
+    data.stress.avg = data.stress.sum / data.count;
+    data.flowPercentage = (data.flowCount / data.count) * 100;
+    return data;
   }
   
   static analyzeFlowTriggers(challengeSkillData) {
@@ -409,6 +376,7 @@ class PatternAnalysisService {
     return await Response.find({
       userId,
       timestamp: { $gte: startDate },
+      ...Response.lateSampleFilter(),
       'metadata.isComplete': true
     });
   }
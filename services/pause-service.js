@@ -0,0 +1,130 @@
+const moment = require('moment-timezone');
+const config = require('../config/hurlburt');
+
+/**
+ * Паузы в исследовании (отпуск, болезнь, поездка)
+ *
+ * Пауза хранится в user.pauses как [startAt, endAt) по целым дням в поясе
+ * пользователя. Пока она идёт, сигналы и эскалация не отправляются, а дни паузы
+ * не прерывают стрики и не считаются днями обучения.
+ */
+class PauseService {
+  get reasons() {
+    return config.pause.reasons;
+  }
+
+  getReasonLabel(reason) {
+    return this.reasons[reason] || this.reasons.other;
+  }
+
+  /**
+   * Разбор длительности: «3» - 3 дня начиная с сегодня, «20.03-25.03» или «20.03.2025-25.03.2025»
+   * @returns {Object|null} - { startAt, endAt } или { error }, null если не разобрали
+   */
+  parseRange(text, timezone, now = moment().tz(timezone)) {
+    const value = (text || '').trim();
+    const today = now.clone().startOf('day');
+    let start;
+    let end;
+
+    if (/^\d{1,2}$/.test(value)) {
+      start = today;
+      end = today.clone().add(parseInt(value), 'days');
+    } else {
+      const match = /^(\d{1,2}\.\d{1,2}(?:\.\d{4})?)\s*[-–]\s*(\d{1,2}\.\d{1,2}(?:\.\d{4})?)$/.exec(value);
+      if (!match) return null;
+
+      start = this.parseDate(match[1], timezone, today);
+      const last = this.parseDate(match[2], timezone, start || today);
+      if (!start || !last) return null;
+
+      end = last.clone().add(1, 'day');
+    }
+
+    if (!start.isBefore(end)) return { error: 'Конец паузы раньше начала.' };
+    if (end.isSameOrBefore(now)) return { error: 'Эти дни уже прошли.' };
+    if (end.diff(start, 'days') > config.pause.maxDays) {
+      return { error: `Пауза не может быть длиннее ${config.pause.maxDays} дней.` };
+    }
+
+    return { startAt: start.toDate(), endAt: end.toDate() };
+  }
+
+  // «20.03» - ближайшая такая дата не раньше after (в том числе через Новый год)
+  parseDate(text, timezone, after) {
+    const hasYear = text.split('.').length === 3;
+    // Форма уже проверена регуляркой в parseRange
+    const date = moment.tz(text, hasYear ? 'D.M.YYYY' : 'D.M', timezone);
+    if (!date.isValid()) return null;
+
+    if (!hasYear) {
+      date.year(after.year());
+      if (date.isBefore(after, 'day')) date.add(1, 'year');
+    }
+
+    return date.startOf('day');
+  }
+
+  /**
+   * Новая пауза; пересекающиеся с ней паузы заменяются
+   */
+  addPause(user, { startAt, endAt }, reason = 'other', note = null) {
+    user.pauses = (user.pauses || []).filter(pause => !(pause.startAt < endAt && pause.endAt > startAt));
+    user.pauses.push({ startAt, endAt, reason, note: note ? note.slice(0, 200) : null });
+    return user.pauses[user.pauses.length - 1];
+  }
+
+  /**
+   * Досрочно завершает идущую паузу и отменяет будущие
+   * @returns {boolean} - была ли активная или будущая пауза
+   */
+  endPause(user, now = new Date()) {
+    let changed = false;
+
+    user.pauses = (user.pauses || []).filter(pause => {
+      if (pause.startAt > now) {
+        changed = true;
+        return false;
+      }
+      if (pause.endAt > now) {
+        pause.endAt = now;
+        pause.endedEarly = true;
+        changed = true;
+      }
+      return true;
+    });
+
+    return changed;
+  }
+
+  getUpcomingPauses(user, now = new Date()) {
+    return (user.pauses || [])
+      .filter(pause => pause.endAt > now)
+      .sort((a, b) => a.startAt - b.startAt);
+  }
+
+  // «20.03-25.03 ✈️ Поездка» (последний день включительно)
+  formatPause(pause, timezone) {
+    const start = moment(pause.startAt).tz(timezone);
+    const last = moment(pause.endAt).tz(timezone).subtract(1, 'minute');
+    const range = start.isSame(last, 'day')
+      ? start.format('DD.MM')
+      : `${start.format('DD.MM')}-${last.format('DD.MM')}`;
+
+    return `${range} ${this.getReasonLabel(pause.reason)}`;
+  }
+
+  // Паузы для выгрузки исследователю
+  exportPauses(user, anonymize = false) {
+    return (user.pauses || []).map(pause => ({
+      startAt: pause.startAt,
+      endAt: pause.endAt,
+      days: Math.ceil((pause.endAt - pause.startAt) / (24 * 60 * 60 * 1000)),
+      reason: pause.reason,
+      endedEarly: pause.endedEarly || false,
+      ...(anonymize ? {} : { note: pause.note || null })
+    }));
+  }
+}
+
+module.exports = new PauseService();
@@ -435,12 +435,16 @@ ${JSON.stringify(baseExercises.slice(0, 3), null, 2)}
 }`;
 
     try {
-      const result = await this.aiService.validate(prompt, { 
-        isExerciseGeneration: true,
-        userId: context.userId
+      // Ответ проверяется по схеме exercise_generation (config/ai-schemas.js)
+      const { data } = await this.aiService.generateStructured({
+        task: 'exercise_generation',
+        userId: context.userId,
+        prompt,
+        temperature: 0.7,
+        maxTokens: 1500
       });
       
-      return this.parseAIExerciseResult(result);
+      return this.parseAIExerciseResult(data);
       
     } catch (error) {
       console.error('AI exercise generation failed:', error);
@@ -654,31 +658,14 @@ ${JSON.stringify(baseExercises.slice(0, 3), null, 2)}
     }));
   }
 
+  // Ответ уже проверен схемой exercise_generation; заметки и условия перехода необязательны
   parseAIExerciseResult(result) {
-    try {
-      const fallback = {
-        customExercises: [],
-        adaptiveNotes: [],
-        progressionTriggers: []
-      };
-
-      if (result && typeof result === 'object') {
-        return {
-          customExercises: result.customExercises || [],
-          adaptiveNotes: result.adaptiveNotes || [],
-          progressionTriggers: result.progressionTriggers || []
-        };
-      }
-      
-      return fallback;
-    } catch (error) {
-      console.error('Error parsing AI exercise result:', error);
-      return {
-        customExercises: [],
-        adaptiveNotes: [],
-        progressionTriggers: []
-      };
-    }
+    return {
+      customExercises: result.customExercises,
+      adaptiveNotes: result.adaptiveNotes || [],
+      progressionTriggers: result.progressionTriggers || [],
+      source: 'ai'
+    };
   }
 
   createFallbackExercises(userId, weaknessProfile) {
@@ -0,0 +1,103 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const exifReader = require('../utils/exif');
+
+// Bot API не отдаёт файлы больше 20 МБ
+const MAX_DOWNLOAD_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Фото окружения в опросе
+ *
+ * Сам файл остаётся в Telegram, в ответе храним file_id и метаданные.
+ * Координаты из EXIF сохраняются только с согласия пользователя
+ * (settings.photo.shareLocation). Без согласия у документа с геолокацией
+ * (или с непрочитанным EXIF) file_id оригинала не сохраняется: по нему файл
+ * скачивается вместе с EXIF. Остаётся превью, которое Telegram пережимает без EXIF;
+ * сжатые фото (msg.photo) Telegram присылает уже без EXIF.
+ */
+class PhotoService {
+  isImageDocument(document) {
+    return !!document && typeof document.mime_type === 'string' && document.mime_type.startsWith('image/');
+  }
+
+  isPhotoMessage(msg) {
+    return (Array.isArray(msg.photo) && msg.photo.length > 0) || this.isImageDocument(msg.document);
+  }
+
+  /**
+   * Метаданные фото из сообщения Telegram
+   * @param {Object} options.shareLocation - сохранять ли координаты из EXIF
+   */
+  async extractPhoto(bot, msg, { shareLocation = false } = {}) {
+    const base = {
+      caption: msg.caption || null,
+      receivedAt: new Date()
+    };
+
+    if (Array.isArray(msg.photo) && msg.photo.length > 0) {
+      // Telegram присылает несколько размеров: самый большой - оригинал, самый маленький - превью
+      const sizes = [...msg.photo].sort((a, b) => a.width * a.height - b.width * b.height);
+      const original = sizes[sizes.length - 1];
+
+      return {
+        ...base,
+        source: 'photo',
+        fileId: original.file_id,
+        fileUniqueId: original.file_unique_id,
+        thumbnailFileId: sizes[0].file_id,
+        width: original.width,
+        height: original.height,
+        fileSize: original.file_size,
+        mimeType: 'image/jpeg',
+        exif: null,
+        locationStripped: false
+      };
+    }
+
+    const document = msg.document;
+    const thumbnail = document.thumbnail || document.thumb;
+    const { exif, checked } = await this.readExif(bot, document);
+    const hasLocation = !!exif?.location;
+    const keepOriginal = shareLocation || (checked && !hasLocation);
+
+    if (hasLocation && !shareLocation) {
+      exif.location = null;
+    }
+
+    return {
+      ...base,
+      source: 'document',
+      fileId: keepOriginal ? document.file_id : null,
+      fileUniqueId: document.file_unique_id,
+      thumbnailFileId: thumbnail?.file_id || null,
+      width: null,
+      height: null,
+      fileSize: document.file_size,
+      mimeType: document.mime_type,
+      exif,
+      locationStripped: hasLocation && !shareLocation
+    };
+  }
+
+  // Скачиваем файл во временную папку только чтобы прочитать EXIF, затем удаляем.
+  // checked: false - файл прочитать не удалось, есть ли в нём координаты, неизвестно
+  async readExif(bot, document) {
+    if (document.file_size && document.file_size > MAX_DOWNLOAD_BYTES) {
+      return { exif: null, checked: false };
+    }
+
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'survey-photo-'));
+    try {
+      const filePath = await bot.downloadFile(document.file_id, tmpDir);
+      return { exif: exifReader.read(await fs.readFile(filePath)), checked: true };
+    } catch (error) {
+      console.error('Failed to read photo EXIF:', error);
+      return { exif: null, checked: false };
+    } finally {
+      await fs.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new PhotoService();
@@ -0,0 +1,84 @@
+const config = require('../config/hurlburt');
+
+const EARTH_RADIUS_METERS = 6371000;
+
+/**
+ * Именованные места пользователя (дом, работа, спортзал)
+ *
+ * Геопозиция из опроса сопоставляется с местами пользователя; в ответе
+ * сохраняется только название места, сами координаты момента не хранятся.
+ */
+class PlaceService {
+  // Расстояние между двумя точками по формуле гаверсинусов (в метрах)
+  distanceMeters(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+  }
+
+  /**
+   * Ближайшее место, в радиус которого попадает точка
+   * @param {Array} places - user.places
+   * @param {Object} location - { latitude, longitude } из сообщения Telegram
+   * @returns {Object|null} - { name, distanceMeters } или null
+   */
+  matchPlace(places = [], location) {
+    if (!location) return null;
+
+    let best = null;
+    places.forEach(place => {
+      const distance = this.distanceMeters(place, location);
+      const radius = place.radiusMeters || config.places.defaultRadiusMeters;
+
+      if (distance <= radius && (!best || distance < best.distanceMeters)) {
+        best = { name: place.name, distanceMeters: Math.round(distance) };
+      }
+    });
+
+    return best;
+  }
+
+  normalizeName(name) {
+    return (name || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+  }
+
+  /**
+   * Добавление места или обновление координат места с тем же названием
+   */
+  upsertPlace(user, name, location, radiusMeters = config.places.defaultRadiusMeters) {
+    const normalized = this.normalizeName(name);
+    if (!normalized) {
+      throw new Error('Place name is required');
+    }
+
+    const places = user.places || [];
+    const existing = places.find(place => place.name.toLowerCase() === normalized.toLowerCase());
+
+    if (existing) {
+      existing.latitude = location.latitude;
+      existing.longitude = location.longitude;
+      existing.radiusMeters = radiusMeters;
+      return existing;
+    }
+
+    if (places.length >= config.places.maxPerUser) {
+      throw new Error(`Too many places: limit is ${config.places.maxPerUser}`);
+    }
+
+    places.push({
+      name: normalized,
+      latitude: location.latitude,
+      longitude: location.longitude,
+      radiusMeters
+    });
+    user.places = places;
+    return places[places.length - 1];
+  }
+}
+
+module.exports = new PlaceService();
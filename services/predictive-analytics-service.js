@@ -1,5 +1,6 @@
 const Response = require('../models/Response');
 const PatternAnalysisService = require('./pattern-analysis-service');
+const contextCategories = require('../config/context-categories');
 
 /**
  * Сервис предиктивной аналитики для прогнозирования состояний пользователя
@@ -183,51 +184,27 @@ class PredictiveAnalyticsService {
       return { insufficient_data: true };
     }
     
-    const currentActivity = context.currentActivity || context.plannedActivity;
+    // Код категории из опроса или, для свободного текста, категория по ключевым словам
+    const activityText = context.currentActivity || context.plannedActivity;
     
-    if (!currentActivity) {
+    if (!context.activityCategory && !activityText) {
       return { no_activity_context: true };
     }
     
-    // Ищем подходящие активности
-    const relevantPatterns = Object.entries(activityPatterns)
-      .filter(([keyword, _]) => 
-        currentActivity.toLowerCase().includes(keyword)
-      );
+    const activityCategory = context.activityCategory || contextCategories.classifyActivity(activityText);
+    const data = activityPatterns[activityCategory];
     
-    if (relevantPatterns.length === 0) {
+    if (!data) {
       return { no_matching_activity: true };
     }
     
-    // Усредняем предсказания по найденным активностям
-    const predictions = { mood: [], energy: [], stress: [], flow: [] };
-    
-    relevantPatterns.forEach(([keyword, data]) => {
-      predictions.mood.push({
-        value: data.mood.avg,
-        weight: data.count
-      });
-      predictions.energy.push({
-        value: data.energy.avg,
-        weight: data.count
-      });
-      predictions.stress.push({
-        value: data.stress.avg,
-        weight: data.count
-      });
-      predictions.flow.push({
-        value: data.flowPercentage,
-        weight: data.count
-      });
-    });
-    
     return {
-      mood: this.weightedAverage(predictions.mood),
-      energy: this.weightedAverage(predictions.energy),
-      stress: this.weightedAverage(predictions.stress),
-      flowProbability: this.weightedAverage(predictions.flow) / 100,
-      basedOnActivities: relevantPatterns.map(([keyword, _]) => keyword),
-      confidence: Math.min(0.8, relevantPatterns.length / 3)
+      mood: data.mood.avg,
+      energy: data.energy.avg,
+      stress: data.stress.avg,
+      flowProbability: data.flowPercentage / 100,
+      basedOnActivities: [activityCategory],
+      confidence: Math.min(0.8, data.count / 5)
     };
   }
   
@@ -239,11 +216,13 @@ class PredictiveAnalyticsService {
       return { insufficient_data: true };
     }
     
-    const currentCompanion = context.currentCompanion || context.plannedCompanion || 'один';
-    const normalizedCompanion = currentCompanion.toLowerCase().includes('один') ? 'один' : currentCompanion.toLowerCase();
+    // Без указанной компании считаем, что человек один
+    const companionText = context.currentCompanion || context.plannedCompanion;
+    const companionCategory = context.companionCategory ||
+      (companionText ? contextCategories.classifyCompanion(companionText) : 'alone');
     
-    if (socialPatterns[normalizedCompanion]) {
-      const data = socialPatterns[normalizedCompanion];
+    if (socialPatterns[companionCategory]) {
+      const data = socialPatterns[companionCategory];
       return {
         mood: {
           predicted: data.mood.avg,
@@ -258,7 +237,7 @@ class PredictiveAnalyticsService {
           confidence: Math.min(0.8, data.count / 5)
         },
         flowProbability: data.flowPercentage / 100,
-        basedOnCompanion: normalizedCompanion
+        basedOnCompanion: companionCategory
       };
     }
     
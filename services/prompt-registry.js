@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const promptConfig = require('../config/prompts');
+const Response = require('../models/Response');
+const PromptFeedback = require('../models/PromptFeedback');
+
+/**
+ * Реестр промптов: версии из config/prompts.js, подстановка переменных
+ * и распределение пользователей по вариантам A/B-тестов.
+ *
+ * render() возвращает вместе с текстом ref - { key, version, experiment, variant };
+ * его сохраняют с результатом ИИ, чтобы знать, какой промпт его породил.
+ */
+class PromptRegistry {
+  constructor() {
+    this.definitions = promptConfig.definitions;
+    this.experiments = promptConfig.experiments;
+  }
+
+  /**
+   * Определение промпта (без версии - последняя)
+   */
+  get(key, version = null) {
+    return this.getVersions(key).find(definition => !version || definition.version === version) || null;
+  }
+
+  // Версии промпта, новые первыми
+  getVersions(key) {
+    return this.definitions
+      .filter(definition => definition.key === key)
+      .sort((a, b) => b.version - a.version);
+  }
+
+  // Активный эксперимент с промптом; одновременно - не больше одного
+  getExperiment(key) {
+    return this.experiments.find(experiment => experiment.prompt === key && experiment.active !== false) || null;
+  }
+
+  /**
+   * Вариант эксперимента для пользователя: один и тот же при каждом вызове.
+   * Без пользователя - первый (контрольный) вариант
+   */
+  assignVariant(experiment, userId) {
+    if (userId === undefined || userId === null) return experiment.variants[0];
+
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0);
+    const hash = crypto.createHash('sha256').update(`${experiment.key}:${userId}`).digest();
+    let bucket = hash.readUInt32BE(0) % totalWeight;
+
+    for (const variant of experiment.variants) {
+      bucket -= variant.weight ?? 1;
+      if (bucket < 0) return variant;
+    }
+    return experiment.variants[0];
+  }
+
+  /**
+   * Какую версию промпта получает пользователь
+   * @param {Object} options - userId; version - конкретная версия вне эксперимента
+   * @returns {Object} { definition, ref }
+   */
+  resolve(key, { userId = null, version = null } = {}) {
+    const experiment = version ? null : this.getExperiment(key);
+    const variant = experiment ? this.assignVariant(experiment, userId) : null;
+    let definition = this.get(key, version || variant?.version);
+
+    if (!definition && variant) {
+      console.warn(`Prompt ${key}@${variant.version} from experiment ${experiment.key} not found, using latest`);
+      definition = this.get(key);
+    }
+    if (!definition) {
+      throw new Error(`Unknown prompt ${key}${version ? `@${version}` : ''}`);
+    }
+
+    const inExperiment = !!variant && definition.version === variant.version;
+    return {
+      definition,
+      ref: {
+        key,
+        version: definition.version,
+        experiment: inExperiment ? experiment.key : null,
+        variant: inExperiment ? variant.name : null
+      }
+    };
+  }
+
+  /**
+   * Текст промпта для пользователя
+   * @returns {Object} { system, prompt, ref }
+   */
+  render(key, variables = {}, options = {}) {
+    const { definition, ref } = this.resolve(key, options);
+    const id = this.formatId(ref);
+
+    return {
+      system: definition.system ? this.fill(definition.system, variables, id) : null,
+      prompt: this.fill(definition.template, variables, id),
+      ref
+    };
+  }
+
+  /**
+   * {{name}} - значение, {{#name}}...{{/name}} - блок при непустом значении
+   */
+  fill(template, variables, id) {
+    const isEmpty = value => value === undefined || value === null || value === '' || value === false ||
+      (Array.isArray(value) && value.length === 0);
+
+    return template
+      .replace(/\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g, (match, name, block) => (isEmpty(variables[name]) ? '' : block))
+      .replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        const value = variables[name];
+        if (value === undefined || value === null) {
+          throw new Error(`Prompt ${id}: missing variable ${name}`);
+        }
+        return typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+      });
+  }
+
+  formatId(ref) {
+    return `${ref.key}@${ref.version}`;
+  }
+
+  /**
+   * ref по строке key@version (из callback_data) с вариантом пользователя
+   */
+  parseId(id, userId = null) {
+    const match = /^([\w-]+)@(\d+)$/.exec(id || '');
+    if (!match || !this.get(match[1], parseInt(match[2], 10))) return null;
+
+    const version = parseInt(match[2], 10);
+    const experiment = this.getExperiment(match[1]);
+    const variant = experiment ? this.assignVariant(experiment, userId) : null;
+    const inExperiment = !!variant && variant.version === version;
+
+    return {
+      key: match[1],
+      version,
+      experiment: inExperiment ? experiment.key : null,
+      variant: inExperiment ? variant.name : null
+    };
+  }
+
+  /**
+   * Промпты и их версии с активными экспериментами (для мониторинга)
+   */
+  list() {
+    const keys = [...new Set(this.definitions.map(definition => definition.key))];
+
+    return keys.map(key => ({
+      key,
+      versions: this.getVersions(key).map(definition => ({ version: definition.version, description: definition.description })),
+      latest: this.get(key).version,
+      experiment: this.getExperiment(key)
+    }));
+  }
+
+  /**
+   * Сравнение версий и вариантов промпта: оценки ответов (ИИ и итоговое качество
+   * ответа) и отзывы пользователей
+   * @param {Object} options - since: учитывать результаты начиная с даты
+   */
+  async compareVariants(key, { since = null } = {}) {
+    const dateFilter = since ? { $gte: since } : { $exists: true };
+
+    const [scores, feedback] = await Promise.all([
+      Response.aggregate([
+        { $unwind: '$aiValidations' },
+        { $match: { 'aiValidations.prompt.key': key, 'aiValidations.validatedAt': dateFilter } },
+        {
+          $group: {
+            _id: {
+              version: '$aiValidations.prompt.version',
+              experiment: '$aiValidations.prompt.experiment',
+              variant: '$aiValidations.prompt.variant'
+            },
+            validations: { $sum: 1 },
+            responses: { $addToSet: '$_id' },
+            avgAiScore: { $avg: '$aiValidations.score' },
+            avgDataQuality: { $avg: '$metadata.dataQualityScore' }
+          }
+        }
+      ]),
+      PromptFeedback.aggregate([
+        { $match: { 'prompt.key': key, createdAt: dateFilter } },
+        {
+          $group: {
+            _id: { version: '$prompt.version', experiment: '$prompt.experiment', variant: '$prompt.variant' },
+            positive: { $sum: { $cond: [{ $eq: ['$rating', 1] }, 1, 0] } },
+            negative: { $sum: { $cond: [{ $eq: ['$rating', -1] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const rows = new Map();
+    const rowFor = id => {
+      const rowKey = `${id.version}|${id.experiment || ''}|${id.variant || ''}`;
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, {
+          version: id.version,
+          experiment: id.experiment || null,
+          variant: id.variant || null,
+          validations: 0,
+          responses: 0,
+          avgAiScore: null,
+          avgDataQuality: null,
+          feedback: { positive: 0, negative: 0, total: 0, positiveRate: null }
+        });
+      }
+      return rows.get(rowKey);
+    };
+    const round = value => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+    for (const group of scores) {
+      Object.assign(rowFor(group._id), {
+        validations: group.validations,
+        responses: group.responses.length,
+        avgAiScore: round(group.avgAiScore),
+        avgDataQuality: round(group.avgDataQuality)
+      });
+    }
+
+    for (const group of feedback) {
+      const total = group.positive + group.negative;
+      rowFor(group._id).feedback = {
+        positive: group.positive,
+        negative: group.negative,
+        total,
+        positiveRate: total > 0 ? Math.round(group.positive / total * 100) / 100 : null
+      };
+    }
+
+    return {
+      key,
+      experiment: this.getExperiment(key),
+      variants: [...rows.values()].sort((a, b) => a.version - b.version || (a.variant || '').localeCompare(b.variant || ''))
+    };
+  }
+
+  /**
+   * Сохранить отзыв пользователя о результате промпта
+   */
+  async recordFeedback(userId, ref, rating) {
+    return PromptFeedback.create({ userId, prompt: ref, rating });
+  }
+}
+
+module.exports = new PromptRegistry();
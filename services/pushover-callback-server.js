@@ -0,0 +1,106 @@
+const http = require('http');
+const crypto = require('crypto');
+const config = require('../config/hurlburt');
+
+/**
+ * Приём callback-запросов Pushover
+ *
+ * Когда участник подтверждает экстренное уведомление (priority 2), Pushover
+ * отправляет POST (application/x-www-form-urlencoded) на callback URL, указанный
+ * при отправке: receipt, acknowledged, acknowledged_at, acknowledged_by,
+ * acknowledged_by_device. Путь содержит секрет, чтобы чужие запросы не могли
+ * отметить сигнал как увиденный. Без этого сервера подтверждения находит опрос квитанций.
+ */
+
+const CALLBACK_PATH = '/pushover/callback/';
+const MAX_BODY_BYTES = 16 * 1024;
+
+class PushoverCallbackServer {
+  /**
+   * @param {Function} onAcknowledged - async (receipt, { acknowledgedAt, device, via })
+   * @param {Object} options - { secret, port } (config.pushover.callback)
+   */
+  constructor(onAcknowledged, options = config.pushover.callback) {
+    this.onAcknowledged = onAcknowledged;
+    this.options = options;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+  }
+
+  start(host = '0.0.0.0') {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, host, () => {
+        this.server.off('error', reject);
+        console.log(`Pushover callback server listening on port ${this.server.address().port}`);
+        resolve(this.server.address().port);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.server.close(() => resolve()));
+  }
+
+  // Сравнение за постоянное время: секрет не подбирается по времени ответа
+  isAuthorized(url) {
+    const [path] = url.split('?');
+    if (!path.startsWith(CALLBACK_PATH) || !this.options.secret) return false;
+
+    const given = Buffer.from(path.slice(CALLBACK_PATH.length));
+    const expected = Buffer.from(this.options.secret);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  handleRequest(req, res) {
+    const reply = (status, text) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(text);
+    };
+
+    if (!this.isAuthorized(req.url)) {
+      reply(404, 'Not found');
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(405, 'Method not allowed');
+      return;
+    }
+
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reply(413, 'Payload too large');
+        req.destroy();
+      }
+    });
+
+    req.on('end', async () => {
+      if (res.headersSent) return;
+
+      const params = new URLSearchParams(body);
+      const receipt = params.get('receipt');
+      if (!receipt || params.get('acknowledged') !== '1') {
+        reply(400, 'Bad request');
+        return;
+      }
+
+      const seconds = parseInt(params.get('acknowledged_at'), 10);
+      try {
+        await this.onAcknowledged(receipt, {
+          acknowledgedAt: seconds > 0 ? new Date(seconds * 1000) : new Date(),
+          device: params.get('acknowledged_by_device') || null,
+          via: 'callback'
+        });
+        reply(200, 'OK');
+      } catch (error) {
+        // Подтверждение всё равно найдёт опрос квитанций
+        console.error(`Error handling Pushover callback for ${receipt}:`, error);
+        reply(500, 'Error');
+      }
+    });
+  }
+}
+
+module.exports = PushoverCallbackServer;
@@ -1,4 +1,41 @@
 const pushover = require('pushover-notifications');
+const config = require('../config/hurlburt');
+
+const PRIORITIES = [-2, -1, 0, 1, 2];
+const EMERGENCY_PRIORITY = 2;
+// API не принимает retry меньше 30 секунд и expire больше 3 часов
+const MIN_RETRY_SECONDS = 30;
+const MAX_EXPIRE_SECONDS = 10800;
+
+// Список звуков общий для всех экземпляров сервиса (их создают на каждый запрос)
+let soundsCache = null;
+
+/**
+ * Запрос к REST API Pushover; ответ - JSON со status: 1 или errors
+ */
+async function callApi(path, { method = 'GET', form = null } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.pushover.timeoutMs);
+
+    try {
+        const response = await fetch(`${config.pushover.apiUrl}${path}`, {
+            method,
+            ...(form ? {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(form).toString()
+            } : {}),
+            signal: controller.signal
+        });
+
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok || body.status !== 1) {
+            throw new Error(body.errors ? body.errors.join('; ') : `HTTP ${response.status}`);
+        }
+        return body;
+    } finally {
+        clearTimeout(timer);
+    }
+}
 
 class PushoverService {
     constructor() {
@@ -23,38 +60,54 @@ class PushoverService {
                 token: this.appToken
             });
 
+            const priority = options.priority !== undefined ? options.priority : user.settings.pushover.priority;
+            if (!this.validatePriority(priority)) {
+                throw new Error(`Unsupported Pushover priority: ${priority}`);
+            }
+
             const notification = {
                 message: message,
                 title: options.title || '🔔 Время опроса',
-                priority: user.settings.pushover.priority,
+                priority,
                 sound: user.settings.pushover.sound,
-                retry: options.retry || 30, // Repeat every 30 seconds
-                expire: options.expire || 300, // Stop after 5 minutes
                 url: options.url,
                 url_title: options.urlTitle
             };
 
-            // For high priority notifications, ensure they get through
-            if (user.settings.pushover.priority === 2) {
-                notification.retry = 30;
-                notification.expire = 600; // 10 minutes for emergency notifications
+            // Emergency notifications repeat until acknowledged; the API answers with a receipt
+            if (priority === EMERGENCY_PRIORITY) {
+                notification.retry = Math.max(options.retry || config.pushover.emergencyRetrySeconds, MIN_RETRY_SECONDS);
+                notification.expire = Math.min(options.expire || config.pushover.emergencyExpireSeconds, MAX_EXPIRE_SECONDS);
+
+                const callbackUrl = this.getCallbackUrl();
+                if (callbackUrl) {
+                    notification.callback = callbackUrl;
+                }
             }
 
-            const result = await new Promise((resolve, reject) => {
-                client.send(notification, (err, result) => {
+            const data = await new Promise((resolve, reject) => {
+                client.send(notification, (err, data) => {
                     if (err) {
                         reject(err);
                     } else {
-                        resolve(result);
+                        resolve(data);
                     }
                 });
             });
 
+            // The client library hands back the raw response body
+            const result = typeof data === 'string' ? JSON.parse(data) : data;
+            if (result.status !== 1) {
+                throw new Error(result.errors ? result.errors.join('; ') : 'Pushover rejected the message');
+            }
+
             console.log(`Pushover notification sent to ${user.getFullName()}: ${result.status}`);
             return { 
                 success: true, 
                 result,
-                receipt: result.receipt // For tracking emergency notifications
+                priority,
+                receipt: result.receipt || null, // Emergency notifications only
+                expiresAt: notification.expire ? new Date(Date.now() + notification.expire * 1000) : null
             };
 
         } catch (error) {
@@ -96,8 +149,6 @@ class PushoverService {
         const options = {
             title: `🚨 Срочно: Опрос (уровень ${level})`,
             priority: escalationPriority,
-            retry: 15, // More frequent for escalations
-            expire: 900, // 15 minutes
             url: `https://t.me/${process.env.BOT_USERNAME}`,
             urlTitle: 'Ответить сейчас'
         };
@@ -105,6 +156,49 @@ class PushoverService {
         return await this.sendNotification(user, message, options);
     }
 
+    /**
+     * Status of an emergency notification's receipt
+     * @returns {Object} - { acknowledged, acknowledgedAt, acknowledgedByDevice, expired, expiresAt }
+     */
+    async getReceipt(receipt) {
+        this.assertReceipt(receipt);
+        const body = await callApi(`/receipts/${receipt}.json?token=${encodeURIComponent(this.appToken)}`);
+
+        return {
+            acknowledged: body.acknowledged === 1,
+            acknowledgedAt: body.acknowledged_at ? new Date(body.acknowledged_at * 1000) : null,
+            acknowledgedByDevice: body.acknowledged_by_device || null,
+            expired: body.expired === 1,
+            expiresAt: body.expires_at ? new Date(body.expires_at * 1000) : null
+        };
+    }
+
+    /**
+     * Stop the retries of an emergency notification (the survey was answered elsewhere)
+     */
+    async cancelReceipt(receipt) {
+        this.assertReceipt(receipt);
+        await callApi(`/receipts/${receipt}/cancel.json`, { method: 'POST', form: { token: this.appToken } });
+    }
+
+    assertReceipt(receipt) {
+        if (!this.appToken) {
+            throw new Error('App token not configured');
+        }
+        if (!/^[A-Za-z0-9]{1,64}$/.test(receipt || '')) {
+            throw new Error(`Invalid Pushover receipt: ${receipt}`);
+        }
+    }
+
+    /**
+     * Callback URL for emergency notifications, when the bot runs the callback server
+     */
+    getCallbackUrl() {
+        const { baseUrl, secret } = config.pushover.callback;
+        if (!baseUrl || !secret) return null;
+        return `${baseUrl.replace(/\/+$/, '')}/pushover/callback/${secret}`;
+    }
+
     /**
      * Test Pushover connection with user's token
      */
@@ -181,6 +275,41 @@ class PushoverService {
         return keyRegex.test(userKey);
     }
 
+    /**
+     * Sounds supported by the API for this application (including custom ones), name -> description.
+     * Cached for config.pushover.soundsCacheHours; the built-in list is used when the API is unreachable
+     */
+    async fetchSounds() {
+        const maxAge = config.pushover.soundsCacheHours * 60 * 60 * 1000;
+        if (soundsCache && Date.now() - soundsCache.fetchedAt < maxAge) {
+            return soundsCache.sounds;
+        }
+
+        if (this.appToken) {
+            try {
+                const body = await callApi(`/sounds.json?token=${encodeURIComponent(this.appToken)}`);
+                soundsCache = { sounds: body.sounds, fetchedAt: Date.now() };
+                return body.sounds;
+            } catch (error) {
+                console.error('Failed to fetch Pushover sounds:', error.message);
+            }
+        }
+
+        return Object.fromEntries(this.getAvailableSounds().map(sound => [sound, sound]));
+    }
+
+    async isValidSound(sound) {
+        const sounds = await this.fetchSounds();
+        return Object.prototype.hasOwnProperty.call(sounds, sound);
+    }
+
+    /**
+     * Priorities accepted by the messages API
+     */
+    validatePriority(priority) {
+        return PRIORITIES.includes(priority);
+    }
+
     /**
      * Get available sounds for Pushover notifications
      */
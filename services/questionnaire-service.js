@@ -0,0 +1,341 @@
+const mongoose = require('mongoose');
+const Questionnaire = require('../models/Questionnaire');
+const questionnaireConfig = require('../config/questionnaires');
+
+/**
+ * Сервис опросников: выбор опросника для пользователя,
+ * загрузка версий и проверка ответов по правилам пунктов
+ */
+class QuestionnaireService {
+  constructor() {
+    this.builtins = questionnaireConfig.definitions;
+    this.cache = new Map();
+    this.cacheTTL = 5 * 60 * 1000;
+  }
+
+  /**
+   * Опросник по ключу и версии (без версии - последняя активная).
+   * Сначала ищем в БД, затем среди встроенных определений.
+   */
+  async getQuestionnaire(key, version = null) {
+    const cacheKey = `${key}@${version || 'latest'}`;
+    const cached = this.cache.get(cacheKey);
+    if (cached && Date.now() - cached.loadedAt < this.cacheTTL) {
+      return cached.questionnaire;
+    }
+
+    let questionnaire = null;
+
+    // Без подключения mongoose буферизует запросы, поэтому не ждём его
+    if (mongoose.connection.readyState === 1) {
+      try {
+        const doc = version
+          ? await Questionnaire.findOne({ key, version }).lean()
+          : await Questionnaire.findLatest(key).lean();
+        if (doc) {
+          questionnaire = this.normalize(doc);
+        }
+      } catch (error) {
+        console.error(`Failed to load questionnaire ${cacheKey}:`, error);
+      }
+    }
+
+    if (!questionnaire) {
+      questionnaire = this.getBuiltin(key, version);
+    }
+
+    if (questionnaire) {
+      this.cache.set(cacheKey, { questionnaire, loadedAt: Date.now() });
+    }
+
+    return questionnaire;
+  }
+
+  /**
+   * Встроенный опросник из config/questionnaires.js
+   */
+  getBuiltin(key, version = null) {
+    const candidates = this.builtins
+      .filter(q => q.key === key && (!version || q.version === version))
+      .sort((a, b) => b.version - a.version);
+
+    return candidates[0] ? this.normalize(candidates[0]) : null;
+  }
+
+  getDefault() {
+    return this.getBuiltin(questionnaireConfig.defaultKey);
+  }
+
+  /**
+   * Ключ опросника для пользователя: личный выбор → исследование → по умолчанию
+   */
+  getKeyForUser(user) {
+    return user?.settings?.questionnaire ||
+      (user?.studyId && questionnaireConfig.studyAssignments[user.studyId]) ||
+      questionnaireConfig.defaultKey;
+  }
+
+  async resolveForUser(user) {
+    const key = this.getKeyForUser(user);
+    const questionnaire = await this.getQuestionnaire(key);
+
+    if (!questionnaire) {
+      console.warn(`Questionnaire "${key}" not found, using default`);
+      return this.getDefault();
+    }
+
+    return questionnaire;
+  }
+
+  /**
+   * Пункты опросника с учётом настроек пользователя:
+   * шаг с фото задаётся только при включённой настройке settings.photo.enabled,
+   * геопозиция - только если у пользователя есть именованные места
+   */
+  getItemsForUser(questionnaire, user) {
+    const photoEnabled = !!user?.settings?.photo?.enabled;
+    const hasPlaces = (user?.places || []).length > 0;
+    const items = questionnaire.items.filter(item =>
+      (item.type !== 'photo' || photoEnabled) &&
+      (item.type !== 'location' || hasPlaces)
+    );
+
+    if (photoEnabled && !items.some(item => item.type === 'photo')) {
+      items.push({ ...questionnaireConfig.photoItem });
+    }
+
+    return items;
+  }
+
+  /**
+   * Список доступных опросников (последние версии) для меню настроек
+   */
+  async listAvailable() {
+    const byKey = new Map();
+
+    this.builtins.forEach(q => {
+      const existing = byKey.get(q.key);
+      if (!existing || existing.version < q.version) {
+        byKey.set(q.key, { key: q.key, version: q.version, title: q.title });
+      }
+    });
+
+    if (mongoose.connection.readyState === 1) {
+      try {
+        const stored = await Questionnaire.find({ isActive: true })
+          .select('key version title')
+          .lean();
+        stored.forEach(q => {
+          const existing = byKey.get(q.key);
+          if (!existing || existing.version <= q.version) {
+            byKey.set(q.key, { key: q.key, version: q.version, title: q.title || q.key });
+          }
+        });
+      } catch (error) {
+        console.error('Failed to list questionnaires:', error);
+      }
+    }
+
+    return Array.from(byKey.values());
+  }
+
+  /**
+   * Проверка ответа по типу и правилам пункта
+   * @returns {{valid: boolean, error: string|null, value: *}}
+   */
+  validateAnswer(item, value) {
+    const rules = item.rules || {};
+    const fail = error => ({ valid: false, error, value });
+
+    if (value === undefined || value === null || value === '') {
+      return rules.required ? fail('Этот вопрос обязателен') : { valid: true, error: null, value: null };
+    }
+
+    switch (item.type) {
+      case 'scale':
+      case 'slider': {
+        const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+        const { min, max, step } = item.scale || {};
+
+        if (isNaN(number)) {
+          return fail(`Введите число от ${min} до ${max}`);
+        }
+        if (number < min || number > max) {
+          return fail(`Значение должно быть от ${min} до ${max}`);
+        }
+        if (step && Math.abs((number - min) / step - Math.round((number - min) / step)) > 1e-9) {
+          return fail(`Значение должно быть кратно шагу ${step}`);
+        }
+        return { valid: true, error: null, value: number };
+      }
+
+      case 'text': {
+        const text = String(value).trim();
+        if (rules.minLength && text.length < rules.minLength) {
+          return fail(`Ответ слишком короткий (минимум ${rules.minLength} символов)`);
+        }
+        if (rules.maxLength && text.length > rules.maxLength) {
+          return fail(`Ответ слишком длинный (максимум ${rules.maxLength} символов)`);
+        }
+        return { valid: true, error: null, value: text };
+      }
+
+      case 'choice': {
+        const option = (item.options || []).find(o => o.value === value);
+        return option ? { valid: true, error: null, value } : fail('Выберите один из вариантов');
+      }
+
+      case 'multiselect': {
+        const selected = Array.isArray(value) ? value : [value];
+        const allowed = new Set((item.options || []).map(o => o.value));
+
+        if (selected.some(v => !allowed.has(v))) {
+          return fail('Выберите варианты из списка');
+        }
+        if (rules.minSelected && selected.length < rules.minSelected) {
+          return fail(`Выберите хотя бы ${rules.minSelected}`);
+        }
+        if (rules.maxSelected && selected.length > rules.maxSelected) {
+          return fail(`Можно выбрать не больше ${rules.maxSelected}`);
+        }
+        return { valid: true, error: null, value: selected };
+      }
+
+      case 'grid': {
+        const { min, max } = item.scale || {};
+        const scores = {};
+
+        for (const row of item.rows || []) {
+          const score = value[row.id];
+          if (score === undefined || score === null) {
+            if (rules.required) return fail(`Оцените: ${row.label}`);
+            continue;
+          }
+          if (typeof score !== 'number' || score < min || score > max) {
+            return fail(`${row.label}: значение должно быть от ${min} до ${max}`);
+          }
+          scores[row.id] = score;
+        }
+        return { valid: true, error: null, value: scores };
+      }
+
+      default:
+        return { valid: true, error: null, value };
+    }
+  }
+
+  /**
+   * Проверка декларативного условия по уже собранным ответам
+   *
+   * Формат условия:
+   *   { item: 'stress', op: 'gte', value: 6 }
+   *   { all: [условие, ...] }, { any: [условие, ...] }, { not: условие }
+   * Операторы: eq, neq, gt, gte, lt, lte, in, notIn, contains, answered, notAnswered.
+   * Строки сравниваются без учёта регистра и пробелов по краям.
+   */
+  evaluateCondition(condition, answers = {}) {
+    if (!condition) return true;
+
+    if (Array.isArray(condition.all)) {
+      return condition.all.every(c => this.evaluateCondition(c, answers));
+    }
+    if (Array.isArray(condition.any)) {
+      return condition.any.some(c => this.evaluateCondition(c, answers));
+    }
+    if (condition.not) {
+      return !this.evaluateCondition(condition.not, answers);
+    }
+
+    const raw = this.extractValue(answers[condition.item]);
+    const answered = raw !== undefined && raw !== null && raw !== '';
+    const normalize = v => (typeof v === 'string' ? v.trim().toLowerCase() : v);
+    const actual = normalize(raw);
+    const expected = Array.isArray(condition.value)
+      ? condition.value.map(normalize)
+      : normalize(condition.value);
+
+    switch (condition.op) {
+      case 'answered':
+        return answered;
+      case 'notAnswered':
+        return !answered;
+      case 'eq':
+        return answered && actual === expected;
+      case 'neq':
+        return !answered || actual !== expected;
+      case 'gt':
+        return answered && actual > expected;
+      case 'gte':
+        return answered && actual >= expected;
+      case 'lt':
+        return answered && actual < expected;
+      case 'lte':
+        return answered && actual <= expected;
+      case 'in':
+        return answered && [].concat(expected).includes(actual);
+      case 'notIn':
+        return !answered || ![].concat(expected).includes(actual);
+      case 'contains':
+        if (Array.isArray(raw)) return raw.map(normalize).includes(expected);
+        return answered && String(actual).includes(String(expected));
+      default:
+        console.warn(`Unknown condition operator: ${condition.op}`);
+        return true;
+    }
+  }
+
+  /**
+   * Показывать ли пункт: условие пункта и условие его блока
+   */
+  isItemVisible(item, answers = {}, blocks = {}) {
+    if (!this.evaluateCondition(item.showIf, answers)) {
+      return false;
+    }
+
+    const block = item.block && blocks?.[item.block];
+    return !block || this.evaluateCondition(block.showIf, answers);
+  }
+
+  /**
+   * Индекс следующего видимого пункта начиная с fromIndex.
+   * @returns {{index: number, skipped: string[]}} - skipped: id пунктов, скрытых правилами
+   */
+  getNextItemIndex(items, fromIndex, answers = {}, blocks = {}) {
+    const skipped = [];
+    let index = fromIndex;
+
+    while (index < items.length && !this.isItemVisible(items[index], answers, blocks)) {
+      skipped.push(items[index].id);
+      index++;
+    }
+
+    return { index, skipped };
+  }
+
+  /**
+   * Значение ответа для хранения: текстовые ответы сохраняются объектом с метаданными валидации
+   */
+  extractValue(answer) {
+    if (answer && typeof answer === 'object' && !Array.isArray(answer) && 'text' in answer) {
+      return answer.text;
+    }
+    return answer;
+  }
+
+  normalize(doc) {
+    return {
+      key: doc.key,
+      version: doc.version,
+      title: doc.title || doc.key,
+      description: doc.description || '',
+      blocks: doc.blocks || {},
+      items: (doc.items || []).map(item => ({ ...item }))
+    };
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+}
+
+module.exports = new QuestionnaireService();
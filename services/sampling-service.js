@@ -0,0 +1,151 @@
+const moment = require('moment-timezone');
+const config = require('../config/hurlburt');
+const availabilityService = require('./availability-service');
+const { strategies, createSchedulingStrategy } = require('../strategies/schedulingStrategy');
+
+// Типы расписания (см. config.sampling)
+const SCHEDULES = {
+  random_blocks: { label: '🎲 Случайные сигналы', beeps: true, events: false, trigger: 'signal' },
+  fixed: { label: '🕙 Фиксированное время', beeps: true, events: false, trigger: 'interval' },
+  event: { label: '📌 По событию', beeps: false, events: true, trigger: null },
+  hybrid: { label: '🔀 Случайные сигналы + события', beeps: true, events: true, trigger: 'signal' }
+};
+
+const STRATEGY_LABELS = {
+  stratified_block: '🧱 По блокам',
+  uniform: '🎲 Равномерно',
+  poisson: '🌧 Пуассоновский поток'
+};
+
+const TIME_REGEX = /^([0-1]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+/**
+ * Расписание выборки пользователя
+ *
+ * signal-contingent - случайные сигналы по блокам окна уведомлений,
+ * interval-contingent - сигналы в фиксированное время,
+ * event-contingent - запись по кнопке «📌 Событие», когда событие произошло.
+ * Тип расписания записывается в Response.trigger, чтобы анализ мог их разделять.
+ */
+class SamplingService {
+  get schedules() {
+    return SCHEDULES;
+  }
+
+  /**
+   * Расписание пользователя: личная настройка → исследование → по умолчанию
+   * @returns {Object} - { type, strategy, minGapMinutes, fixedTimes, eventPrompt }
+   */
+  getSchedule(user) {
+    const personal = user?.settings?.sampling || {};
+    const study = (user?.studyId && config.sampling.studies[user.studyId]) || {};
+
+    const type = [personal.schedule, study.schedule, config.sampling.defaultSchedule]
+      .find(candidate => SCHEDULES[candidate]);
+
+    const strategy = [personal.strategy, study.strategy, config.sampling.defaultStrategy]
+      .find(candidate => strategies[candidate]);
+
+    const minGapMinutes = [personal.minGapMinutes, study.minGapMinutes, config.sampling.minGapMinutes]
+      .find(candidate => typeof candidate === 'number');
+
+    const fixedTimes = [personal.fixedTimes, study.fixedTimes, config.sampling.fixedTimes]
+      .find(times => Array.isArray(times) && times.length > 0);
+
+    return {
+      type,
+      strategy,
+      minGapMinutes,
+      fixedTimes: this.normalizeTimes(fixedTimes),
+      eventPrompt: study.eventPrompt || config.sampling.eventPrompt
+    };
+  }
+
+  getLabel(type) {
+    return SCHEDULES[type]?.label || type;
+  }
+
+  get strategyLabels() {
+    return STRATEGY_LABELS;
+  }
+
+  getStrategyLabel(strategy) {
+    return STRATEGY_LABELS[strategy] || strategy;
+  }
+
+  /**
+   * Стратегия случайных сигналов для пользователя.
+   * С config.sampling.seed зерно своё для каждого пользователя и дня, иначе расписание случайное
+   * @param {moment} day - день, на который строится расписание
+   */
+  createStrategy(user, day, { seed = config.sampling.seed } = {}) {
+    const schedule = this.getSchedule(user);
+    const daySeed = seed === null || seed === undefined
+      ? null
+      : `${seed}:${user?.telegramId}:${day.format('YYYY-MM-DD')}`;
+
+    return createSchedulingStrategy(schedule.strategy, {
+      minGapMinutes: schedule.minGapMinutes,
+      seed: daySeed
+    });
+  }
+
+  sendsBeeps(type) {
+    return !!SCHEDULES[type]?.beeps;
+  }
+
+  acceptsEvents(type) {
+    return !!SCHEDULES[type]?.events;
+  }
+
+  // Значение Response.trigger для уведомлений этого расписания
+  beepTrigger(type) {
+    return SCHEDULES[type]?.trigger || 'signal';
+  }
+
+  /**
+   * Разбор списка времени «10:00, 14:00 18:00»
+   * @returns {Array|null} - отсортированные ЧЧ:ММ или null при ошибке формата
+   */
+  parseTimes(text) {
+    const parts = (text || '').split(/[\s,;]+/).filter(Boolean);
+    if (parts.length === 0 || parts.length > config.sampling.maxFixedTimes) return null;
+    if (!parts.every(part => TIME_REGEX.test(part))) return null;
+
+    return this.normalizeTimes(parts);
+  }
+
+  normalizeTimes(times = []) {
+    const normalized = times.map(time => {
+      const [hour, minute] = time.split(':').map(Number);
+      return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    });
+
+    return [...new Set(normalized)].sort();
+  }
+
+  /**
+   * Фиксированные моменты дня после currentTime
+   * @param {moment} day - любой момент нужного дня в часовом поясе пользователя
+   */
+  generateFixedTimes(day, fixedTimes, currentTime) {
+    return fixedTimes
+      .map(time => availabilityService.atTime(day, time))
+      .filter(time => time.isAfter(currentTime));
+  }
+
+  /**
+   * Ближайший фиксированный момент: сегодня или в один из следующих lookaheadDays дней
+   * @param {Function} isAllowed - отсеивает моменты, попавшие в перерывы
+   */
+  nextFixedTime(fixedTimes, timezone, now = moment().tz(timezone), isAllowed = () => true, lookaheadDays = 1) {
+    for (let offset = 0; offset <= lookaheadDays; offset++) {
+      const next = this.generateFixedTimes(now.clone().add(offset, 'day'), fixedTimes, now).find(isAllowed);
+      if (next) return next;
+    }
+
+    return null;
+  }
+}
+
+module.exports = new SamplingService();
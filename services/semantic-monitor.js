@@ -29,7 +29,10 @@ class SemanticAnalysisMonitor {
       userPatterns: new Map(),
       
       // Временные метрики
-      hourlyStats: new Map()
+      hourlyStats: new Map(),
+      
+      // Какой провайдер цепочки ответил (self-hosted, anthropic, ..., local - правила)
+      providerUsage: new Map()
     };
     
     this.latencyHistory = [];
@@ -231,6 +234,24 @@ class SemanticAnalysisMonitor {
     }
   }
 
+  /**
+   * Записать, какой провайдер обслужил запрос
+   * @param {string} provider - имя провайдера или local
+   * @param {string} kind - validation, semantic_similarity
+   */
+  recordProvider(provider, kind = 'validation') {
+    const name = provider || 'local';
+    
+    if (!this.metrics.providerUsage.has(name)) {
+      this.metrics.providerUsage.set(name, { total: 0, byKind: {}, lastServedAt: null });
+    }
+    
+    const usage = this.metrics.providerUsage.get(name);
+    usage.total++;
+    usage.byKind[kind] = (usage.byKind[kind] || 0) + 1;
+    usage.lastServedAt = new Date().toISOString();
+  }
+
   /**
    * Записать ошибку
    */
@@ -286,7 +307,10 @@ class SemanticAnalysisMonitor {
       breakdown: {
         staticAnalyses: this.metrics.staticAnalyses,
         aiAnalyses: this.metrics.aiAnalyses
-      }
+      },
+      providers: Object.fromEntries(
+        Array.from(this.metrics.providerUsage.entries()).map(([name, usage]) => [name, { ...usage, byKind: { ...usage.byKind } }])
+      )
     };
   }
 
@@ -481,7 +505,8 @@ class SemanticAnalysisMonitor {
       lowConfidenceDecisions: 0,
       questionTypes: new Map(),
       userPatterns: new Map(),
-      hourlyStats: new Map()
+      hourlyStats: new Map(),
+      providerUsage: new Map()
     };
     
     this.latencyHistory = [];
@@ -0,0 +1,145 @@
+const config = require('../config/hurlburt');
+
+/**
+ * Хранилище незавершённых сессий (опросы, ввод настроек)
+ *
+ * Состояние сериализуется в JSON, поэтому в нём не должно быть функций
+ * и циклических ссылок. Даты и ObjectId после восстановления становятся строками.
+ */
+
+function serialize(state) {
+  return JSON.parse(JSON.stringify(state));
+}
+
+/**
+ * Адаптер MongoDB (коллекция surveysessions с TTL-индексом)
+ */
+class MongoSessionAdapter {
+  constructor() {
+    this.model = require('../models/SurveySession');
+  }
+
+  async get(kind, telegramId) {
+    const session = await this.model.findOne({
+      kind,
+      telegramId,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    return session ? { chatId: session.chatId, state: session.state } : null;
+  }
+
+  async set(kind, telegramId, chatId, state, expiresAt) {
+    await this.model.updateOne(
+      { kind, telegramId },
+      { $set: { chatId, state, updatedAt: new Date(), expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async delete(kind, telegramId) {
+    await this.model.deleteOne({ kind, telegramId });
+  }
+
+  async list(kind) {
+    const sessions = await this.model.find({
+      kind,
+      expiresAt: { $gt: new Date() }
+    }).lean();
+    return sessions.map(s => ({ telegramId: s.telegramId, chatId: s.chatId, state: s.state }));
+  }
+}
+
+/**
+ * Адаптер в памяти процесса (для тестов и локальной разработки)
+ */
+class MemorySessionAdapter {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  key(kind, telegramId) {
+    return `${kind}:${telegramId}`;
+  }
+
+  isAlive(entry) {
+    return entry && entry.expiresAt > Date.now();
+  }
+
+  async get(kind, telegramId) {
+    const entry = this.sessions.get(this.key(kind, telegramId));
+    if (!this.isAlive(entry)) return null;
+    return { chatId: entry.chatId, state: serialize(entry.state) };
+  }
+
+  async set(kind, telegramId, chatId, state, expiresAt) {
+    this.sessions.set(this.key(kind, telegramId), {
+      kind,
+      telegramId,
+      chatId,
+      state,
+      expiresAt: expiresAt.getTime()
+    });
+  }
+
+  async delete(kind, telegramId) {
+    this.sessions.delete(this.key(kind, telegramId));
+  }
+
+  async list(kind) {
+    return Array.from(this.sessions.values())
+      .filter(entry => entry.kind === kind && this.isAlive(entry))
+      .map(entry => ({
+        telegramId: entry.telegramId,
+        chatId: entry.chatId,
+        state: serialize(entry.state)
+      }));
+  }
+}
+
+class SessionStore {
+  constructor(adapter = null) {
+    this.ttlHours = config.sessions?.ttlHours || 12;
+    this.adapter = adapter || this.createDefaultAdapter();
+  }
+
+  createDefaultAdapter() {
+    return config.sessions?.adapter === 'memory'
+      ? new MemorySessionAdapter()
+      : new MongoSessionAdapter();
+  }
+
+  /**
+   * Подмена адаптера (например, MemorySessionAdapter в тестах)
+   */
+  useAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  /**
+   * Сохранить состояние сессии; каждый вызов продлевает TTL
+   */
+  async save(kind, telegramId, chatId, state) {
+    const expiresAt = new Date(Date.now() + this.ttlHours * 60 * 60 * 1000);
+    await this.adapter.set(kind, telegramId, chatId, serialize(state), expiresAt);
+  }
+
+  async load(kind, telegramId) {
+    return this.adapter.get(kind, telegramId);
+  }
+
+  async remove(kind, telegramId) {
+    await this.adapter.delete(kind, telegramId);
+  }
+
+  /**
+   * Все живые сессии данного типа - для восстановления при старте
+   */
+  async loadAll(kind) {
+    return this.adapter.list(kind);
+  }
+}
+
+module.exports = new SessionStore();
+module.exports.SessionStore = SessionStore;
+module.exports.MongoSessionAdapter = MongoSessionAdapter;
+module.exports.MemorySessionAdapter = MemorySessionAdapter;
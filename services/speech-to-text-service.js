@@ -0,0 +1,127 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config/hurlburt');
+
+/**
+ * Распознавание голосовых ответов
+ *
+ * Голосовое сообщение скачивается из Telegram и сохраняется на диск,
+ * затем файл отправляется в адаптер распознавания. Расшифровка дальше
+ * проходит ту же валидацию, что и текстовый ответ.
+ */
+
+/**
+ * Адаптер для Whisper-совместимого HTTP-сервера
+ * (faster-whisper-server, whisper.cpp server, OpenAI /v1/audio/transcriptions)
+ */
+class WhisperHttpAdapter {
+  constructor(options = {}) {
+    this.name = 'whisper';
+    this.url = options.url;
+    this.model = options.model;
+    this.language = options.language;
+    this.timeoutMs = options.timeoutMs;
+    this.apiKey = options.apiKey;
+  }
+
+  async transcribe(filePath, { mimeType = 'audio/ogg' } = {}) {
+    const audio = await fs.readFile(filePath);
+
+    const form = new FormData();
+    form.append('file', new Blob([audio], { type: mimeType }), path.basename(filePath));
+    form.append('model', this.model);
+    form.append('response_format', 'json');
+    if (this.language) {
+      form.append('language', this.language);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+        body: form,
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        throw new Error(`Whisper API error: ${response.status}`);
+      }
+
+      const data = await response.json();
+      return (data.text || '').trim();
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Адаптер-заглушка: возвращает заданную расшифровку (для тестов и разработки без сервера)
+ */
+class StubSpeechAdapter {
+  constructor(transcript = '') {
+    this.name = 'stub';
+    this.transcript = transcript;
+  }
+
+  async transcribe() {
+    return this.transcript;
+  }
+}
+
+class SpeechToTextService {
+  constructor(adapter = null) {
+    this.config = config.speechToText;
+    this.adapter = adapter || this.createDefaultAdapter();
+  }
+
+  createDefaultAdapter() {
+    if (this.config.adapter === 'stub') {
+      return new StubSpeechAdapter();
+    }
+    return new WhisperHttpAdapter(this.config.whisper);
+  }
+
+  useAdapter(adapter) {
+    this.adapter = adapter;
+  }
+
+  isEnabled() {
+    return this.config.enabled;
+  }
+
+  /**
+   * Скачивание голосового сообщения Telegram и распознавание
+   * @returns {{transcript: string, audio: Object, transcribedBy: string}}
+   */
+  async transcribeVoice(bot, voice) {
+    if (voice.duration > this.config.maxDurationSeconds) {
+      throw new Error(`Voice message is too long: ${voice.duration}s`);
+    }
+
+    await fs.mkdir(this.config.audioDir, { recursive: true });
+    const filePath = await bot.downloadFile(voice.file_id, this.config.audioDir);
+
+    const transcript = await this.adapter.transcribe(filePath, { mimeType: voice.mime_type });
+
+    return {
+      transcript,
+      transcribedBy: this.adapter.name,
+      audio: {
+        fileId: voice.file_id,
+        fileUniqueId: voice.file_unique_id,
+        duration: voice.duration,
+        mimeType: voice.mime_type,
+        path: path.relative(process.cwd(), filePath)
+      }
+    };
+  }
+}
+
+module.exports = new SpeechToTextService();
+module.exports.SpeechToTextService = SpeechToTextService;
+module.exports.WhisperHttpAdapter = WhisperHttpAdapter;
+module.exports.StubSpeechAdapter = StubSpeechAdapter;
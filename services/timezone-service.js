@@ -0,0 +1,261 @@
+const moment = require('moment-timezone');
+const Response = require('../models/Response');
+const config = require('../config/hurlburt');
+const { cities } = require('../config/timezones');
+const placeService = require('./place-service');
+
+/**
+ * Определение часового пояса участника
+ *
+ * Пояс можно выбрать по геопозиции (ближайший город из config/timezones.js,
+ * вдали от городов - по долготе) или поиском города с опечатками. Раз в день
+ * сравнивается время ответов за последние дни с обычным: если ответы
+ * сдвинулись на несколько часов, участник, вероятно, уехал - предлагаем
+ * сменить пояс (config.timezoneDetection).
+ */
+class TimezoneService {
+  normalize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/ё/g, 'е')
+      .replace(/[-_]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Сходство строк 0..1 по расстоянию Левенштейна
+  similarity(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return 1 - previous[b.length] / Math.max(a.length, b.length);
+  }
+
+  // Начало названия («новосиб») считаем почти точным совпадением
+  scoreName(query, name) {
+    const score = this.similarity(query, name);
+    return query.length >= 3 && name.startsWith(query) ? Math.max(0.9, score) : score;
+  }
+
+  // Кандидаты поиска: города из списка и города из названий зон IANA
+  getCandidates() {
+    if (!this.candidates) {
+      const fromCities = cities.map(city => ({
+        label: city.name,
+        timezone: city.timezone,
+        names: [city.name, ...city.aliases].map(name => this.normalize(name))
+      }));
+
+      const fromZones = moment.tz.names()
+        .filter(zone => zone.includes('/') && !zone.startsWith('Etc/'))
+        .map(zone => {
+          const city = zone.split('/').pop().replace(/_/g, ' ');
+          return { label: city, timezone: zone, names: [this.normalize(city)] };
+        });
+
+      this.candidates = [...fromCities, ...fromZones];
+    }
+    return this.candidates;
+  }
+
+  /**
+   * Нечёткий поиск города
+   * @returns {Array} - [{ label, timezone, score }], лучшие первыми
+   */
+  searchCity(query, limit = 3) {
+    const normalized = this.normalize(query);
+    if (normalized.length < 2) return [];
+
+    const seen = new Set();
+
+    return this.getCandidates()
+      .map(candidate => {
+        const score = Math.max(...candidate.names.map(name => this.scoreName(normalized, name)));
+        return { label: candidate.label, timezone: candidate.timezone, score };
+      })
+      .filter(result => result.score >= config.timezoneDetection.minSearchScore)
+      .sort((a, b) => b.score - a.score)
+      .filter(result => {
+        const key = `${result.label}|${result.timezone}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, limit);
+  }
+
+  /**
+   * Пояс по геопозиции: ближайший известный город или пояс по долготе
+   * @returns {Object} - { timezone, city } (city - null, если город далеко)
+   */
+  fromLocation(location) {
+    let nearest = null;
+    for (const city of cities) {
+      const distance = placeService.distanceMeters(location, city);
+      if (!nearest || distance < nearest.distance) {
+        nearest = { city, distance };
+      }
+    }
+
+    if (nearest && nearest.distance <= config.timezoneDetection.maxCityDistanceKm * 1000) {
+      return { timezone: nearest.city.timezone, city: nearest.city.name };
+    }
+
+    return { timezone: this.etcZone(Math.round(location.longitude / 15)), city: null };
+  }
+
+  // Пояс с постоянным смещением; в Etc/GMT знак обратный: Etc/GMT-3 - это UTC+3
+  etcZone(hours) {
+    if (hours === 0) return 'Etc/GMT';
+    return `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+  }
+
+  isValid(timezone) {
+    return !!timezone && !!moment.tz.zone(timezone);
+  }
+
+  formatOffset(timezone, now = new Date()) {
+    return `UTC${moment(now).tz(timezone).format('Z')}`;
+  }
+
+  /**
+   * Города из списка с этим смещением от UTC сейчас; если таких нет - Etc/GMT±N
+   * @returns {Array} - [{ label, timezone }]
+   */
+  zonesForOffset(offsetMinutes, now = new Date(), limit = 3) {
+    const zones = [];
+    for (const city of cities) {
+      if (zones.length >= limit) break;
+      if (zones.some(zone => zone.timezone === city.timezone)) continue;
+      if (moment(now).tz(city.timezone).utcOffset() === offsetMinutes) {
+        zones.push({ label: city.name, timezone: city.timezone });
+      }
+    }
+
+    if (zones.length === 0 && offsetMinutes % 60 === 0 && Math.abs(offsetMinutes) <= 12 * 60) {
+      const timezone = this.etcZone(offsetMinutes / 60);
+      zones.push({ label: this.formatOffset(timezone, now), timezone });
+    }
+
+    return zones;
+  }
+
+  // Средний час по кругу суток (23:00 и 01:00 дают полночь, а не полдень)
+  meanHour(hours) {
+    const angles = hours.map(hour => hour / 24 * 2 * Math.PI);
+    const sin = angles.reduce((sum, angle) => sum + Math.sin(angle), 0);
+    const cos = angles.reduce((sum, angle) => sum + Math.cos(angle), 0);
+    return ((Math.atan2(sin, cos) / (2 * Math.PI) * 24) + 24) % 24;
+  }
+
+  /**
+   * Сдвиг времени ответов: последние recentDays дней против baselineDays дней до них
+   * @param {Date[]} times - моменты ответов
+   * @returns {Object|null} - { shiftHours, offsetMinutes } - сдвиг и предлагаемое смещение пояса
+   */
+  detectShift(times, timezone, now = new Date()) {
+    const settings = config.timezoneDetection;
+    const recentSince = moment(now).subtract(settings.recentDays, 'days');
+    const baselineSince = recentSince.clone().subtract(settings.baselineDays, 'days');
+    const toHour = time => {
+      const local = moment(time).tz(timezone);
+      return local.hour() + local.minute() / 60;
+    };
+
+    const recent = times.filter(time => moment(time).isAfter(recentSince)).map(toHour);
+    const baseline = times
+      .filter(time => moment(time).isAfter(baselineSince) && !moment(time).isAfter(recentSince))
+      .map(toHour);
+
+    if (recent.length < settings.minRecentSamples || baseline.length < settings.minRecentSamples) {
+      return null;
+    }
+
+    // В (-12, 12]: ответы стали раньше - участник восточнее
+    let shift = this.meanHour(recent) - this.meanHour(baseline);
+    if (shift > 12) shift -= 24;
+    if (shift <= -12) shift += 24;
+
+    const shiftHours = Math.round(shift);
+    if (Math.abs(shiftHours) < settings.shiftThresholdHours) return null;
+
+    return {
+      shiftHours,
+      offsetMinutes: moment(now).tz(timezone).utcOffset() - shiftHours * 60
+    };
+  }
+
+  /**
+   * Пора ли предложить участнику сменить пояс
+   * @returns {Object|null} - { shiftHours, offsetMinutes, zones }
+   */
+  async checkShift(user, now = new Date()) {
+    const settings = config.timezoneDetection;
+    const lastSuggestion = user.timezoneSuggestion?.suggestedAt;
+    if (lastSuggestion && now - lastSuggestion < settings.suggestionCooldownDays * 24 * 60 * 60 * 1000) {
+      return null;
+    }
+
+    // Ответы до прошлой смены пояса сравнивать бессмысленно
+    let since = moment(now).subtract(settings.recentDays + settings.baselineDays, 'days').toDate();
+    if (user.settings.timezoneChangedAt && user.settings.timezoneChangedAt > since) {
+      since = user.settings.timezoneChangedAt;
+    }
+
+    const responses = await Response.find({
+      userId: user._id,
+      $or: [
+        { responseStartedAt: { $gte: since, $lte: now } },
+        { responseStartedAt: null, timestamp: { $gte: since, $lte: now } }
+      ]
+    }).select('responseStartedAt timestamp').lean();
+
+    const times = responses.map(response => response.responseStartedAt || response.timestamp);
+    const shift = this.detectShift(times, user.settings.timezone, now);
+    if (!shift) return null;
+
+    const zones = this.zonesForOffset(shift.offsetMinutes, now);
+    return zones.length > 0 ? { ...shift, zones } : null;
+  }
+
+  /**
+   * Предложение сменить пояс: подходящие города, геопозиция или «всё верно»
+   */
+  buildSuggestion(user, shift, now = new Date()) {
+    const direction = shift.shiftHours < 0 ? 'раньше' : 'позже';
+    const text =
+      `🌍 Последние дни ты отвечаешь примерно на ${Math.abs(shift.shiftHours)} ч ${direction} обычного. ` +
+      `Возможно, ты в поездке?\n\n` +
+      `Сейчас сигналы приходят по времени ${user.settings.timezone} (${this.formatOffset(user.settings.timezone, now)}). ` +
+      `Если пояс сменился, выбери новый - расписание на сегодня пересчитается сразу.`;
+
+    return {
+      text,
+      keyboard: {
+        inline_keyboard: [
+          ...shift.zones.map(zone => [{
+            text: `🕐 ${zone.label} (${this.formatOffset(zone.timezone, now)})`,
+            callback_data: `settings_tz_${zone.timezone}`
+          }]),
+          [{ text: '📍 Определить по геопозиции', callback_data: 'settings_tz_location' }],
+          [{ text: '🏠 Нет, всё верно', callback_data: 'settings_tz_keep' }]
+        ]
+      }
+    };
+  }
+}
+
+module.exports = new TimezoneService();
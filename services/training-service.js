@@ -73,9 +73,10 @@ class TrainingService {
       };
     }
 
-    const daysSinceStart = Math.floor(
+    // Дни паузы (/pause) не считаются днями обучения
+    const daysSinceStart = Math.max(1, Math.floor(
       (Date.now() - user.trainingStartDate) / (1000 * 60 * 60 * 24)
-    ) + 1;
+    ) + 1 - user.countPausedDays(user.trainingStartDate));
 
     const currentDayProgress = progress?.dailyProgress.find(
       d => d.day === daysSinceStart
@@ -380,12 +380,16 @@ ${JSON.stringify(analysisData, null, 2)}
 }`;
 
     try {
-      const result = await this.aiService.validate(prompt, { 
-        isWeaknessAnalysis: true,
-        userId: responses[0]?.userId
+      // Ответ проверяется по схеме weakness_analysis (config/ai-schemas.js)
+      const { data } = await this.aiService.generateStructured({
+        task: 'weakness_analysis',
+        userId: responses[0]?.userId,
+        prompt,
+        temperature: 0.3,
+        maxTokens: 1500
       });
       
-      return this.parseAIWeaknessResult(result);
+      return this.parseAIWeaknessResult(data);
       
     } catch (error) {
       console.error('AI weakness analysis failed:', error);
@@ -775,36 +779,9 @@ ${JSON.stringify(analysisData, null, 2)}
     }));
   }
 
+  // Ответ уже проверен схемой weakness_analysis; не прошёл - анализ без ИИ (null)
   parseAIWeaknessResult(result) {
-    try {
-      // Базовая структура с fallback значениями
-      const fallback = {
-        criticalWeaknesses: [],
-        subtleIssues: [],
-        learningBlocks: [],
-        progressionInsights: {
-          overallTrend: 'unknown',
-          stuckAreas: [],
-          breakthroughPotential: []
-        },
-        confidence: 0.5
-      };
-
-      if (result && typeof result === 'object') {
-        return { ...fallback, ...result };
-      }
-      
-      return fallback;
-    } catch (error) {
-      console.error('Error parsing AI weakness result:', error);
-      return {
-        criticalWeaknesses: [],
-        subtleIssues: [],
-        learningBlocks: [],
-        progressionInsights: { overallTrend: 'unknown', stuckAreas: [], breakthroughPotential: [] },
-        confidence: 0.3
-      };
-    }
+    return { ...result, source: 'ai' };
   }
 
   calculateConfidence(statistical, ai) {
@@ -0,0 +1,177 @@
+/**
+ * Стратегии расписания случайных сигналов внутри окна уведомлений
+ *
+ * Каждая стратегия получает окно (moment в часовом поясе пользователя),
+ * желаемое число сигналов и возвращает отсортированные моменты не ближе
+ * minGapMinutes друг к другу. Генератор случайных чисел можно задать зерном,
+ * тогда расписание воспроизводимо (тесты, отладка).
+ */
+
+// Хеш строки в 32-битное число (FNV-1a), чтобы зерном могла быть строка
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Генератор mulberry32: без зерна - Math.random
+function createRng(seed = null) {
+  if (seed === null || seed === undefined) return Math.random;
+
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+class SchedulingStrategy {
+  /**
+   * @param {Object} options.minGapMinutes - минимальный интервал между сигналами
+   * @param {Object} options.seed - зерно генератора (null - случайное расписание)
+   */
+  constructor({ minGapMinutes = 0, seed = null } = {}) {
+    this.minGapMinutes = minGapMinutes;
+    this.random = createRng(seed);
+  }
+
+  /**
+   * Моменты сигналов в окне; уже прошедшие (до currentTime) отбрасываются
+   */
+  generate(windowStart, windowEnd, count, currentTime) {
+    return this.generateInSegments([{ start: windowStart, end: windowEnd }], count, currentTime);
+  }
+
+  /**
+   * То же для окна с перерывами: отрезки [{ start, end }] склеиваются в одну шкалу
+   * свободного времени, стратегия раскладывает сигналы по ней, затем смещения
+   * переводятся обратно во время суток. Конец отрезка в него не входит
+   * (как в availabilityService.isAvailable), поэтому сигнал, выпавший ровно
+   * на конец шкалы, сдвигается на её последнюю минуту
+   */
+  generateInSegments(segments, count, currentTime) {
+    const lengths = segments.map(segment => segment.end.diff(segment.start, 'minutes'));
+    const totalMinutes = lengths.reduce((sum, length) => sum + length, 0);
+    if (count <= 0 || totalMinutes <= 0) return [];
+
+    return this.generateOffsets(totalMinutes, count)
+      .map(offset => Math.min(offset, totalMinutes - 1))
+      .map(offset => {
+        let index = 0;
+        while (index < segments.length - 1 && offset >= lengths[index]) {
+          offset -= lengths[index];
+          index++;
+        }
+        return segments[index].start.clone().add(offset, 'minutes');
+      })
+      .filter(time => !currentTime || time.isAfter(currentTime));
+  }
+
+  // Смещения сигналов от начала окна в минутах, по возрастанию
+  generateOffsets() {
+    throw new Error(`${this.constructor.name} must implement generateOffsets()`);
+  }
+
+  randomBetween(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+}
+
+/**
+ * Классический дизайн ESM: окно делится на равные блоки, в каждом блоке
+ * один сигнал в случайный момент, но не раньше minGap после предыдущего
+ */
+class StratifiedBlockStrategy extends SchedulingStrategy {
+  generateOffsets(windowMinutes, count) {
+    const blockMinutes = windowMinutes / count;
+    const offsets = [];
+
+    for (let i = 0; i < count; i++) {
+      const blockStart = Math.ceil(i * blockMinutes);
+      const blockEnd = Math.floor((i + 1) * blockMinutes) - (i === count - 1 ? 0 : 1);
+      const previous = offsets[offsets.length - 1];
+      const earliest = previous === undefined ? blockStart : Math.max(blockStart, previous + this.minGapMinutes);
+
+      // Предыдущий сигнал в конце своего блока съел этот блок - сдвигаемся в пределах окна
+      if (earliest > blockEnd) {
+        if (earliest <= windowMinutes) offsets.push(earliest);
+        continue;
+      }
+
+      offsets.push(this.randomBetween(earliest, blockEnd));
+    }
+
+    return offsets;
+  }
+}
+
+/**
+ * Равномерно по всему окну; кандидаты ближе minGap к уже выбранным отбрасываются
+ */
+class UniformStrategy extends SchedulingStrategy {
+  generateOffsets(windowMinutes, count) {
+    const offsets = [];
+    const maxAttempts = count * 50;
+
+    for (let attempt = 0; attempt < maxAttempts && offsets.length < count; attempt++) {
+      const candidate = this.randomBetween(0, windowMinutes);
+      if (offsets.every(offset => Math.abs(offset - candidate) >= this.minGapMinutes)) {
+        offsets.push(candidate);
+      }
+    }
+
+    return offsets.sort((a, b) => a - b);
+  }
+}
+
+/**
+ * Пуассоновский процесс: экспоненциальные интервалы со средним окно / count.
+ * Число сигналов случайно (в среднем count), но не больше count * 2
+ */
+class PoissonStrategy extends SchedulingStrategy {
+  generateOffsets(windowMinutes, count) {
+    const meanInterval = windowMinutes / count;
+    const offsets = [];
+    let current = 0;
+
+    while (offsets.length < count * 2) {
+      const interval = -Math.log(1 - this.random()) * meanInterval;
+      current += offsets.length === 0 ? interval : Math.max(this.minGapMinutes, interval);
+      if (current > windowMinutes) break;
+      offsets.push(Math.round(current));
+    }
+
+    return offsets;
+  }
+}
+
+const strategies = {
+  stratified_block: StratifiedBlockStrategy,
+  uniform: UniformStrategy,
+  poisson: PoissonStrategy
+};
+
+function createSchedulingStrategy(name, options = {}) {
+  const Strategy = strategies[name];
+  if (!Strategy) {
+    throw new Error(`Unknown scheduling strategy: ${name}`);
+  }
+  return new Strategy(options);
+}
+
+module.exports = {
+  SchedulingStrategy,
+  StratifiedBlockStrategy,
+  UniformStrategy,
+  PoissonStrategy,
+  strategies,
+  createSchedulingStrategy,
+  createRng
+};
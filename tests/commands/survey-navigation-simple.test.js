@@ -0,0 +1,116 @@
+const surveyCommand = require('../../commands/survey');
+const User = require('../../models/User');
+const questionnaireService = require('../../services/questionnaire-service');
+
+jest.mock('../../models/User');
+// Сервис ИИ-валидации запускает таймеры при загрузке
+jest.mock('../../services/ai-validator-service', () => ({ validate: jest.fn() }));
+
+describe('/survey Navigation - Basic Tests', () => {
+  const telegramId = 789012;
+  let bot;
+
+  const press = data => surveyCommand.handleCallback(bot, {
+    id: 'q',
+    data,
+    from: { id: telegramId },
+    message: { chat: { id: 123456 }, message_id: 1 }
+  });
+
+  beforeEach(() => {
+    bot = { ...global.createMockBot(), deleteMessage: jest.fn().mockResolvedValue(true) };
+    User.findOne.mockResolvedValue(null);
+
+    // Мини-форма: только кнопки, без уточнений
+    surveyCommand.surveyStates.set(telegramId, {
+      chatId: 123456,
+      surveyMode: 'mini',
+      items: questionnaireService.getBuiltin('mini_form').items,
+      currentQuestion: 0,
+      path: [],
+      skippedByRules: [],
+      responses: {},
+      validationAttempts: {}
+    });
+  });
+
+  afterEach(() => {
+    surveyCommand.surveyStates.delete(telegramId);
+  });
+
+  test('should go back and keep the correction in answer history', async () => {
+    await surveyCommand.askQuestion(bot, 123456, telegramId, 0);
+    await press('survey_choice_0');
+    await press('survey_back');
+
+    const state = surveyCommand.surveyStates.get(telegramId);
+    expect(state.currentQuestion).toBe(0);
+    expect(state.path).toEqual(['activity_category']);
+
+    await press('survey_choice_1');
+
+    expect(state.responses.activity_category).toBe('study');
+    expect(state.answerHistory.map(entry => entry.via)).toEqual(['answer', 'back']);
+    expect(state.answerHistory[1]).toMatchObject({ previousValue: 'work', value: 'study' });
+  });
+
+  test('should edit an earlier answer and return to the interrupted question', async () => {
+    await surveyCommand.askQuestion(bot, 123456, telegramId, 0);
+    await press('survey_choice_0');
+    await press('survey_choice_0');
+    await press('survey_scale_5');
+
+    const state = surveyCommand.surveyStates.get(telegramId);
+    expect(state.currentQuestion).toBe(3);
+
+    await press('survey_edit');
+    await press('survey_edit_2');
+    expect(state.currentQuestion).toBe(2);
+
+    await press('survey_scale_7');
+
+    expect(state.currentQuestion).toBe(3);
+    expect(state.responses.challenge).toBe(7);
+    expect(state.answerHistory.pop()).toMatchObject({ itemId: 'challenge', previousValue: 5, value: 7, via: 'edit' });
+  });
+
+  test('should drop answers of items hidden by an edit and ask newly visible ones', async () => {
+    const items = questionnaireService.getBuiltin('hurlburt_esm', 3).items;
+    const ids = items.map(item => item.id);
+    const answered = ['moment_capture', 'challenge', 'skill', 'concentration', 'mood', 'energy', 'stress', 'stress_source'];
+    const state = {
+      ...surveyCommand.surveyStates.get(telegramId),
+      items,
+      currentQuestion: ids.indexOf('activity_category'),
+      path: [...answered, 'activity_category'],
+      responses: {
+        moment_capture: { text: 'Вижу экран' }, challenge: 5, skill: 5, concentration: 5, mood: 4, energy: 4,
+        stress: 7, stress_source: { text: 'Дедлайн' }
+      }
+    };
+    surveyCommand.surveyStates.set(telegramId, state);
+
+    await press('survey_edit');
+    await press(`survey_edit_${ids.indexOf('stress')}`);
+    await press('survey_scale_2');
+
+    expect(state.responses.stress).toBe(2);
+    expect(state.responses).not.toHaveProperty('stress_source');
+    expect(state.path).toEqual([...answered.slice(0, -1), 'activity_category']);
+    expect(state.skippedByRules).toContain('stress_source');
+    expect(state.currentQuestion).toBe(ids.indexOf('activity_category'));
+    expect(state.resumeIndex).toBeNull();
+
+    // Стресс снова высокий: источник задаётся до возврата к прерванному вопросу
+    await press('survey_edit');
+    await press(`survey_edit_${ids.indexOf('stress')}`);
+    await press('survey_scale_7');
+
+    expect(state.currentQuestion).toBe(ids.indexOf('stress_source'));
+    expect(state.skippedByRules).not.toContain('stress_source');
+    expect(state.path).toEqual([...answered, 'activity_category']);
+
+    await press('survey_edit_cancel');
+    expect(state.currentQuestion).toBe(ids.indexOf('activity_category'));
+  });
+});
@@ -66,8 +66,9 @@ describe('AIInsightsService - Basic Tests', () => {
       dataPoints: 20
     };
 
-    const prompt = aiInsightsService.createInsightsPrompt(userProfile);
+    const { prompt, ref } = aiInsightsService.createInsightsPrompt(userProfile);
 
+    expect(ref).toMatchObject({ key: 'insights', version: 1 });
     expect(prompt).toContain('анализ');
     expect(prompt).toContain('JSON');
     expect(typeof prompt).toBe('string');
@@ -0,0 +1,157 @@
+const aiUsage = require('../../services/ai-usage-service');
+const AIUsage = require('../../models/AIUsage');
+const User = require('../../models/User');
+const Response = require('../../models/Response');
+
+describe('AI usage accounting - Basic Tests', () => {
+  const originalSettings = aiUsage.settings;
+  const now = new Date('2026-10-19T10:00:00Z');
+  const settings = {
+    pricing: {
+      models: {
+        'gpt-4o': { input: 2.5, output: 10 },
+        'gpt-4o-mini': { input: 0.15, output: 0.6 }
+      },
+      providers: { 'self-hosted': { input: 0, output: 0 }, anthropic: { input: 3, output: 15 } }
+    },
+    budgets: { dailyUsd: 0.01, monthlyUsd: 1, warnAt: 0.8 }
+  };
+  const chainWith = providers => createProviderChain(providers, { usage: aiUsage });
+
+  beforeEach(() => {
+    aiUsage.settings = settings;
+    aiUsage.reset();
+    // Цепочка считает траты на текущий момент; сервис ИИ-валидации запускает таймеры при загрузке
+    jest.useFakeTimers({ now, doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    aiUsage.settings = originalSettings;
+    aiUsage.reset();
+  });
+
+  test('should price calls by model prefix and estimate tokens without usage', () => {
+    expect(aiUsage.getPrice('openai', 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+    expect(aiUsage.getPrice('openai', 'gpt-4o-2024-08-06')).toEqual({ input: 2.5, output: 10 });
+    expect(aiUsage.getPrice('anthropic', 'claude-sonnet-4-20250514')).toEqual({ input: 3, output: 15 });
+    expect(aiUsage.isFree('self-hosted', 'qwen2.5:7b-instruct')).toBe(true);
+    expect(aiUsage.getPrice('mystery', 'm')).toBeNull();
+
+    const priced = aiUsage.record({
+      feature: 'validation', userId: 42, provider: 'openai', model: 'gpt-4o-2024-08-06',
+      usage: { inputTokens: 1000, outputTokens: 200 }
+    }, now);
+    expect(priced).toMatchObject({ userId: '42', inputTokens: 1000, outputTokens: 200, estimated: false, costUsd: 0.0045 });
+
+    const estimated = aiUsage.record({
+      task: 'follow_up', provider: 'self-hosted', model: 'qwen', usage: null, prompt: 'a'.repeat(400), text: 'b'.repeat(10)
+    }, now);
+    expect(estimated).toMatchObject({ feature: 'follow_up', userId: null, inputTokens: 100, outputTokens: 3, estimated: true, costUsd: 0 });
+  });
+
+  test('should break spending down by feature, model and user and warn near the budget', () => {
+    const warn = jest.spyOn(console, 'warn');
+    const error = jest.spyOn(console, 'error');
+    const call = (feature, userId) => ({
+      feature, userId, provider: 'anthropic', model: 'claude-sonnet-4-20250514', usage: { inputTokens: 1000, outputTokens: 100 }
+    });
+
+    aiUsage.record(call('validation', 'u1'), now);
+    aiUsage.record(call('insights', 'u2'), now);
+    expect(aiUsage.getBudgetStatus(now)).toMatchObject({ exceeded: false, day: { spentUsd: 0.009, limitUsd: 0.01 } });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('LLM day budget warning'));
+
+    aiUsage.record(call('validation', 'u1'), now);
+    const breakdown = aiUsage.getBreakdown('day', now);
+    expect(breakdown).toMatchObject({
+      key: '2026-10-19',
+      totals: { calls: 3, inputTokens: 3000, outputTokens: 300, costUsd: 0.0135 },
+      budget: { exceeded: true }
+    });
+    expect(Object.keys(breakdown.byFeature)).toEqual(['validation', 'insights']);
+    expect(breakdown.byUser.u1).toMatchObject({ calls: 2, costUsd: 0.009 });
+    expect(breakdown.byModel['anthropic/claude-sonnet-4-20250514'].calls).toBe(3);
+    expect(error).toHaveBeenCalledTimes(1);
+
+    // Новые сутки - новый счёт, месяц продолжается
+    const tomorrow = new Date('2026-10-20T00:30:00Z');
+    expect(aiUsage.getBudgetStatus(tomorrow)).toMatchObject({ exceeded: false, day: { spentUsd: 0 }, month: { spentUsd: 0.0135 } });
+  });
+
+  test('should skip paid providers over budget but keep the free self-hosted one', async () => {
+    aiUsage.record({ feature: 'insights', provider: 'anthropic', model: 'claude-sonnet-4', usage: { inputTokens: 10000, outputTokens: 0 } }, now);
+
+    const anthropic = createFakeProvider('anthropic', [{ text: '{}' }], 'claude-sonnet-4');
+    const local = createFakeProvider('self-hosted', [
+      { text: 'не JSON', usage: { inputTokens: 50, outputTokens: 5 } },
+      { text: '{"ok": true}', usage: { inputTokens: 50, outputTokens: 4 } }
+    ], 'qwen');
+
+    await expect(chainWith([anthropic]).complete({ task: 'validation', prompt: 'p' })).rejects.toThrow('LLM budget exceeded');
+
+    const chain = chainWith([anthropic, local]);
+    await expect(chain.complete({ task: 'validation', feature: 'weakness_analysis', userId: 'u1', prompt: 'p', parse: JSON.parse }))
+      .rejects.toThrow('All LLM providers failed');
+    const result = await chain.complete({ task: 'validation', feature: 'weakness_analysis', userId: 'u1', prompt: 'p', parse: JSON.parse });
+    expect(result.attempts).toEqual([{ provider: 'anthropic', status: 'over_budget' }, { provider: 'self-hosted', status: 'ok' }]);
+    expect(anthropic.complete).not.toHaveBeenCalled();
+
+    // Непригодный ответ тоже учтён
+    expect(aiUsage.getBreakdown('day', now).byFeature.weakness_analysis).toEqual({
+      calls: 2, failed: 1, inputTokens: 100, outputTokens: 9, costUsd: 0
+    });
+  });
+
+  test('should restore spending from the database and fall back to local validation', async () => {
+    jest.spyOn(AIUsage, 'aggregate').mockResolvedValue([
+      { _id: { day: '2026-10-19', feature: 'validation', provider: 'anthropic', model: 'claude-sonnet-4', userId: 'u1', success: true }, calls: 4, inputTokens: 4000, outputTokens: 400, costUsd: 0.018 },
+      { _id: { day: '2026-10-02', feature: 'insights', provider: 'anthropic', model: 'claude-sonnet-4', userId: 'u2', success: true }, calls: 1, inputTokens: 1000, outputTokens: 100, costUsd: 0.0045 }
+    ]);
+    await aiUsage.restore(now);
+
+    expect(AIUsage.aggregate.mock.calls[0][0][0]).toEqual({ $match: { createdAt: { $gte: new Date('2026-10-01T00:00:00Z') } } });
+    expect(aiUsage.getBreakdown('day', now).totals).toMatchObject({ calls: 4, costUsd: 0.018 });
+    expect(aiUsage.getBreakdown('month', now).totals).toMatchObject({ calls: 5, costUsd: 0.0225 });
+
+    const aiValidator = require('../../services/ai-validator-service');
+    const anthropic = createFakeProvider('anthropic', [{ text: '{"score": 90}' }], 'claude-sonnet-4');
+    aiValidator.initializeProvider(chainWith([anthropic]));
+
+    const result = await aiValidator.validate('Слышу гул холодильника и вижу белую кружку', { userId: 'budget-1' });
+    expect(result.provider).toBeUndefined();
+    expect(result.issues).toContain('too_brief');
+    expect(anthropic.complete).not.toHaveBeenCalled();
+    expect(aiValidator.getUsageStats().budget.exceeded).toBe(true);
+  });
+
+  test('should record follow-up usage for the survey participant', async () => {
+    const user = new User({ telegramId: 4242, firstName: 'Аня' });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    // День обучения - по прошлым ответам; без подключения к базе запросы не возвращаются
+    jest.spyOn(Response, 'find').mockReturnValue({ sort: () => ({ select: async () => [] }) });
+    jest.spyOn(Response.prototype, 'save').mockResolvedValue(null);
+
+    const surveyCommand = require('../../commands/survey');
+    const bot = global.createMockBot();
+    await surveyCommand.startSurvey(bot, 4242, 4242, null, { mode: 'mini' });
+
+    const state = surveyCommand.surveyStates.get(4242);
+    expect(state.userId).toEqual(user._id);
+
+    const aiValidator = require('../../services/ai-validator-service');
+    const local = createFakeProvider('self-hosted', [{ text: '{"question": "Что именно было на экране?"}' }], 'qwen');
+    aiValidator.initializeProvider(chainWith([local]));
+    state.responses.currentThoughts = { text: 'Думаю о работе' };
+
+    const followUp = await surveyCommand.checkForFollowUp(bot, 4242, state, { trainingDay: 1 });
+    surveyCommand.surveyStates.delete(4242);
+
+    expect(followUp).toMatchObject({ text: 'Что именно было на экране?', source: 'ai' });
+    expect(local.complete.mock.calls[0][0].userId).toEqual(user._id);
+    expect(aiUsage.getBreakdown('day', now).byUser).toEqual({
+      [String(user._id)]: { calls: 1, failed: 0, inputTokens: expect.any(Number), outputTokens: expect.any(Number), costUsd: 0 }
+    });
+  });
+});
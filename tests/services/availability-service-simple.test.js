@@ -0,0 +1,120 @@
+const moment = require('moment-timezone');
+const availabilityService = require('../../services/availability-service');
+const NotificationScheduler = require('../../services/notificationScheduler');
+
+describe('AvailabilityService - Basic Tests', () => {
+  const timezone = 'Europe/Moscow';
+  const monday = moment.tz('2024-03-11 08:00', timezone);
+  const saturday = moment.tz('2024-03-16 08:00', timezone);
+  const format = segments => segments.map(({ start, end }) => `${start.format('HH:mm')}-${end.format('HH:mm')}`);
+
+  const createUser = (availability = {}) => ({
+    telegramId: 1,
+    settings: {
+      timezone,
+      notificationStartTime: '09:00',
+      notificationEndTime: '21:00',
+      notificationsPerDay: 6,
+      availability: { weekdayWindows: [], blackouts: [], blackoutDates: [], quietUntil: null, ...availability }
+    }
+  });
+
+  test('should cut weekly blackouts and use weekend windows', () => {
+    const user = createUser({
+      weekdayWindows: availabilityService.parseWeeklyRanges('сб-вс 11:00-23:00')[0].weekdays
+        .map(weekday => ({ weekday, start: '11:00', end: '23:00' })),
+      blackouts: availabilityService.parseWeeklyRanges('пн,ср 10:00-11:00 Планёрка\nежедневно 23:30-09:30 Сон')
+    });
+
+    expect(format(availabilityService.getAvailableSegments(user, monday))).toEqual(['09:30-10:00', '11:00-21:00']);
+    expect(format(availabilityService.getAvailableSegments(user, saturday))).toEqual(['11:00-23:00']);
+    expect(availabilityService.parseWeeklyRanges('пн 25:00-26:00')).toBeNull();
+  });
+
+  test('should resolve quiet mode for hours and until tomorrow', () => {
+    const user = createUser();
+    const now = moment.tz('2024-03-11 15:00', timezone);
+
+    expect(moment(availabilityService.resolveQuietUntil(user, '2', now)).tz(timezone).format('HH:mm')).toBe('17:00');
+    expect(moment(availabilityService.resolveQuietUntil(user, 'завтра', now)).tz(timezone).format('DD HH:mm')).toBe('12 09:00');
+    expect(availabilityService.resolveQuietUntil(user, 'потом', now)).toBeNull();
+
+    user.settings.availability.quietUntil = moment.tz('2024-03-11 17:00', timezone).toDate();
+    expect(availabilityService.isAvailable(user, moment.tz('2024-03-11 16:00', timezone))).toBe(false);
+    expect(availabilityService.isAvailable(user, moment.tz('2024-03-11 17:30', timezone))).toBe(true);
+  });
+
+  test('should import recurring and one-off calendar events', () => {
+    const ics = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:Стендап',
+      'DTSTART;TZID=Europe/Moscow:20240304T100000',
+      'DTEND;TZID=Europe/Moscow:20240304T101500',
+      'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Врач',
+      'DTSTART:20240312T120000Z',
+      'DURATION:PT1H30M',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'SUMMARY:Прошедшее',
+      'DTSTART:20240101T120000Z',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const imported = availabilityService.importIcs(ics, timezone, monday);
+
+    expect(imported.blackouts).toEqual([
+      { weekdays: [1, 2, 3, 4, 5], start: '10:00', end: '10:15', label: 'Стендап', source: 'ics' }
+    ]);
+    expect(imported.blackoutDates).toHaveLength(1);
+    expect(moment(imported.blackoutDates[0].startAt).tz(timezone).format('DD HH:mm')).toBe('12 15:00');
+  });
+
+  test('should expand limited recurring events into dated blackouts', () => {
+    const event = (summary, start, rule, extra = []) => [
+      'BEGIN:VEVENT', `SUMMARY:${summary}`, `DTSTART;TZID=Europe/Moscow:${start}`, 'DURATION:PT1H', `RRULE:${rule}`,
+      ...extra, 'END:VEVENT'
+    ];
+    const ics = [
+      'BEGIN:VCALENDAR',
+      // Серия закончится в следующий вторник
+      ...event('До вторника', '20240305T100000', 'FREQ=WEEKLY;BYDAY=TU;UNTIL=20240319T235959Z'),
+      // Три встречи, первая уже прошла; одна отменена
+      ...event('Три раза', '20240306T140000', 'FREQ=WEEKLY;COUNT=3', ['EXDATE;TZID=Europe/Moscow:20240313T140000']),
+      // Раз в две недели
+      ...event('Через неделю', '20240311T160000', 'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO'),
+      // Начнётся только через неделю
+      ...event('С понедельника', '20240318T120000', 'FREQ=WEEKLY'),
+      // Каждый второй четверг месяца
+      ...event('Ежемесячно', '20240111T180000', 'FREQ=MONTHLY;BYDAY=2TH'),
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    const imported = availabilityService.importIcs(ics, timezone, monday);
+    const dates = label => imported.blackoutDates
+      .filter(item => item.label === label)
+      .map(item => moment(item.startAt).tz(timezone).format('DD.MM HH:mm'));
+
+    expect(imported.blackouts).toEqual([]);
+    expect(dates('До вторника')).toEqual(['12.03 10:00', '19.03 10:00']);
+    expect(dates('Три раза')).toEqual(['20.03 14:00']);
+    expect(dates('Через неделю').slice(0, 3)).toEqual(['11.03 16:00', '25.03 16:00', '08.04 16:00']);
+    expect(dates('С понедельника')[0]).toBe('18.03 12:00');
+    expect(dates('Ежемесячно')).toEqual(['14.03 18:00', '11.04 18:00', '09.05 18:00']);
+  });
+
+  test('should never plan beeps inside blackouts', () => {
+    const scheduler = new NotificationScheduler({ sendMessage: jest.fn() });
+    const user = createUser({ blackouts: availabilityService.parseWeeklyRanges('пн 12:00-18:00') });
+    user.settings.sampling = { strategy: 'uniform', minGapMinutes: 20 };
+
+    const times = scheduler.planDay(user, monday, monday.clone().startOf('day'));
+
+    expect(times).toHaveLength(6);
+    times.forEach(time => expect(availabilityService.isAvailable(user, time)).toBe(true));
+  });
+});
@@ -0,0 +1,80 @@
+const Response = require('../../models/Response');
+const User = require('../../models/User');
+const complianceService = require('../../services/compliance-service');
+const statsCommand = require('../../commands/stats');
+const settingsCommand = require('../../commands/settings');
+
+describe('ComplianceService - Basic Tests', () => {
+  const timezone = 'Europe/Moscow';
+  const now = new Date('2024-03-14T17:00:00Z');
+  const beep = (iso, answered, expired = false) => ({
+    notificationSentAt: new Date(iso),
+    responseStartedAt: answered ? new Date(iso) : null,
+    expired
+  });
+
+  const mockBeeps = beeps => jest.spyOn(Response, 'find').mockReturnValue({
+    select: () => ({ lean: async () => beeps })
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should count answered beeps per day in the user timezone', () => {
+    const beeps = [
+      beep('2024-03-13T21:30:00Z', true),        // 14.03 по Москве
+      beep('2024-03-14T08:00:00Z', false),
+      beep('2024-03-14T10:00:00Z', true, true),  // начат после истечения
+      beep('2024-03-12T10:00:00Z', true)
+    ];
+
+    const days = complianceService.groupByDay(beeps, timezone, 3, now);
+
+    expect(days.map(day => day.date)).toEqual(['2024-03-12', '2024-03-13', '2024-03-14']);
+    expect(days[2]).toEqual({ date: '2024-03-14', sent: 3, answered: 1, rate: 1 / 3 });
+    expect(days[1].rate).toBeNull();
+    expect(complianceService.summarize(beeps)).toEqual({ sent: 4, answered: 2, rate: 0.5 });
+  });
+
+  test('should offer a check-in below the threshold and respect the cooldown', async () => {
+    const user = new User({ telegramId: 1, firstName: 'Test', settings: { notificationsPerDay: 6, timezone } });
+    mockBeeps([...Array(6)].map((_, i) => beep(`2024-03-1${2 + (i % 3)}T10:00:00Z`, i < 2)));
+
+    const found = await complianceService.findIntervention(user, now);
+    expect(found.intervention.id).toBe('low_3_days');
+    expect(found.stats).toEqual({ sent: 6, answered: 2, rate: 2 / 6 });
+
+    const { text, keyboard } = complianceService.buildCheckIn(user, found.intervention, found.stats);
+    expect(text).toContain('отвечено 2 из 6 сигналов (33%)');
+    expect(keyboard.inline_keyboard[0].map(button => button.callback_data))
+      .toEqual(['compliance_count_5', 'compliance_count_4']);
+
+    user.complianceInterventions.push({ interventionId: 'low_3_days', sentAt: new Date('2024-03-10T17:00:00Z') });
+    expect(await complianceService.findIntervention(user, now)).toBeNull();
+  });
+
+  test('should answer the check-in button once and ask for the new start time', async () => {
+    const bot = global.createMockBot();
+    const user = new User({ telegramId: 7, firstName: 'Test', settings: { timezone } });
+    user.complianceInterventions.push({ interventionId: 'low_3_days', sentAt: now });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(User.prototype, 'save').mockResolvedValue();
+
+    await statsCommand.handleCallback(bot, {
+      id: 'q1',
+      data: 'compliance_start_time',
+      from: { id: 7 },
+      message: { chat: { id: 7 }, message_id: 42 }
+    });
+
+    expect(bot.answerCallbackQuery).toHaveBeenCalledTimes(1);
+    expect(bot.editMessageText).toHaveBeenCalledWith(
+      expect.stringContaining('время начала уведомлений'),
+      { chat_id: 7, message_id: 42 }
+    );
+    expect(settingsCommand.settingsStates.get(7)).toEqual({ type: 'start_time' });
+    expect(user.complianceInterventions[0].action).toBe('start_time');
+    settingsCommand.settingsStates.delete(7);
+  });
+});
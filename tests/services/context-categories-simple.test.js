@@ -0,0 +1,43 @@
+const contextCategories = require('../../config/context-categories');
+const placeService = require('../../services/place-service');
+const questionnaireService = require('../../services/questionnaire-service');
+
+describe('Context categories and places - Basic Tests', () => {
+  test('should classify legacy free text into category codes', () => {
+    expect(contextCategories.classifyActivity('Печатал email Ивану о проекте')).toBe('work');
+    expect(contextCategories.classifyActivity('ехал в метро')).toBe('commute');
+    expect(contextCategories.classifyActivity('смотрел в потолок и думал')).toBe('leisure');
+    expect(contextCategories.classifyActivity('что-то непонятное')).toBe('other');
+
+    expect(contextCategories.classifyCompanion('Один')).toBe('alone');
+    expect(contextCategories.classifyCompanion('с коллегами на совещании')).toBe('colleagues');
+    expect(contextCategories.classifyCompanion('')).toBeNull();
+  });
+
+  test('should match a location to the nearest named place within its radius', () => {
+    const places = [
+      { name: 'Дом', latitude: 55.7500, longitude: 37.6200, radiusMeters: 150 },
+      { name: 'Работа', latitude: 55.7600, longitude: 37.6400, radiusMeters: 150 }
+    ];
+
+    expect(placeService.matchPlace(places, { latitude: 55.7505, longitude: 37.6205 }).name).toBe('Дом');
+    expect(placeService.matchPlace(places, { latitude: 55.7550, longitude: 37.6300 })).toBeNull();
+  });
+
+  test('should ask for location only when the user has named places', () => {
+    const questionnaire = questionnaireService.getDefault();
+    const withPlaces = { places: [{ name: 'Дом', latitude: 55.75, longitude: 37.62 }] };
+
+    expect(questionnaireService.getItemsForUser(questionnaire, {}).some(i => i.type === 'location')).toBe(false);
+    expect(questionnaireService.getItemsForUser(questionnaire, withPlaces).some(i => i.type === 'location')).toBe(true);
+  });
+
+  test('should skip companion detail and social block when alone', () => {
+    const { items, blocks } = questionnaireService.getDefault();
+    const companionIndex = items.findIndex(item => item.id === 'companion_category');
+
+    const alone = questionnaireService.getNextItemIndex(items, companionIndex + 1, { companion_category: 'alone' }, blocks);
+    expect(alone.skipped).toEqual(['currentCompanion', 'social_interaction', 'social_enjoyment']);
+    expect(items[alone.index].id).toBe('place');
+  });
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Response = require('../../models/Response');
+const DataExporter = require('../../services/dataExporter');
+
+// Ответ на опросник без шкал: пункты только в response.answers
+function createResponse(questionnaire, answers) {
+  return new Response({
+    userId: new mongoose.Types.ObjectId(),
+    timestamp: new Date('2026-10-19T12:00:00Z'),
+    questionnaire,
+    answers,
+    path: Object.keys(answers),
+    responses: {}
+  });
+}
+
+describe('DataExporter answers - Basic Tests', () => {
+  const exporter = new DataExporter();
+
+  const desResponse = () => createResponse({ key: 'des_free_text', version: 1 }, {
+    moment_capture: 'Вижу синюю чашку и слышу гул холодильника',
+    experience_forms: ['inner_seeing', 'sensory_awareness'],
+    currentActivity: 'пью чай'
+  });
+
+  test('should export answers keyed by item id next to the questionnaire version', () => {
+    const formatted = exporter.formatResponseForExport(desResponse(), false);
+
+    expect(formatted).toMatchObject({ questionnaireKey: 'des_free_text', questionnaireVersion: 1 });
+    expect(formatted.answers).toEqual({
+      moment_capture: 'Вижу синюю чашку и слышу гул холодильника',
+      experience_forms: ['inner_seeing', 'sensory_awareness'],
+      currentActivity: 'пью чай'
+    });
+
+    // При анонимизации свободный текст не выгружается, варианты ответа - выгружаются
+    expect(exporter.formatResponseForExport(desResponse(), true).answers).toEqual({
+      experience_forms: ['inner_seeing', 'sensory_awareness']
+    });
+  });
+
+  test('should write one CSV column per item id across questionnaires', () => {
+    const classic = createResponse({ key: 'esm_classic', version: 1 }, { currentLocation: 'на кухне' });
+    const rows = [desResponse(), classic].map(response => exporter.formatResponseForExport(response, false));
+
+    const [header, des, esm] = exporter.convertToCSV(rows).split('\n');
+    const columns = header.split(',');
+    const at = columns.indexOf('questionnaireVersion');
+
+    expect(columns.slice(at, at + 6)).toEqual([
+      'questionnaireVersion', 'answer_moment_capture', 'answer_experience_forms', 'answer_currentActivity',
+      'answer_currentLocation', 'questionPath'
+    ]);
+    expect(des).toContain(',1,Вижу синюю чашку и слышу гул холодильника,"[""inner_seeing"",""sensory_awareness""]",пью чай,,');
+    expect(esm).toContain(',1,,,,на кухне,currentLocation,');
+  });
+});
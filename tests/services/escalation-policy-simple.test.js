@@ -0,0 +1,44 @@
+const User = require('../../models/User');
+const escalationPolicy = require('../../services/escalation-policy');
+
+describe('EscalationPolicy - Basic Tests', () => {
+  const beep = (latencyMinutes = null) => {
+    const sentAt = new Date('2024-03-11T10:00:00Z');
+    return {
+      notificationSentAt: sentAt,
+      responseStartedAt: latencyMinutes === null ? null : new Date(sentAt.getTime() + latencyMinutes * 60000)
+    };
+  };
+
+  test('should pick a profile from compliance and latency', () => {
+    const fast = escalationPolicy.summarize([beep(2), beep(4), beep(6), beep(3), beep(null)]);
+    expect(fast).toEqual({ samples: 5, compliance: 0.8, medianLatencyMinutes: 3.5 });
+    expect(escalationPolicy.classify(fast)).toBe('responsive');
+
+    const rare = escalationPolicy.summarize([beep(20), beep(null), beep(null), beep(null), beep(null)]);
+    expect(escalationPolicy.classify(rare)).toBe('reluctant');
+
+    // Мало истории - профиль по умолчанию
+    expect(escalationPolicy.classify(escalationPolicy.summarize([beep(1)]))).toBe('steady');
+  });
+
+  test('should stop after the profile reminders, the daily cap or an opt-out', () => {
+    const user = new User({ telegramId: 1, firstName: 'Test' });
+    user.escalationState = { isEscalating: true, escalationLevel: 1, profile: 'responsive' };
+
+    expect(escalationPolicy.getStopReason(user)).toBeNull();
+    expect(escalationPolicy.getMessage(user, 1)).toMatch(/минутка/);
+    expect(escalationPolicy.nextIntervalMinutes(user, () => 0)).toBe(15);
+
+    user.escalationState.escalationLevel = 2;
+    expect(escalationPolicy.getStopReason(user)).toBe('reminder_limit');
+
+    user.escalationState.profile = 'reluctant';
+    for (let i = 0; i < 4; i++) escalationPolicy.countReminder(user);
+    expect(escalationPolicy.getStopReason(user)).toBe('daily_cap');
+
+    user.escalationState.remindersToday = 0;
+    user.settings.escalationEnabled = false;
+    expect(escalationPolicy.getStopReason(user)).toBe('disabled');
+  });
+});
@@ -0,0 +1,152 @@
+const NotificationJob = require('../../models/NotificationJob');
+const Response = require('../../models/Response');
+const User = require('../../models/User');
+const jobQueue = require('../../services/job-queue');
+const NotificationScheduler = require('../../services/notificationScheduler');
+const config = require('../../config/hurlburt');
+
+// Проверка документа по фильтру claimNext: равенство, $lt/$lte/$gte, $or
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(alternative => matches(doc, alternative));
+    const value = doc[field];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+      return condition === null ? value == null : String(value) === String(condition);
+    }
+    return Object.entries(condition).every(([op, operand]) => ({
+      $lt: () => value < operand,
+      $lte: () => value <= operand,
+      $gte: () => value >= operand
+    })[op]());
+  });
+}
+
+describe('JobQueue - Basic Tests', () => {
+  const minutesFromNow = minutes => new Date(Date.now() + minutes * 60 * 1000);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should cancel stale planned jobs and add only missing ones', async () => {
+    const kept = minutesFromNow(60);
+    const stale = { _id: 'stale', scheduledFor: minutesFromNow(90) };
+    jest.spyOn(NotificationJob, 'find').mockReturnValue({
+      select: () => ({ lean: async () => [{ _id: 'kept', scheduledFor: kept }, stale] })
+    });
+    const updateMany = jest.spyOn(NotificationJob, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    // Другой экземпляр уже создал этот сигнал
+    const insertMany = jest.spyOn(NotificationJob, 'insertMany')
+      .mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    const added = minutesFromNow(120);
+    await jobQueue.replacePlanned({ _id: 'user', telegramId: 1 }, [minutesFromNow(-5), kept, added]);
+
+    expect(updateMany).toHaveBeenCalledWith(
+      { _id: { $in: ['stale'] }, state: 'planned' },
+      { $set: { state: 'cancelled', closedReason: 'replanned' } }
+    );
+    expect(insertMany.mock.calls[0][0]).toEqual([
+      { userId: 'user', telegramId: 1, type: 'beep', scheduledFor: added }
+    ]);
+  });
+
+  test('should send claimed beeps once and skip users who became unavailable', async () => {
+    const bot = { sendMessage: jest.fn().mockResolvedValue({}) };
+    const scheduler = new NotificationScheduler(bot);
+    scheduler.planNextNotification = jest.fn();
+
+    const available = new User({ telegramId: 1, firstName: 'A' });
+    const paused = new User({ telegramId: 2, firstName: 'B' });
+    const jobs = [
+      { _id: 'job1', userId: available._id, type: 'beep', attempts: 1 },
+      { _id: 'job2', userId: paused._id, type: 'beep', attempts: 1 }
+    ];
+
+    jest.spyOn(jobQueue, 'expireOverdue').mockResolvedValue(0);
+    // Захваченная отправка больше не выдаётся - второй проход ничего не найдёт
+    jest.spyOn(jobQueue, 'claimNext').mockImplementation(async () => jobs.shift() || null);
+    jest.spyOn(User, 'findById').mockImplementation(async id => (id === available._id ? available : paused));
+    jest.spyOn(scheduler, 'canNotifyNow').mockImplementation(user => user === available);
+    jest.spyOn(Response.prototype, 'save').mockResolvedValue();
+    const markSent = jest.spyOn(jobQueue, 'markSent').mockResolvedValue();
+    const cancel = jest.spyOn(jobQueue, 'cancel').mockResolvedValue();
+
+    await scheduler.processDueJobs();
+    await scheduler.processDueJobs();
+
+    expect(bot.sendMessage).toHaveBeenCalledTimes(1);
+    expect(bot.sendMessage.mock.calls[0][0]).toBe(1);
+    expect(markSent).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job1' }), expect.anything());
+    expect(cancel).toHaveBeenCalledWith(expect.objectContaining({ _id: 'job2' }), 'unavailable');
+    expect(scheduler.planNextNotification).toHaveBeenCalledTimes(2);
+  });
+
+  test('should hold a failed job back with exponential backoff', async () => {
+    const now = new Date('2026-10-19T09:00:00Z');
+    const findOneAndUpdate = jest.spyOn(NotificationJob, 'findOneAndUpdate').mockResolvedValue(null);
+    const updateOne = jest.spyOn(NotificationJob, 'updateOne').mockResolvedValue({});
+
+    await jobQueue.claimNext(now);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({
+      state: 'planned',
+      attempts: { $lt: config.jobs.maxAttempts },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    });
+    expect(update).toEqual({
+      $set: { lockedBy: jobQueue.instanceId, lockedUntil: new Date(now.getTime() + config.jobs.lockSeconds * 1000) },
+      $inc: { attempts: 1 }
+    });
+
+    await jobQueue.release({ _id: 'job', attempts: 1 }, new Error('ETIMEDOUT'), now);
+    await jobQueue.release({ _id: 'job', attempts: 2 }, new Error('ETIMEDOUT'), now);
+    await jobQueue.release({ _id: 'job', attempts: config.jobs.maxAttempts }, new Error('ETIMEDOUT'), now);
+
+    const base = config.jobs.retryBaseSeconds * 1000;
+    expect(updateOne.mock.calls.map(([query, { $set }]) => [query, $set])).toEqual([
+      [{ _id: 'job', state: 'planned' }, { lockedBy: null, lockedUntil: new Date(now.getTime() + base), lastError: 'ETIMEDOUT' }],
+      [{ _id: 'job', state: 'planned' }, { lockedBy: null, lockedUntil: new Date(now.getTime() + base * 2), lastError: 'ETIMEDOUT' }],
+      [{ _id: 'job', state: 'planned' }, {
+        lockedBy: null, lockedUntil: null, lastError: 'ETIMEDOUT', state: 'cancelled', closedReason: 'send_failed'
+      }]
+    ]);
+  });
+
+  test('should retry a failed send on a later tick instead of spending all attempts at once', async () => {
+    const bot = { sendMessage: jest.fn().mockRejectedValue(new Error('ETIMEDOUT')) };
+    const scheduler = new NotificationScheduler(bot);
+    const user = new User({ telegramId: 1, firstName: 'A' });
+    const now = new Date();
+    const job = {
+      _id: 'job', userId: user._id, type: 'beep', state: 'planned', scheduledFor: new Date(now.getTime() - 60 * 1000),
+      attempts: 0, lockedBy: null, lockedUntil: null
+    };
+
+    // Коллекция из одной отправки: фильтры и обновления применяются к ней
+    jest.spyOn(NotificationJob, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(NotificationJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!matches(job, filter)) return null;
+      Object.assign(job, update.$set);
+      job.attempts += update.$inc.attempts;
+      return { ...job };
+    });
+    jest.spyOn(NotificationJob, 'updateOne').mockImplementation(async (filter, update) => {
+      if (matches(job, filter)) Object.assign(job, update.$set);
+      return {};
+    });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(scheduler, 'canNotifyNow').mockReturnValue(true);
+    jest.spyOn(Response.prototype, 'save').mockResolvedValue();
+
+    await scheduler.processDueJobs(now);
+    expect(job).toMatchObject({ state: 'planned', attempts: 1, lockedBy: null, lastError: 'ETIMEDOUT' });
+    expect(job.lockedUntil.getTime()).toBeGreaterThan(now.getTime());
+
+    // До конца паузы отправка не выдаётся, после - вторая попытка
+    await scheduler.processDueJobs(new Date(job.lockedUntil.getTime() - 1000));
+    expect(job.attempts).toBe(1);
+    await scheduler.processDueJobs(job.lockedUntil);
+    expect(job).toMatchObject({ state: 'planned', attempts: 2 });
+  });
+});
@@ -0,0 +1,123 @@
+const CircuitBreaker = require('../../utils/circuit-breaker');
+const { LLMError } = require('../../services/llm-providers');
+const SemanticAnalysisMonitor = require('../../services/semantic-monitor');
+
+describe('LLM provider chain - Basic Tests', () => {
+  let clock;
+  let breakers;
+
+  const breakerFor = name => {
+    if (!breakers.has(name)) {
+      breakers.set(name, new CircuitBreaker(name, { failureThreshold: 2, resetTimeoutMs: 60000, now: () => clock }));
+    }
+    return breakers.get(name);
+  };
+
+  beforeEach(() => {
+    clock = Date.parse('2026-10-19T10:00:00Z');
+    breakers = new Map();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should open after repeated failures, probe when half-open and close on success', () => {
+    const breaker = breakerFor('self-hosted');
+
+    breaker.recordFailure(new Error('ECONNREFUSED'));
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordFailure(new Error('ECONNREFUSED'));
+    expect(breaker.getState()).toMatchObject({ state: 'open', consecutiveFailures: 2, lastError: 'ECONNREFUSED' });
+    expect(breaker.canRequest()).toBe(false);
+
+    // Через минуту - одна проба; неудачная снова размыкает
+    clock += 60000;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getState().state).toBe('half_open');
+    expect(breaker.canRequest()).toBe(false);
+    breaker.recordFailure(new Error('timeout'));
+    expect(breaker.getState()).toMatchObject({ state: 'open', retryAt: '2026-10-19T10:02:00.000Z' });
+
+    clock += 60000;
+    expect(breaker.canRequest()).toBe(true);
+    breaker.recordSuccess();
+    expect(breaker.getState()).toMatchObject({
+      state: 'closed',
+      consecutiveFailures: 0,
+      stats: { calls: 3, successes: 1, failures: 3, rejected: 2, opened: 2 }
+    });
+  });
+
+  test('should fall through the chain and skip providers with an open breaker', async () => {
+    const local = createFakeProvider('self-hosted', [new LLMError('self-hosted timeout'), new LLMError('self-hosted timeout')]);
+    const anthropic = createFakeProvider('anthropic', ['{"score": 70}', '{"score": 75}', '{"score": 80}']);
+    const chain = createProviderChain([local, anthropic], { getBreaker: breakerFor });
+
+    expect(chain.name).toBe('self-hosted,anthropic');
+    expect(chain.breakers.size).toBe(2);
+
+    const first = await chain.complete({ task: 'validation', prompt: 'p' });
+    expect(first).toMatchObject({
+      text: '{"score": 70}',
+      provider: 'anthropic',
+      attempts: [
+        { provider: 'self-hosted', status: 'failed', error: 'self-hosted timeout' },
+        { provider: 'anthropic', status: 'ok' }
+      ]
+    });
+
+    await chain.complete({ task: 'validation', prompt: 'p' });
+    expect(breakers.get('self-hosted').getState().state).toBe('open');
+
+    // Разомкнутый провайдер не вызывается
+    const third = await chain.complete({ task: 'validation', prompt: 'p' });
+    expect(third.attempts[0]).toEqual({ provider: 'self-hosted', status: 'skipped' });
+    expect(local.complete).toHaveBeenCalledTimes(2);
+  });
+
+  test('should treat an unparseable answer as a failure and throw when all providers fail', async () => {
+    const local = createFakeProvider('self-hosted', ['Оценка: хорошо', 'не JSON']);
+    const openai = createFakeProvider('openai', ['{"shouldAsk": false}', new LLMError('openai error: 503')]);
+    const chain = createProviderChain([local, openai], { getBreaker: breakerFor });
+    const parse = text => JSON.parse(text);
+
+    const result = await chain.complete({ task: 'semantic_similarity', prompt: 'p', parse });
+    expect(result).toMatchObject({ provider: 'openai', data: { shouldAsk: false } });
+    expect(breakers.get('self-hosted').getState().consecutiveFailures).toBe(1);
+
+    await expect(chain.complete({ task: 'semantic_similarity', prompt: 'p', parse }))
+      .rejects.toMatchObject({ message: 'All LLM providers failed', retryable: false, attempts: [
+        { provider: 'self-hosted', status: 'failed' },
+        { provider: 'openai', status: 'failed', error: 'openai error: 503' }
+      ] });
+  });
+
+  test('should record which provider served each validation', async () => {
+    const aiValidator = loadAIValidator();
+    aiValidator.monitor.reset();
+
+    const local = createFakeProvider('self-hosted', ['Оценка: {score: 40}']);
+    const anthropic = createFakeProvider('anthropic', [
+      '{"score": 85, "quality": "excellent", "issues": [], "suggestions": [], "phenomena": ["inner_seeing"], "educationalValue": 0.8, "confidence": 0.9}'
+    ]);
+    aiValidator.initializeProvider(createProviderChain([local, anthropic], { getBreaker: breakerFor }));
+
+    const result = await aiValidator.validate('Вижу образ моря и слышу шум волн за окном прямо сейчас', { userId: 'chain-1' });
+    expect(result).toMatchObject({ score: 85, quality: 'excellent', provider: 'anthropic' });
+
+    // Ни один провайдер не ответил - локальные правила
+    aiValidator.initializeProvider(createProviderChain([createFakeProvider('openai', [new LLMError('down')])], { getBreaker: breakerFor }));
+    const fallback = await aiValidator.validate('Просто думаю о работе', { userId: 'chain-1' });
+    expect(fallback.issues).toContain('too_brief');
+
+    const providers = aiValidator.monitor.getMetrics().providers;
+    expect(providers.anthropic).toMatchObject({ total: 1, byKind: { validation: 1 } });
+    expect(providers.local).toMatchObject({ total: 1, byKind: { validation: 1 } });
+    expect(providers['self-hosted']).toBeUndefined();
+
+    const monitor = new SemanticAnalysisMonitor();
+    monitor.recordProvider(null, 'semantic_similarity');
+    expect(monitor.getMetrics().providers.local.byKind).toEqual({ semantic_similarity: 1 });
+  });
+});
@@ -0,0 +1,157 @@
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  OpenAICompatibleProvider,
+  FixtureProvider,
+  createProvider,
+  createDefaultProvider
+} = require('../../services/llm-providers');
+
+// Заглушка OpenAI-совместимого сервера (llama.cpp / Ollama): ответы по очереди
+function startLlmStub(replies) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      const reply = replies.shift() || { status: 500 };
+      setTimeout(() => {
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body || {}));
+      }, reply.delayMs || 0);
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+// fetch держит соединения открытыми (keep-alive), а прерванные запросы ещё ждут ответа
+function stop(server) {
+  server.close();
+  server.closeAllConnections();
+}
+
+const completion = (content, usage = { prompt_tokens: 12, completion_tokens: 5 }) => ({
+  status: 200,
+  body: { model: 'qwen2.5:7b-instruct', choices: [{ message: { content } }], usage }
+});
+
+describe('LLM providers - Basic Tests', () => {
+  const request = { task: 'validation', system: 'Отвечай JSON', prompt: 'Оцени ответ', temperature: 0.3, maxTokens: 50, json: true };
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const selfHosted = (port, options = {}) => new OpenAICompatibleProvider('self-hosted', {
+    baseUrl: `http://127.0.0.1:${port}/v1/`,
+    model: 'qwen2.5:7b-instruct',
+    timeoutMs: 2000,
+    maxRetries: 1,
+    retryDelayMs: 0,
+    jsonMode: true,
+    ...options
+  });
+
+  test('should call a self-hosted OpenAI-compatible endpoint', async () => {
+    const { server, requests } = await startLlmStub([completion('{"score": 80}')]);
+
+    try {
+      const result = await selfHosted(server.address().port).complete(request);
+      expect(result).toEqual({
+        text: '{"score": 80}',
+        provider: 'self-hosted',
+        model: 'qwen2.5:7b-instruct',
+        usage: { inputTokens: 12, outputTokens: 5 }
+      });
+    } finally {
+      stop(server);
+    }
+
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBeUndefined();
+    expect(requests[0].body).toEqual({
+      model: 'qwen2.5:7b-instruct',
+      messages: [{ role: 'system', content: 'Отвечай JSON' }, { role: 'user', content: 'Оцени ответ' }],
+      temperature: 0.3,
+      max_tokens: 50,
+      response_format: { type: 'json_object' }
+    });
+  });
+
+  test('should retry server errors and timeouts but not bad requests', async () => {
+    const { server, requests } = await startLlmStub([
+      { status: 503 },
+      completion('ok'),
+      { status: 200, delayMs: 300, body: completion('late').body },
+      { status: 200, delayMs: 300, body: completion('late').body },
+      { status: 400, body: { error: 'bad model' } }
+    ]);
+    const port = server.address().port;
+
+    try {
+      expect((await selfHosted(port).complete(request)).text).toBe('ok');
+      await expect(selfHosted(port, { timeoutMs: 100 }).complete(request)).rejects.toThrow('self-hosted timeout after 100ms');
+      await expect(selfHosted(port, { maxRetries: 3 }).complete(request)).rejects.toThrow('self-hosted error: 400');
+    } finally {
+      stop(server);
+    }
+
+    expect(requests).toHaveLength(5);
+  });
+
+  test('should record a response once and replay it offline', async () => {
+    const recorder = { complete: jest.fn().mockResolvedValue({ text: '{"question": null}', provider: 'self-hosted', model: 'm', usage: null }) };
+    const recording = new FixtureProvider({ dir: tmpDir, mode: 'record' }, recorder);
+    await recording.complete(request);
+
+    const replay = new FixtureProvider({ dir: tmpDir, mode: 'replay' });
+    expect(fs.readdirSync(tmpDir)).toEqual([`${replay.getKey(request)}.json`]);
+    expect(replay.getKey(request)).toMatch(/^validation-[0-9a-f]{16}$/);
+
+    // Температура не входит в ключ записи
+    const result = await replay.complete({ ...request, temperature: 0.9 });
+    expect(result).toMatchObject({ text: '{"question": null}', provider: 'fixture', model: 'm' });
+    await expect(replay.complete({ ...request, prompt: 'Другой ответ' })).rejects.toThrow('No LLM fixture');
+    expect(recorder.complete).toHaveBeenCalledTimes(1);
+  });
+
+  test('should pick providers from settings and validate through a fixture', async () => {
+    const settings = {
+      provider: 'openai',
+      providers: { openai: { apiKey: null }, fixture: { dir: tmpDir, mode: 'replay' } }
+    };
+    expect(createDefaultProvider(settings)).toBeNull();
+    expect(createDefaultProvider({ ...settings, provider: 'none' })).toBeNull();
+    expect(createProvider('fixture', settings)).toBeInstanceOf(FixtureProvider);
+
+    const aiValidator = loadAIValidator();
+    const fixture = new FixtureProvider({ dir: tmpDir, mode: 'record' }, {
+      complete: async () => ({
+        text: '```json\n{"score": 85, "quality": "excellent", "issues": [], "suggestions": [], "phenomena": ["inner_seeing"], "educationalValue": 0.8, "confidence": 0.9}\n```',
+        model: 'm'
+      })
+    });
+    aiValidator.initializeProvider(fixture);
+    await aiValidator.validateWithLLM('Вижу образ моря перед глазами', {});
+
+    fixture.options.mode = 'replay';
+    aiValidator.initializeProvider(fixture);
+    expect(aiValidator.isConfigured).toBe(true);
+    const result = await aiValidator.validate('Вижу образ моря перед глазами', { userId: 'u1' });
+    expect(result).toMatchObject({ score: 85, quality: 'excellent', phenomena: ['inner_seeing'], provider: 'fixture' });
+
+    // Нет записи - локальные правила
+    const local = await aiValidator.validate('Просто думаю', { userId: 'u1' });
+    expect(local.issues).toContain('too_brief');
+  });
+});
@@ -0,0 +1,142 @@
+const { validateSchema, parseWithSchema, SchemaValidationError } = require('../../utils/json-schema');
+const { getMetrics, resetMetrics } = require('../../utils/metrics');
+const aiSchemas = require('../../config/ai-schemas');
+
+const validation = {
+  score: 72, quality: 'good', issues: [], suggestions: ['Опишите ощущения'], phenomena: ['sensory_awareness'],
+  educationalValue: 0.6, confidence: 0.8
+};
+
+describe('LLM response schemas - Basic Tests', () => {
+  beforeEach(() => {
+    resetMetrics();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should report every mismatch with its path', () => {
+    expect(validateSchema(validation, aiSchemas.validation)).toEqual([]);
+
+    const errors = validateSchema({ ...validation, score: undefined, quality: 'great', issues: ['a', 3], confidence: 1.5 }, aiSchemas.validation);
+    expect(errors).toEqual([
+      { path: '$.score', message: 'is required' },
+      { path: '$.quality', message: 'must be one of "pristine", "excellent", "good", "fair", "poor", "garbage"' },
+      { path: '$.issues[1]', message: 'expected string, got number' },
+      { path: '$.confidence', message: 'must be <= 1' }
+    ]);
+
+    expect(validateSchema({ recommendedDuration: 4.5, reasoning: 'ok', confidence: 0.7 }, aiSchemas.duration_adjustment))
+      .toEqual([{ path: '$.recommendedDuration', message: 'expected integer, got number' }]);
+    expect(validateSchema({ exercises: { day1: [{ title: 'A' }] }, messages: {}, interventions: [], dailyFocus: {}, nextSteps: [] },
+      aiSchemas.training_content)).toEqual([{ path: '$.exercises.day1[0].description', message: 'is required' }]);
+
+    // Обёртка ```json и текст вокруг - не ошибка; текст без JSON - ошибка схемы
+    expect(parseWithSchema(`Вот оценка:\n\`\`\`json\n${JSON.stringify(validation)}\n\`\`\``, aiSchemas.validation)).toEqual(validation);
+    expect(() => parseWithSchema('Ответ хороший, 80 баллов', aiSchemas.validation)).toThrow(SchemaValidationError);
+  });
+
+  test('should accept a response without optional fields', async () => {
+    // Бот читает только score и quality; подсказки, феномены и уверенность - если модель их вернула
+    const minimal = { score: 64, quality: 'good', issues: [] };
+    expect(validateSchema(minimal, aiSchemas.validation)).toEqual([]);
+    expect(validateSchema({ shouldAsk: false, confidence: 0.9 }, aiSchemas.semantic_similarity)).toEqual([]);
+    expect(validateSchema({ criticalWeaknesses: [] }, aiSchemas.weakness_analysis)).toEqual([]);
+
+    const local = createFakeProvider('self-hosted', [JSON.stringify(minimal)]);
+    const result = await createProviderChain([local]).complete({ task: 'validation', prompt: 'p', schema: aiSchemas.validation });
+    expect(result.data).toEqual(minimal);
+    expect(local.complete).toHaveBeenCalledTimes(1);
+
+    const aiValidator = loadAIValidator();
+    expect(aiValidator.parseAIResponse(JSON.stringify(minimal))).toMatchObject({ ...minimal, suggestions: undefined, confidence: undefined });
+  });
+
+  test('should ask the same model to repair an invalid response', async () => {
+    const local = createFakeProvider('self-hosted', [
+      JSON.stringify({ ...validation, quality: 'great', score: undefined }),
+      JSON.stringify(validation)
+    ]);
+    const chain = createProviderChain([local]);
+
+    const result = await chain.complete({
+      task: 'validation', system: 'Оцените ответ', prompt: 'Ответ: "Вижу чашку"', temperature: 0.3,
+      schema: aiSchemas.validation, promptId: 'validation@1'
+    });
+
+    expect(result.data).toEqual(validation);
+    expect(result.attempts).toEqual([{ provider: 'self-hosted', status: 'ok', repairs: 1 }]);
+
+    const repair = local.complete.mock.calls[1][0];
+    expect(repair).toMatchObject({ task: 'validation', system: 'Оцените ответ', temperature: 0 });
+    expect(repair.prompt).toMatch(/^Ответ: "Вижу чашку"\n\nВаш предыдущий ответ не прошёл проверку формата/);
+    expect(repair.prompt).toContain('"quality":"great"');
+    expect(repair.prompt).toContain('- $.score: is required\n- $.quality: must be one of');
+    expect(chain.breakers.get('self-hosted').getState().consecutiveFailures).toBe(0);
+
+    expect(getMetrics().aiSchemaFailures).toEqual({
+      failures: 1,
+      repaired: 1,
+      byProvider: { 'self-hosted': { failures: 1, repaired: 1 } },
+      byPrompt: { 'validation@1': { failures: 1, repaired: 1 } }
+    });
+  });
+
+  test('should pass to the next provider when the repair fails too', async () => {
+    const local = createFakeProvider('self-hosted', ['{"score": "высокий"}', 'Извините, не могу']);
+    const anthropic = createFakeProvider('anthropic', [JSON.stringify(validation)]);
+    const chain = createProviderChain([local, anthropic]);
+
+    const result = await chain.complete({ task: 'validation', prompt: 'p', schema: aiSchemas.validation });
+    expect(result).toMatchObject({ provider: 'anthropic', data: validation });
+    expect(result.attempts[0]).toMatchObject({ provider: 'self-hosted', status: 'failed', error: expect.stringContaining('invalid JSON') });
+    expect(local.complete).toHaveBeenCalledTimes(2);
+    expect(chain.breakers.get('self-hosted').getState().consecutiveFailures).toBe(1);
+
+    // Без исправлений - сразу следующий провайдер
+    const strict = createProviderChain([createFakeProvider('self-hosted', ['{}']), createFakeProvider('openai', ['{}'])], { repairAttempts: 0 });
+    await expect(strict.complete({ task: 'insights', prompt: 'p', schema: aiSchemas.insights }))
+      .rejects.toThrow('All LLM providers failed');
+
+    expect(getMetrics().aiSchemaFailures).toMatchObject({
+      failures: 3,
+      repaired: 0,
+      byProvider: { 'self-hosted': { failures: 2, repaired: 0 }, openai: { failures: 1, repaired: 0 } },
+      byPrompt: { validation: { failures: 1, repaired: 0 }, insights: { failures: 2, repaired: 0 } }
+    });
+  });
+
+  test('should not turn malformed output into default results', async () => {
+    const aiValidator = loadAIValidator();
+    const weaknessAnalyzer = require('../../services/weakness-analyzer');
+    const durationCalculator = require('../../services/adaptive-duration-calculator');
+
+    expect(aiValidator.parseAIResponse('{"quality": "good"}')).toBeNull();
+
+    const broken = createFakeProvider('self-hosted', ['{"criticalWeaknesses": "много"}', '{"confidence": 2}']);
+    aiValidator.initializeProvider(createProviderChain([broken]));
+    expect(await weaknessAnalyzer.performAIWeaknessAnalysis([{ userId: 'u1', responses: { currentThoughts: 'думаю о работе' } }])).toBeNull();
+    expect(broken.complete.mock.calls[0][0]).toMatchObject({ task: 'weakness_analysis', userId: 'u1', json: true });
+
+    const duration = {
+      recommendedDuration: 5, reasoning: 'Устойчивая иллюзия внутреннего голоса', confidence: 0.7,
+      keyMilestones: [{ day: 2, goal: 'Захват момента' }]
+    };
+    aiValidator.initializeProvider(createProviderChain([createFakeProvider('self-hosted', [JSON.stringify(duration)])]));
+    expect(durationCalculator.parseAIAdjustmentResult(
+      (await aiValidator.generateStructured({ task: 'duration_adjustment', prompt: 'p' })).data
+    )).toMatchObject({ ...duration, adjustment: 2, alternatives: [], source: 'ai' });
+
+    // Паттерны пользователя (от 50 ответов) - в поля User.commonPatterns, а не в формат оценки ответа
+    const patterns = {
+      usesInnerSpeech: false, tendencyToGeneralize: 0.4, introspectiveAccuracy: 0.6, preferredResponseLength: 25,
+      readingVoiceIllusion: null, emotionAsThought: true, sensoryDetailRichness: 0.5, momentCaptureAbility: 0.7, emptinessRecognition: 0.2
+    };
+    const local = createFakeProvider('self-hosted', [JSON.stringify(patterns)]);
+    aiValidator.initializeProvider(createProviderChain([local]));
+    const history = Array.from({ length: 50 }, () => ({ text: 'Вижу экран', quality: 60 }));
+    expect(await aiValidator.analyzeUserPatterns('u2', history)).toEqual(patterns);
+    expect(local.complete.mock.calls[0][0].prompt).toContain('"text": "Вижу экран"');
+  });
+});
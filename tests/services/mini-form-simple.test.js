@@ -0,0 +1,23 @@
+const NotificationScheduler = require('../../services/notificationScheduler');
+const questionnaireService = require('../../services/questionnaire-service');
+const config = require('../../config/hurlburt');
+
+describe('Mini-form - Basic Tests', () => {
+  test('should offer the mini-form next to start and skip in notifications', () => {
+    const scheduler = new NotificationScheduler({ sendMessage: jest.fn() });
+
+    const callbacks = scheduler.createSurveyKeyboard('abc').inline_keyboard
+      .flat()
+      .map(button => button.callback_data);
+
+    expect(callbacks).toEqual(['start_survey_abc', 'skip_survey_abc', 'quick_survey_abc']);
+  });
+
+  test('should ask only one-tap core items', async () => {
+    const questionnaire = await questionnaireService.getQuestionnaire(config.miniForm.questionnaireKey);
+    const ids = questionnaire.items.map(item => item.id);
+
+    expect(questionnaire.items.every(item => ['scale', 'choice'].includes(item.type))).toBe(true);
+    expect(ids).toEqual(expect.arrayContaining(['activity_category', 'challenge', 'skill', 'happy', 'relaxed']));
+  });
+});
@@ -0,0 +1,239 @@
+const http = require('http');
+const net = require('net');
+const crypto = require('crypto');
+const User = require('../../models/User');
+const Response = require('../../models/Response');
+const jobQueue = require('../../services/job-queue');
+const NotificationScheduler = require('../../services/notificationScheduler');
+const {
+  EmailChannel,
+  NtfyChannel,
+  WebhookChannel,
+  NotificationRouter
+} = require('../../services/notification-channels');
+
+// Заглушка SMTP: принимает одно письмо и отдаёт команды и текст
+function startSmtpStub() {
+  const received = { commands: [], data: '' };
+
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let inData = false;
+    socket.write('220 stub ESMTP\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            socket.write('250 queued\r\n');
+          } else {
+            received.data += `${line}\r\n`;
+          }
+          continue;
+        }
+
+        received.commands.push(line);
+        if (line.startsWith('EHLO')) socket.write('250-stub\r\n250 AUTH PLAIN\r\n');
+        else if (line.startsWith('AUTH')) socket.write('235 ok\r\n');
+        else if (line === 'DATA') { inData = true; socket.write('354 go\r\n'); }
+        else if (line === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received })));
+}
+
+function startHttpStub(status = 200) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.writeHead(status);
+      res.end('{}');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+describe('Notification channels - Basic Tests', () => {
+  const notification = {
+    kind: 'beep',
+    title: '🔔 Время опроса',
+    message: 'Время для короткого опроса!',
+    responseId: 'r1',
+    link: 'https://t.me/esm_bot'
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const makeUser = channels => new User({ telegramId: 1, firstName: 'Test', settings: { channels } });
+
+  test('should send a UTF-8 email through an SMTP server', async () => {
+    const { server, received } = await startSmtpStub();
+    const channel = new EmailChannel({
+      host: '127.0.0.1',
+      port: server.address().port,
+      secure: false,
+      user: 'bot',
+      pass: 'secret',
+      from: 'bot@example.com',
+      timeoutMs: 5000
+    });
+
+    try {
+      const user = makeUser({ email: { enabled: true, address: 'p@example.com' } });
+      expect(channel.isConfigured(user)).toBe(true);
+      await channel.send(user, notification);
+    } finally {
+      server.close();
+    }
+
+    expect(received.commands).toEqual(expect.arrayContaining([
+      `AUTH PLAIN ${Buffer.from('\0bot\0secret').toString('base64')}`,
+      'MAIL FROM:<bot@example.com>',
+      'RCPT TO:<p@example.com>'
+    ]));
+    expect(received.data).toContain(`Subject: =?UTF-8?B?${Buffer.from('🔔 Время опроса').toString('base64')}?=`);
+    const body = received.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    expect(Buffer.from(body, 'base64').toString('utf8')).toBe('Время для короткого опроса!\n\nОткрыть бота: https://t.me/esm_bot');
+  });
+
+  test('should publish to ntfy and sign webhook payloads', async () => {
+    const { server, requests } = await startHttpStub();
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const secret = 'webhook-secret';
+    const user = makeUser({
+      ntfy: { enabled: true, topic: 'esm_alerts', server: `${base}/` },
+      webhook: { enabled: true, url: `${base}/hook`, secret }
+    });
+
+    try {
+      // Заглушка на localhost - разрешена явно, как свой сервер в сети исследования
+      await new NtfyChannel({ defaultServer: 'https://ntfy.sh', timeoutMs: 5000, allowedHosts: ['127.0.0.1'] }).send(user, notification);
+      await new WebhookChannel({ timeoutMs: 5000, allowedHosts: ['127.0.0.1'] }).send(user, notification);
+    } finally {
+      server.close();
+    }
+
+    expect(requests[0].url).toBe('/');
+    expect(JSON.parse(requests[0].body)).toMatchObject({
+      topic: 'esm_alerts', title: '🔔 Время опроса', priority: 4, click: 'https://t.me/esm_bot'
+    });
+
+    const { headers, body } = requests[1];
+    const [, timestamp, signature] = headers['x-esm-signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    expect(signature).toBe(expected);
+    expect(JSON.parse(body)).toMatchObject({ event: 'beep', responseId: 'r1' });
+  });
+
+  test('should refuse webhooks and ntfy servers in internal networks', async () => {
+    const webhook = new WebhookChannel({ timeoutMs: 5000 });
+    const internal = [
+      'http://127.0.0.1:8080/hook', 'http://localhost/hook', 'http://2130706433/', 'http://[::1]/',
+      'http://[::ffff:127.0.0.1]/', 'http://169.254.169.254/latest/meta-data', 'http://10.1.2.3/', 'http://192.168.0.1/'
+    ];
+
+    for (const url of internal) {
+      expect(await webhook.isAllowedUrl(url)).toBe(false);
+    }
+    expect(await webhook.isAllowedUrl('https://93.184.216.34/hook')).toBe(true);
+    expect(await new NtfyChannel({ allowedHosts: ['10.1.2.3'] }).isAllowedServer('http://10.1.2.3/')).toBe(true);
+
+    // Сохранённый ранее адрес тоже проверяется перед отправкой
+    const { server, requests } = await startHttpStub();
+    const url = `http://127.0.0.1:${server.address().port}/hook`;
+    try {
+      await expect(webhook.send(makeUser({ webhook: { enabled: true, url, secret: 's' } }), notification))
+        .rejects.toThrow('Address not allowed');
+    } finally {
+      server.close();
+    }
+    expect(requests).toHaveLength(0);
+
+    // Команда не сохраняет внутренний адрес
+    const user = makeUser({});
+    user.save = jest.fn().mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const bot = { sendMessage: jest.fn().mockResolvedValue({}) };
+    await require('../../commands/channels').execute(bot, { chat: { id: 1 }, from: { id: 1 } }, ['webhook', url]);
+
+    expect(bot.sendMessage.mock.calls[0][1]).toContain('Этот адрес недоступен');
+    expect(user.settings.channels.webhook?.url).toBeFalsy();
+
+    // В проверке каналов - без текста ошибки
+    user.settings.channels.webhook = { enabled: true, url, secret: 's' };
+    await require('../../commands/channels').execute(bot, { chat: { id: 1 }, from: { id: 1 } }, ['test']);
+    const report = bot.sendMessage.mock.calls[bot.sendMessage.mock.calls.length - 1][1];
+    expect(report).toContain('🔗 Вебхук: ❌ не удалось доставить');
+    expect(report).not.toContain('Address');
+  });
+
+  test('should follow the priority and skip a failing channel at once', async () => {
+    const calls = [];
+    const channel = (name, result) => ({
+      name,
+      label: name,
+      isConfigured: () => true,
+      send: jest.fn(async () => {
+        calls.push(name);
+        if (result instanceof Error) throw result;
+        return result;
+      })
+    });
+    const router = new NotificationRouter({
+      telegram: channel('telegram', { success: true }),
+      pushover: channel('pushover', { success: false, reason: 'send_failed' }),
+      email: channel('email', new Error('SMTP 550')),
+      ntfy: channel('ntfy', { success: true })
+    });
+
+    // Без своего порядка - Telegram и Pushover одновременно, как раньше
+    expect(router.getSteps(makeUser({}))).toEqual([['telegram', 'pushover']]);
+
+    const user = makeUser({ priority: ['pushover', 'email', 'ntfy', 'telegram'] });
+    expect(router.getSteps(user)).toEqual([['pushover'], ['email'], ['ntfy'], ['telegram']]);
+
+    const delivery = await router.deliver(user, notification, 0, { alreadySent: ['telegram'] });
+    expect(delivery.step).toBe(2);
+    expect(calls).toEqual(['pushover', 'email', 'ntfy']);
+    expect(delivery.results.map(result => result.success)).toEqual([false, false, true]);
+
+    // Telegram уже доставлен вызывающим на этом шаге - шаг засчитан без повторной отправки
+    calls.length = 0;
+    expect((await router.deliver(user, notification, 3, { alreadySent: ['telegram'] })).step).toBe(3);
+    expect(calls).toEqual([]);
+  });
+
+  test('should send the beep silently and queue the next channel when Telegram is not first', async () => {
+    const bot = { sendMessage: jest.fn().mockResolvedValue({}) };
+    const scheduler = new NotificationScheduler(bot);
+    scheduler.planNextNotification = jest.fn();
+    const ntfySend = jest.spyOn(scheduler.channelRouter.getChannel('ntfy'), 'send').mockResolvedValue({ success: true });
+    jest.spyOn(Response.prototype, 'save').mockResolvedValue();
+    jest.spyOn(jobQueue, 'markSent').mockResolvedValue();
+    const enqueue = jest.spyOn(jobQueue, 'enqueue').mockResolvedValue({});
+
+    const user = makeUser({ priority: ['ntfy', 'telegram'], fallbackMinutes: 3, ntfy: { enabled: true, topic: 'esm' } });
+    const before = Date.now();
+    await scheduler.sendNotification(user, { _id: 'job1' });
+
+    expect(bot.sendMessage.mock.calls[0][2]).toMatchObject({ disable_notification: true });
+    expect(ntfySend).toHaveBeenCalledWith(user, expect.objectContaining({ kind: 'beep' }));
+    expect(enqueue).toHaveBeenCalledWith(user, 'fallback', expect.any(Date), expect.objectContaining({ step: 1 }));
+    expect(enqueue.mock.calls[0][2].getTime()).toBeGreaterThanOrEqual(before + 3 * 60 * 1000);
+  });
+});
@@ -0,0 +1,73 @@
+const Response = require('../../models/Response');
+const NotificationScheduler = require('../../services/notificationScheduler');
+const jobQueue = require('../../services/job-queue');
+
+describe('NotificationScheduler - Beep Expiry Tests', () => {
+  const minutesAgo = minutes => new Date(Date.now() - minutes * 60 * 1000);
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new NotificationScheduler({ sendMessage: jest.fn() });
+    scheduler.resetEscalation = jest.fn();
+    jest.spyOn(jobQueue, 'markAnswered').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should start a fresh beep and store latency', async () => {
+    const response = new Response({ telegramId: 123, notificationSentAt: minutesAgo(5) });
+    jest.spyOn(Response, 'findById').mockResolvedValue(response);
+    jest.spyOn(response, 'save').mockImplementation(async function() {
+      this.latencySeconds = this.calculateLatency();
+      return this;
+    });
+
+    const result = await scheduler.handleSurveyStart(response._id, 123);
+
+    expect(result.expired).toBe(false);
+    expect(response.expired).toBe(false);
+    expect(response.latencySeconds).toBeGreaterThanOrEqual(299);
+    expect(scheduler.resetEscalation).toHaveBeenCalledWith(123);
+  });
+
+  test('should refuse an expired beep and record the reason', async () => {
+    const response = new Response({ telegramId: 123, notificationSentAt: minutesAgo(40) });
+    jest.spyOn(Response, 'findById').mockResolvedValue(response);
+    jest.spyOn(response, 'save').mockResolvedValue(response);
+
+    const result = await scheduler.handleSurveyStart(response._id, 123);
+
+    expect(result).toEqual({ expired: true, expiryMinutes: 15 });
+    expect(response.expired).toBe(true);
+    expect(response.expiryReason).toBe('started_after_expiry');
+    expect(scheduler.resetEscalation).not.toHaveBeenCalled();
+  });
+
+  test('should not restart a beep twice or for another user', async () => {
+    const startedAt = minutesAgo(3);
+    const response = new Response({ telegramId: 123, notificationSentAt: minutesAgo(5), responseStartedAt: startedAt });
+    jest.spyOn(Response, 'findById').mockResolvedValue(response);
+    const save = jest.spyOn(response, 'save').mockResolvedValue(response);
+
+    expect(await scheduler.handleSurveyStart(response._id, 123)).toEqual({ expired: false, refused: 'already_started' });
+    expect(response.responseStartedAt).toBe(startedAt);
+
+    response.responseStartedAt = null;
+    expect(await scheduler.handleSurveyStart(response._id, 456)).toEqual({ expired: false, refused: 'not_owner' });
+
+    response.responseCompletedAt = minutesAgo(1);
+    expect(await scheduler.handleSurveyStart(response._id, 123)).toEqual({ expired: false, refused: 'already_started' });
+    expect(save).not.toHaveBeenCalled();
+    expect(scheduler.resetEscalation).not.toHaveBeenCalled();
+  });
+
+  test('should build a filter that drops expired and late samples', () => {
+    expect(Response.lateSampleFilter()).toEqual({
+      $nor: [{ expired: true }, { latencySeconds: { $gt: 900 } }]
+    });
+    expect(Response.lateSampleFilter({ enabled: false })).toEqual({});
+    expect(Response.lateSampleFilter({ expiryMinutes: 0 })).toEqual({ $nor: [{ expired: true }] });
+  });
+});
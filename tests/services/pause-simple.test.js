@@ -0,0 +1,74 @@
+const moment = require('moment-timezone');
+const User = require('../../models/User');
+const pauseService = require('../../services/pause-service');
+const availabilityService = require('../../services/availability-service');
+
+describe('PauseService - Basic Tests', () => {
+  const timezone = 'Europe/Moscow';
+  const daysAgo = days => {
+    const date = new Date();
+    date.setDate(date.getDate() - days);
+    return date;
+  };
+
+  test('should parse date ranges and day counts', () => {
+    const now = moment.tz('2024-03-18 15:00', timezone);
+    const format = range => `${moment(range.startAt).tz(timezone).format('DD.MM HH:mm')}-` +
+      `${moment(range.endAt).tz(timezone).format('DD.MM HH:mm')}`;
+
+    expect(format(pauseService.parseRange('20.03-25.03', timezone, now))).toBe('20.03 00:00-26.03 00:00');
+    expect(format(pauseService.parseRange('3', timezone, now))).toBe('18.03 00:00-21.03 00:00');
+    expect(pauseService.parseRange('01.03-05.03', timezone, now).startAt.getFullYear()).toBe(2025);
+    expect(pauseService.parseRange('20.03-25.05', timezone, now).error).toBeDefined();
+    expect(pauseService.parseRange('скоро', timezone, now)).toBeNull();
+  });
+
+  test('should keep the streak across paused days', () => {
+    const user = new User({ telegramId: 1, firstName: 'Test' });
+    user.streaks.current.daily = { count: 4, lastDate: daysAgo(3) };
+    pauseService.addPause(user, { startAt: daysAgo(2), endAt: daysAgo(0) }, 'illness');
+
+    expect(user.isPausedOn(daysAgo(1))).toBe(true);
+    expect(user.updateStreak('daily')).toBe(5);
+
+    // Без паузы пропуск прерывает стрик
+    user.pauses = [];
+    user.streaks.current.daily = { count: 4, lastDate: daysAgo(3) };
+    expect(user.updateStreak('daily')).toBe(1);
+  });
+
+  test('should count streak days in the user timezone', () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T16:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      // В Токио уже 20.10 01:00, прошлый ответ - 19.10 11:00: день новый, хотя по UTC тот же
+      const user = new User({ telegramId: 1, firstName: 'Test', settings: { timezone: 'Asia/Tokyo' } });
+      user.streaks.current.daily = { count: 2, lastDate: new Date('2026-10-19T02:00:00Z') };
+      expect(user.updateStreak('daily')).toBe(3);
+      expect(user.updateStreak('daily')).toBe(3);
+
+      // Пауза 19.10 по Токио (по UTC начинается 18.10) не прерывает стрик с 18.10
+      user.streaks.current.daily = { count: 2, lastDate: new Date('2026-10-18T02:00:00Z') };
+      pauseService.addPause(user, {
+        startAt: moment.tz('2026-10-19', 'Asia/Tokyo').toDate(),
+        endAt: moment.tz('2026-10-20', 'Asia/Tokyo').toDate()
+      }, 'travel');
+      expect(user.updateStreak('daily')).toBe(3);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('should block scheduling for the whole paused day and end early', () => {
+    const user = new User({ telegramId: 1, firstName: 'Test', settings: { timezone } });
+    const today = moment().tz(timezone).startOf('day');
+    pauseService.addPause(user, pauseService.parseRange('2', timezone), 'travel');
+
+    expect(availabilityService.getAvailableSegments(user, today.clone().add(12, 'hours'))).toEqual([]);
+    expect(availabilityService.getAvailableSegments(user, today.clone().add(2, 'days').add(12, 'hours'))).not.toEqual([]);
+    expect(user.countPausedDays(daysAgo(5))).toBe(1);
+
+    expect(pauseService.endPause(user)).toBe(true);
+    expect(user.isPausedAt()).toBe(false);
+    expect(user.pauses[0].endedEarly).toBe(true);
+  });
+});
@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const photoService = require('../../services/photo-service');
+const exifReader = require('../../utils/exif');
+const questionnaireService = require('../../services/questionnaire-service');
+
+// JPEG с EXIF: Make=Canon и GPS 55°45'0" N, 37°37'12" E
+function createJpegWithGps() {
+  const tiff = Buffer.alloc(146);
+  const entry = (offset, tag, type, count, value) => {
+    tiff.writeUInt16BE(tag, offset);
+    tiff.writeUInt16BE(type, offset + 2);
+    tiff.writeUInt32BE(count, offset + 4);
+    if (typeof value === 'string') {
+      tiff.write(value, offset + 8, 'ascii');
+    } else {
+      tiff.writeUInt32BE(value, offset + 8);
+    }
+  };
+  const rationals = (offset, values) => values.forEach((v, i) => {
+    tiff.writeUInt32BE(v, offset + i * 8);
+    tiff.writeUInt32BE(1, offset + i * 8 + 4);
+  });
+
+  tiff.write('MM', 0, 'ascii');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+
+  tiff.writeUInt16BE(2, 8);
+  entry(10, 0x010f, 2, 6, 38);
+  entry(22, 0x8825, 4, 1, 44);
+  tiff.write('Canon\0', 38, 'ascii');
+
+  tiff.writeUInt16BE(4, 44);
+  entry(46, 0x0001, 2, 2, 'N\0');
+  entry(58, 0x0002, 5, 3, 98);
+  entry(70, 0x0003, 2, 2, 'E\0');
+  entry(82, 0x0004, 5, 3, 122);
+  rationals(98, [55, 45, 0]);
+  rationals(122, [37, 37, 12]);
+
+  // SOI, затем сегмент APP1 с заголовком "Exif\0\0"
+  const header = Buffer.alloc(6);
+  header.writeUInt16BE(0xffd8, 0);
+  header.writeUInt16BE(0xffe1, 2);
+  header.writeUInt16BE(2 + 6 + tiff.length, 4);
+
+  return Buffer.concat([header, Buffer.from('Exif\0\0', 'binary'), tiff, Buffer.from([0xff, 0xd9])]);
+}
+
+describe('PhotoService - Basic Tests', () => {
+  const bot = {
+    downloadFile: jest.fn(async (fileId, dir) => {
+      const filePath = path.join(dir, `${fileId}.jpg`);
+      await fs.writeFile(filePath, createJpegWithGps());
+      return filePath;
+    })
+  };
+  const documentMessage = {
+    caption: 'стол у окна',
+    document: { file_id: 'doc1', file_unique_id: 'd1', mime_type: 'image/jpeg', file_size: 200, thumbnail: { file_id: 'thumb1' } }
+  };
+
+  test('should read device and GPS coordinates from EXIF', () => {
+    const exif = exifReader.read(createJpegWithGps());
+
+    expect(exif.make).toBe('Canon');
+    expect(exif.location).toEqual({ latitude: 55.75, longitude: 37.62 });
+    expect(exifReader.read(Buffer.from('not a jpeg'))).toBeNull();
+  });
+
+  test('should use the smallest Telegram photo size as thumbnail', async () => {
+    const photo = await photoService.extractPhoto(bot, {
+      photo: [
+        { file_id: 'big', file_unique_id: 'b', width: 1280, height: 960 },
+        { file_id: 'small', file_unique_id: 's', width: 90, height: 67 }
+      ]
+    });
+
+    expect(photo).toMatchObject({ source: 'photo', fileId: 'big', thumbnailFileId: 'small', width: 1280 });
+  });
+
+  test('should strip EXIF location without consent', async () => {
+    const photo = await photoService.extractPhoto(bot, documentMessage);
+
+    expect(photo.exif.make).toBe('Canon');
+    expect(photo.exif.location).toBeNull();
+    expect(photo.locationStripped).toBe(true);
+    expect(photo.thumbnailFileId).toBe('thumb1');
+    // По file_id оригинала файл скачивается вместе с GPS - остаётся только превью
+    expect(photo.fileId).toBeNull();
+
+    // Без координат оригинал сохраняется; файл, который не удалось проверить, - нет
+    const noGps = {
+      downloadFile: jest.fn(async (fileId, dir) => {
+        const filePath = path.join(dir, `${fileId}.jpg`);
+        await fs.writeFile(filePath, Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+        return filePath;
+      })
+    };
+    expect(await photoService.extractPhoto(noGps, documentMessage)).toMatchObject({ fileId: 'doc1', locationStripped: false });
+    const broken = { downloadFile: jest.fn(async () => { throw new Error('ETIMEDOUT'); }) };
+    expect((await photoService.extractPhoto(broken, documentMessage)).fileId).toBeNull();
+    const large = { ...documentMessage, document: { ...documentMessage.document, file_size: 30 * 1024 * 1024 } };
+    expect((await photoService.extractPhoto(bot, large)).fileId).toBeNull();
+  });
+
+  test('should keep EXIF location with consent', async () => {
+    const photo = await photoService.extractPhoto(bot, documentMessage, { shareLocation: true });
+
+    expect(photo.exif.location).toEqual({ latitude: 55.75, longitude: 37.62 });
+    expect(photo.locationStripped).toBe(false);
+    expect(photo.fileId).toBe('doc1');
+  });
+
+  test('should offer the photo step only when enabled in settings', () => {
+    const questionnaire = questionnaireService.getDefault();
+    const withPhoto = { settings: { photo: { enabled: true } } };
+
+    expect(questionnaireService.getItemsForUser(questionnaire, {}).some(i => i.type === 'photo')).toBe(false);
+    expect(questionnaireService.getItemsForUser(questionnaire, withPhoto).pop().id).toBe('environment_photo');
+  });
+});
@@ -0,0 +1,174 @@
+const promptRegistry = require('../../services/prompt-registry');
+const Response = require('../../models/Response');
+const PromptFeedback = require('../../models/PromptFeedback');
+const User = require('../../models/User');
+
+describe('Prompt registry - Basic Tests', () => {
+  const originalDefinitions = promptRegistry.definitions;
+  const originalExperiments = promptRegistry.experiments;
+
+  const definitions = [
+    { key: 'greeting', version: 1, system: 'Ты бот', template: 'Привет, {{name}}!{{#day}} День {{day}}.{{/day}}' },
+    { key: 'greeting', version: 2, system: 'Ты краткий бот', template: '{{name}}, {{data}}' }
+  ];
+  const experiment = {
+    key: 'greeting-short',
+    prompt: 'greeting',
+    active: true,
+    variants: [{ name: 'control', version: 1, weight: 50 }, { name: 'short', version: 2, weight: 50 }]
+  };
+
+  afterEach(() => {
+    promptRegistry.definitions = originalDefinitions;
+    promptRegistry.experiments = originalExperiments;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should render versioned templates with variables and optional blocks', () => {
+    promptRegistry.definitions = definitions;
+    promptRegistry.experiments = [];
+
+    expect(promptRegistry.render('greeting', { name: 'Аня', day: 2, data: {} }, { version: 1 })).toEqual({
+      system: 'Ты бот',
+      prompt: 'Привет, Аня! День 2.',
+      ref: { key: 'greeting', version: 1, experiment: null, variant: null }
+    });
+    expect(promptRegistry.render('greeting', { name: 'Аня', day: null }, { version: 1 }).prompt).toBe('Привет, Аня!');
+
+    // Без эксперимента - последняя версия; объекты подставляются как JSON
+    expect(promptRegistry.render('greeting', { name: 'Аня', data: { a: 1 } }).prompt).toBe('Аня, {\n  "a": 1\n}');
+    expect(() => promptRegistry.render('greeting', { data: 1 })).toThrow('Prompt greeting@2: missing variable name');
+    expect(() => promptRegistry.render('farewell', {})).toThrow('Unknown prompt farewell');
+  });
+
+  test('should split users between experiment variants consistently', () => {
+    promptRegistry.definitions = definitions;
+    promptRegistry.experiments = [experiment];
+
+    const refs = Array.from({ length: 200 }, (_, index) => promptRegistry.resolve('greeting', { userId: `user-${index}` }).ref);
+    const short = refs.filter(ref => ref.variant === 'short');
+    expect(short.length).toBeGreaterThan(60);
+    expect(short.length).toBeLessThan(140);
+    expect(short.every(ref => ref.version === 2 && ref.experiment === 'greeting-short')).toBe(true);
+
+    expect(promptRegistry.resolve('greeting', { userId: 'user-7' }).ref).toEqual(refs[7]);
+    expect(promptRegistry.resolve('greeting').ref).toMatchObject({ version: 1, variant: 'control' });
+    // Явная версия - вне эксперимента
+    expect(promptRegistry.resolve('greeting', { userId: 'user-7', version: 1 }).ref.experiment).toBeNull();
+
+    // Вариант с несуществующей версией - последняя версия вне эксперимента
+    promptRegistry.experiments = [{ ...experiment, variants: [{ name: 'broken', version: 9 }] }];
+    expect(promptRegistry.resolve('greeting', { userId: 'user-1' }).ref).toEqual({ key: 'greeting', version: 2, experiment: null, variant: null });
+  });
+
+  test('should store the prompt version with the validation result', async () => {
+    promptRegistry.experiments = [{
+      key: 'validation-copy',
+      prompt: 'validation',
+      variants: [{ name: 'only', version: 1, weight: 1 }]
+    }];
+
+    const aiValidator = loadAIValidator();
+    const text = '{"score": 77, "quality": "good", "issues": [], "suggestions": [], "phenomena": [], "educationalValue": 0.6, "confidence": 0.8}';
+    const complete = jest.fn(async () => ({ text, provider: 'self-hosted', model: 'm' }));
+    aiValidator.initializeProvider(createProviderChain([{ name: 'self-hosted', model: 'm', complete }]));
+
+    const result = await aiValidator.validate('Вижу синюю чашку на столе и слышу как тикают часы на стене', {
+      userId: 'prompt-user',
+      detectedContext: 'reading'
+    });
+
+    expect(result).toMatchObject({
+      score: 77,
+      provider: 'self-hosted',
+      prompt: { key: 'validation', version: 1, experiment: 'validation-copy', variant: 'only' }
+    });
+    expect(complete.mock.calls[0][0].prompt).toContain('Контекст: reading');
+    expect(complete.mock.calls[0][0].system).toContain('Херлберта');
+  });
+
+  test('should not share cached validations between experiment variants', async () => {
+    const validation = originalDefinitions.find(definition => definition.key === 'validation');
+    const validationExperiment = {
+      key: 'validation-short',
+      prompt: 'validation',
+      variants: [{ name: 'control', version: validation.version, weight: 1 }, { name: 'short', version: 99, weight: 1 }]
+    };
+    promptRegistry.definitions = [...originalDefinitions, { ...validation, version: 99 }];
+    promptRegistry.experiments = [validationExperiment];
+
+    const userIds = Array.from({ length: 20 }, (_, index) => `cache-user-${index}`);
+    const controlUser = userIds.find(userId => promptRegistry.assignVariant(validationExperiment, userId).name === 'control');
+    const shortUser = userIds.find(userId => promptRegistry.assignVariant(validationExperiment, userId).name === 'short');
+
+    const aiValidator = loadAIValidator();
+    const text = '{"score": 64, "quality": "good", "issues": [], "suggestions": [], "phenomena": [], "educationalValue": 0.5, "confidence": 0.7}';
+    const complete = jest.fn(async () => ({ text, provider: 'self-hosted', model: 'm' }));
+    aiValidator.initializeProvider(createProviderChain([{ name: 'self-hosted', model: 'm', complete }]));
+
+    const answer = 'Держу в руке тёплую кружку и замечаю, как пар оседает на очках';
+    const control = await aiValidator.validate(answer, { userId: controlUser });
+    const short = await aiValidator.validate(answer, { userId: shortUser });
+    const controlAgain = await aiValidator.validate(answer, { userId: controlUser });
+
+    expect(complete).toHaveBeenCalledTimes(2);
+    expect(control.prompt).toMatchObject({ version: validation.version, variant: 'control' });
+    expect(short.prompt).toMatchObject({ version: 99, variant: 'short' });
+    expect(controlAgain.prompt).toEqual(control.prompt);
+  });
+
+  test('should compare variants by scores and user feedback', async () => {
+    promptRegistry.definitions = definitions;
+    promptRegistry.experiments = [experiment];
+
+    jest.spyOn(Response, 'aggregate').mockResolvedValue([
+      { _id: { version: 1, experiment: 'greeting-short', variant: 'control' }, validations: 10, responses: ['r1', 'r2'], avgAiScore: 61.25, avgDataQuality: 58.04 },
+      { _id: { version: 2, experiment: 'greeting-short', variant: 'short' }, validations: 8, responses: ['r3'], avgAiScore: 70, avgDataQuality: 66.66 }
+    ]);
+    jest.spyOn(PromptFeedback, 'aggregate').mockResolvedValue([
+      { _id: { version: 2, experiment: 'greeting-short', variant: 'short' }, positive: 3, negative: 1 }
+    ]);
+
+    const comparison = await promptRegistry.compareVariants('greeting');
+    expect(comparison.experiment.key).toBe('greeting-short');
+    expect(comparison.variants).toEqual([
+      {
+        version: 1, experiment: 'greeting-short', variant: 'control', validations: 10, responses: 2,
+        avgAiScore: 61.3, avgDataQuality: 58, feedback: { positive: 0, negative: 0, total: 0, positiveRate: null }
+      },
+      {
+        version: 2, experiment: 'greeting-short', variant: 'short', validations: 8, responses: 1,
+        avgAiScore: 70, avgDataQuality: 66.7, feedback: { positive: 3, negative: 1, total: 4, positiveRate: 0.75 }
+      }
+    ]);
+
+    // Кнопка отзыва под инсайтами
+    const userId = '64b000000000000000000001';
+    const user = { _id: userId };
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const create = jest.spyOn(PromptFeedback, 'create').mockResolvedValue({});
+    const variant = promptRegistry.assignVariant(experiment, userId);
+    const bot = { answerCallbackQuery: jest.fn(), editMessageReplyMarkup: jest.fn().mockResolvedValue(true) };
+    const insightsCommand = require('../../commands/insights');
+
+    await insightsCommand.handleCallback(bot, {
+      id: 'q1',
+      from: { id: 1 },
+      data: `insights_feedback_down_greeting@${variant.version}`,
+      message: {
+        chat: { id: 1 },
+        message_id: 5,
+        reply_markup: { inline_keyboard: [[{ text: '👎', callback_data: 'insights_feedback_down_greeting@1' }], [{ text: '🔄', callback_data: 'insights_refresh' }]] }
+      }
+    });
+
+    expect(create).toHaveBeenCalledWith({
+      userId,
+      prompt: { key: 'greeting', version: variant.version, experiment: 'greeting-short', variant: variant.name },
+      rating: -1
+    });
+    expect(bot.answerCallbackQuery).toHaveBeenCalledWith('q1', { text: 'Спасибо за отзыв!' });
+    expect(bot.editMessageReplyMarkup.mock.calls[0][0]).toEqual({ inline_keyboard: [[{ text: '🔄', callback_data: 'insights_refresh' }]] });
+  });
+});
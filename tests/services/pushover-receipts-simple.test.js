@@ -0,0 +1,172 @@
+const http = require('http');
+
+const sentMessages = [];
+jest.mock('pushover-notifications', () => jest.fn().mockImplementation(() => ({
+  send: (message, callback) => {
+    sentMessages.push(message);
+    callback(null, JSON.stringify({ status: 1, request: 'req1', receipt: 'rcpt123' }));
+  }
+})));
+
+const config = require('../../config/hurlburt');
+const User = require('../../models/User');
+const Response = require('../../models/Response');
+const jobQueue = require('../../services/job-queue');
+const PushoverService = require('../../services/pushover-service');
+const PushoverCallbackServer = require('../../services/pushover-callback-server');
+const NotificationScheduler = require('../../services/notificationScheduler');
+
+// Заглушка API Pushover: квитанции, отмена и звуки
+function startApiStub() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body });
+      const routes = {
+        '/receipts/rcpt123.json': { status: 1, acknowledged: 1, acknowledged_at: 1700000000, acknowledged_by_device: 'watch', expired: 0 },
+        '/receipts/rcpt123/cancel.json': { status: 1 },
+        '/sounds.json': { status: 1, sounds: { pushover: 'Pushover (default)', custom_beep: 'Свой звук' } }
+      };
+      const reply = routes[req.url.split('?')[0]];
+      res.writeHead(reply ? 200 : 400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply || { status: 0, errors: ['receipt not found'] }));
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, requests })));
+}
+
+function post(port, path, body) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Pushover receipts - Basic Tests', () => {
+  const originalPushover = { ...config.pushover };
+  const originalToken = process.env.PUSHOVER_APP_TOKEN;
+
+  beforeEach(() => {
+    process.env.PUSHOVER_APP_TOKEN = 'apptoken';
+    sentMessages.length = 0;
+  });
+
+  afterEach(() => {
+    Object.assign(config.pushover, originalPushover);
+    process.env.PUSHOVER_APP_TOKEN = originalToken;
+    jest.restoreAllMocks();
+  });
+
+  const makeUser = priority => new User({
+    telegramId: 1,
+    firstName: 'Test',
+    settings: { pushover: { enabled: true, userKey: 'u'.repeat(30), priority, sound: 'pushover' } }
+  });
+
+  test('should send emergency notifications with a valid retry, callback URL and receipt', async () => {
+    config.pushover.callback = { baseUrl: 'https://bot.example.com/', secret: 's3cret', port: 8080 };
+    const service = new PushoverService();
+
+    const result = await service.sendEscalationNotification(makeUser(1), 'Опрос ждёт', 2, 'r1');
+
+    expect(sentMessages[0]).toMatchObject({
+      priority: 2,
+      retry: 60,
+      expire: 900,
+      callback: 'https://bot.example.com/pushover/callback/s3cret'
+    });
+    expect(result).toMatchObject({ success: true, receipt: 'rcpt123', priority: 2 });
+
+    // Обычный приоритет - без повторов и квитанции в запросе
+    await service.sendNotification(makeUser(0), 'Сигнал');
+    expect(sentMessages[1].retry).toBeUndefined();
+    expect(sentMessages[1].callback).toBeUndefined();
+    expect((await service.sendNotification(makeUser(0), 'x', { priority: 3 })).success).toBe(false);
+  });
+
+  test('should read receipts, cancel them and validate sounds against the API', async () => {
+    const { server, requests } = await startApiStub();
+    config.pushover.apiUrl = `http://127.0.0.1:${server.address().port}`;
+    const service = new PushoverService();
+
+    try {
+      expect(await service.getReceipt('rcpt123')).toEqual({
+        acknowledged: true,
+        acknowledgedAt: new Date(1700000000 * 1000),
+        acknowledgedByDevice: 'watch',
+        expired: false,
+        expiresAt: null
+      });
+      await service.cancelReceipt('rcpt123');
+      await expect(service.getReceipt('unknown')).rejects.toThrow('receipt not found');
+      await expect(service.getReceipt('../sounds')).rejects.toThrow('Invalid Pushover receipt');
+
+      expect(await service.isValidSound('custom_beep')).toBe(true);
+      expect(await service.isValidSound('tugboat')).toBe(false);
+    } finally {
+      server.close();
+    }
+
+    expect(requests[1]).toMatchObject({ method: 'POST', url: '/receipts/rcpt123/cancel.json', body: 'token=apptoken' });
+    expect(service.validatePriority(2)).toBe(true);
+    expect(service.validatePriority(3)).toBe(false);
+  });
+
+  test('should stop escalation once and drop fallbacks when the watch notification is acknowledged', async () => {
+    const scheduler = new NotificationScheduler({ sendMessage: jest.fn() });
+    const user = makeUser(1);
+    user.escalationState = { isEscalating: true, escalationLevel: 2 };
+    const response = new Response({ userId: user._id, telegramId: 1, pushover: { receipt: 'rcpt123' } });
+
+    const update = jest.spyOn(Response, 'findOneAndUpdate')
+      .mockResolvedValueOnce(response)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    const cancelFallbacks = jest.spyOn(jobQueue, 'cancelFallbacks').mockResolvedValue();
+    scheduler.stopEscalation = jest.fn();
+
+    const acknowledgedAt = new Date('2026-03-01T10:00:00Z');
+    expect(await scheduler.handlePushoverAcknowledged('rcpt123', { acknowledgedAt, device: 'watch', via: 'callback' })).toBe(true);
+    // Опрос квитанций сообщил о том же подтверждении позже
+    expect(await scheduler.handlePushoverAcknowledged('rcpt123', { via: 'poll' })).toBe(false);
+
+    expect(update.mock.calls[0][0]).toEqual({ 'pushover.receipt': 'rcpt123', 'pushover.acknowledgedAt': null });
+    expect(update.mock.calls[0][1].$set).toMatchObject({
+      'pushover.acknowledgedAt': acknowledgedAt,
+      'pushover.acknowledgedByDevice': 'watch',
+      'pushover.acknowledgedVia': 'callback'
+    });
+    expect(cancelFallbacks).toHaveBeenCalledWith(response._id, 'acknowledged');
+    expect(scheduler.stopEscalation).toHaveBeenCalledTimes(1);
+    expect(scheduler.stopEscalation).toHaveBeenCalledWith(user, 'acknowledged');
+  });
+
+  test('should accept Pushover callbacks only on the secret path', async () => {
+    const onAcknowledged = jest.fn().mockResolvedValue(true);
+    const callbackServer = new PushoverCallbackServer(onAcknowledged, { secret: 's3cret', port: 0 });
+    const port = await callbackServer.start('127.0.0.1');
+    const body = 'receipt=rcpt123&acknowledged=1&acknowledged_at=1700000000&acknowledged_by=u&acknowledged_by_device=watch';
+
+    try {
+      expect(await post(port, '/pushover/callback/wrong', body)).toBe(404);
+      expect(await post(port, '/pushover/callback/s3cret', 'receipt=rcpt123')).toBe(400);
+      expect(await post(port, '/pushover/callback/s3cret', body)).toBe(200);
+    } finally {
+      await callbackServer.stop();
+    }
+
+    expect(onAcknowledged).toHaveBeenCalledTimes(1);
+    expect(onAcknowledged).toHaveBeenCalledWith('rcpt123', {
+      acknowledgedAt: new Date(1700000000 * 1000),
+      device: 'watch',
+      via: 'callback'
+    });
+  });
+});
@@ -0,0 +1,127 @@
+const questionnaireService = require('../../services/questionnaire-service');
+
+describe('QuestionnaireService - Basic Tests', () => {
+  beforeEach(() => {
+    questionnaireService.clearCache();
+  });
+
+  test('should resolve the default questionnaire for a user without a choice', async () => {
+    const questionnaire = await questionnaireService.resolveForUser(global.createMockUser());
+
+    expect(questionnaire.key).toBe('hurlburt_esm');
+    expect(questionnaire.version).toBe(3);
+    expect(questionnaire.items[0].id).toBe('moment_capture');
+  });
+
+  test('should prefer the personal questionnaire choice', async () => {
+    const user = { ...global.createMockUser(), settings: { questionnaire: 'mini_form' } };
+
+    const questionnaire = await questionnaireService.resolveForUser(user);
+
+    expect(questionnaire.key).toBe('mini_form');
+    expect(questionnaire.items.some(item => item.type === 'text')).toBe(false);
+  });
+
+  test('should fall back to default for an unknown questionnaire', async () => {
+    const user = { ...global.createMockUser(), settings: { questionnaire: 'missing' } };
+
+    const questionnaire = await questionnaireService.resolveForUser(user);
+
+    expect(questionnaire.key).toBe('hurlburt_esm');
+  });
+
+  test('should validate scale and slider ranges', () => {
+    const slider = { id: 'x', type: 'slider', scale: { min: 0, max: 100, step: 10 } };
+
+    expect(questionnaireService.validateAnswer(slider, '40').value).toBe(40);
+    expect(questionnaireService.validateAnswer(slider, 45).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(slider, 120).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(slider, 'много').valid).toBe(false);
+  });
+
+  test('should validate text length and required rules', () => {
+    const item = { id: 'x', type: 'text', rules: { required: true, minLength: 5 } };
+
+    expect(questionnaireService.validateAnswer(item, '').valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, 'abc').valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, '  вижу экран ').value).toBe('вижу экран');
+  });
+
+  test('should validate multiselect options and counts', () => {
+    const item = {
+      id: 'x',
+      type: 'multiselect',
+      options: [{ value: 'a', label: 'A' }, { value: 'b', label: 'B' }],
+      rules: { minSelected: 1, maxSelected: 1 }
+    };
+
+    expect(questionnaireService.validateAnswer(item, []).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, ['a', 'b']).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, ['c']).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, ['b']).valid).toBe(true);
+  });
+
+  test('should extract text from validated text answers', () => {
+    expect(questionnaireService.extractValue({ text: 'вижу экран', score: 70 })).toBe('вижу экран');
+    expect(questionnaireService.extractValue(5)).toBe(5);
+    expect(questionnaireService.extractValue(['a'])).toEqual(['a']);
+  });
+
+  test('should evaluate branching conditions against answers', () => {
+    const answers = { stress: 6, currentCompanion: { text: ' Один ' }, forms: ['feeling'] };
+
+    expect(questionnaireService.evaluateCondition({ item: 'stress', op: 'gte', value: 6 }, answers)).toBe(true);
+    expect(questionnaireService.evaluateCondition({ item: 'stress', op: 'lt', value: 6 }, answers)).toBe(false);
+    expect(questionnaireService.evaluateCondition({ item: 'currentCompanion', op: 'eq', value: 'один' }, answers)).toBe(true);
+    expect(questionnaireService.evaluateCondition({ item: 'forms', op: 'contains', value: 'feeling' }, answers)).toBe(true);
+    expect(questionnaireService.evaluateCondition({ item: 'mood', op: 'answered' }, answers)).toBe(false);
+    expect(questionnaireService.evaluateCondition({
+      any: [{ item: 'mood', op: 'answered' }, { not: { item: 'stress', op: 'lte', value: 3 } }]
+    }, answers)).toBe(true);
+  });
+
+  test('should skip items and blocks whose conditions are not met', () => {
+    const { items, blocks } = questionnaireService.getBuiltin('hurlburt_esm', 2);
+    const stressIndex = items.findIndex(item => item.id === 'stress_source');
+    const socialIndex = items.findIndex(item => item.block === 'social');
+
+    const calm = questionnaireService.getNextItemIndex(items, stressIndex, { stress: 3 }, blocks);
+    expect(calm.skipped).toEqual(['stress_source']);
+    expect(items[calm.index].id).toBe('currentActivity');
+
+    const tense = questionnaireService.getNextItemIndex(items, stressIndex, { stress: 6 }, blocks);
+    expect(tense.index).toBe(stressIndex);
+
+    const alone = questionnaireService.getNextItemIndex(items, socialIndex, { currentCompanion: 'Один' }, blocks);
+    expect(alone.index).toBe(items.length);
+    expect(alone.skipped).toEqual(['social_interaction', 'social_enjoyment']);
+
+    const withFriend = questionnaireService.getNextItemIndex(items, socialIndex, { currentCompanion: 'с коллегой' }, blocks);
+    expect(withFriend.index).toBe(socialIndex);
+  });
+
+  test('should build the classic ESM grids from the affect and state battery', () => {
+    const { items } = questionnaireService.getBuiltin('esm_classic');
+    const affect = items.find(item => item.id === 'affect');
+    const state = items.find(item => item.id === 'state');
+
+    expect(affect.rows).toHaveLength(13);
+    expect(affect.scale).toMatchObject({ min: 1, max: 7 });
+    expect(state.rows).toHaveLength(16);
+    expect(state.rows.map(row => row.id)).toEqual(expect.arrayContaining(['control', 'success', 'wishElsewhere']));
+  });
+
+  test('should validate grid scores per row', () => {
+    const item = {
+      id: 'affect',
+      type: 'grid',
+      scale: { min: 1, max: 7 },
+      rows: [{ id: 'happy', label: 'Счастливый' }, { id: 'alert', label: 'Бодрый' }],
+      rules: { required: true }
+    };
+
+    expect(questionnaireService.validateAnswer(item, { happy: 5 }).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, { happy: 5, alert: 9 }).valid).toBe(false);
+    expect(questionnaireService.validateAnswer(item, { happy: 5, alert: 2 }).value).toEqual({ happy: 5, alert: 2 });
+  });
+});
@@ -0,0 +1,45 @@
+const moment = require('moment-timezone');
+const samplingService = require('../../services/sampling-service');
+const config = require('../../config/hurlburt');
+
+describe('SamplingService - Basic Tests', () => {
+  const timezone = 'Europe/Moscow';
+
+  afterEach(() => {
+    config.sampling.studies = {};
+  });
+
+  test('should prefer personal schedule over study and default', () => {
+    config.sampling.studies = { anxiety: { schedule: 'hybrid', eventPrompt: 'Отметь приступ тревоги' } };
+
+    expect(samplingService.getSchedule({}).type).toBe('random_blocks');
+    expect(samplingService.getSchedule({ studyId: 'anxiety' })).toMatchObject({
+      type: 'hybrid',
+      eventPrompt: 'Отметь приступ тревоги'
+    });
+    expect(samplingService.getSchedule({
+      studyId: 'anxiety',
+      settings: { sampling: { schedule: 'fixed', fixedTimes: ['18:00', '9:30'] } }
+    })).toMatchObject({ type: 'fixed', fixedTimes: ['09:30', '18:00'] });
+  });
+
+  test('should map schedules to beeps, events and trigger types', () => {
+    expect(samplingService.beepTrigger('random_blocks')).toBe('signal');
+    expect(samplingService.beepTrigger('fixed')).toBe('interval');
+    expect(samplingService.sendsBeeps('event')).toBe(false);
+    expect(samplingService.acceptsEvents('hybrid')).toBe(true);
+    expect(samplingService.acceptsEvents('fixed')).toBe(false);
+  });
+
+  test('should parse fixed times and pick the next one', () => {
+    const times = samplingService.parseTimes('18:00, 10:00 14:00');
+    expect(times).toEqual(['10:00', '14:00', '18:00']);
+    expect(samplingService.parseTimes('10:00, 25:00')).toBeNull();
+
+    const now = moment.tz('2024-03-10 15:20', timezone);
+    expect(samplingService.nextFixedTime(times, timezone, now).format('YYYY-MM-DD HH:mm')).toBe('2024-03-10 18:00');
+
+    const evening = moment.tz('2024-03-10 19:00', timezone);
+    expect(samplingService.nextFixedTime(times, timezone, evening).format('YYYY-MM-DD HH:mm')).toBe('2024-03-11 10:00');
+  });
+});
@@ -0,0 +1,56 @@
+const moment = require('moment-timezone');
+const { createSchedulingStrategy, createRng } = require('../../strategies/schedulingStrategy');
+const NotificationScheduler = require('../../services/notificationScheduler');
+const samplingService = require('../../services/sampling-service');
+
+describe('SchedulingStrategy - Basic Tests', () => {
+  const windowStart = moment.tz('2024-03-11 09:00', 'Europe/Moscow');
+  const windowEnd = moment.tz('2024-03-11 21:00', 'Europe/Moscow');
+  const format = times => times.map(time => time.format('HH:mm'));
+  const gaps = times => times.slice(1).map((time, i) => time.diff(times[i], 'minutes'));
+
+  test('should produce the same schedule for the same seed', () => {
+    const first = createSchedulingStrategy('stratified_block', { minGapMinutes: 30, seed: 42 });
+    const second = createSchedulingStrategy('stratified_block', { minGapMinutes: 30, seed: 42 });
+
+    expect(format(first.generate(windowStart, windowEnd, 6))).toEqual(['09:36', '11:44', '13:27', '15:02', '17:01', '19:25']);
+    expect(format(second.generate(windowStart, windowEnd, 6))).toEqual(['09:36', '11:44', '13:27', '15:02', '17:01', '19:25']);
+    expect(createRng('seed')()).toBe(createRng('seed')());
+  });
+
+  test('should put one beep in each block with the minimum gap', () => {
+    const strategy = createSchedulingStrategy('stratified_block', { minGapMinutes: 90, seed: 7 });
+    const times = strategy.generate(windowStart, windowEnd, 6);
+
+    expect(times).toHaveLength(6);
+    times.forEach((time, i) => {
+      expect(time.diff(windowStart, 'minutes')).toBeGreaterThanOrEqual(i * 120);
+      expect(time.diff(windowStart, 'minutes')).toBeLessThanOrEqual((i + 1) * 120);
+    });
+    gaps(times).forEach(gap => expect(gap).toBeGreaterThanOrEqual(90));
+  });
+
+  test('should keep the minimum gap for uniform and Poisson strategies', () => {
+    ['uniform', 'poisson'].forEach(name => {
+      const times = createSchedulingStrategy(name, { minGapMinutes: 45, seed: 3 }).generate(windowStart, windowEnd, 6);
+
+      expect(times.length).toBeGreaterThan(0);
+      expect(times.every(time => time.isBetween(windowStart, windowEnd, null, '[]'))).toBe(true);
+      gaps(times).forEach(gap => expect(gap).toBeGreaterThanOrEqual(45));
+    });
+  });
+
+  test('should plan exact times through the scheduler with a seeded user strategy', () => {
+    const scheduler = new NotificationScheduler({ sendMessage: jest.fn() });
+    const user = { telegramId: 1, settings: { sampling: { strategy: 'stratified_block', minGapMinutes: 30 } } };
+
+    const plan = () => format(scheduler.generateRandomTimes(
+      windowStart, windowEnd, 4, windowStart, samplingService.createStrategy(user, windowStart, { seed: 'study-a' })
+    ));
+
+    expect(plan()).toEqual(plan());
+    expect(plan()).not.toEqual(format(scheduler.generateRandomTimes(
+      windowStart, windowEnd, 4, windowStart, samplingService.createStrategy(user, windowStart, { seed: 'study-b' })
+    )));
+  });
+});
@@ -0,0 +1,58 @@
+const { SessionStore, MemorySessionAdapter } = require('../../services/session-store');
+
+describe('SessionStore - Basic Tests', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SessionStore(new MemorySessionAdapter());
+  });
+
+  test('should save and load survey state', async () => {
+    await store.save('survey', 123, 456, {
+      currentQuestion: 3,
+      responses: { mood: 5 }
+    });
+
+    const session = await store.load('survey', 123);
+
+    expect(session.chatId).toBe(456);
+    expect(session.state.currentQuestion).toBe(3);
+    expect(session.state.responses.mood).toBe(5);
+  });
+
+  test('should store a snapshot, not a live reference', async () => {
+    const state = { currentQuestion: 1, responses: {} };
+    await store.save('survey', 123, 123, state);
+
+    state.currentQuestion = 5;
+
+    const session = await store.load('survey', 123);
+    expect(session.state.currentQuestion).toBe(1);
+  });
+
+  test('should list only sessions of the requested kind', async () => {
+    await store.save('survey', 1, 1, { currentQuestion: 0 });
+    await store.save('survey', 2, 2, { currentQuestion: 4 });
+    await store.save('settings', 1, 1, { type: 'start_time' });
+
+    const surveys = await store.loadAll('survey');
+
+    expect(surveys).toHaveLength(2);
+    expect(surveys.map(s => s.telegramId).sort()).toEqual([1, 2]);
+  });
+
+  test('should remove sessions', async () => {
+    await store.save('survey', 123, 123, { currentQuestion: 2 });
+    await store.remove('survey', 123);
+
+    expect(await store.load('survey', 123)).toBeNull();
+  });
+
+  test('should drop expired sessions', async () => {
+    store.ttlHours = -1;
+    await store.save('survey', 123, 123, { currentQuestion: 2 });
+
+    expect(await store.load('survey', 123)).toBeNull();
+    expect(await store.loadAll('survey')).toEqual([]);
+  });
+});
@@ -0,0 +1,90 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  SpeechToTextService,
+  WhisperHttpAdapter,
+  StubSpeechAdapter
+} = require('../../services/speech-to-text-service');
+
+describe('SpeechToTextService - Basic Tests', () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'stt-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should use the stub adapter in tests', () => {
+    const service = new SpeechToTextService();
+
+    expect(service.adapter).toBeInstanceOf(StubSpeechAdapter);
+  });
+
+  test('should download the voice note and keep the audio reference', async () => {
+    const service = new SpeechToTextService(new StubSpeechAdapter('вижу экран и слышу гул'));
+    service.config = { ...service.config, audioDir: tmpDir };
+
+    const bot = {
+      downloadFile: jest.fn(async (fileId, dir) => {
+        const filePath = path.join(dir, `${fileId}.oga`);
+        await fs.writeFile(filePath, 'audio');
+        return filePath;
+      })
+    };
+    const voice = { file_id: 'voice1', file_unique_id: 'u1', duration: 7, mime_type: 'audio/ogg' };
+
+    const result = await service.transcribeVoice(bot, voice);
+
+    expect(result.transcript).toBe('вижу экран и слышу гул');
+    expect(result.transcribedBy).toBe('stub');
+    expect(result.audio).toMatchObject({ fileId: 'voice1', fileUniqueId: 'u1', duration: 7 });
+    expect(bot.downloadFile).toHaveBeenCalledWith('voice1', tmpDir);
+  });
+
+  test('should reject voice notes longer than the limit', async () => {
+    const service = new SpeechToTextService(new StubSpeechAdapter('текст'));
+    const bot = { downloadFile: jest.fn() };
+
+    await expect(service.transcribeVoice(bot, { file_id: 'v', duration: 10000 })).rejects.toThrow('too long');
+    expect(bot.downloadFile).not.toHaveBeenCalled();
+  });
+
+  test('should post audio to a Whisper-compatible endpoint', async () => {
+    let received = null;
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { url: req.url, body };
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ text: ' говорю себе «надо успеть» ' }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const filePath = path.join(tmpDir, 'voice.oga');
+      await fs.writeFile(filePath, 'audio');
+
+      const adapter = new WhisperHttpAdapter({
+        url: `http://127.0.0.1:${server.address().port}/v1/audio/transcriptions`,
+        model: 'whisper-1',
+        language: 'ru',
+        timeoutMs: 5000
+      });
+
+      const transcript = await adapter.transcribe(filePath);
+
+      expect(transcript).toBe('говорю себе «надо успеть»');
+      expect(received.url).toBe('/v1/audio/transcriptions');
+      expect(received.body).toContain('whisper-1');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,49 @@
+const moment = require('moment-timezone');
+const timezoneService = require('../../services/timezone-service');
+const availabilityService = require('../../services/availability-service');
+const samplingService = require('../../services/sampling-service');
+
+describe('TimezoneService - Basic Tests', () => {
+  test('should find cities with typos in both languages', () => {
+    expect(timezoneService.searchCity('Мосва')[0]).toMatchObject({ label: 'Москва', timezone: 'Europe/Moscow' });
+    expect(timezoneService.searchCity('berln')[0].timezone).toBe('Europe/Berlin');
+    // Города, которых нет в списке, находятся по названию зоны
+    expect(timezoneService.searchCity('Yekaterinburg')[0].timezone).toBe('Asia/Yekaterinburg');
+    expect(timezoneService.searchCity('qwxz')).toEqual([]);
+  });
+
+  test('should pick the timezone of the nearest city or fall back to longitude', () => {
+    expect(timezoneService.fromLocation({ latitude: 55.7, longitude: 37.5 }))
+      .toEqual({ timezone: 'Europe/Moscow', city: 'Москва' });
+    // Середина Тихого океана
+    expect(timezoneService.fromLocation({ latitude: 0, longitude: -150 }))
+      .toEqual({ timezone: 'Etc/GMT+10', city: null });
+  });
+
+  test('should suggest an eastern timezone when answers come earlier', () => {
+    const now = new Date('2024-03-14T12:00:00Z');
+    const at = (day, hour) => moment.tz(`2024-03-${day} ${hour}:00`, 'YYYY-MM-DD H:mm', 'Europe/Moscow').toDate();
+
+    // Обычно отвечает днём, последние два дня - на 5 часов раньше
+    const baseline = [5, 6, 7, 8, 9].flatMap(day => [at(`0${day}`, 12), at(`0${day}`, 16)]);
+    const recent = [at(13, 7), at(13, 11), at(14, 9)];
+
+    const shift = timezoneService.detectShift([...baseline, ...recent], 'Europe/Moscow', now);
+    expect(shift).toEqual({ shiftHours: -5, offsetMinutes: 8 * 60 });
+    expect(timezoneService.zonesForOffset(shift.offsetMinutes, now).map(zone => zone.timezone))
+      .toContain('Asia/Irkutsk');
+
+    expect(timezoneService.detectShift(baseline, 'Europe/Moscow', now)).toBeNull();
+  });
+
+  test('should move beeps in a DST gap forward and keep the first of repeated times', () => {
+    const springForward = moment.tz('2024-03-31 12:00', 'Europe/Berlin');
+    expect(availabilityService.atTime(springForward, '02:30').format()).toBe('2024-03-31T03:30:00+02:00');
+
+    const fallBack = moment.tz('2024-10-27 12:00', 'Europe/Berlin');
+    expect(availabilityService.atTime(fallBack, '02:30').format()).toBe('2024-10-27T02:30:00+02:00');
+
+    const times = samplingService.generateFixedTimes(springForward, ['02:30', '10:00'], springForward.clone().startOf('day'));
+    expect(times.map(time => time.format('HH:mm'))).toEqual(['03:30', '10:00']);
+  });
+});
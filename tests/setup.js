@@ -56,4 +56,32 @@ global.createMockBot = () => ({
   sendMessage: jest.fn().mockResolvedValue({}),
   editMessageText: jest.fn().mockResolvedValue({}),
   answerCallbackQuery: jest.fn().mockResolvedValue({})
-});
\ No newline at end of file
+});
+
+// Провайдер ИИ-заглушка: ответы по очереди. Строка - текст ответа, объект - поля
+// ответа ({ text, usage }), Error - сбой провайдера
+global.createFakeProvider = (name, replies, model = `${name}-model`) => ({
+  name,
+  model,
+  complete: jest.fn(async () => {
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    const fields = reply && typeof reply === 'object' ? reply : { text: reply };
+    return { usage: null, ...fields, provider: name, model };
+  })
+});
+
+// Цепочка провайдеров со своими предохранителями, а не из общего реестра;
+// options - как у ProviderChain (getBreaker, usage, repairAttempts)
+global.createProviderChain = (providers, options = {}) => {
+  const CircuitBreaker = require('../utils/circuit-breaker');
+  const { ProviderChain } = require('../services/llm-providers');
+  return new ProviderChain(providers, { getBreaker: name => new CircuitBreaker(name), ...options });
+};
+
+// Сервис ИИ-валидации и его кэши запускают таймеры очистки при загрузке,
+// поэтому часы подменяются до require (настоящие возвращает afterEach теста)
+global.loadAIValidator = () => {
+  jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+  return require('../services/ai-validator-service');
+};
@@ -0,0 +1,110 @@
+/**
+ * Предохранитель (circuit breaker) для внешнего сервиса
+ *
+ * closed - вызовы идут; после failureThreshold неудач подряд - open: вызовы
+ * не идут resetTimeoutMs, затем half_open - пропускается не больше
+ * halfOpenMaxCalls пробных вызовов. successThreshold удачных проб замыкают
+ * предохранитель, неудачная проба снова размыкает его.
+ */
+
+const DEFAULTS = {
+  failureThreshold: 3,
+  resetTimeoutMs: 60000,
+  halfOpenMaxCalls: 1,
+  successThreshold: 1
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - имя сервиса для логов и мониторинга
+   * @param {Object} options - failureThreshold, resetTimeoutMs, halfOpenMaxCalls, successThreshold;
+   *   now - источник времени (для тестов)
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULTS, ...options };
+    this.now = options.now || Date.now;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.probes = 0;
+    this.probeSuccesses = 0;
+    this.openedAt = null;
+    this.lastError = null;
+    this.lastFailureAt = null;
+    this.lastSuccessAt = null;
+    this.stats = { calls: 0, successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Можно ли сейчас вызывать сервис; в half_open каждый разрешённый вызов - проба
+   */
+  canRequest() {
+    if (this.state === 'open' && this.now() - this.openedAt >= this.options.resetTimeoutMs) {
+      this.state = 'half_open';
+      this.probes = 0;
+      this.probeSuccesses = 0;
+      console.log(`Circuit ${this.name}: half-open, probing`);
+    }
+
+    const allowed = this.state === 'closed' ||
+      (this.state === 'half_open' && this.probes < this.options.halfOpenMaxCalls);
+
+    if (!allowed) {
+      this.stats.rejected++;
+      return false;
+    }
+
+    if (this.state === 'half_open') this.probes++;
+    this.stats.calls++;
+    return true;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    this.lastSuccessAt = new Date(this.now());
+    this.failures = 0;
+
+    if (this.state === 'half_open') {
+      this.probeSuccesses++;
+      if (this.probeSuccesses >= this.options.successThreshold) {
+        this.state = 'closed';
+        this.openedAt = null;
+        console.log(`Circuit ${this.name}: closed`);
+      } else {
+        // Следующая проба
+        this.probes--;
+      }
+    }
+  }
+
+  recordFailure(error) {
+    this.stats.failures++;
+    this.failures++;
+    this.lastError = error?.message || String(error);
+    this.lastFailureAt = new Date(this.now());
+
+    if (this.state === 'half_open' || this.failures >= this.options.failureThreshold) {
+      if (this.state !== 'open') this.stats.opened++;
+      this.state = 'open';
+      this.openedAt = this.now();
+      console.warn(`Circuit ${this.name}: open after ${this.failures} failure(s): ${this.lastError}`);
+    }
+  }
+
+  getState() {
+    return {
+      name: this.name,
+      state: this.state,
+      consecutiveFailures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === 'open' ? new Date(this.openedAt + this.options.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+      lastSuccessAt: this.lastSuccessAt ? this.lastSuccessAt.toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,144 @@
+/**
+ * Минимальный читатель EXIF для JPEG
+ *
+ * Достаёт только то, что нужно для метаданных фото в опросе:
+ * время съёмки, устройство, ориентацию и GPS-координаты.
+ * Фото, отправленные как «фото», Telegram пережимает без EXIF —
+ * метаданные есть только у изображений, отправленных файлом.
+ */
+
+const TAGS = {
+  make: 0x010f,
+  model: 0x0110,
+  orientation: 0x0112,
+  exifIfd: 0x8769,
+  gpsIfd: 0x8825,
+  dateTimeOriginal: 0x9003,
+  gpsLatitudeRef: 0x0001,
+  gpsLatitude: 0x0002,
+  gpsLongitudeRef: 0x0003,
+  gpsLongitude: 0x0004
+};
+
+// Размер одного значения для типов TIFF: BYTE, ASCII, SHORT, LONG, RATIONAL
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8 };
+
+class ExifReader {
+  /**
+   * @param {Buffer} buffer - содержимое JPEG-файла
+   * @returns {Object|null} - { make, model, orientation, takenAt, location } или null без EXIF
+   */
+  read(buffer) {
+    const tiffStart = this.findTiffHeader(buffer);
+    if (tiffStart === null) return null;
+
+    const little = buffer.toString('ascii', tiffStart, tiffStart + 2) === 'II';
+    const view = {
+      buffer,
+      start: tiffStart,
+      u16: offset => little ? buffer.readUInt16LE(tiffStart + offset) : buffer.readUInt16BE(tiffStart + offset),
+      u32: offset => little ? buffer.readUInt32LE(tiffStart + offset) : buffer.readUInt32BE(tiffStart + offset)
+    };
+
+    try {
+      const ifd0 = this.readIfd(view, view.u32(4));
+      const exif = ifd0[TAGS.exifIfd] ? this.readIfd(view, ifd0[TAGS.exifIfd]) : {};
+      const gps = ifd0[TAGS.gpsIfd] ? this.readIfd(view, ifd0[TAGS.gpsIfd]) : {};
+
+      return {
+        make: ifd0[TAGS.make] || null,
+        model: ifd0[TAGS.model] || null,
+        orientation: ifd0[TAGS.orientation] || null,
+        takenAt: this.parseDate(exif[TAGS.dateTimeOriginal]),
+        location: this.parseLocation(gps)
+      };
+    } catch (error) {
+      // Повреждённый EXIF не должен ломать приём фото
+      return null;
+    }
+  }
+
+  findTiffHeader(buffer) {
+    if (buffer.length < 4 || buffer.readUInt16BE(0) !== 0xffd8) return null;
+
+    let offset = 2;
+    while (offset + 4 <= buffer.length) {
+      const marker = buffer.readUInt16BE(offset);
+      const length = buffer.readUInt16BE(offset + 2);
+
+      if (marker === 0xffe1 && buffer.toString('ascii', offset + 4, offset + 8) === 'Exif') {
+        return offset + 10;
+      }
+      // Начало данных изображения - дальше EXIF не бывает
+      if (marker === 0xffda) return null;
+
+      offset += 2 + length;
+    }
+    return null;
+  }
+
+  readIfd(view, ifdOffset) {
+    const entries = {};
+    const count = view.u16(ifdOffset);
+
+    for (let i = 0; i < count; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      const tag = view.u16(entry);
+      const type = view.u16(entry + 2);
+      const valueCount = view.u32(entry + 4);
+      const size = (TYPE_SIZES[type] || 0) * valueCount;
+      const valueOffset = size > 4 ? view.u32(entry + 8) : entry + 8;
+
+      entries[tag] = this.readValue(view, type, valueCount, valueOffset);
+    }
+
+    return entries;
+  }
+
+  readValue(view, type, count, offset) {
+    switch (type) {
+      case 2:
+        return view.buffer
+          .toString('ascii', view.start + offset, view.start + offset + count)
+          .replace(/\0+$/, '')
+          .trim();
+      case 3:
+        return view.u16(offset);
+      case 4:
+        return view.u32(offset);
+      case 5:
+        return Array.from({ length: count }, (_, i) => {
+          const denominator = view.u32(offset + i * 8 + 4);
+          return denominator ? view.u32(offset + i * 8) / denominator : 0;
+        });
+      default:
+        return null;
+    }
+  }
+
+  // "2024:05:01 14:03:22" -> Date
+  parseDate(value) {
+    if (!value) return null;
+    const match = value.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match;
+    return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}`);
+  }
+
+  parseLocation(gps) {
+    const lat = gps[TAGS.gpsLatitude];
+    const lon = gps[TAGS.gpsLongitude];
+    if (!Array.isArray(lat) || !Array.isArray(lon)) return null;
+
+    const toDegrees = ([degrees = 0, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+    const latitude = toDegrees(lat) * (gps[TAGS.gpsLatitudeRef] === 'S' ? -1 : 1);
+    const longitude = toDegrees(lon) * (gps[TAGS.gpsLongitudeRef] === 'W' ? -1 : 1);
+
+    return {
+      latitude: Math.round(latitude * 1e6) / 1e6,
+      longitude: Math.round(longitude * 1e6) / 1e6
+    };
+  }
+}
+
+module.exports = new ExifReader();
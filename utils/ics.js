@@ -0,0 +1,248 @@
+const moment = require('moment-timezone');
+
+/**
+ * Минимальный разбор календаря iCalendar (.ics)
+ *
+ * Достаёт только то, что нужно для перерывов в уведомлениях:
+ * начало и конец события, название, правило повтора (RRULE) и исключённые даты (EXDATE).
+ * Поддерживаются даты в UTC (…Z), с TZID и «плавающие» (в поясе по умолчанию),
+ * а также события на весь день (VALUE=DATE).
+ *
+ * Повторы: FREQ=DAILY|WEEKLY|MONTHLY|YEARLY с INTERVAL, COUNT, UNTIL, BYDAY
+ * (у MONTHLY - и с номером: 2TU, -1FR) и BYMONTHDAY. У правила с другими частями
+ * (BYSETPOS, BYHOUR...) или частотой supported = false - берётся только первое событие.
+ */
+
+const ICS_WEEKDAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const SUPPORTED_FREQ = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'WKST'];
+
+// Защита от правил, которые не дают ни одного повтора (BYMONTHDAY=31 в феврале и т.п.)
+const MAX_PERIODS = 50000;
+
+class IcsParser {
+  /**
+   * @param {string} text - содержимое .ics
+   * @param {string} defaultTimezone - пояс для дат без TZID и Z
+   * @returns {Array} - [{ summary, start, end, allDay, rrule, exdates }], start/end - moment
+   */
+  parse(text, defaultTimezone = 'UTC') {
+    const events = [];
+    let current = null;
+
+    for (const line of this.unfold(text)) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+      } else if (line === 'END:VEVENT') {
+        if (current) {
+          const event = this.buildEvent(current, defaultTimezone);
+          if (event) events.push(event);
+        }
+        current = null;
+      } else if (current) {
+        const property = this.parseLine(line);
+        if (property?.name === 'EXDATE') {
+          current.EXDATE = [...(current.EXDATE || []), property];
+        } else if (property && !current[property.name]) {
+          current[property.name] = property;
+        }
+      }
+    }
+
+    return events;
+  }
+
+  // Длинные строки переносятся со следующей строкой, начинающейся с пробела или табуляции
+  unfold(text) {
+    return (text || '')
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  // DTSTART;TZID=Europe/Moscow:20240311T100000 -> { name, params, value }
+  parseLine(line) {
+    const colon = line.indexOf(':');
+    if (colon === -1) return null;
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = Object.fromEntries(paramParts.map(part => {
+      const [key, value = ''] = part.split('=');
+      return [key.toUpperCase(), value.replace(/^"|"$/g, '')];
+    }));
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+  }
+
+  parseDate(property, defaultTimezone) {
+    if (!property) return null;
+
+    const value = property.value;
+    const allDay = property.params.VALUE === 'DATE' || /^\d{8}$/.test(value);
+
+    if (allDay) {
+      const date = moment.tz(value, 'YYYYMMDD', true, defaultTimezone);
+      return date.isValid() ? { date, allDay: true } : null;
+    }
+
+    let date;
+    if (value.endsWith('Z')) {
+      date = moment.utc(value, 'YYYYMMDDTHHmmss[Z]', true);
+    } else {
+      const timezone = moment.tz.zone(property.params.TZID || '') ? property.params.TZID : defaultTimezone;
+      date = moment.tz(value, 'YYYYMMDDTHHmmss', true, timezone);
+    }
+
+    return date.isValid() ? { date: date.tz(defaultTimezone), allDay: false } : null;
+  }
+
+  // P1DT2H30M -> минуты
+  parseDuration(value) {
+    const match = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+    if (!match) return null;
+
+    const [, weeks = 0, days = 0, hours = 0, minutes = 0] = match.map(part => Number(part || 0));
+    return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+  }
+
+  // FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20241231T000000Z ->
+  // { freq, interval, count, byDay: [{ day, nth }], byMonthDay, until, supported }
+  parseRule(value, defaultTimezone) {
+    if (!value) return null;
+
+    const parts = Object.fromEntries(value.split(';').map(part => part.split('=')));
+    const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : [])
+      .map(item => /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(item))
+      .filter(Boolean)
+      .map(([, nth, day]) => ({ day: ICS_WEEKDAYS[day], nth: nth ? Number(nth) : null }));
+    // UNTIL датой (без времени) - включая весь этот день
+    const until = parts.UNTIL ? this.parseDate({ value: parts.UNTIL, params: {} }, defaultTimezone) : null;
+
+    return {
+      freq: parts.FREQ,
+      interval: Math.max(parseInt(parts.INTERVAL || '1', 10) || 1, 1),
+      count: parts.COUNT ? parseInt(parts.COUNT, 10) || null : null,
+      byDay,
+      byMonthDay: (parts.BYMONTHDAY ? parts.BYMONTHDAY.split(',') : []).map(Number).filter(Boolean),
+      until: until ? (until.allDay ? until.date.clone().endOf('day') : until.date) : null,
+      supported: SUPPORTED_FREQ.includes(parts.FREQ) &&
+        Object.keys(parts).every(part => SUPPORTED_PARTS.includes(part)) &&
+        (parts.FREQ === 'MONTHLY' || byDay.every(item => item.nth === null))
+    };
+  }
+
+  /**
+   * Повторы события, пересекающиеся с [from, to): COUNT считается от DTSTART,
+   * исключённые EXDATE даты в него входят (RFC 5545)
+   * @returns {Array} - [{ start, end }], moment
+   */
+  occurrences(event, from, to) {
+    const duration = event.end.diff(event.start);
+    const excluded = new Set((event.exdates || []).map(date => date.valueOf()));
+    const rule = event.rrule?.supported ? event.rrule : null;
+    const result = [];
+    let count = 0;
+
+    for (const start of this.expand(event.start, rule)) {
+      if (!start.isBefore(to) || (rule?.until && start.isAfter(rule.until))) break;
+      if (rule?.count && ++count > rule.count) break;
+
+      const end = start.clone().add(duration, 'ms');
+      if (!excluded.has(start.valueOf()) && end.isAfter(from)) {
+        result.push({ start, end });
+      }
+    }
+
+    return result;
+  }
+
+  // Начала повторов по порядку, начиная с DTSTART
+  * expand(dtstart, rule) {
+    yield dtstart.clone();
+    if (!rule) return;
+
+    for (let period = 0; period < MAX_PERIODS; period += rule.interval) {
+      for (const start of this.periodStarts(dtstart, rule, period)) {
+        if (start.isAfter(dtstart)) yield start;
+      }
+    }
+  }
+
+  // Повторы в периоде номер period (день, неделя с понедельника, месяц, год от DTSTART)
+  periodStarts(dtstart, rule, period) {
+    const time = { hour: dtstart.hour(), minute: dtstart.minute(), second: dtstart.second() };
+
+    if (rule.freq === 'DAILY') {
+      return [dtstart.clone().add(period, 'days')];
+    }
+
+    if (rule.freq === 'WEEKLY') {
+      const week = dtstart.clone().startOf('isoWeek').add(period, 'weeks');
+      const days = rule.byDay.length > 0 ? rule.byDay.map(item => item.day) : [dtstart.day()];
+      return [...new Set(days)]
+        .map(day => (day + 6) % 7)
+        .sort((a, b) => a - b)
+        .map(offset => week.clone().add(offset, 'days').set(time));
+    }
+
+    if (rule.freq === 'MONTHLY') {
+      const month = dtstart.clone().startOf('month').add(period, 'months');
+      const daysInMonth = month.daysInMonth();
+      let dates;
+
+      if (rule.byMonthDay.length > 0) {
+        dates = rule.byMonthDay.map(day => (day > 0 ? day : daysInMonth + 1 + day));
+      } else if (rule.byDay.length > 0) {
+        dates = rule.byDay.flatMap(({ day, nth }) => {
+          const first = 1 + (day - month.day() + 7) % 7;
+          const all = [];
+          for (let date = first; date <= daysInMonth; date += 7) all.push(date);
+          if (nth === null) return all;
+          return [nth > 0 ? all[nth - 1] : all[all.length + nth]];
+        });
+      } else {
+        dates = [dtstart.date()];
+      }
+
+      return [...new Set(dates)]
+        .filter(date => date >= 1 && date <= daysInMonth)
+        .sort((a, b) => a - b)
+        .map(date => month.clone().date(date).set(time));
+    }
+
+    // YEARLY: тот же день года; 29 февраля - только в високосные годы
+    const next = dtstart.clone().add(period, 'years');
+    return next.date() === dtstart.date() ? [next] : [];
+  }
+
+  buildEvent(properties, defaultTimezone) {
+    const start = this.parseDate(properties.DTSTART, defaultTimezone);
+    if (!start) return null;
+
+    let end = this.parseDate(properties.DTEND, defaultTimezone)?.date || null;
+    if (!end && properties.DURATION) {
+      const minutes = this.parseDuration(properties.DURATION.value);
+      end = minutes !== null ? start.date.clone().add(minutes, 'minutes') : null;
+    }
+    if (!end) {
+      end = start.date.clone().add(start.allDay ? 1 : 0, start.allDay ? 'day' : 'minutes');
+    }
+
+    return {
+      summary: properties.SUMMARY?.value.replace(/\\([,;\\])/g, '$1').replace(/\\n/gi, ' ') || null,
+      start: start.date,
+      end,
+      allDay: start.allDay,
+      rrule: this.parseRule(properties.RRULE?.value, defaultTimezone),
+      // EXDATE:20240311T100000Z,20240318T100000Z - может повторяться
+      exdates: (properties.EXDATE || [])
+        .flatMap(property => property.value.split(',').map(value => this.parseDate({ ...property, value }, defaultTimezone)))
+        .filter(Boolean)
+        .map(exdate => exdate.date)
+    };
+  }
+}
+
+module.exports = new IcsParser();
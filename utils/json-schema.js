@@ -0,0 +1,140 @@
+/**
+ * Проверка ответов языковых моделей по схемам (config/ai-schemas.js)
+ *
+ * Поддерживается подмножество JSON Schema, которого хватает для ответов ИИ:
+ * type (строка или список, включая integer и null), properties, required,
+ * additionalProperties (схема или false), items, minItems, maxItems, enum,
+ * minimum, maximum, minLength.
+ */
+
+class SchemaValidationError extends Error {
+  /**
+   * @param {Array<Object>} errors - [{ path, message }]
+   */
+  constructor(errors, text = null) {
+    super(`Response does not match schema: ${formatErrors(errors).join('; ')}`);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+    this.text = text;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Ошибки значения по схеме; пустой список - значение подходит
+ * @returns {Array<Object>} [{ path, message }]
+ */
+function validateSchema(value, schema, path = '$') {
+  if (!schema) return [];
+
+  const types = schema.type ? [].concat(schema.type) : null;
+  if (types && !types.some(type => matchesType(value, type))) {
+    return [{ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push({ path, message: `must not be shorter than ${schema.minLength}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: `${path}.${name}`, message: 'is required' });
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (properties[name]) {
+        errors.push(...validateSchema(item, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${name}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.path}: ${error.message}`);
+}
+
+/**
+ * JSON из ответа модели: локальные модели часто оборачивают его в ```json или добавляют текст.
+ * Нет JSON - SchemaValidationError, как и у ответа не по схеме
+ */
+function extractJson(text) {
+  const clean = (text || '').trim().replace(/```json\n?|```\n?/g, '');
+  const match = clean.match(/\{[\s\S]*\}/);
+
+  try {
+    return JSON.parse(match ? match[0] : clean);
+  } catch (error) {
+    throw new SchemaValidationError([{ path: '$', message: `invalid JSON (${error.message})` }], text);
+  }
+}
+
+/**
+ * Разобрать и проверить ответ модели
+ * @returns {Object} данные, прошедшие проверку
+ * @throws {SchemaValidationError}
+ */
+function parseWithSchema(text, schema) {
+  const data = extractJson(text);
+  const errors = validateSchema(data, schema);
+  if (errors.length > 0) {
+    throw new SchemaValidationError(errors, text);
+  }
+  return data;
+}
+
+module.exports = {
+  SchemaValidationError,
+  validateSchema,
+  formatErrors,
+  extractJson,
+  parseWithSchema
+};
@@ -24,6 +24,8 @@ class MetricsCollector {
       aiProviderUsage: {},
       aiCacheHits: 0,
       aiCacheMisses: 0,
+      // Ответы моделей не по схеме (config/ai-schemas.js): по провайдерам и промптам
+      aiSchemaFailures: { failures: 0, repaired: 0, byProvider: {}, byPrompt: {} },
       
       // Пользователи
       activeUsers: 0,
@@ -112,6 +114,25 @@ class MetricsCollector {
     }
   }
 
+  /**
+   * Ответ модели не прошёл проверку схемой
+   * @param {string} prompt - промпт (key@version) или задача
+   * @param {boolean} repaired - исправлен ли ответ повторным запросом
+   */
+  recordSchemaFailure(provider, prompt, repaired = false) {
+    const failures = this.metrics.aiSchemaFailures;
+    failures.failures++;
+    if (repaired) failures.repaired++;
+
+    for (const [group, key] of [['byProvider', provider], ['byPrompt', prompt]]) {
+      if (!failures[group][key]) {
+        failures[group][key] = { failures: 0, repaired: 0 };
+      }
+      failures[group][key].failures++;
+      if (repaired) failures[group][key].repaired++;
+    }
+  }
+
   /**
    * Попадание в кэш
    */
@@ -218,6 +239,7 @@ class MetricsCollector {
       aiProviderUsage: {},
       aiCacheHits: 0,
       aiCacheMisses: 0,
+      aiSchemaFailures: { failures: 0, repaired: 0, byProvider: {}, byPrompt: {} },
       activeUsers: 0,
       totalResponses: 0,
       uptime: process.uptime(),
@@ -246,6 +268,8 @@ class MetricsCollector {
       esm_illusions_detected_total: metrics.illusionsDetected,
       esm_cache_hits_total: metrics.aiCacheHits,
       esm_cache_misses_total: metrics.aiCacheMisses,
+      esm_ai_schema_failures_total: metrics.aiSchemaFailures.failures,
+      esm_ai_schema_repairs_total: metrics.aiSchemaFailures.repaired,
       esm_responses_total: metrics.totalResponses,
       
       // Metadata
@@ -313,6 +337,7 @@ module.exports = {
   endValidation: (timerId, result) => metrics.endValidation(timerId, result),
   recordValidationError: (error, timerId) => metrics.recordValidationError(error, timerId),
   recordAIUsage: (provider, success) => metrics.recordAIUsage(provider, success),
+  recordSchemaFailure: (provider, prompt, repaired) => metrics.recordSchemaFailure(provider, prompt, repaired),
   recordCacheHit: () => metrics.recordCacheHit(),
   recordCacheMiss: () => metrics.recordCacheMiss(),
   recordTrainingCompletion: (quality) => metrics.recordTrainingCompletion(quality),
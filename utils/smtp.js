@@ -0,0 +1,168 @@
+const net = require('net');
+const tls = require('tls');
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Минимальный SMTP-клиент для писем-уведомлений
+ *
+ * Умеет ровно то, что нужно каналу email: одно текстовое письмо одному
+ * получателю, TLS сразу (secure) или STARTTLS, если сервер его предлагает,
+ * и AUTH PLAIN. Тема и текст в UTF-8 (RFC 2047 и base64), поэтому точки
+ * в начале строк экранировать не нужно.
+ */
+
+// Ответ сервера может быть многострочным: «250-...» продолжается до «250 ...»
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.replies = [];
+    this.waiting = [];
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', chunk => this.onData(chunk));
+    socket.on('error', error => this.fail(error));
+    socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+  }
+
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) >= 0) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), lines: this.lines.map(item => item.slice(4)) };
+        this.lines = [];
+        const waiter = this.waiting.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  fail(error) {
+    while (this.waiting.length > 0) {
+      this.waiting.shift().reject(error);
+    }
+    this.error = this.error || error;
+  }
+
+  read() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  /**
+   * Команда и ожидаемый код ответа; другой код - ошибка с текстом сервера
+   */
+  async command(line, expected) {
+    if (line !== null) this.socket.write(`${line}\r\n`);
+
+    const reply = await this.read();
+    if (reply.code !== expected) {
+      throw new Error(`SMTP ${reply.code}: ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  }
+
+  // Перешли в TLS: старый сокет больше не читаем
+  upgrade(options) {
+    return new Promise((resolve, reject) => {
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+      this.socket.removeAllListeners('error');
+      this.socket.setTimeout(0);
+
+      const secure = tls.connect({ socket: this.socket, servername: options.host }, () => {
+        this.attach(secure);
+        resolve();
+      });
+      secure.once('error', reject);
+    });
+  }
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  const domain = from.split('@')[1] || os.hostname();
+
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=UTF-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+function connect({ host, port, secure }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * Отправка письма
+ * @param {Object} options - { host, port, secure, user, pass, timeoutMs }
+ * @param {Object} mail - { from, to, subject, text }
+ */
+async function sendMail(options, mail) {
+  if ([mail.from, mail.to, mail.subject].some(value => /[\r\n]/.test(value))) {
+    throw new Error('SMTP header contains a line break');
+  }
+
+  const socket = await connect(options);
+  const connection = new SmtpConnection(socket, options.timeoutMs || 15000);
+
+  try {
+    await connection.command(null, 220);
+    const hello = await connection.command(`EHLO ${os.hostname()}`, 250);
+
+    const extensions = hello.lines.map(line => line.toUpperCase());
+    if (!options.secure && extensions.some(line => line.startsWith('STARTTLS'))) {
+      await connection.command('STARTTLS', 220);
+      await connection.upgrade(options);
+      await connection.command(`EHLO ${os.hostname()}`, 250);
+    }
+
+    if (options.user) {
+      const credentials = Buffer.from(`\0${options.user}\0${options.pass || ''}`, 'utf8').toString('base64');
+      await connection.command(`AUTH PLAIN ${credentials}`, 235);
+    }
+
+    await connection.command(`MAIL FROM:<${mail.from}>`, 250);
+    await connection.command(`RCPT TO:<${mail.to}>`, 250);
+    await connection.command('DATA', 354);
+    await connection.command(`${buildMessage(mail)}\r\n.`, 250);
+    await connection.command('QUIT', 221).catch(() => {});
+  } finally {
+    connection.socket.destroy();
+  }
+}
+
+module.exports = { sendMail, buildMessage };